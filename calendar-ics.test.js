@@ -0,0 +1,142 @@
+// iCalendar export/import: schedules to VEVENTs, busy events to fixed blocks
+import {
+  expandRecurrence, extractBusyBlocks, foldLine, parseClockTime, renderCalendar, scheduleToEvents, zonedTimeToUtc
+} from './modules/calendar-ics.js';
+import { ScheduleGenerator } from './modules/schedule-generator.js';
+
+const ZONE = 'America/New_York';
+
+const ics = (...events) => [
+  'BEGIN:VCALENDAR', 'VERSION:2.0',
+  ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR', ''
+].join('\r\n');
+
+describe('schedule export', () => {
+  const schedule = {
+    date: '2026-01-05',
+    blocks: [
+      { id: 'task_1', type: 'learning', title: 'Scales', description: 'C major, two octaves', startTime: '9:00 AM', duration: 45 },
+      { id: 'break_2', type: 'break', title: 'Break & Reflection', startTime: '9:45 AM', duration: 15 },
+      { id: 'fixed_3', type: 'fixed', title: 'Standup', startTime: '10:00 AM', duration: 15, source: 'calendar' },
+      { id: 'habit_4', type: 'habit', title: 'Evening Wind-down', startTime: '11:30 PM', duration: 45 }
+    ]
+  };
+
+  test('computes DTSTART/DTEND from startTime and duration in the given zone', () => {
+    const events = scheduleToEvents(schedule, { projectId: 'p1', timeZone: ZONE, includeBreaks: false });
+    expect(events.map(e => e.uid)).toEqual(['p1-2026-01-05-task_1@forest', 'p1-2026-01-05-habit_4@forest']);
+    expect(events[0].start.toISOString()).toBe('2026-01-05T14:00:00.000Z');
+    expect(events[0].end.toISOString()).toBe('2026-01-05T14:45:00.000Z');
+    // Runs past midnight into the next day
+    expect(events[1].end.toISOString()).toBe('2026-01-06T05:15:00.000Z');
+  });
+
+  test('renders escaped, folded RFC 5545 events that import back as busy time', () => {
+    const events = scheduleToEvents(schedule, { projectId: 'p1', timeZone: ZONE });
+    const calendar = renderCalendar(events, { now: new Date('2026-01-01T00:00:00Z') });
+
+    expect(calendar).toContain('DESCRIPTION:C major\\, two octaves');
+    expect(calendar).toContain('DTSTAMP:20260101T000000Z');
+    expect(calendar.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+
+    const { blocks } = extractBusyBlocks(calendar, { startDate: '2026-01-05', days: 1, timeZone: ZONE });
+    expect(blocks.slice(0, 2).map(b => [b.title, b.startMinutes, b.endMinutes])).toEqual([
+      ['Scales', 540, 585],
+      ['Break & Reflection', 585, 600]
+    ]);
+  });
+
+  test('foldLine splits long lines with a leading space', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+    expect(folded.split('\r\n ').join('')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+    expect(folded.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+  });
+});
+
+describe('calendar import', () => {
+  test('expands weekly recurrences with exceptions and moved instances', () => {
+    const text = ics(
+      ['UID:standup', 'SUMMARY:Standup', 'DTSTART;TZID=America/New_York:20260105T093000', 'DTEND;TZID=America/New_York:20260105T094500',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR', 'EXDATE;TZID=America/New_York:20260107T093000'],
+      ['UID:standup', 'RECURRENCE-ID;TZID=America/New_York:20260109T093000', 'SUMMARY:Standup (moved)',
+        'DTSTART;TZID=America/New_York:20260109T110000', 'DURATION:PT30M']
+    );
+    const { blocks } = extractBusyBlocks(text, { startDate: '2026-01-05', days: 5, timeZone: ZONE });
+    expect(blocks.map(b => [b.date, b.title, b.startMinutes])).toEqual([
+      ['2026-01-05', 'Standup', 570],
+      ['2026-01-09', 'Standup (moved)', 660]
+    ]);
+  });
+
+  test('converts UTC times, splits events over midnight and skips free, cancelled and all-day events', () => {
+    const text = ics(
+      ['UID:a', 'SUMMARY:Dentist', 'DTSTART:20260106T150000Z', 'DTEND:20260106T160000Z'],
+      ['UID:b', 'SUMMARY:Late call', 'DTSTART;TZID=America/New_York:20260106T233000', 'DTEND;TZID=America/New_York:20260107T010000'],
+      ['UID:c', 'SUMMARY:Maybe', 'TRANSP:TRANSPARENT', 'DTSTART:20260106T150000Z', 'DTEND:20260106T160000Z'],
+      ['UID:d', 'SUMMARY:Off', 'STATUS:CANCELLED', 'DTSTART:20260106T150000Z', 'DTEND:20260106T160000Z'],
+      ['UID:e', 'SUMMARY:Holiday', 'DTSTART;VALUE=DATE:20260106']
+    );
+    const result = extractBusyBlocks(text, { startDate: '2026-01-06', days: 2, timeZone: ZONE });
+    expect(result.blocks.map(b => [b.date, b.title, b.startMinutes, b.endMinutes])).toEqual([
+      ['2026-01-06', 'Dentist', 600, 660],
+      ['2026-01-06', 'Late call', 1410, 1440],
+      ['2026-01-07', 'Late call', 0, 60]
+    ]);
+    expect(result.skipped).toEqual({ free: 1, cancelled: 1, allDay: 1 });
+  });
+
+  test('a daily rule keeps only the BYDAY weekdays', () => {
+    // 2026-01-05 is a Monday
+    expect(expandRecurrence('2026-01-05', 'FREQ=DAILY;BYDAY=MO,WE,FR', '2026-01-18')).toEqual({
+      dates: ['2026-01-05', '2026-01-07', '2026-01-09', '2026-01-12', '2026-01-14', '2026-01-16'],
+      supported: true
+    });
+    expect(expandRecurrence('2026-01-05', 'FREQ=DAILY;INTERVAL=2;BYDAY=MO,TU,WE;COUNT=3', '2026-01-31').dates)
+      .toEqual(['2026-01-05', '2026-01-07', '2026-01-13']);
+  });
+
+  test('rules with BY* parts it cannot expand are reported as unsupported instead of guessed', () => {
+    for (const rrule of [
+      'FREQ=MONTHLY;BYMONTHDAY=1,15',
+      'FREQ=YEARLY;BYMONTH=3',
+      'FREQ=MONTHLY;BYDAY=1MO',
+      'FREQ=WEEKLY;BYDAY=MO;BYHOUR=9,17',
+      'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;WKST=SU'
+    ]) {
+      expect(expandRecurrence('2026-01-05', rrule, '2026-12-31')).toEqual({ dates: ['2026-01-05'], supported: false });
+    }
+    expect(expandRecurrence('2026-01-05', 'FREQ=WEEKLY;BYDAY=MO;WKST=SU', '2026-01-12').supported).toBe(true);
+
+    const text = ics(['UID:payday', 'SUMMARY:Payday', 'DTSTART;TZID=America/New_York:20260105T090000', 'DURATION:PT1H',
+      'RRULE:FREQ=MONTHLY;BYMONTHDAY=5,20']);
+    const result = extractBusyBlocks(text, { startDate: '2026-01-05', days: 30, timeZone: ZONE });
+    expect(result.blocks.map(b => b.date)).toEqual(['2026-01-05']);
+    expect(result.unsupported).toEqual(['Payday: FREQ=MONTHLY;BYMONTHDAY=5,20']);
+  });
+
+  test('zonedTimeToUtc follows daylight saving changes', () => {
+    expect(zonedTimeToUtc('2026-07-01', 9 * 60, ZONE).toISOString()).toBe('2026-07-01T13:00:00.000Z');
+    expect(zonedTimeToUtc('2026-01-01', 9 * 60, ZONE).toISOString()).toBe('2026-01-01T14:00:00.000Z');
+  });
+});
+
+describe('createTimeBlocks with fixed blocks', () => {
+  test('plans around busy time without overlapping it', () => {
+    const generator = new ScheduleGenerator(null, null);
+    const tasks = [
+      { id: 'n1', title: 'Scales', duration: '60 minutes', difficulty: 1 },
+      { id: 'n2', title: 'Chords', duration: '30 minutes', difficulty: 1 }
+    ];
+    const fixed = [{ title: 'Standup', startMinutes: 9 * 60 + 30, endMinutes: 10 * 60, source: 'calendar' }];
+    const blocks = generator.createTimeBlocks(9 * 60, 11 * 60, [], tasks, 3, 'mixed', {}, {}, null, fixed);
+
+    const standup = blocks.find(b => b.fixed);
+    expect(standup).toMatchObject({ type: 'fixed', title: 'Standup', startTime: '9:30 AM', duration: 30, source: 'calendar' });
+    for (const block of blocks.filter(b => !b.fixed)) {
+      const start = parseClockTime(block.startTime);
+      expect(start + block.duration <= 9 * 60 + 30 || start >= 10 * 60).toBe(true);
+    }
+    expect(blocks.filter(b => b.type === 'learning').map(b => b.title).sort()).toEqual(['Chords', 'Scales']);
+  });
+});
@@ -0,0 +1,63 @@
+// Recurring commitments and one-off busy blocks
+import {
+  fixedBlocksForDate, mergeBusyBlocks, normaliseCommitments, parseDays, resolveFixedOverlaps
+} from './modules/commitments.js';
+import { ValidationError } from './modules/errors.js';
+
+describe('normaliseCommitments', () => {
+  test('stores day names, 12-hour times, ids and hard by default', () => {
+    expect(normaliseCommitments([
+      { label: 'Work', days: 'weekdays', start: '09:00', end: '17:00' },
+      { label: 'Work', days: ['Saturday'], start: '10:00 AM', end: '2:00 PM', hard: false }
+    ])).toEqual([
+      { id: 'work', label: 'Work', days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '9:00 AM', end: '5:00 PM', hard: true },
+      { id: 'work_2', label: 'Work', days: ['sat'], start: '10:00 AM', end: '2:00 PM', hard: false }
+    ]);
+  });
+
+  test('rejects unknown days and unparseable times', () => {
+    expect(() => parseDays(['mon', 'funday'])).toThrow(ValidationError);
+    expect(() => normaliseCommitments([{ label: 'Gym', days: 'mon', start: 'noon', end: '1:00 PM' }])).toThrow(/commitments\[0\]\.start/);
+  });
+});
+
+describe('fixedBlocksForDate', () => {
+  const config = {
+    commitments: normaliseCommitments([
+      { label: 'Work', days: 'weekdays', start: '9:00 AM', end: '5:00 PM' },
+      { label: 'Night shift', days: ['sun'], start: '10:00 PM', end: '6:00 AM' }
+    ]),
+    busy_blocks: mergeBusyBlocks({}, { '2026-01-05': [{ label: 'Dentist', start: '7:00 AM', end: '8:00 AM' }] })
+  };
+
+  test('matches commitments by weekday and adds one-off blocks for the date', () => {
+    // 2026-01-05 is a Monday; the Sunday night shift spills into it
+    expect(fixedBlocksForDate(config, '2026-01-05').map(b => [b.title, b.startMinutes, b.endMinutes])).toEqual([
+      ['Night shift', 0, 360],
+      ['Dentist', 420, 480],
+      ['Work', 540, 1020]
+    ]);
+    expect(fixedBlocksForDate(config, '2026-01-04').map(b => [b.title, b.startMinutes, b.endMinutes])).toEqual([
+      ['Night shift', 1320, 1440]
+    ]);
+  });
+
+  test('an empty list clears a date of busy blocks', () => {
+    expect(mergeBusyBlocks(config.busy_blocks, { '2026-01-05': [] })).toEqual({});
+  });
+});
+
+describe('resolveFixedOverlaps', () => {
+  test('cuts soft blocks around hard ones and reports what was lost', () => {
+    const { kept, displaced } = resolveFixedOverlaps([
+      { title: 'Gym', startMinutes: 1020, endMinutes: 1110, hard: false },
+      { title: 'Class', startMinutes: 1050, endMinutes: 1080, hard: true }
+    ]);
+    expect(kept.map(b => [b.title, b.startMinutes, b.endMinutes])).toEqual([
+      ['Gym', 1020, 1050],
+      ['Class', 1050, 1080],
+      ['Gym', 1080, 1110]
+    ]);
+    expect(displaced).toEqual([{ title: 'Gym', conflicts_with: ['Class'], minutes_lost: 30 }]);
+  });
+});
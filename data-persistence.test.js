@@ -0,0 +1,129 @@
+// DataPersistence: per-project locking, crash-safe writes and project snapshots
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from './modules/data-persistence.js';
+
+let dir;
+let dp;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-persistence-'));
+  dp = new DataPersistence(dir);
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+describe('withProjectLock', () => {
+  test('serialises concurrent read-modify-write sequences in arrival order', async () => {
+    await dp.saveProjectData('p1', 'config.json', { goal: 'Piano', log: [] });
+
+    const append = n => dp.withProjectLock('p1', async () => {
+      const config = await dp.loadProjectData('p1', 'config.json');
+      await tick();
+      await dp.saveProjectData('p1', 'config.json', { ...config, log: [...config.log, n] });
+    });
+    await Promise.all([1, 2, 3, 4, 5].map(append));
+
+    expect((await dp.loadProjectData('p1', 'config.json')).log).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('different projects do not wait for each other', async () => {
+    const order = [];
+    let releaseFirst;
+    const first = dp.withProjectLock('p1', () => new Promise(resolve => { releaseFirst = resolve; }).then(() => order.push('p1')));
+    await dp.withProjectLock('p2', async () => { order.push('p2'); });
+    releaseFirst();
+    await first;
+    expect(order).toEqual(['p2', 'p1']);
+  });
+
+  test('is re-entrant for the call chain that holds it and released after a throw', async () => {
+    const result = await dp.withProjectLock('p1', () => dp.withProjectLock('p1', async () => 'inner'));
+    expect(result).toBe('inner');
+
+    await expect(dp.withProjectLock('p1', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    await expect(dp.withProjectLock('p1', async () => 'after')).resolves.toBe('after');
+    expect(dp.locks.size).toBe(0);
+  });
+});
+
+describe('atomic writes', () => {
+  test('a failed rename leaves the original document and no temp file behind', async () => {
+    await dp.saveProjectData('p1', 'config.json', { goal: 'Piano' });
+    jest.spyOn(fs, 'rename').mockRejectedValueOnce(Object.assign(new Error('disk full'), { code: 'ENOSPC' }));
+    jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+
+    expect(await dp.saveProjectData('p1', 'config.json', { goal: 'Guitar' })).toBe(false);
+
+    const projectDir = path.join(dir, 'projects', 'p1');
+    expect(JSON.parse(await fs.readFile(path.join(projectDir, 'config.json'), 'utf8')).goal).toBe('Piano');
+    expect((await fs.readdir(projectDir)).filter(name => name.endsWith('.tmp'))).toEqual([]);
+  });
+});
+
+describe('project snapshots', () => {
+  const goals = ['Piano', 'Guitar', 'Drums', 'Violin', 'Cello'];
+
+  test('rotation past the limit keeps the newest snapshots', async () => {
+    dp = new DataPersistence(dir, { maxSnapshots: 3 });
+    const taken = [];
+    for (const goal of goals) {
+      await dp.saveProjectData('p1', 'config.json', { goal });
+      taken.push((await dp.createSnapshot('p1', `before ${goal}`)).snapshotId);
+    }
+
+    const kept = await dp.listSnapshots('p1');
+    expect(kept.map(s => s.snapshotId)).toEqual(taken.slice(-3).reverse());
+    expect(kept.map(s => s.reason)).toEqual(['before Cello', 'before Violin', 'before Drums']);
+    expect(await dp.loadSnapshot('p1', taken[0])).toBeNull();
+  });
+
+  test('snapshots past the maximum age are dropped but the newest always stays', async () => {
+    dp = new DataPersistence(dir, { snapshotMaxAgeDays: 7 });
+    await dp.saveProjectData('p1', 'config.json', { goal: 'Piano' });
+    const old = { snapshotId: 'old', projectId: 'p1', reason: 'manual', createdAt: '2020-01-01T00:00:00.000Z', documents: { 'config.json': { goal: 'Piano' } } };
+    await dp.storage.write(dp.getSnapshotKey('p1', 'old'), old);
+
+    expect(await dp.rotateSnapshots('p1')).toEqual([]);
+    await dp.createSnapshot('p1');
+    expect((await dp.listSnapshots('p1')).map(s => s.snapshotId)).not.toContain('old');
+  });
+
+  test('restore round-trips documents, removes files created since and can itself be undone', async () => {
+    await dp.saveProjectData('p1', 'config.json', { goal: 'Piano' });
+    await dp.saveProjectData('p1', 'learning_history.json', { completedTopics: [{ topic: 'Scales' }] });
+    const before = await dp.readProjectDocuments('p1');
+    const { snapshotId } = await dp.createSnapshot('p1', 'manual');
+
+    await dp.saveProjectData('p1', 'config.json', { goal: 'Guitar' });
+    await dp.saveProjectData('p1', 'day_2026-01-05.json', { blocks: [] });
+    const changed = await dp.readProjectDocuments('p1');
+    expect((await dp.diffSnapshot('p1', snapshotId)).changes.map(c => [c.file, c.action])).toEqual([
+      ['config.json', 'modify'],
+      ['day_2026-01-05.json', 'delete']
+    ]);
+
+    const result = await dp.restoreSnapshot('p1', snapshotId);
+    expect(result.documentCount).toBe(2);
+    expect(await dp.readProjectDocuments('p1')).toEqual(before);
+    expect((await dp.loadProjectData('p1', 'config.json')).goal).toBe('Piano');
+    expect((await dp.loadGlobalData('config.json')).projects).toEqual(['p1']);
+
+    await dp.restoreSnapshot('p1', result.safetySnapshot.snapshotId);
+    expect(await dp.readProjectDocuments('p1')).toEqual(changed);
+  });
+
+  test('restoring an unknown snapshot fails without touching the project', async () => {
+    await dp.saveProjectData('p1', 'config.json', { goal: 'Piano' });
+    await expect(dp.restoreSnapshot('p1', 'missing')).rejects.toThrow('Snapshot "missing" not found');
+    expect((await dp.loadProjectData('p1', 'config.json')).goal).toBe('Piano');
+    expect(await dp.listSnapshots('p1')).toEqual([]);
+  });
+});
@@ -0,0 +1,78 @@
+// Rescheduling a drifted day: compaction from now, overruns, carry-overs and deferral tracking
+import { carriedInto, chronicDeferrals, compactDay, recordDeferrals } from './modules/day-rescheduler.js';
+
+const block = (id, type, startTime, duration, extra = {}) => ({ id, type, title: id, startTime, duration, completed: false, ...extra });
+const layout = blocks => blocks.map(b => [b.id, b.startTime, b.duration]);
+
+describe('compactDay', () => {
+  const day = [
+    block('task_1', 'learning', '9:00 AM', 60, { completed: true }),
+    block('break_2', 'break', '10:00 AM', 15),
+    block('task_3', 'learning', '10:15 AM', 60),
+    block('fixed_4', 'fixed', '12:00 PM', 60, { fixed: true }),
+    block('task_5', 'learning', '1:00 PM', 45),
+    block('habit_6', 'habit', '1:45 PM', 15)
+  ];
+
+  test('packs missed and remaining learning from now around fixed blocks and carries what does not fit', () => {
+    const result = compactDay(day, { now: 11 * 60 + 15, dayEnd: 14 * 60, breakMinutes: 15 });
+    expect(result.missed).toBe(1);
+    expect(layout(result.blocks)).toEqual([
+      ['task_1', '9:00 AM', 60],
+      ['break_2', '10:00 AM', 15],
+      ['fixed_4', '12:00 PM', 60],
+      ['task_3', '1:00 PM', 60]
+    ]);
+    expect(result.shifted).toEqual([{ id: 'task_3', title: 'task_3', from: '10:15 AM', to: '1:00 PM' }]);
+    expect(result.carried.map(b => b.id)).toEqual(['task_5']);
+  });
+
+  test('a block that runs long keeps its start and pushes later blocks back', () => {
+    const result = compactDay(day, {
+      now: 10 * 60 + 15,
+      dayEnd: 16 * 60,
+      overrun: { blockId: 'task_1', minutes: 30 },
+      fillGap: (start, end) => [{ type: 'habit', title: 'Stretch', duration: end - start }]
+    });
+    expect(layout(result.blocks)).toEqual([
+      ['task_1', '9:00 AM', 90],
+      ['task_3', '10:30 AM', 60],
+      ['break_7', '11:30 AM', 15],
+      ['habit_9', '11:45 AM', 15],
+      ['fixed_4', '12:00 PM', 60],
+      ['task_5', '1:00 PM', 45],
+      ['break_8', '1:45 PM', 15],
+      ['habit_10', '2:00 PM', 120]
+    ]);
+    expect(result.blocks[0].overrunMinutes).toBe(30);
+    expect(result.carried).toEqual([]);
+  });
+
+  test('without reflow only habit time takes inserted blocks', () => {
+    const result = compactDay(day, {
+      now: 8 * 60,
+      dayEnd: 14 * 60,
+      reflow: false,
+      insert: [block('task_1', 'learning', '9:00 AM', 15, { carriedOver: true }), block('task_9', 'learning', '9:00 AM', 60)]
+    });
+    const inserted = result.blocks.find(b => b.carriedOver);
+    expect(inserted).toMatchObject({ id: 'task_7', startTime: '8:00 AM', duration: 15 });
+    expect(result.blocks.find(b => b.id === 'task_3').startTime).toBe('10:15 AM');
+    expect(result.carried.map(b => b.id)).toEqual(['task_8']);
+  });
+});
+
+describe('deferral tracking', () => {
+  test('counts carry-overs per task and reports open tasks deferred too often', () => {
+    const carried = [block('task_3', 'learning', '10:00 AM', 30, { taskId: 'n3', pathName: 'piano' })];
+    let store = recordDeferrals(null, carried, { date: '2026-01-05', carriedTo: '2026-01-06' });
+    store = recordDeferrals(store, carried, { date: '2026-01-06', carriedTo: '2026-01-07' });
+    store = recordDeferrals(store, carried, { date: '2026-01-07', carriedTo: '2026-01-08' });
+
+    expect(store.tasks['piano:n3']).toMatchObject({ deferrals: 3, first_deferred: '2026-01-05', carried_to: '2026-01-08' });
+    expect(carriedInto(store, '2026-01-07').size).toBe(0);
+    expect([...carriedInto(store, '2026-01-08').keys()]).toEqual(['piano:n3']);
+    expect(chronicDeferrals(store, new Set()).map(t => t.key)).toEqual(['piano:n3']);
+    expect(chronicDeferrals(store, new Set(['piano:n3']))).toEqual([]);
+  });
+});
@@ -0,0 +1,111 @@
+// HTA edit tools: prerequisite rewiring when tasks are split or deleted, and input validation
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from './modules/data-persistence.js';
+import { HtaEditing } from './modules/hta-editing.js';
+import { ProjectManagement } from './modules/project-management.js';
+
+const task = (id, prerequisites = [], extra = {}) => ({ id, title: id, branch: 'b1', duration: '60 minutes', prerequisites, completed: false, ...extra });
+
+let dir;
+let dp;
+let editing;
+
+const loadTree = async () => (await dp.loadPathHTA('p1', 'general')).frontierNodes;
+const prerequisitesById = async () => Object.fromEntries((await loadTree()).map(n => [n.id, n.prerequisites]));
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-editing-'));
+  dp = new DataPersistence(dir);
+  editing = new HtaEditing(dp, new ProjectManagement(dp, null));
+
+  await dp.saveGlobalData('config.json', { projects: ['p1'], activeProject: 'p1' });
+  await dp.saveProjectData('p1', 'config.json', { id: 'p1', goal: 'Piano', activePath: 'general', learning_paths: [{ path_name: 'general', priority: 'high' }] });
+  // node_1 → node_2 → { node_3, node_4 }; node_5 is a child task of node_2
+  await dp.savePathHTA('p1', 'general', {
+    strategicBranches: [{ id: 'b1', title: 'Technique' }],
+    frontierNodes: [
+      task('node_1'),
+      task('node_2', ['node_1']),
+      task('node_3', ['node_2']),
+      task('node_4', ['node_2', 'node_1']),
+      task('node_5', [], { parentId: 'node_2' })
+    ]
+  });
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('splitTask', () => {
+  test('sequential parts are chained and dependants wait for the last part', async () => {
+    const result = await editing.splitTask('node_2', [{ title: 'Part A' }, { title: 'Part B', duration: 20 }]);
+
+    expect(result.tasks.map(n => [n.id, n.duration])).toEqual([['node_6', '30 minutes'], ['node_7', '20 minutes']]);
+    expect(await prerequisitesById()).toEqual({
+      node_1: [],
+      node_6: ['node_1'],
+      node_7: ['node_6'],
+      node_3: ['node_7'],
+      node_4: ['node_7', 'node_1'],
+      node_5: []
+    });
+    expect((await loadTree()).find(n => n.id === 'node_5').parentId).toBe('b1');
+    expect(result.content[0].text).toContain('Prerequisites updated on 2 dependent task(s)');
+  });
+
+  test('parallel parts all inherit the original prerequisites and dependants wait for every part', async () => {
+    await editing.splitTask('node_2', [{ title: 'Part A' }, { title: 'Part B' }], false);
+
+    const prerequisites = await prerequisitesById();
+    expect([prerequisites.node_6, prerequisites.node_7]).toEqual([['node_1'], ['node_1']]);
+    expect(prerequisites.node_3).toEqual(['node_6', 'node_7']);
+    expect(prerequisites.node_4).toEqual(['node_6', 'node_7', 'node_1']);
+  });
+
+  test('refuses a completed task and leaves the tree unchanged', async () => {
+    const tree = await dp.loadPathHTA('p1', 'general');
+    tree.frontierNodes[0].completed = true;
+    await dp.savePathHTA('p1', 'general', tree);
+    jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+
+    const result = await editing.splitTask('node_1', [{ title: 'Part A' }, { title: 'Part B' }]);
+
+    expect(result.content[0].text).toContain('already completed');
+    expect((await loadTree()).map(n => n.id)).toEqual(['node_1', 'node_2', 'node_3', 'node_4', 'node_5']);
+  });
+});
+
+describe('deleteTask', () => {
+  test('dependants inherit the deleted task\'s prerequisites without duplicates', async () => {
+    const result = await editing.deleteTask('node_2');
+
+    expect(result.removed_task.id).toBe('node_2');
+    expect(await prerequisitesById()).toEqual({
+      node_1: [],
+      node_3: ['node_1'],
+      node_4: ['node_1'],
+      node_5: []
+    });
+    expect((await dp.listSnapshots('p1'))[0].reason).toBe('delete_task (node_2)');
+  });
+});
+
+describe('difficulty', () => {
+  test('accepts 1 to 5 and rejects anything outside that scale without saving', async () => {
+    jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+
+    expect((await editing.addTask({ title: 'Hard piece', difficulty: 5 })).task.difficulty).toBe(5);
+    expect((await editing.addTask({ title: 'Too hard', difficulty: 6 })).content[0].text)
+      .toContain('a number from 1 to 5');
+    expect((await editing.updateTask('node_1', { difficulty: 0 })).content[0].text).toContain('a number from 1 to 5');
+    expect((await editing.splitTask('node_2', [{ title: 'Part A', difficulty: 8 }, { title: 'Part B' }])).content[0].text)
+      .toContain('a number from 1 to 5');
+
+    expect((await loadTree()).map(n => n.title)).toEqual(['node_1', 'node_2', 'node_3', 'node_4', 'node_5', 'Hard piece']);
+  });
+});
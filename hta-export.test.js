@@ -0,0 +1,97 @@
+// HTA export: Markdown, Mermaid, DOT and OPML renderings of a small tree
+import { exportHTATree } from './modules/hta-export.js';
+import { outlineToRoadmap, parseMarkdownOutline, parseOpml } from './modules/hta-import.js';
+import { ValidationError } from './modules/errors.js';
+
+const hta = () => ({
+  goal: 'Play piano',
+  strategicBranches: [{ id: 'b1', title: 'Technique' }, { id: 'b2', title: 'Theory' }],
+  frontierNodes: [
+    { id: 'node_1', title: 'Scales', branch: 'b1', duration: '30 minutes', difficulty: 1, prerequisites: [], completed: true },
+    { id: 'node_2', title: 'Arpeggios "fast"', branch: 'b1', duration: '45 minutes', description: 'Both hands & slow', prerequisites: ['node_1'], completed: false },
+    { id: 'node_3', title: 'Intervals', branch: 'b2', prerequisites: [], completed: false }
+  ]
+});
+
+describe('exportHTATree', () => {
+  test('markdown is a checklist under branch headings with task details', () => {
+    expect(exportHTATree(hta(), 'markdown')).toBe([
+      '# Play piano',
+      '',
+      'Progress: 33% (1/3)',
+      '',
+      '## Technique',
+      '',
+      '- [x] Scales (30 min, difficulty 1)',
+      '- [ ] Arpeggios "fast" (45 min, after: Scales)',
+      '',
+      '## Theory',
+      '',
+      '- [ ] Intervals',
+      ''
+    ].join('\n'));
+  });
+
+  test('mermaid draws the hierarchy, dashed prerequisite edges and status classes', () => {
+    const lines = exportHTATree(hta(), 'mermaid').trim().split('\n');
+
+    expect(lines[0]).toBe('graph TD');
+    expect(lines).toEqual(expect.arrayContaining([
+      '  g_goal(["Play piano<br/>33%"])',
+      '  b_b1[["Technique<br/>50%"]]',
+      '  t_node_2["Arpeggios #quot;fast#quot;"]',
+      '  b_b1 --> t_node_2',
+      '  t_node_1 -.-> t_node_2',
+      '  class t_node_1 done',
+      '  class g_goal,b_b1 active',
+      '  class t_node_2,b_b2,t_node_3 todo'
+    ]));
+  });
+
+  test('dot uses the same edges and colours, with labels escaped', () => {
+    const dot = exportHTATree(hta(), 'dot');
+
+    expect(dot.startsWith('digraph HTA {\n')).toBe(true);
+    expect(dot.endsWith('}\n')).toBe(true);
+    expect(dot).toContain('  g_goal [label="Play piano\\n33%", fillcolor="#fff3cd", color="#b08900", shape=ellipse];');
+    expect(dot).toContain('  t_node_1 [label="Scales", fillcolor="#c8e6c9", color="#2e7d32"];');
+    expect(dot).toContain('  t_node_2 [label="Arpeggios \\"fast\\"", fillcolor="#eceff1", color="#78909c"];');
+    expect(dot).toContain('  b_b2 -> t_node_3;');
+    expect(dot).toContain('  t_node_1 -> t_node_2 [style=dashed, color="#90a4ae", constraint=false];');
+  });
+
+  test('opml nests tasks under branches with escaped attributes', () => {
+    const opml = exportHTATree(hta(), 'opml');
+
+    expect(opml).toContain('    <title>Play piano</title>');
+    expect(opml).toContain([
+      '    <outline text="Technique">',
+      '      <outline text="Scales" duration="30" difficulty="1" _status="checked"/>',
+      '      <outline text="Arpeggios &quot;fast&quot;" duration="45" prerequisites="Scales" _note="Both hands &amp; slow"/>',
+      '    </outline>',
+      '    <outline text="Theory">',
+      '      <outline text="Intervals"/>',
+      '    </outline>'
+    ].join('\n'));
+  });
+
+  test('markdown and opml exports import back to the same branches and tasks', () => {
+    const summary = roadmap => roadmap.branches.map(b => [b.title, b.tasks.map(t => [t.title, t.completed, t.duration])]);
+    const expected = [
+      ['Technique', [['Scales', true, 30], ['Arpeggios "fast"', false, 45]]],
+      ['Theory', [['Intervals', false, undefined]]]
+    ];
+
+    expect(summary(outlineToRoadmap(parseMarkdownOutline(exportHTATree(hta(), 'markdown'))))).toEqual(expected);
+    expect(summary(outlineToRoadmap(parseOpml(exportHTATree(hta(), 'opml'))))).toEqual(expected);
+  });
+
+  test('rejects unknown formats and leaves the document untouched', () => {
+    const tree = hta();
+    const before = structuredClone(tree);
+    exportHTATree(tree, 'dot');
+
+    expect(tree).toEqual(before);
+    expect(() => exportHTATree(tree, 'pdf')).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,93 @@
+// Heuristic starter tasks: phases per knowledge band, and clearing placeholders once real tasks arrive
+import { generateHeuristicTasks, removeHeuristicPlaceholders } from './modules/hta-heuristic-tasks.js';
+
+const branch = { id: 'b1', title: 'Chords' };
+const phases = tasks => tasks.map(t => [t.title, t.difficulty, t.duration]);
+
+describe('generateHeuristicTasks', () => {
+  test('beginners get a short arc without the apply phase', () => {
+    const tasks = generateHeuristicTasks(branch, 1);
+
+    expect(phases(tasks)).toEqual([
+      ['Map out Chords', 1, 15],
+      ['First hands-on attempt at Chords', 1, 20],
+      ['Practise Chords fundamentals', 2, 25],
+      ['Review progress in Chords', 1, 15]
+    ]);
+    expect(tasks.every(t => t.heuristic)).toBe(true);
+    expect(generateHeuristicTasks(branch, undefined)).toEqual(tasks);
+  });
+
+  test('the middle bands add the apply phase and raise difficulty and durations', () => {
+    expect(phases(generateHeuristicTasks(branch, 3))).toEqual([
+      ['Map out Chords', 1, 20],
+      ['First hands-on attempt at Chords', 1, 30],
+      ['Practise Chords fundamentals', 2, 40],
+      ['Review progress in Chords', 1, 20],
+      ['Apply Chords to a small project', 3, 45]
+    ]);
+    expect(phases(generateHeuristicTasks(branch, 6)).map(([, difficulty, minutes]) => [difficulty, minutes])).toEqual([
+      [2, 20], [2, 30], [3, 45], [2, 25], [4, 60]
+    ]);
+  });
+
+  test('advanced learners skip orientation and start straight away', () => {
+    const tasks = generateHeuristicTasks(branch, 9);
+
+    expect(phases(tasks)).toEqual([
+      ['First hands-on attempt at Chords', 3, 45],
+      ['Practise Chords fundamentals', 4, 60],
+      ['Review progress in Chords', 3, 30],
+      ['Apply Chords to a small project', 5, 90]
+    ]);
+    expect(tasks[0].prerequisites).toEqual([]);
+  });
+
+  test('phases chain by title, with one practice task per sub-branch and the first interest woven in', () => {
+    const subBranches = [1, 2, 3, 4].map(n => ({ id: `s${n}`, title: `Voicing ${n}` }));
+    const tasks = generateHeuristicTasks({ ...branch, subBranches }, 3, ['', 'jazz standards']);
+    const byTitle = Object.fromEntries(tasks.map(t => [t.title, t]));
+
+    const practice = tasks.filter(t => t.sub_branch);
+    expect(practice.map(t => [t.title, t.sub_branch])).toEqual([
+      ['Practise Voicing 1 (Chords)', 's1'],
+      ['Practise Voicing 2 (Chords)', 's2'],
+      ['Practise Voicing 3 (Chords)', 's3']
+    ]);
+    expect(byTitle['First hands-on attempt at Chords'].prerequisites).toEqual(['Map out Chords']);
+    expect(byTitle['First hands-on attempt at Chords'].description).toContain('connected to jazz standards');
+    expect(byTitle['Review progress in Chords'].prerequisites).toEqual(practice.map(t => t.title));
+    expect(byTitle['Apply Chords to jazz standards'].prerequisites).toEqual(['Review progress in Chords']);
+  });
+});
+
+describe('removeHeuristicPlaceholders', () => {
+  const node = (id, extra = {}) => ({ id, title: id, branch: 'b1', prerequisites: [], completed: false, ...extra });
+
+  test('drops the branch\'s unfinished placeholders, keeps completed ones and unlinks removed ids', () => {
+    const hta = {
+      frontierNodes: [
+        node('node_1', { heuristic: true, completed: true }),
+        node('node_2', { heuristic: true, prerequisites: ['node_1'] }),
+        node('node_3', { heuristic: true, branch: 'b2' }),
+        node('node_4', { prerequisites: ['node_1', 'node_2', 'node_3'] }),
+        node('node_5', { parentId: 'node_2' })
+      ]
+    };
+
+    const removed = removeHeuristicPlaceholders(hta, 'b1');
+
+    expect(removed.map(n => n.id)).toEqual(['node_2']);
+    expect(hta.frontierNodes.map(n => n.id)).toEqual(['node_1', 'node_3', 'node_4', 'node_5']);
+    expect(hta.frontierNodes.find(n => n.id === 'node_4').prerequisites).toEqual(['node_1', 'node_3']);
+    expect(hta.frontierNodes.find(n => n.id === 'node_5').parentId).toBe('b1');
+  });
+
+  test('leaves the tree alone when the branch has no open placeholders', () => {
+    const hta = { frontierNodes: [node('node_1', { heuristic: true, completed: true }), node('node_2')] };
+    const before = structuredClone(hta);
+
+    expect(removeHeuristicPlaceholders(hta, 'b1')).toEqual([]);
+    expect(hta).toEqual(before);
+  });
+});
@@ -0,0 +1,88 @@
+// HTA hierarchy: linking nodes under branches and rolling progress up the tree
+import { buildTree, linkHierarchy, normaliseHierarchy, renderTree } from './modules/hta-hierarchy.js';
+
+const task = (id, extra = {}) => ({ id, title: id, prerequisites: [], ...extra });
+
+const sampleHTA = () => ({
+  goal: 'Play piano',
+  strategicBranches: [
+    { id: 'b1', title: 'Technique', subBranches: [{ id: 's1', title: 'Scales' }] },
+    { id: 'b2', title: 'Music Theory' }
+  ],
+  frontierNodes: [
+    task('t1', { branch: 's1', completed: true }),
+    task('t2', { branch: 'Scales' }),
+    task('t3', { branch: 'music_theory' }),
+    task('t4', { parentId: 't3', completed: true }),
+    task('t5', { parentId: 't3', completed: true }),
+    task('t6', { branch: 'Nowhere' })
+  ]
+});
+
+describe('linkHierarchy', () => {
+  test('attaches nodes by sub-branch id, title or slug and keeps branch pointing at the strategic branch', () => {
+    const hta = linkHierarchy(sampleHTA());
+    const byId = new Map(hta.frontierNodes.map(n => [n.id, n]));
+
+    expect(hta.strategicBranches[0].subBranches[0].parentId).toBe('b1');
+    expect([byId.get('t1').parentId, byId.get('t1').branch]).toEqual(['s1', 'b1']);
+    expect([byId.get('t2').parentId, byId.get('t2').branch]).toEqual(['s1', 'b1']);
+    expect([byId.get('t3').parentId, byId.get('t3').branch]).toEqual(['b2', 'b2']);
+    expect([byId.get('t4').parentId, byId.get('t4').branch]).toEqual(['t3', 'b2']);
+    expect(byId.get('t6').parentId).toBeNull();
+  });
+
+  test('cuts a task → task parent loop', () => {
+    const hta = linkHierarchy({
+      strategicBranches: [{ id: 'b1', title: 'Technique' }],
+      frontierNodes: [task('a', { parentId: 'b', branch: 'b1' }), task('b', { parentId: 'a', branch: 'b1' })]
+    });
+    expect(hta.frontierNodes.map(n => n.parentId)).toEqual(['b1', 'a']);
+  });
+});
+
+describe('roll-up', () => {
+  test('a task is complete exactly when all of its children are, and progress counts leaves only', () => {
+    const hta = normaliseHierarchy(sampleHTA());
+    const t3 = hta.frontierNodes.find(n => n.id === 't3');
+
+    expect(t3.completed).toBe(true);
+    expect(t3.completedAt).toBeDefined();
+    expect(hta.strategicBranches[0].subBranches[0].progress).toEqual({ completed: 1, total: 2, percentage: 50 });
+    expect(hta.strategicBranches[0].progress).toEqual({ completed: 1, total: 2, percentage: 50 });
+    expect(hta.strategicBranches[1]).toMatchObject({ completed: true, progress: { completed: 2, total: 2, percentage: 100 } });
+    expect(hta.progress).toEqual({ completed: 3, total: 5, percentage: 60 });
+  });
+
+  test('reopening a child reopens its parent task', () => {
+    const hta = normaliseHierarchy(sampleHTA());
+    hta.frontierNodes.find(n => n.id === 't5').completed = false;
+    normaliseHierarchy(hta);
+
+    const t3 = hta.frontierNodes.find(n => n.id === 't3');
+    expect(t3.completed).toBe(false);
+    expect(t3.completedAt).toBeUndefined();
+    expect(hta.strategicBranches[1]).toMatchObject({ completed: false, progress: { completed: 1, total: 2 } });
+  });
+
+  test('the rendered tree shows progress at every level and groups unassigned tasks', () => {
+    const tree = buildTree(normaliseHierarchy(sampleHTA()));
+    expect(tree.children.map(c => [c.type, c.title])).toEqual([
+      ['branch', 'Technique'],
+      ['branch', 'Music Theory'],
+      ['unassigned', 'Unassigned tasks']
+    ]);
+    expect(renderTree(tree).split('\n')).toEqual([
+      '🔄 **Technique** - 50% (1/2)',
+      '  🔄 **Scales** - 50% (1/2)',
+      '    ✅ t1',
+      '    ⏳ t2',
+      '✅ **Music Theory** - 100% (2/2)',
+      '  ✅ t3 - 100% (2/2)',
+      '    ✅ t4',
+      '    ✅ t5',
+      '⏳ **Unassigned tasks** - 0% (0/1)',
+      '  ⏳ t6'
+    ]);
+  });
+});
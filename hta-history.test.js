@@ -0,0 +1,204 @@
+// HTA revisions: diffs between trees, recorded history, and reverting to an earlier revision
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from './modules/data-persistence.js';
+import { HtaHistory } from './modules/hta-history.js';
+import { applyTreePatch, compactDiff, createTreePatch, diffHTA, isEmptyDiff, summariseDiff } from './modules/hta-revisions.js';
+import { ProjectManagement } from './modules/project-management.js';
+
+const task = (id, extra = {}) => ({ id, title: id, branch: 'b1', prerequisites: [], completed: false, ...extra });
+const tree = (nodes, branches = [{ id: 'b1', title: 'Technique' }]) => ({ strategicBranches: branches, frontierNodes: nodes });
+
+describe('diffHTA', () => {
+  test('reports added, removed and changed nodes and branches', () => {
+    const before = tree([task('node_1'), task('node_2', { duration: '30 minutes' })]);
+    const after = tree(
+      [task('node_2', { duration: '45 minutes', completed: true }), task('node_3')],
+      [{ id: 'b1', title: 'Technique' }, { id: 'b2', title: 'Theory' }]
+    );
+    const diff = diffHTA(before, after);
+
+    expect(diff.added).toEqual([{ id: 'node_3', title: 'node_3' }]);
+    expect(diff.removed).toEqual([{ id: 'node_1', title: 'node_1' }]);
+    expect(diff.changed).toEqual([{
+      id: 'node_2',
+      title: 'node_2',
+      fields: [
+        { field: 'duration', before: '30 minutes', after: '45 minutes' },
+        { field: 'completed', before: false, after: true }
+      ]
+    }]);
+    expect(diff.branchesAdded).toEqual([{ id: 'b2', title: 'Theory' }]);
+    expect(summariseDiff(diff)).toBe('+1 −1 ~1');
+    expect(compactDiff(diff).changed[0].fields).toEqual(['duration', 'completed']);
+  });
+
+  test('ignores untracked fields and treats a missing tree as empty', () => {
+    const base = tree([task('node_1')]);
+    expect(isEmptyDiff(diffHTA(base, { ...tree([task('node_1', { completedAt: 'now' })]), lastUpdated: 'now' }))).toBe(true);
+    expect(diffHTA(null, base).added).toEqual([{ id: 'node_1', title: 'node_1' }]);
+  });
+});
+
+describe('createTreePatch', () => {
+  test('carries only what changed and rebuilds the later tree exactly', () => {
+    const before = { ...tree([task('node_1'), task('node_2'), task('node_3')]), goal: 'Piano', danglingPrerequisites: ['x'] };
+    const after = {
+      ...tree([task('node_3'), task('node_1', { completed: true }), task('node_4')], [{ id: 'b1', title: 'Technique', progress: 50 }]),
+      goal: 'Piano',
+      nextNodeId: 5
+    };
+    const patch = createTreePatch(before, after);
+
+    expect(patch.collections.frontierNodes).toEqual({
+      upsert: [task('node_1', { completed: true }), task('node_4')],
+      remove: ['node_2'],
+      order: ['node_3', 'node_1', 'node_4']
+    });
+    expect(patch.set).toEqual({ nextNodeId: 5 });
+    expect(patch.unset).toEqual(['danglingPrerequisites']);
+    expect(applyTreePatch(before, patch)).toEqual(after);
+  });
+
+  test('gives up on trees whose ids are missing or repeated', () => {
+    expect(createTreePatch(tree([task('node_1'), task('node_1')]), tree([task('node_1')]))).toBeNull();
+    expect(createTreePatch(tree([task('node_1')]), tree([{ title: 'no id' }]))).toBeNull();
+  });
+});
+
+describe('hta_diff and hta_revert', () => {
+  let dir;
+  let dp;
+  let history;
+
+  const save = (nodes, author) => dp.savePathHTA('p1', 'general', tree(nodes), { author });
+  const currentIds = async () => (await dp.loadPathHTA('p1', 'general')).frontierNodes.map(n => n.id);
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-history-'));
+    dp = new DataPersistence(dir, { maxHtaRevisions: 4, htaCheckpointInterval: 2 });
+    history = new HtaHistory(dp, new ProjectManagement(dp, null));
+
+    await dp.saveGlobalData('config.json', { projects: ['p1'], activeProject: 'p1' });
+    await dp.saveProjectData('p1', 'config.json', { id: 'p1', goal: 'Piano', activePath: 'general', learning_paths: [{ path_name: 'general', priority: 'high' }] });
+    await save([task('node_1')], 'build_hta_tree');
+    await save([task('node_1', { completed: true }), task('node_2')], 'complete_block');
+    await save([task('node_1', { completed: true }), task('node_2'), task('node_3')], 'add_task');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('every changing save is a revision credited to its tool, and unchanged saves are not', async () => {
+    expect(await save([task('node_1', { completed: true }), task('node_2'), task('node_3')], 'add_task')).toBeNull();
+
+    const { revisions } = await dp.loadHTAHistory('p1', 'general');
+    expect(revisions.map(r => [r.revision, r.author, summariseDiff(r.changes)])).toEqual([
+      [1, 'build_hta_tree', '+1 −0 ~0'],
+      [2, 'complete_block', '+1 −0 ~1'],
+      [3, 'add_task', '+1 −0 ~0']
+    ]);
+  });
+
+  test('hta_diff compares two revisions, defaulting to the latest', async () => {
+    const result = await history.htaDiff('r1');
+    expect(result.diff.added.map(n => n.id)).toEqual(['node_2', 'node_3']);
+    expect(result.diff.changed[0].fields.map(f => f.field)).toContain('completed');
+    expect(result.content[0].text).toContain('(r1 → r3)');
+
+    expect((await history.htaDiff(2, 3)).diff.added.map(n => n.id)).toEqual(['node_3']);
+  });
+
+  test('a revert previews by default and applies as a new revision that can be undone', async () => {
+    const preview = await history.htaRevert('r1');
+    expect(preview.preview).toBe(true);
+    expect(preview.diff.removed.map(n => n.id)).toEqual(['node_2', 'node_3']);
+    expect(await currentIds()).toEqual(['node_1', 'node_2', 'node_3']);
+
+    const applied = await history.htaRevert(1, false);
+    expect(applied.revision).toMatchObject({ revision: 4, author: 'hta_revert (r1)' });
+    const reverted = await dp.loadPathHTA('p1', 'general');
+    expect(reverted.frontierNodes.map(n => [n.id, n.completed])).toEqual([['node_1', false]]);
+    expect(reverted.nextNodeId).toBe(4);
+
+    await history.htaRevert(3, false);
+    expect(await currentIds()).toEqual(['node_1', 'node_2', 'node_3']);
+  });
+
+  test('a revert whose revision cannot be recorded says it cannot be undone', async () => {
+    const write = dp.storage.write.bind(dp.storage);
+    jest.spyOn(dp.storage, 'write').mockImplementation((key, data) =>
+      (key.startsWith('history/') ? Promise.reject(new Error('disk full')) : write(key, data)));
+    jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+
+    const applied = await history.htaRevert(1, false);
+    expect(applied.revision).toBeNull();
+    expect(applied.content[0].text).toContain('No revision was recorded for this revert');
+    expect(await currentIds()).toEqual(['node_1']);
+    expect(dp.logError).toHaveBeenCalledWith('recordHTARevision', expect.any(Error), expect.objectContaining({ author: 'hta_revert (r1)' }));
+  });
+
+  test('a save that cannot be written throws instead of returning a revision', async () => {
+    jest.spyOn(dp.storage, 'write').mockRejectedValue(new Error('disk full'));
+    jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+
+    await expect(save([task('node_9')], 'add_task')).rejects.toThrow('the tree could not be written');
+    expect((await dp.loadHTAHistory('p1', 'general')).revisions).toHaveLength(3);
+  });
+
+  test('a restored snapshot is recorded as a revision, so undo hints point at the restored tree', async () => {
+    const { snapshotId } = await dp.createSnapshot('p1', 'manual');
+    await save([task('node_1')], 'delete_task');
+    await dp.restoreSnapshot('p1', snapshotId);
+
+    const { revisions } = await dp.loadHTAHistory('p1', 'general');
+    expect(revisions.slice(-2).map(r => [r.revision, r.author])).toEqual([[4, 'delete_task'], [5, `restore_snapshot (${snapshotId})`]]);
+    expect(isEmptyDiff((await history.htaDiff(3, 5)).diff)).toBe(true);
+
+    const applied = await history.htaRevert(4, false);
+    expect(applied.content[0].text).toContain('Recorded as r6; revert to r5 to undo.');
+    await history.htaRevert(5, false);
+    expect(await currentIds()).toEqual(['node_1', 'node_2', 'node_3']);
+  });
+
+  test('revisions between checkpoints are stored as patches and load as full trees', async () => {
+    const stored = async revision => dp.storage.read(dp.getHTARevisionKey('p1', 'general', revision));
+
+    expect(await stored(1)).toMatchObject({ frontierNodes: [expect.objectContaining({ id: 'node_1' })] });
+    const patched = await stored(2);
+    expect(patched.base).toBe(1);
+    expect(patched.patch.collections.frontierNodes.upsert.map(n => n.id)).toEqual(['node_1', 'node_2']);
+    expect((await stored(3)).frontierNodes).toHaveLength(3);
+    expect((await dp.loadHTAHistory('p1', 'general')).revisions.map(r => r.base)).toEqual([undefined, 1, undefined]);
+
+    await save([task('node_1', { completed: true }), task('node_3')], 'delete_task');
+    const rebuilt = await dp.loadHTARevision('p1', 'general', 4);
+    expect(rebuilt).toEqual(await dp.loadPathHTA('p1', 'general'));
+    expect((await dp.loadHTARevision('p1', 'general', 2)).frontierNodes.map(n => [n.id, n.completed])).toEqual([['node_1', true], ['node_2', false]]);
+  });
+
+  test('old revisions are rotated out a checkpoint at a time and reported as not found', async () => {
+    await save([task('node_1')], 'delete_task');
+    await save([task('node_1'), task('node_4')], 'add_task');
+    expect((await dp.loadHTAHistory('p1', 'general')).revisions.map(r => r.revision)).toEqual([1, 2, 3, 4, 5]);
+
+    await save([task('node_4')], 'delete_task');
+    jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+
+    const { revisions } = await dp.loadHTAHistory('p1', 'general');
+    expect(revisions.map(r => r.revision)).toEqual([3, 4, 5, 6]);
+    expect(await dp.loadHTARevision('p1', 'general', 1)).toBeNull();
+    expect(await dp.loadHTARevision('p1', 'general', 2)).toBeNull();
+    expect((await dp.loadHTARevision('p1', 'general', 4)).frontierNodes.map(n => n.id)).toEqual(['node_1']);
+    expect((await history.htaRevert(1, false)).content[0].text).toContain('Revision r1 not found');
+  });
+
+  test('rejects a malformed revision number', async () => {
+    jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+    expect((await history.htaDiff('latest')).content[0].text).toContain('Validation failed for field \'rev_a\'');
+  });
+});
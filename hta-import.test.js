@@ -0,0 +1,139 @@
+// Roadmap import: Markdown, OPML and CSV parsing, and completion of checked groups
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from './modules/data-persistence.js';
+import { HtaImport, outlineToRoadmap, parseCsvRoadmap, parseDurationMinutes, parseMarkdownOutline, parseOpml } from './modules/hta-import.js';
+import { ProjectManagement } from './modules/project-management.js';
+import { ValidationError } from './modules/errors.js';
+
+const taskStates = branch => [
+  ...branch.tasks.map(t => [t.title, t.completed]),
+  ...branch.subBranches.flatMap(sub => sub.tasks.map(t => [`${sub.title} / ${t.title}`, t.completed]))
+];
+
+describe('parseMarkdownOutline', () => {
+  const markdown = [
+    '# Technique',
+    'Hands and posture.',
+    '- [x] Scales',
+    '  - [ ] C major (20 min)',
+    '  - [ ] G major (difficulty 2, after: C major)',
+    '- [ ] Arpeggios (1.5h)',
+    '# Theory',
+    '- [x] Intervals',
+    '- Chords (with inversions)'
+  ].join('\n');
+
+  test('headings become branches, nested bullets sub-branches, and inline metadata is read off titles', () => {
+    const roadmap = outlineToRoadmap(parseMarkdownOutline(markdown));
+    const [technique, theory] = roadmap.branches;
+
+    expect(technique.description).toBe('Hands and posture.');
+    expect(technique.subBranches[0].tasks.map(t => [t.title, t.duration, t.difficulty, t.prerequisites])).toEqual([
+      ['C major', 20, undefined, []],
+      ['G major', undefined, 2, ['C major']]
+    ]);
+    expect(technique.tasks[0]).toMatchObject({ title: 'Arpeggios', duration: 90 });
+    expect(theory.tasks.map(t => t.title)).toEqual(['Intervals', 'Chords (with inversions)']);
+  });
+
+  test('a checked item with children completes every task under it', () => {
+    const [technique, theory] = outlineToRoadmap(parseMarkdownOutline(markdown)).branches;
+    expect(taskStates(technique)).toEqual([['Arpeggios', false], ['Scales / C major', true], ['Scales / G major', true]]);
+    expect(taskStates(theory)).toEqual([['Intervals', true], ['Chords (with inversions)', false]]);
+  });
+
+  test('a checked branch heading completes its whole branch', () => {
+    const [warmUps, pieces] = outlineToRoadmap(parseMarkdownOutline('# [x] Warm-ups\n- Stretch\n- Breathing\n  - Box breathing\n# Pieces\n- Minuet')).branches;
+    expect(taskStates(warmUps)).toEqual([['Stretch', true], ['Breathing / Box breathing', true]]);
+    expect(taskStates(pieces)).toEqual([['Minuet', false]]);
+  });
+});
+
+describe('parseOpml', () => {
+  const opml = `<?xml version="1.0"?>
+<opml version="2.0">
+  <head><title>Learn piano &amp; theory</title></head>
+  <body>
+    <outline text="Piano">
+      <outline text="Technique" _status="checked">
+        <outline text="Scales" duration="30m"/>
+        <outline text="Groups">
+          <outline text="Trills" difficulty="3"/>
+        </outline>
+      </outline>
+      <outline text="Repertoire">
+        <outline text="Minuet" _note="Bach, BWV Anh. 114" prerequisites="Scales"/>
+      </outline>
+    </outline>
+  </body>
+</opml>`;
+
+  test('reads the title as the goal and a single top item as the goal when it holds branches', () => {
+    const parsed = parseOpml(opml);
+    expect(parsed.goal).toBe('Learn piano & theory');
+
+    const roadmap = outlineToRoadmap({ goal: null, items: parsed.items });
+    expect(roadmap.goal).toBe('Piano');
+    expect(roadmap.branches.map(b => b.title)).toEqual(['Technique', 'Repertoire']);
+    expect(roadmap.branches[1].tasks[0]).toMatchObject({ title: 'Minuet', description: 'Bach, BWV Anh. 114', prerequisites: ['Scales'] });
+  });
+
+  test('a checked outline completes the tasks nested below it at any depth', () => {
+    const [technique, repertoire] = outlineToRoadmap(parseOpml(opml)).branches;
+    expect(taskStates(technique)).toEqual([['Scales', true], ['Groups / Trills', true]]);
+    expect(taskStates(repertoire)).toEqual([['Minuet', false]]);
+  });
+});
+
+describe('parseCsvRoadmap', () => {
+  test('groups rows by branch and sub-branch with quoted fields and a completed column', () => {
+    const csv = [
+      'Title,Branch,Sub Branch,Duration,Difficulty,Prerequisites,Completed',
+      'Scales,Technique,Warm-up,30 min,1,,yes',
+      '"Chords, basic",Technique,,1h,2,Scales,',
+      '"Say ""hi""",,,,,,'
+    ].join('\n');
+    const { branches } = parseCsvRoadmap(csv);
+
+    expect(branches.map(b => b.title)).toEqual(['Technique', 'General']);
+    expect(branches[0].subBranches[0].tasks[0]).toMatchObject({ title: 'Scales', duration: 30, difficulty: 1, completed: true });
+    expect(branches[0].tasks[0]).toMatchObject({ title: 'Chords, basic', duration: 60, prerequisites: ['Scales'], completed: false });
+    expect(branches[1].tasks[0].title).toBe('Say "hi"');
+  });
+
+  test('needs a title column', () => {
+    expect(() => parseCsvRoadmap('name,branch\nScales,Technique')).toThrow(ValidationError);
+  });
+
+  test('durations accept minutes and hours', () => {
+    expect([45, '45', '45m', '2 hours', '1.5h', 'soon'].map(parseDurationMinutes)).toEqual([45, 45, 45, 120, 90, undefined]);
+  });
+});
+
+describe('importHTA', () => {
+  let dir;
+  let dp;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-import-'));
+    dp = new DataPersistence(dir);
+    await dp.saveGlobalData('config.json', { projects: ['p1'], activeProject: 'p1' });
+    await dp.saveProjectData('p1', 'config.json', { id: 'p1', goal: 'Piano', activePath: 'general', learning_paths: [{ path_name: 'general', priority: 'high' }] });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('tasks under a checked group are stored completed and counted in the summary', async () => {
+    const importer = new HtaImport(dp, new ProjectManagement(dp, null));
+    const result = await importer.importHTA({ content: '# Technique\n- [x] Scales\n  - C major\n  - G major\n- Arpeggios\n# Theory\n- Intervals', format: 'markdown' });
+
+    expect(result.content[0].text).toContain('**Tasks imported**: 4 (2 already completed)');
+    const hta = await dp.loadPathHTA('p1', 'general');
+    expect(hta.frontierNodes.map(n => [n.title, n.completed])).toEqual([['Arpeggios', false], ['C major', true], ['G major', true], ['Intervals', false]]);
+    expect(hta.strategicBranches[0].subBranches[0]).toMatchObject({ completed: true, progress: { completed: 2, total: 2 } });
+  });
+});
@@ -0,0 +1,78 @@
+// HTA node ids: one persisted counter per tree and repair of duplicated ids
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from './modules/data-persistence.js';
+import { allocateNodeId, createNodeIdAllocator, dedupeNodeIds, seedNodeIdCounter } from './modules/hta-node-ids.js';
+
+const task = (id, title = id) => ({ id, title, prerequisites: [] });
+
+describe('allocateNodeId', () => {
+  test('seeds the counter above every id in use and shares it across prefixes', () => {
+    const hta = { frontierNodes: [task('node_3'), task('followup_7'), task('custom')] };
+    expect(seedNodeIdCounter(hta)).toBe(8);
+
+    const nextId = createNodeIdAllocator(hta);
+    expect([nextId(), nextId('followup'), allocateNodeId(hta, 'repair_explore')]).toEqual(['node_8', 'followup_9', 'repair_explore_10']);
+    expect(hta.nextNodeId).toBe(11);
+  });
+
+  test('never hands out an id again after its node is removed', () => {
+    const hta = { frontierNodes: [task('node_1'), task('node_2')] };
+    const id = allocateNodeId(hta);
+    hta.frontierNodes.push(task(id));
+    hta.frontierNodes = hta.frontierNodes.filter(n => n.id !== id);
+
+    expect(id).toBe('node_3');
+    expect(allocateNodeId(hta)).toBe('node_4');
+  });
+
+  test('a stale counter is moved past ids added without it', () => {
+    const hta = { nextNodeId: 2, frontierNodes: [task('node_5')] };
+    expect(allocateNodeId(hta)).toBe('node_6');
+  });
+});
+
+describe('dedupeNodeIds', () => {
+  test('the first node keeps a repeated id and later ones get fresh ids with the same prefix', () => {
+    const hta = {
+      frontierNodes: [task('node_1', 'Scales'), task('node_1', 'Chords'), task('node_2', 'Songs'), task('node_1', 'Rhythm'), task(undefined, 'Untitled')]
+    };
+    const renamed = dedupeNodeIds(hta);
+
+    expect(hta.frontierNodes.map(n => n.id)).toEqual(['node_1', 'node_3', 'node_2', 'node_4', 'node_5']);
+    expect(renamed).toEqual([
+      { from: 'node_1', to: 'node_3', title: 'Chords' },
+      { from: 'node_1', to: 'node_4', title: 'Rhythm' },
+      { from: undefined, to: 'node_5', title: 'Untitled' }
+    ]);
+    expect(dedupeNodeIds(hta)).toEqual([]);
+  });
+});
+
+describe('persisted counter', () => {
+  let dir;
+  let dp;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-node-ids-'));
+    dp = new DataPersistence(dir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('survives a save and reload, even once the highest node is gone', async () => {
+    const hta = { frontierNodes: [task('node_1'), task('node_2')] };
+    hta.frontierNodes.push(task(allocateNodeId(hta)));
+    await dp.savePathHTA('p1', 'general', hta);
+
+    const reloaded = await dp.loadPathHTA('p1', 'general');
+    expect(reloaded.nextNodeId).toBe(4);
+    reloaded.frontierNodes = reloaded.frontierNodes.filter(n => n.id !== 'node_3');
+    await dp.savePathHTA('p1', 'general', reloaded);
+
+    expect(allocateNodeId(await dp.loadPathHTA('p1', 'general'))).toBe('node_4');
+  });
+});
@@ -0,0 +1,91 @@
+// HTA prerequisites: title → id resolution, cycle detection and rejection on save
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from './modules/data-persistence.js';
+import { HTATreeError } from './modules/errors.js';
+import { breakCycles, detectCycles, formatCycle, getCompletedIds, prerequisitesMet, resolvePrerequisites } from './modules/hta-prerequisites.js';
+
+const task = (id, title, prerequisites = [], extra = {}) => ({ id, title, prerequisites, ...extra });
+
+describe('resolvePrerequisites', () => {
+  test('maps titles to ids exactly, then case-insensitively, and drops duplicates', () => {
+    const hta = {
+      frontierNodes: [
+        task('n1', 'Learn Scales'),
+        task('n2', 'Chords', ['Learn Scales', 'n1']),
+        task('n3', 'Songs', ['  learn scales ', 'chords', 'Sight reading'])
+      ]
+    };
+    const { resolved, dangling } = resolvePrerequisites(hta);
+
+    expect(hta.frontierNodes.map(n => n.prerequisites)).toEqual([[], ['n1'], ['n1', 'n2', 'Sight reading']]);
+    expect(resolved).toBe(3);
+    expect(dangling).toEqual([{ nodeId: 'n3', title: 'Songs', prerequisite: 'Sight reading' }]);
+  });
+
+  test('a task with a dangling prerequisite stays blocked', () => {
+    const nodes = [task('n1', 'A', [], { completed: true }), task('n2', 'B', ['n1']), task('n3', 'C', ['missing'])];
+    const completed = getCompletedIds(nodes);
+    expect(prerequisitesMet(nodes[1], completed)).toBe(true);
+    expect(prerequisitesMet(nodes[2], completed)).toBe(false);
+  });
+});
+
+describe('cycles', () => {
+  test('each loop is reported once, starting from its smallest id', () => {
+    const nodes = [
+      task('c', 'C', ['a']),
+      task('a', 'A', ['b']),
+      task('b', 'B', ['c']),
+      task('x', 'X', ['x']),
+      task('y', 'Y', ['a'])
+    ];
+    const cycles = detectCycles(nodes);
+    expect(cycles).toEqual([['a', 'b', 'c'], ['x']]);
+    expect(formatCycle(cycles[0])).toBe('a → b → c → a');
+  });
+
+  test('breakCycles removes the closing edge of each loop and nothing else', () => {
+    const hta = { frontierNodes: [task('a', 'A', ['b']), task('b', 'B', ['a', 'z']), task('z', 'Z')] };
+    expect(breakCycles(hta)).toEqual([{ nodeId: 'b', prerequisite: 'a' }]);
+    expect(hta.frontierNodes.map(n => n.prerequisites)).toEqual([['b'], ['z'], []]);
+    expect(detectCycles(hta.frontierNodes)).toEqual([]);
+  });
+});
+
+describe('savePathHTA', () => {
+  let dir;
+  let dp;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-prereqs-'));
+    dp = new DataPersistence(dir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('stores resolved ids and records dangling references on the tree', async () => {
+    await dp.savePathHTA('p1', 'general', {
+      frontierNodes: [task('n1', 'Scales'), task('n2', 'Chords', ['scales', 'Ear training'])]
+    });
+    const stored = await dp.loadPathHTA('p1', 'general');
+    expect(stored.frontierNodes[1].prerequisites).toEqual(['n1', 'Ear training']);
+    expect(stored.danglingPrerequisites).toEqual([{ nodeId: 'n2', title: 'Chords', prerequisite: 'Ear training' }]);
+  });
+
+  test('rejects a tree whose prerequisites form a cycle and keeps the stored one', async () => {
+    await dp.savePathHTA('p1', 'theory', { frontierNodes: [task('n1', 'Intervals'), task('n2', 'Chords', ['n1'])] });
+    const hta = await dp.loadPathHTA('p1', 'theory');
+    hta.frontierNodes[0].prerequisites = ['Chords'];
+
+    const error = await dp.savePathHTA('p1', 'theory', hta).catch(e => e);
+
+    expect(error).toBeInstanceOf(HTATreeError);
+    expect(error.message).toContain('circular prerequisites n1 → n2 → n1');
+    expect(error.context).toMatchObject({ operation: 'save', projectId: 'p1', pathName: 'theory', cycles: [['n1', 'n2']] });
+    expect((await dp.loadPathHTA('p1', 'theory')).frontierNodes[0].prerequisites).toEqual([]);
+  });
+});
@@ -0,0 +1,123 @@
+// Learning paths: focus durations, focus expiry and archiving removed paths
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from './modules/data-persistence.js';
+import { LearningPathManagement, parseFocusDuration } from './modules/learning-path-management.js';
+import { ProjectManagement } from './modules/project-management.js';
+
+describe('parseFocusDuration', () => {
+  // Wednesday morning, local time
+  const now = new Date(2026, 0, 7, 10, 0);
+
+  test('named windows end at the end of the day or of the week', () => {
+    expect(parseFocusDuration('today', now)).toEqual(new Date(2026, 0, 7, 23, 59, 59, 999));
+    expect(parseFocusDuration('Tomorrow', now)).toEqual(new Date(2026, 0, 8, 23, 59, 59, 999));
+    expect(parseFocusDuration('this week', now)).toEqual(new Date(2026, 0, 11, 23, 59, 59, 999));
+  });
+
+  test('amounts are counted from now', () => {
+    expect(parseFocusDuration('90 minutes', now)).toEqual(new Date(2026, 0, 7, 11, 30));
+    expect(parseFocusDuration('1.5 hrs', now)).toEqual(new Date(2026, 0, 7, 11, 30));
+    expect(parseFocusDuration('3 days', now).getTime() - now.getTime()).toBe(3 * 24 * 60 * 60 * 1000);
+    expect(parseFocusDuration('2 weeks', now).getTime() - now.getTime()).toBe(14 * 24 * 60 * 60 * 1000);
+  });
+
+  test('open-ended focus is null and unknown phrases are undefined', () => {
+    expect(parseFocusDuration('until next switch', now)).toBeNull();
+    expect(parseFocusDuration('', now)).toBeNull();
+    expect(parseFocusDuration('a while', now)).toBeUndefined();
+  });
+});
+
+describe('LearningPathManagement', () => {
+  let dir;
+  let dp;
+  let projects;
+  let paths;
+
+  const config = () => dp.loadProjectData('piano', 'config.json');
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-paths-'));
+    dp = new DataPersistence(dir);
+    projects = new ProjectManagement(dp, null);
+    paths = new LearningPathManagement(dp, projects);
+
+    await dp.saveGlobalData('config.json', { projects: ['piano'], activeProject: 'piano' });
+    await dp.saveProjectData('piano', 'config.json', {
+      id: 'piano',
+      goal: 'Play piano',
+      activePath: 'technique',
+      learning_paths: [{ path_name: 'technique', priority: 'medium' }, { path_name: 'theory', priority: 'low' }, { path_name: 'repertoire', priority: 'high' }]
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('focus expiry', () => {
+    test('a timed focus reverts to the previous path once a tool resolves the project after it expires', async () => {
+      const result = await paths.focusLearningPath('theory', '90 minutes');
+      expect(result.path_focus).toMatchObject({ path: 'theory', previous_path: 'technique' });
+
+      expect(await projects.requireActiveProject()).toBe('piano');
+      expect((await config()).activePath).toBe('theory');
+
+      const expiry = new Date(result.path_focus.expires_at).getTime();
+      jest.spyOn(Date, 'now').mockReturnValue(expiry + 1);
+      await projects.requireActiveProject();
+
+      const reverted = await config();
+      expect(reverted.activePath).toBe('technique');
+      expect(reverted).not.toHaveProperty('path_focus');
+    });
+
+    test('a path switched away from by hand is not overridden on expiry', async () => {
+      const result = await paths.focusLearningPath('theory', 'today');
+      await dp.saveProjectData('piano', 'config.json', { ...(await config()), activePath: 'repertoire' });
+
+      jest.spyOn(Date, 'now').mockReturnValue(new Date(result.path_focus.expires_at).getTime() + 1);
+      await projects.requireActiveProject();
+
+      expect((await config()).activePath).toBe('repertoire');
+      expect(await config()).not.toHaveProperty('path_focus');
+    });
+  });
+
+  describe('removeLearningPath', () => {
+    test('moves the path\'s documents to archived_paths/ and drops it from the project', async () => {
+      await dp.savePathHTA('piano', 'theory', { strategicBranches: [], frontierNodes: [{ id: 'node_1', title: 'Intervals', prerequisites: [] }] });
+      await dp.saveLearningHistory('piano', 'theory', { completedTopics: [] });
+
+      const result = await paths.removeLearningPath('theory');
+
+      const archived = await dp.listDocuments(result.archived_to);
+      expect(archived.map(key => key.slice(result.archived_to.length))).toEqual(['hta.json', 'learning_history.json']);
+      expect(result.archived_to).toMatch(/^projects\/piano\/archived_paths\/theory_/);
+      expect((await dp.readDocument(`${result.archived_to}hta.json`)).frontierNodes[0].title).toBe('Intervals');
+      expect(await dp.listDocuments('projects/piano/paths/theory/')).toEqual([]);
+      expect((await config()).learning_paths.map(p => p.path_name)).toEqual(['technique', 'repertoire']);
+      expect((await dp.listSnapshots('piano'))[0].reason).toBe('remove_learning_path (theory)');
+    });
+
+    test('removing the active path activates the highest-priority remaining path', async () => {
+      const result = await paths.removeLearningPath('technique');
+      expect(result.active_path).toBe('repertoire');
+      expect((await config()).activePath).toBe('repertoire');
+    });
+
+    test('refuses to remove the last path', async () => {
+      jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+      await paths.removeLearningPath('theory');
+      await paths.removeLearningPath('repertoire');
+
+      const result = await paths.removeLearningPath('technique');
+      expect(result.content[0].text).toContain('Cannot remove the only learning path');
+      expect((await config()).learning_paths.map(p => p.path_name)).toEqual(['technique']);
+    });
+  });
+});
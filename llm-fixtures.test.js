@@ -0,0 +1,167 @@
+// Record/replay LLM fixtures: generation paths exercised offline against
+// responses recorded in test-fixtures/llm
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ClaudeInterface, ReplayProvider, fixtureKey, normalisePayload } from './modules/llm-providers.js';
+import { LLMProviderError } from './modules/errors.js';
+import { HtaTreeBuilder } from './modules/hta-tree-builder.js';
+import { IntegratedScheduleGenerator } from './modules/integrated-schedule-generator.js';
+import { TruthfulMiddleware } from './modules/truthful-middleware.js';
+import { createNodeIdAllocator } from './modules/hta-node-ids.js';
+
+const FIXTURES_DIR = path.resolve('test-fixtures/llm');
+
+// Strict replay: a request without a recorded fixture fails the test
+const replayInterface = () => new ClaudeInterface({
+  provider: 'fixtures',
+  providers: { fixtures: { type: 'replay', fixturesDir: FIXTURES_DIR } },
+  fallback: null
+});
+
+describe('fixture keys', () => {
+  test('ignore key order, whitespace and embedded timestamps', () => {
+    const a = fixtureKey('hta-task-generation', { prompt: 'Goal:  Chords\r\nLevel: 3  ', at: '2026-01-05T10:00:00.000Z' });
+    const b = fixtureKey('hta-task-generation', { at: '2026-03-09T08:30:12Z', prompt: 'Goal: Chords\nLevel: 3' });
+    expect(a).toBe(b);
+    expect(a).toMatch(/^hta-task-generation-[0-9a-f]{16}$/);
+  });
+
+  test('differ by request type and prompt content', () => {
+    const payload = { prompt: 'Goal: Chords' };
+    expect(fixtureKey('truthful-answer', payload)).not.toBe(fixtureKey('truthful-critique', payload));
+    expect(fixtureKey('truthful-answer', payload)).not.toBe(fixtureKey('truthful-answer', { prompt: 'Goal: Scales' }));
+  });
+
+  test('normalisePayload drops undefined values', () => {
+    expect(normalisePayload({ b: 1, a: undefined, c: [' x '] })).toEqual({ b: 1, c: ['x'] });
+  });
+});
+
+describe('ReplayProvider', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-llm-fixtures-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('records upstream responses and replays them offline', async () => {
+    const upstream = { name: 'live', complete: jest.fn(async () => ({ completion: '["a"]', provider: 'live' })) };
+    const recorder = new ReplayProvider('recorder', { fixturesDir: dir, mode: 'record', upstream });
+    await recorder.complete('hta-domain-generation', { prompt: 'Propose domains' });
+    expect(upstream.complete).toHaveBeenCalledTimes(1);
+
+    const files = await fs.readdir(dir);
+    expect(files).toEqual([`${fixtureKey('hta-domain-generation', { prompt: 'Propose domains' })}.json`]);
+
+    const replay = new ReplayProvider('replay', { fixturesDir: dir });
+    const result = await replay.complete('hta-domain-generation', { prompt: '  Propose   domains ' });
+    expect(result.completion).toBe('["a"]');
+    expect(upstream.complete).toHaveBeenCalledTimes(1);
+  });
+
+  test('auto mode records only what is missing', async () => {
+    const upstream = { name: 'live', complete: jest.fn(async () => ({ completion: 'ok' })) };
+    const auto = new ReplayProvider('auto', { fixturesDir: dir, mode: 'auto', upstream });
+    await auto.complete('truthful-answer', { prompt: 'q' });
+    await auto.complete('truthful-answer', { prompt: 'q' });
+    expect(upstream.complete).toHaveBeenCalledTimes(1);
+  });
+
+  test('handoff responses are not recorded', async () => {
+    const upstream = { name: 'handoff', complete: async (type, payload) => ({ request_for_claude: { type, payload } }) };
+    const recorder = new ReplayProvider('recorder', { fixturesDir: dir, mode: 'record', upstream });
+    await recorder.complete('truthful-answer', { prompt: 'q' });
+    expect(await fs.readdir(dir)).toEqual([]);
+  });
+
+  test('replay mode fails on a missing fixture', async () => {
+    const replay = new ReplayProvider('replay', { fixturesDir: dir });
+    await expect(replay.complete('truthful-answer', { prompt: 'never recorded' })).rejects.toBeInstanceOf(LLMProviderError);
+  });
+
+  test('a missing fixture falls back to the handoff provider by default', async () => {
+    const llm = new ClaudeInterface({ provider: 'replay', providers: { replay: { type: 'replay', fixturesDir: dir } } });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const result = await llm.requestIntelligence('truthful-answer', { prompt: 'never recorded' });
+    warn.mockRestore();
+    expect(result.request_for_claude).toEqual({ type: 'truthful-answer', payload: { prompt: 'never recorded' } });
+    expect(result.fallback_reason).toMatch(/no fixture recorded/);
+  });
+});
+
+describe('generation replayed from fixtures', () => {
+  test('generateBranchNodesAI parses, filters and levels recorded tasks', async () => {
+    const builder = new HtaTreeBuilder(null, null, replayInterface());
+    const branch = {
+      id: 'focus_chords',
+      title: 'Chords',
+      description: 'Roadmap for developing expertise in Chords',
+      subBranches: [{ id: 'chords_sub_1', title: 'Open' }]
+    };
+    const nodes = await builder.generateBranchNodesAI(
+      branch, ['folk songs'], 'mixed', 3, ['Tune the guitar'],
+      createNodeIdAllocator({ frontierNodes: [] }), 'Never played an instrument'
+    );
+
+    expect(nodes.map(n => n.title)).toEqual(['Form an open G chord', 'Switch between G and C']);
+    expect(nodes.map(n => n.id)).toEqual(['node_1', 'node_2']);
+    expect(nodes.every(n => n.parentId === 'chords_sub_1')).toBe(true);
+    // Level 3 caps difficulty at 2 and duration at 45 minutes
+    expect(nodes[1]).toMatchObject({ difficulty: 2, duration: '45 minutes', prerequisites: ['Form an open G chord'] });
+  });
+
+  test('generateBranchNodesAI re-prompts once, then falls back to heuristic tasks and reports why', async () => {
+    const builder = new HtaTreeBuilder(null, null, replayInterface());
+    const branch = { id: 'focus_rhythm', title: 'Rhythm', description: 'Roadmap for developing expertise in Rhythm', subBranches: [] };
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const nodes = await builder.generateBranchNodesAI(branch, [], 'mixed', 3, [], createNodeIdAllocator({ frontierNodes: [] }));
+    warn.mockRestore();
+
+    expect(nodes.length).toBeGreaterThan(0);
+    expect(nodes.every(n => n.heuristic)).toBe(true);
+    expect(builder.generationIssues).toEqual([
+      expect.objectContaining({ stage: 'Task generation', subject: 'Rhythm', recovered: false, attempts: 2 })
+    ]);
+  });
+
+  test('generateIntegratedSchedule drops entries without a task id, reports them and writes day files', async () => {
+    const saveProjectData = jest.fn(async () => true);
+    const generator = new IntegratedScheduleGenerator(
+      {
+        getTaskPool: async () => [
+          { id: 't1', title: 'Form an open G chord', project_id: 'p1', duration: 30, difficulty: 1 },
+          { id: 't2', title: 'Read a Spanish short story', project_id: 'p2', duration: 45, difficulty: 2 }
+        ]
+      },
+      { listProjectIds: async () => ['p1', 'p2'] },
+      replayInterface(),
+      {
+        loadProjectData: async () => ({ life_structure_preferences: { wake_time: '7:00 AM', sleep_time: '10:00 PM' } }),
+        saveProjectData
+      },
+      null
+    );
+
+    const result = await generator.generateIntegratedSchedule('2026-01-05', 3);
+    expect(result.schedule.map(e => e.task_id)).toEqual(['t1', 't2']);
+    expect(result.validation_errors).toEqual([expect.stringMatching(/task_id.*item dropped/)]);
+    expect(saveProjectData).toHaveBeenCalledTimes(2);
+    expect(saveProjectData.mock.calls.map(call => [call[0], call[1]])).toEqual([
+      ['p1', 'day_2026-01-05.json'],
+      ['p2', 'day_2026-01-05.json']
+    ]);
+  });
+
+  test('truthful middleware returns the recorded answer and critique', async () => {
+    const result = await new TruthfulMiddleware(replayInterface()).askTruthfulClaude('Is the sky blue?');
+    expect(result.answer).toMatch(/Rayleigh scattering/);
+    expect(result.critique).toMatch(/sunrise and sunset/);
+    expect(result.content[0].text).toContain('🔍 **Self-Critique**');
+  });
+});
@@ -0,0 +1,163 @@
+// LLM providers: HTTP request building and parsing, request-type routing, and retries
+import { jest } from '@jest/globals';
+import { ClaudeInterface, HttpProvider } from './modules/llm-providers.js';
+import { LLMProviderError } from './modules/errors.js';
+
+const reply = (body, status = 200) => new Response(typeof body === 'string' ? body : JSON.stringify(body), { status });
+const openAiReply = text => reply({ model: 'llama3.1', choices: [{ message: { content: text } }], usage: { total_tokens: 7 } });
+
+let fetchMock;
+
+beforeEach(() => {
+  fetchMock = jest.spyOn(globalThis, 'fetch');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const sentRequest = (call = 0) => {
+  const [url, init] = fetchMock.mock.calls[call];
+  return { url, headers: init.headers, body: JSON.parse(init.body) };
+};
+
+describe('HttpProvider', () => {
+  test('OpenAI-compatible: system message first, bearer key, completion from the first choice', async () => {
+    fetchMock.mockResolvedValue(openAiReply('Practise scales'));
+    const provider = new HttpProvider('local', { api: 'openai', baseUrl: 'http://localhost:11434/v1/', model: 'llama3.1', apiKey: 'k1', temperature: 0.2 });
+
+    const result = await provider.complete('hta-task-generation', { prompt: 'Next task?', system: 'Be brief', maxTokens: 100 });
+
+    expect(sentRequest()).toEqual({
+      url: 'http://localhost:11434/v1/chat/completions',
+      headers: { 'content-type': 'application/json', authorization: 'Bearer k1' },
+      body: {
+        model: 'llama3.1',
+        max_tokens: 100,
+        messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Next task?' }],
+        temperature: 0.2
+      }
+    });
+    expect(result).toEqual({ completion: 'Practise scales', provider: 'local', model: 'llama3.1', usage: { total_tokens: 7 } });
+  });
+
+  test('Anthropic-compatible: top-level system, api key and version headers, text parts joined', async () => {
+    fetchMock.mockResolvedValue(reply({
+      content: [{ type: 'text', text: 'Practise ' }, { type: 'tool_use', id: 't1' }, { type: 'text', text: 'scales' }]
+    }));
+    const provider = new HttpProvider('claude', { api: 'anthropic', model: 'claude-sonnet-4', apiKey: 'k2' });
+
+    const result = await provider.complete('truthful-answer', { prompt: 'Next task?', system: 'Be brief' });
+
+    expect(sentRequest()).toEqual({
+      url: 'https://api.anthropic.com/v1/messages',
+      headers: { 'content-type': 'application/json', 'anthropic-version': '2023-06-01', 'x-api-key': 'k2' },
+      body: { model: 'claude-sonnet-4', max_tokens: 2048, messages: [{ role: 'user', content: 'Next task?' }], system: 'Be brief' }
+    });
+    expect(result).toMatchObject({ completion: 'Practise scales', provider: 'claude', model: 'claude-sonnet-4' });
+  });
+
+  test('HTTP errors carry the status, and only 408, 429 and 5xx are retryable', async () => {
+    const provider = new HttpProvider('local', { model: 'llama3.1' });
+    const failure = async status => {
+      fetchMock.mockResolvedValueOnce(reply('nope', status));
+      return provider.complete('truthful-answer', { prompt: 'hi' }).catch(error => error);
+    };
+
+    const badRequest = await failure(400);
+    expect(badRequest).toBeInstanceOf(LLMProviderError);
+    expect(badRequest.message).toContain('HTTP 400: nope');
+    expect([badRequest.status, badRequest.retryable]).toEqual([400, false]);
+    expect((await failure(408)).retryable).toBe(true);
+    expect((await failure(429)).retryable).toBe(true);
+    expect((await failure(503)).retryable).toBe(true);
+  });
+
+  test('rejects unknown APIs and a missing model', () => {
+    expect(() => new HttpProvider('x', { api: 'grpc', model: 'm' })).toThrow('Unknown LLM API "grpc"');
+    expect(() => new HttpProvider('x', { api: 'openai' })).toThrow('needs a model');
+  });
+});
+
+describe('ClaudeInterface routing', () => {
+  const claude = new ClaudeInterface({
+    provider: 'default',
+    providers: {
+      default: { type: 'handoff' },
+      hta: { type: 'handoff' },
+      tasks: { type: 'handoff' },
+      exact: { type: 'handoff' }
+    },
+    routes: { 'hta-*': 'hta', 'hta-task-*': 'tasks', 'hta-task-generation': 'exact' }
+  }, {});
+
+  test('an exact route wins, then the longest matching prefix, then the default provider', () => {
+    expect(claude.providerFor('hta-task-generation').name).toBe('exact');
+    expect(claude.providerFor('hta-task-refinement').name).toBe('tasks');
+    expect(claude.providerFor('hta-tree').name).toBe('hta');
+    expect(claude.providerFor('truthful-answer').name).toBe('default');
+  });
+
+  test('routes must name a configured provider', () => {
+    expect(() => new ClaudeInterface({ routes: { 'hta-*': 'missing' } }, {})).toThrow('unknown provider "missing"');
+  });
+});
+
+describe('ClaudeInterface retries', () => {
+  const httpInterface = (config = {}) => new ClaudeInterface({
+    provider: 'local',
+    providers: { local: { type: 'http', model: 'llama3.1' } },
+    retryDelay: 10,
+    backoffMultiplier: 2,
+    maxRetries: 2,
+    ...config
+  }, {});
+
+  const retryDelays = timer => timer.mock.calls.map(([, delay]) => delay);
+
+  test('429 and 5xx responses are retried with exponential backoff', async () => {
+    const timer = jest.spyOn(globalThis, 'setTimeout');
+    fetchMock
+      .mockResolvedValueOnce(reply('slow down', 429))
+      .mockResolvedValueOnce(reply('oops', 502))
+      .mockResolvedValueOnce(openAiReply('Practise scales'));
+
+    const result = await httpInterface().requestIntelligence('truthful-answer', { prompt: 'hi' });
+
+    expect(result.completion).toBe('Practise scales');
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(retryDelays(timer)).toEqual([10, 20]);
+  });
+
+  test('a timed-out attempt is retried', async () => {
+    fetchMock
+      .mockImplementationOnce((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }))
+      .mockResolvedValueOnce(openAiReply('Practise scales'));
+
+    const result = await httpInterface({ timeout: 20 }).requestIntelligence('truthful-answer', { prompt: 'hi' });
+
+    expect(result.completion).toBe('Practise scales');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  test('other 4xx responses fail at once', async () => {
+    fetchMock.mockResolvedValue(reply('bad key', 401));
+
+    await expect(httpInterface({ fallback: null }).requestIntelligence('truthful-answer', { prompt: 'hi' }))
+      .rejects.toMatchObject({ status: 401, retryable: false });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('once retries run out the request is handed back to the client', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fetchMock.mockResolvedValue(reply('down', 503));
+
+    const result = await httpInterface().requestIntelligence('truthful-answer', { prompt: 'hi' });
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(result.request_for_claude).toEqual({ type: 'truthful-answer', payload: { prompt: 'hi' } });
+    expect(result.fallback_reason).toContain('HTTP 503');
+  });
+});
@@ -3,6 +3,12 @@
  * Handles performance analysis and debugging tools
  */
 
+import { breakCycles, detectCycles, formatCycle, getCompletedIds, prerequisitesMet } from './hta-prerequisites.js';
+import { createNodeIdAllocator } from './hta-node-ids.js';
+import { addDays, compareWeekPlan, plannedDaysInRange } from './week-planner.js';
+import { chronicDeferrals } from './day-rescheduler.js';
+import { FILE_NAMES } from './constants.js';
+
 export class AnalyticsTools {
   constructor(dataPersistence, projectManagement) {
     this.dataPersistence = dataPersistence;
@@ -169,6 +175,9 @@ export class AnalyticsTools {
         };
       }
 
+      if (htaData) {
+        await this.dataPersistence.snapshotBeforeChange(projectId, `repair_sequence${forceRebuild ? ' (force rebuild)' : ''}`);
+      }
       const repairResult = await this.performSequenceRepair(projectId, activePath, htaData, forceRebuild);
       const repairText = this.formatRepairReport(repairResult);
       
@@ -237,6 +246,7 @@ export class AnalyticsTools {
     
     const completedTopics = learningHistory.completedTopics || [];
     const insights = learningHistory.insights || [];
+    const deferredTasks = await this.findChronicallyDeferred(projectId);
     
     return {
       overview: {
@@ -252,10 +262,33 @@ export class AnalyticsTools {
         completionVelocity: this.analyzeCompletionVelocity(completedTopics),
         timeOfDayPatterns: this.analyzeTimeOfDayPatterns(completedTopics)
       },
-      recommendations: this.generatePerformanceRecommendations(completedTopics, htaData)
+      deferredTasks,
+      recommendations: [
+        ...this.generatePerformanceRecommendations(completedTopics, htaData),
+        ...deferredTasks.slice(0, 3).map(task => ({
+          type: 'deferral',
+          message: `"${task.title}" has been carried over ${task.deferrals} times - split it into smaller steps or drop it`
+        }))
+      ]
     };
   }
 
+  /**
+   * Open tasks that reschedule_day has carried over again and again, from
+   * the carry-over record; completed tasks drop out.
+   */
+  async findChronicallyDeferred(projectId) {
+    const store = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CARRY_OVER);
+    const completedKeys = new Set();
+    for (const pathName of new Set(Object.values(store?.tasks || {}).map(entry => entry.pathName))) {
+      const htaData = await this.loadPathHTA(projectId, pathName);
+      for (const node of htaData?.frontierNodes || []) {
+        if (node.completed) {completedKeys.add(`${pathName}:${node.id}`);}
+      }
+    }
+    return chronicDeferrals(store, completedKeys);
+  }
+
   calculateAverageTaskDifficulty(completedTopics) {
     if (completedTopics.length === 0) {return 0;}
     const sum = completedTopics.reduce((acc, task) => acc + (task.difficulty || 3), 0);
@@ -381,15 +414,14 @@ export class AnalyticsTools {
   async generatePeriodReview(projectId, config, days) {
     const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
     const activePath = config.activePath || 'general';
-    const learningHistory = await this.loadLearningHistory(projectId, activePath) || {};
-    
-    const recentTasks = (learningHistory.completedTopics || []).filter(task => 
-      new Date(task.completedAt) > cutoffDate
-    );
-    
-    const recentInsights = (learningHistory.insights || []).filter(insight => 
-      new Date(insight.timestamp) > cutoffDate
-    );
+    const since = cutoffDate.toISOString();
+
+    // Query only the window under review instead of loading the full history
+    const recentTasks = await this.dataPersistence.queryLearningHistory(projectId, activePath, { since });
+    const recentInsights = await this.dataPersistence.queryLearningHistory(projectId, activePath, { field: 'insights', since });
+    const learningHistory = {
+      knowledgeGaps: await this.dataPersistence.queryLearningHistory(projectId, activePath, { field: 'knowledgeGaps' })
+    };
     
     return {
       period: `Last ${days} days`,
@@ -402,10 +434,36 @@ export class AnalyticsTools {
       },
       highlights: this.extractPeriodHighlights(recentTasks, recentInsights),
       challenges: this.extractPeriodChallenges(recentTasks),
-      nextSteps: this.generateNextSteps(recentTasks, learningHistory)
+      nextSteps: this.generateNextSteps(recentTasks, learningHistory),
+      planVsActual: await this.comparePlannedDays(projectId, days)
     };
   }
 
+  /**
+   * Days in the review window that generate_week_plan planned, compared with
+   * the saved day schedules and HTA completions. Null when none were planned.
+   */
+  async comparePlannedDays(projectId, days) {
+    const today = new Date().toISOString().split('T')[0];
+    const store = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.WEEK_PLANS);
+    const plannedDays = plannedDaysInRange(store, addDays(today, 1 - days), today);
+    if (plannedDays.length === 0) {return null;}
+
+    const schedulesByDate = {};
+    for (const day of plannedDays) {
+      schedulesByDate[day.date] = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(day.date));
+    }
+    const completedKeys = new Set();
+    for (const pathName of new Set(plannedDays.flatMap(day => day.tasks.map(task => task.path)))) {
+      const htaData = await this.loadPathHTA(projectId, pathName);
+      for (const node of htaData?.frontierNodes || []) {
+        if (node.completed) {completedKeys.add(`${pathName}:${node.id}`);}
+      }
+    }
+
+    return compareWeekPlan(plannedDays, schedulesByDate, completedKeys);
+  }
+
   extractPeriodHighlights(recentTasks, recentInsights) {
     const highlights = [];
     
@@ -499,37 +557,13 @@ export class AnalyticsTools {
   }
 
   getAvailableNodes(nodes) {
-    const completedNodeIds = nodes.filter(n => n.completed).map(n => n.id);
-    
-    return nodes.filter(node => {
-      if (node.completed) {return false;}
-      
-      if (node.prerequisites && node.prerequisites.length > 0) {
-        return node.prerequisites.every(prereq => 
-          completedNodeIds.includes(prereq) || 
-          nodes.some(n => n.title === prereq && n.completed)
-        );
-      }
-      
-      return true;
-    });
+    const completedNodeIds = getCompletedIds(nodes);
+    return nodes.filter(node => !node.completed && prerequisitesMet(node, completedNodeIds));
   }
 
   getBlockedNodes(nodes) {
-    const completedNodeIds = nodes.filter(n => n.completed).map(n => n.id);
-    
-    return nodes.filter(node => {
-      if (node.completed) {return false;}
-      
-      if (node.prerequisites && node.prerequisites.length > 0) {
-        return !node.prerequisites.every(prereq => 
-          completedNodeIds.includes(prereq) || 
-          nodes.some(n => n.title === prereq && n.completed)
-        );
-      }
-      
-      return false;
-    });
+    const completedNodeIds = getCompletedIds(nodes);
+    return nodes.filter(node => !node.completed && !prerequisitesMet(node, completedNodeIds));
   }
 
   analyzePrerequisiteChains(nodes) {
@@ -587,44 +621,11 @@ export class AnalyticsTools {
     return Array.from(orphanedPrereqs);
   }
 
+  /**
+   * Distinct prerequisite cycles; the same check every HTA write runs.
+   */
   detectCircularDependencies(nodes) {
-    const circular = [];
-    
-    for (const node of nodes) {
-      const cycle = this.findCycle(node, nodes, new Set(), []);
-      if (cycle.length > 0) {
-        circular.push(cycle);
-      }
-    }
-    
-    return circular;
-  }
-
-  findCycle(node, nodes, visited, path) {
-    if (path.includes(node.id)) {
-      return path.slice(path.indexOf(node.id));
-    }
-    
-    if (visited.has(node.id)) {
-      return [];
-    }
-    
-    visited.add(node.id);
-    path.push(node.id);
-    
-    if (node.prerequisites) {
-      for (const prereqId of node.prerequisites) {
-        const prereqNode = nodes.find(n => n.id === prereqId);
-        if (prereqNode) {
-          const cycle = this.findCycle(prereqNode, nodes, visited, [...path]);
-          if (cycle.length > 0) {
-            return cycle;
-          }
-        }
-      }
-    }
-    
-    return [];
+    return detectCycles(nodes);
   }
 
   async performSequenceRepair(projectId, pathName, htaData, forceRebuild) {
@@ -653,6 +654,12 @@ export class AnalyticsTools {
       repairActions.push(`Removed ${debugInfo.orphanedNodes.length} orphaned prerequisites`);
     }
     
+    // Break circular dependencies; HTA writes reject trees that contain them
+    if (debugInfo.circularDependencies.length > 0) {
+      const removed = breakCycles(htaData);
+      repairActions.push(`Broke ${debugInfo.circularDependencies.length} circular dependencies (${debugInfo.circularDependencies.map(formatCycle).join('; ')}) by removing ${removed.length} prerequisite link(s)`);
+    }
+    
     // Generate new tasks if none available
     if (debugInfo.availableNodes === 0 && debugInfo.blockedNodes > 0) {
       const newTasks = this.generateRepairTasks(htaData);
@@ -662,7 +669,7 @@ export class AnalyticsTools {
     
     // Save repaired HTA
     htaData.lastUpdated = new Date().toISOString();
-    await this.savePathHTA(projectId, pathName, htaData);
+    await this.savePathHTA(projectId, pathName, htaData, { author: 'repair_sequence' });
     
     return {
       actions: repairActions,
@@ -672,11 +679,11 @@ export class AnalyticsTools {
   }
 
   generateRepairTasks(htaData) {
-    const taskId = (htaData.frontierNodes?.length || 0) + 4000;
+    const nextId = createNodeIdAllocator(htaData);
     
     return [
       {
-        id: `repair_explore_${taskId}`,
+        id: nextId('repair_explore'),
         title: 'Explore: Continue Learning',
         description: 'Open exploration to continue learning progress',
         difficulty: 1,
@@ -687,7 +694,7 @@ export class AnalyticsTools {
         repairTask: true
       },
       {
-        id: `repair_practice_${taskId + 1}`,
+        id: nextId('repair_practice'),
         title: 'Practice: Review Fundamentals',
         description: 'Review and practice core concepts',
         difficulty: 2,
@@ -716,6 +723,14 @@ export class AnalyticsTools {
     report += `• Difficulty progression: ${analysis.patterns.difficultyProgression.trend || 'No data'}\n`;
     report += `• Most productive hour: ${analysis.patterns.timeOfDayPatterns.mostProductiveHour || 'No data'}\n\n`;
     
+    if (analysis.deferredTasks.length > 0) {
+      report += '**Chronically Deferred**:\n';
+      for (const task of analysis.deferredTasks.slice(0, 5)) {
+        report += `• ${task.title}: carried over ${task.deferrals} times since ${task.first_deferred}\n`;
+      }
+      report += '\n';
+    }
+    
     // Recommendations
     if (analysis.recommendations.length > 0) {
       report += '**Recommendations**:\n';
@@ -752,6 +767,24 @@ export class AnalyticsTools {
       report += '\n';
     }
     
+    if (review.planVsActual) {
+      const totals = review.planVsActual.totals;
+      const missed = review.planVsActual.days.flatMap(day => day.missed);
+      report += '**Plan vs Actual**:\n';
+      report += `• Learning minutes: ${totals.actual_minutes} of ${totals.planned_minutes} planned\n`;
+      report += `• Done as planned: ${totals.done}/${totals.planned_tasks}${totals.adherence !== null ? ` (${totals.adherence}%)` : ''}\n`;
+      if (totals.done_elsewhere > 0) {
+        report += `• Done on another day: ${totals.done_elsewhere}\n`;
+      }
+      if (missed.length > 0) {
+        report += `• Not done: ${missed.length} (${missed.slice(0, 3).join(', ')}${missed.length > 3 ? ', …' : ''})\n`;
+      }
+      if (totals.unplanned > 0) {
+        report += `• Unplanned completions: ${totals.unplanned}\n`;
+      }
+      report += '\n';
+    }
+    
     if (review.nextSteps.length > 0) {
       report += '**Next Steps**:\n';
       for (const step of review.nextSteps) {
@@ -824,26 +857,14 @@ export class AnalyticsTools {
   }
 
   async loadLearningHistory(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'learning_history.json');
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'learning_history.json');
-    }
+    return await this.dataPersistence.loadLearningHistory(projectId, pathName);
   }
 
   async loadPathHTA(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'hta.json');
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'hta.json');
-    }
+    return await this.dataPersistence.loadPathHTA(projectId, pathName);
   }
 
-  async savePathHTA(projectId, pathName, htaData) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.saveProjectData(projectId, 'hta.json', htaData);
-    } else {
-      return await this.dataPersistence.savePathData(projectId, pathName, 'hta.json', htaData);
-    }
+  async savePathHTA(projectId, pathName, htaData, options = {}) {
+    return await this.dataPersistence.savePathHTA(projectId, pathName, htaData, options);
   }
 }
\ No newline at end of file
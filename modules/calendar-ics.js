@@ -0,0 +1,664 @@
+/**
+ * Calendar (iCalendar) Module
+ * Export daily schedules as RFC 5545 events, and import busy events from a
+ * local .ics file so schedule generation plans around real commitments.
+ * Times inside Forest are wall-clock minutes in the user's time zone; the
+ * helpers here convert between those and absolute instants.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ValidationError } from './errors.js';
+import { DIRECTORIES, FILE_NAMES } from './constants.js';
+
+const PRODID = '-//Forest//Learning Schedule//EN';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// Upper bound on days walked while expanding one recurrence rule
+const MAX_RECURRENCE_DAYS = 3660;
+// RRULE parts expandRecurrence understands; any other part makes a rule unsupported
+const RRULE_PARTS = new Set(['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST']);
+
+// ===== TIME HELPERS =====
+
+export function systemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Minutes since midnight for "9:30 AM", "09:30" or "21:30"; null when unparseable. */
+export function parseClockTime(value) {
+  const match = String(value ?? '').trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/);
+  if (!match) {return null;}
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const period = match[3]?.toUpperCase();
+  if (period === 'PM' && hours !== 12) {hours += 12;}
+  if (period === 'AM' && hours === 12) {hours = 0;}
+  return hours * 60 + minutes;
+}
+
+/** Same "h:mm AM" form ScheduleGenerator.formatTime uses for block start times. */
+export function formatClockTime(minutes) {
+  const hours = Math.floor(minutes / 60) % 24;
+  const mins = minutes % 60;
+  const period = hours >= 12 ? 'PM' : 'AM';
+  const displayHours = hours > 12 ? hours - 12 : (hours === 0 ? 12 : hours);
+  return `${displayHours}:${mins.toString().padStart(2, '0')} ${period}`;
+}
+
+function dayNumber(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+}
+
+function dateFromDayNumber(day) {
+  return new Date(day * DAY_MS).toISOString().split('T')[0];
+}
+
+export function addDays(date, days) {
+  return dateFromDayNumber(dayNumber(date) + days);
+}
+
+function timeZoneOffsetMinutes(timeZone, utcMs) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(utcMs));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUtc - Math.floor(utcMs / 1000) * 1000) / 60000);
+}
+
+/** The instant at which the wall clock in `timeZone` reads `date` + `minutes`. */
+export function zonedTimeToUtc(date, minutes, timeZone) {
+  const guess = dayNumber(date) * DAY_MS + minutes * 60000;
+  const offset = timeZoneOffsetMinutes(timeZone, guess);
+  let utc = guess - offset * 60000;
+  const corrected = timeZoneOffsetMinutes(timeZone, utc);
+  if (corrected !== offset) {
+    utc = guess - corrected * 60000;
+  }
+  return new Date(utc);
+}
+
+/** Wall-clock date and minutes in `timeZone` for an instant. */
+export function utcToZonedTime(instant, timeZone) {
+  const ms = instant.getTime();
+  const local = new Date(ms + timeZoneOffsetMinutes(timeZone, ms) * 60000);
+  return {
+    date: local.toISOString().split('T')[0],
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+}
+
+function formatUtcStamp(instant) {
+  return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// ===== TEXT ENCODING =====
+
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+export function unescapeText(value) {
+  return String(value ?? '').replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/** Fold a content line at 75 octets as RFC 5545 section 3.1 requires. */
+export function foldLine(line) {
+  const folded = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    const limit = folded.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      folded.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  folded.push(current);
+  return folded.join('\r\n ');
+}
+
+// ===== EXPORT =====
+
+/** Stable UID for a schedule block: the same block exported twice updates one event. */
+export function blockUid(projectId, date, block) {
+  return `${projectId}-${date}-${block.id}@forest`.replace(/[^\w.@-]/g, '_');
+}
+
+/**
+ * Turn one day_<date>.json schedule into timed events. Blocks imported from a
+ * calendar are skipped; they already live in that calendar.
+ * @param {object} schedule
+ * @param {{ projectId?: string, timeZone?: string, includeBreaks?: boolean }} [options]
+ */
+export function scheduleToEvents(schedule, { projectId = schedule.projectId || 'forest', timeZone = systemTimeZone(), includeBreaks = true } = {}) {
+  const events = [];
+  let previousStart = -1;
+  for (const block of schedule.blocks || []) {
+    let start = parseClockTime(block.startTime);
+    if (start === null) {continue;}
+    // Blocks run in order, so a start earlier than the last one has passed midnight
+    while (start < previousStart) {start += 24 * 60;}
+    previousStart = start;
+
+    if (block.source === 'calendar') {continue;}
+    if (block.type === 'break' && !includeBreaks) {continue;}
+
+    const duration = Number(block.duration) > 0 ? Number(block.duration) : 30;
+    const details = [
+      block.description,
+      block.branch ? `Branch: ${block.branch}` : null,
+      block.pathName ? `Path: ${block.pathName}` : null,
+      block.difficulty ? `Difficulty: ${block.difficulty}/5` : null
+    ].filter(Boolean);
+
+    events.push({
+      uid: blockUid(projectId, schedule.date, block),
+      summary: block.title || block.type,
+      description: details.join('\n'),
+      category: block.type,
+      completed: Boolean(block.completed),
+      start: zonedTimeToUtc(schedule.date, start, timeZone),
+      end: zonedTimeToUtc(schedule.date, start + duration, timeZone)
+    });
+  }
+  return events;
+}
+
+/**
+ * @param {Array<{uid: string, summary: string, description?: string, category?: string, completed?: boolean, start: Date, end: Date}>} events
+ * @param {{ name?: string, now?: Date }} [options]
+ */
+export function renderCalendar(events, { name = 'Forest', now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  const stamp = formatUtcStamp(now);
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatUtcStamp(event.start)}`,
+      `DTEND:${formatUtcStamp(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {lines.push(`DESCRIPTION:${escapeText(event.description)}`);}
+    if (event.category) {lines.push(`CATEGORIES:${escapeText(event.category.toUpperCase())}`);}
+    if (event.completed) {lines.push('X-FOREST-COMPLETED:TRUE');}
+    lines.push('TRANSP:OPAQUE', 'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ===== IMPORT =====
+
+/** Split one unfolded content line into name, parameters and value. */
+export function parseContentLine(line) {
+  let inQuotes = false;
+  let valueStart = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {inQuotes = !inQuotes;}
+    if (line[i] === ':' && !inQuotes) {
+      valueStart = i;
+      break;
+    }
+  }
+  if (valueStart === -1) {return null;}
+
+  const [name, ...rawParams] = line.slice(0, valueStart).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq > 0) {
+      params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(valueStart + 1) };
+}
+
+/** Top-level VEVENTs as maps of property name to content lines; nested alarms are skipped. */
+export function parseICS(text) {
+  const lines = String(text ?? '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let nested = 0;
+
+  for (const raw of lines) {
+    const line = parseContentLine(raw);
+    if (!line) {continue;}
+    if (line.name === 'BEGIN') {
+      if (line.value.toUpperCase() === 'VEVENT' && !current) {
+        current = {};
+      } else if (current) {
+        nested++;
+      }
+      continue;
+    }
+    if (line.name === 'END') {
+      if (current && nested > 0) {
+        nested--;
+      } else if (current && line.value.toUpperCase() === 'VEVENT') {
+        events.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (current && nested === 0) {
+      (current[line.name] ||= []).push(line);
+    }
+  }
+  return events;
+}
+
+/** Minutes in an ICS duration such as PT1H30M or P1D. */
+export function parseICSDuration(value) {
+  const match = String(value ?? '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) {return null;}
+  const [, sign, weeks, days, hours, minutes] = match;
+  const total = (Number(weeks || 0) * 7 + Number(days || 0)) * 1440 + Number(hours || 0) * 60 + Number(minutes || 0);
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Read a DATE or DATE-TIME property. Timed values come back with the wall
+ * clock of the zone they were written in (`zone`), which recurrence expansion
+ * needs; floating times and unknown TZIDs use the import's time zone.
+ */
+export function parseICSDateTime(line, timeZone) {
+  const match = line.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) {return null;}
+  const [, y, m, d, hh, mm, , utc] = match;
+  const date = `${y}-${m}-${d}`;
+  if (hh === undefined || line.params.VALUE === 'DATE') {
+    return { allDay: true, date };
+  }
+  const minutes = Number(hh) * 60 + Number(mm);
+  if (utc) {
+    const instant = new Date(`${date}T${hh}:${mm}:00Z`);
+    return { allDay: false, instant, zone: timeZone, local: utcToZonedTime(instant, timeZone) };
+  }
+  const zone = line.params.TZID && isValidTimeZone(line.params.TZID) ? line.params.TZID : timeZone;
+  return { allDay: false, instant: zonedTimeToUtc(date, minutes, zone), zone, local: { date, minutes } };
+}
+
+function parseRRule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, val] = part.split('=');
+    if (key && val !== undefined) {rule[key.toUpperCase()] = val.toUpperCase();}
+  }
+  return rule;
+}
+
+function untilDate(until, zone) {
+  const match = until?.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2}))?(Z)?/);
+  if (!match) {return null;}
+  const [, y, m, d, hh, mm, utc] = match;
+  if (utc && hh !== undefined) {
+    return utcToZonedTime(new Date(`${y}-${m}-${d}T${hh}:${mm}:00Z`), zone).date;
+  }
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * Local start dates of a recurring event, walking day by day from DTSTART.
+ * Supports FREQ=DAILY and WEEKLY (both with BYDAY), MONTHLY (same day of
+ * month) and YEARLY with INTERVAL, COUNT and UNTIL. Other rules, including
+ * any BY* part not listed here, yield only DTSTART and are reported as
+ * unsupported.
+ */
+export function expandRecurrence(startDate, rrule, lastDate, zone = 'UTC') {
+  const rule = parseRRule(rrule);
+  const interval = Math.max(1, parseInt(rule.INTERVAL || '1', 10));
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const until = untilDate(rule.UNTIL, zone);
+  const stop = until && until < lastDate ? until : lastDate;
+  const startDay = dayNumber(startDate);
+  const [startYear, startMonth, startDom] = startDate.split('-').map(Number);
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',') : null;
+  const weekdayOf = day => WEEKDAYS[new Date(day * DAY_MS).getUTCDay()];
+
+  // Weeks are counted from Monday, so another WKST only matters when weeks are skipped.
+  // Ordinal weekdays such as 1MO or -1FR are not expanded.
+  const unhandled = Object.keys(rule).some(part => !RRULE_PARTS.has(part)) ||
+    (rule.FREQ === 'WEEKLY' && interval > 1 && rule.WKST && rule.WKST !== 'MO') ||
+    (byDay && byDay.some(d => !WEEKDAYS.includes(d)));
+  if (unhandled) {
+    return { dates: [startDate], supported: false };
+  }
+
+  let matches;
+  if (rule.FREQ === 'DAILY') {
+    matches = (day) => (day - startDay) % interval === 0 && (!byDay || byDay.includes(weekdayOf(day)));
+  } else if (rule.FREQ === 'WEEKLY') {
+    const days = byDay || [weekdayOf(startDay)];
+    // Weeks start on Monday (RFC 5545 default WKST)
+    const weekOf = day => Math.floor((day - 4) / 7);
+    matches = (day) => (weekOf(day) - weekOf(startDay)) % interval === 0 && days.includes(weekdayOf(day));
+  } else if ((rule.FREQ === 'MONTHLY' || rule.FREQ === 'YEARLY') && !byDay) {
+    matches = (day) => {
+      const date = new Date(day * DAY_MS);
+      if (date.getUTCDate() !== startDom) {return false;}
+      if (rule.FREQ === 'YEARLY') {
+        return date.getUTCMonth() + 1 === startMonth && (date.getUTCFullYear() - startYear) % interval === 0;
+      }
+      return ((date.getUTCFullYear() - startYear) * 12 + date.getUTCMonth() + 1 - startMonth) % interval === 0;
+    };
+  } else {
+    return { dates: [startDate], supported: false };
+  }
+
+  const dates = [];
+  let occurrences = 0;
+  const lastDay = Math.min(dayNumber(stop), startDay + MAX_RECURRENCE_DAYS);
+  for (let day = startDay; day <= lastDay && occurrences < count; day++) {
+    if (matches(day)) {
+      dates.push(dateFromDayNumber(day));
+      occurrences++;
+    }
+  }
+  return { dates, supported: true };
+}
+
+function propertyValue(event, name) {
+  return event[name]?.[0]?.value ?? null;
+}
+
+/**
+ * Busy intervals per day from an .ics file, in the wall clock of `timeZone`.
+ * Free (TRANSP:TRANSPARENT), cancelled and all-day events are skipped and
+ * counted; events crossing midnight are split per day.
+ * @param {string} text
+ * @param {{ startDate: string, days?: number, timeZone?: string }} options
+ * @returns {{ blocks: Array<{uid: string, title: string, date: string, startMinutes: number, endMinutes: number}>,
+ *   skipped: {free: number, cancelled: number, allDay: number}, unsupported: string[] }}
+ */
+export function extractBusyBlocks(text, { startDate, days = 14, timeZone = systemTimeZone() }) {
+  const endDate = addDays(startDate, days - 1);
+  const events = parseICS(text);
+  const skipped = { free: 0, cancelled: 0, allDay: 0 };
+  const unsupported = [];
+  const occurrences = [];
+  const firstRelevant = addDays(startDate, -1);
+
+  // Modified instances of a recurring event replace the generated occurrence
+  const overrides = new Map();
+  for (const event of events) {
+    const recurrenceId = event['RECURRENCE-ID']?.[0];
+    if (recurrenceId) {
+      const parsed = parseICSDateTime(recurrenceId, timeZone);
+      const uid = propertyValue(event, 'UID');
+      if (parsed && uid) {
+        if (!overrides.has(uid)) {overrides.set(uid, new Set());}
+        overrides.get(uid).add(parsed.allDay ? parsed.date : parsed.local.date);
+      }
+    }
+  }
+
+  for (const event of events) {
+    const title = unescapeText(propertyValue(event, 'SUMMARY') || 'Busy');
+    if ((propertyValue(event, 'STATUS') || '').toUpperCase() === 'CANCELLED') {
+      skipped.cancelled++;
+      continue;
+    }
+    if ((propertyValue(event, 'TRANSP') || '').toUpperCase() === 'TRANSPARENT') {
+      skipped.free++;
+      continue;
+    }
+    const start = event.DTSTART ? parseICSDateTime(event.DTSTART[0], timeZone) : null;
+    if (!start) {continue;}
+    if (start.allDay) {
+      skipped.allDay++;
+      continue;
+    }
+
+    let lengthMinutes = 0;
+    const end = event.DTEND ? parseICSDateTime(event.DTEND[0], timeZone) : null;
+    if (end && !end.allDay) {
+      lengthMinutes = Math.round((end.instant - start.instant) / 60000);
+    } else if (event.DURATION) {
+      lengthMinutes = parseICSDuration(propertyValue(event, 'DURATION')) || 0;
+    }
+    if (lengthMinutes <= 0) {continue;}
+
+    const uid = propertyValue(event, 'UID') || `${title}-${start.instant.toISOString()}`;
+    const rrule = propertyValue(event, 'RRULE');
+    let localDates = [start.local.date];
+    if (rrule && !event['RECURRENCE-ID']) {
+      // A day of slack on each side covers zone differences between the event and the import
+      const expansion = expandRecurrence(start.local.date, rrule, addDays(endDate, 1), start.zone);
+      if (!expansion.supported) {unsupported.push(`${title}: ${rrule}`);}
+      const excluded = new Set();
+      for (const line of event.EXDATE || []) {
+        for (const value of line.value.split(',')) {
+          const parsed = parseICSDateTime({ ...line, value }, timeZone);
+          if (parsed) {excluded.add(parsed.allDay ? parsed.date : parsed.local.date);}
+        }
+      }
+      const replaced = overrides.get(uid) || new Set();
+      localDates = expansion.dates.filter(date => date >= firstRelevant && !excluded.has(date) && !replaced.has(date));
+    }
+
+    for (const localDate of localDates) {
+      const instant = zonedTimeToUtc(localDate, start.local.minutes, start.zone);
+      occurrences.push({ uid, title, start: instant, lengthMinutes });
+    }
+  }
+
+  const blocks = [];
+  for (const occurrence of occurrences) {
+    let { date, minutes } = utcToZonedTime(occurrence.start, timeZone);
+    let remaining = occurrence.lengthMinutes;
+    while (remaining > 0) {
+      const length = Math.min(remaining, 24 * 60 - minutes);
+      if (date >= startDate && date <= endDate) {
+        blocks.push({ uid: occurrence.uid, title: occurrence.title, date, startMinutes: minutes, endMinutes: minutes + length });
+      }
+      remaining -= length;
+      date = addDays(date, 1);
+      minutes = 0;
+    }
+  }
+
+  blocks.sort((a, b) => a.date.localeCompare(b.date) || a.startMinutes - b.startMinutes);
+  return { blocks, skipped, unsupported };
+}
+
+export class CalendarSync {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  resolvePath(filePath) {
+    return path.isAbsolute(filePath) ? filePath : path.join(this.dataPersistence.dataDir, filePath);
+  }
+
+  checkTimeZone(timeZone) {
+    const zone = timeZone || systemTimeZone();
+    if (!isValidTimeZone(zone)) {
+      throw new ValidationError('timezone', timeZone, 'an IANA time zone such as "Europe/London"');
+    }
+    return zone;
+  }
+
+  /**
+   * Export one or more saved daily schedules as an .ics calendar.
+   * @param {{ dates?: string[], includeBreaks?: boolean, outputPath?: string|null, timeZone?: string|null }} options
+   *   outputPath null skips writing a file; '' writes to the exports directory
+   */
+  async exportScheduleICS({ dates = [], includeBreaks = true, outputPath = null, timeZone = null } = {}) {
+    try {
+      const zone = this.checkTimeZone(timeZone);
+      const targetDates = dates.length > 0 ? dates : [new Date().toISOString().split('T')[0]];
+      for (const date of targetDates) {
+        if (!DATE_PATTERN.test(date)) {
+          throw new ValidationError('dates', date, 'YYYY-MM-DD');
+        }
+      }
+
+      const projectId = await this.projectManagement.requireActiveProject();
+      const events = [];
+      const missing = [];
+      for (const date of targetDates) {
+        const schedule = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(date));
+        if (!schedule?.blocks) {
+          missing.push(date);
+          continue;
+        }
+        events.push(...scheduleToEvents({ ...schedule, date }, { projectId, timeZone: zone, includeBreaks }));
+      }
+
+      if (events.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `❌ No schedule found for ${missing.join(', ')}. Generate a schedule first with \`generate_daily_schedule\`.`
+          }]
+        };
+      }
+
+      const calendar = renderCalendar(events, { name: `Forest - ${projectId}` });
+      let filePath = null;
+      if (outputPath !== null) {
+        const sorted = [...targetDates].sort();
+        const range = sorted.length > 1 ? `${sorted[0]}_${sorted[sorted.length - 1]}` : sorted[0];
+        filePath = this.resolvePath(outputPath || path.join(DIRECTORIES.EXPORTS, `${projectId}-schedule-${range}.ics`));
+        await this.dataPersistence.writeFileAtomic(filePath, calendar);
+      }
+
+      let text = `📆 **Calendar Export** - ${events.length} events from ${targetDates.length - missing.length} day(s) (${zone})\n\n`;
+      if (missing.length > 0) {
+        text += `⚠️ No schedule for: ${missing.join(', ')}\n\n`;
+      }
+      if (filePath) {
+        text += `**Saved to**: ${filePath}\n\n`;
+      }
+      text += `\`\`\`\n${calendar.replace(/\r\n/g, '\n')}\`\`\``;
+
+      return {
+        content: [{ type: 'text', text }],
+        ics_export: { file: filePath, events: events.length, missing_dates: missing, timezone: zone, output: calendar }
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('exportScheduleICS', error, { dates, includeBreaks, outputPath, timeZone });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error exporting schedule: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Import busy events from an .ics file as fixed blocks for the coming days.
+   * Re-importing the same file replaces the events it contributed before.
+   * @param {{ filePath?: string|null, content?: string|null, startDate?: string|null, days?: number, timeZone?: string|null }} options
+   */
+  async importCalendarICS({ filePath = null, content = null, startDate = null, days = 14, timeZone = null } = {}) {
+    try {
+      if (!filePath && content === null) {
+        throw new ValidationError('file_path', filePath, 'a path to an .ics file');
+      }
+      const zone = this.checkTimeZone(timeZone);
+      const fromDate = startDate || new Date().toISOString().split('T')[0];
+      if (!DATE_PATTERN.test(fromDate)) {
+        throw new ValidationError('start_date', startDate, 'YYYY-MM-DD');
+      }
+      if (!Number.isInteger(days) || days < 1 || days > 366) {
+        throw new ValidationError('days', days, 'a whole number of days between 1 and 366');
+      }
+
+      const source = filePath ? this.resolvePath(filePath) : 'inline';
+      const ics = content ?? await fs.readFile(source, 'utf8');
+      if (!/BEGIN:VCALENDAR/i.test(ics)) {
+        throw new Error('Not an iCalendar file: BEGIN:VCALENDAR not found');
+      }
+      const { blocks, skipped, unsupported } = extractBusyBlocks(ics, { startDate: fromDate, days, timeZone: zone });
+
+      const projectId = await this.projectManagement.requireActiveProject();
+      const stored = await this.dataPersistence.withProjectLock(projectId, async () => {
+        const existing = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CALENDAR_BUSY) || { events: [], sources: [] };
+        const calendar = {
+          timezone: zone,
+          sources: [
+            ...(existing.sources || []).filter(s => s.file !== source),
+            { file: source, imported: new Date().toISOString(), start_date: fromDate, days, events: blocks.length }
+          ],
+          events: [
+            ...(existing.events || []).filter(e => e.source !== source),
+            ...blocks.map(block => ({ ...block, source }))
+          ]
+        };
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CALENDAR_BUSY, calendar);
+        return calendar;
+      });
+
+      const byDate = {};
+      for (const block of blocks) {
+        (byDate[block.date] ||= []).push(block);
+      }
+      let text = `📥 **Calendar Import** - ${blocks.length} busy block(s) from ${fromDate} for ${days} day(s) (${zone})\n\n`;
+      for (const [date, dayBlocks] of Object.entries(byDate)) {
+        text += `**${date}**\n`;
+        text += dayBlocks.map(b => `📌 ${formatClockTime(b.startMinutes)} - ${formatClockTime(b.endMinutes % (24 * 60))} ${b.title}`).join('\n') + '\n\n';
+      }
+      const skippedTotal = skipped.free + skipped.cancelled + skipped.allDay;
+      if (skippedTotal > 0) {
+        text += `⏭️ Skipped: ${skipped.free} free, ${skipped.cancelled} cancelled, ${skipped.allDay} all-day\n`;
+      }
+      if (unsupported.length > 0) {
+        text += `⚠️ Only the first occurrence was imported for: ${unsupported.join('; ')}\n`;
+      }
+      text += '\n✅ `generate_daily_schedule` will plan around these blocks.';
+
+      return {
+        content: [{ type: 'text', text: text }],
+        calendar_import: {
+          source,
+          busy_blocks: blocks,
+          skipped,
+          unsupported_rules: unsupported,
+          total_stored: stored.events.length
+        }
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('importCalendarICS', error, { filePath, startDate, days, timeZone });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error importing calendar: ${error.message}`
+        }]
+      };
+    }
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Commitments Helpers
+ * Recurring commitments (work, classes, the gym) and one-off busy blocks that
+ * daily schedules plan around. Learning, meal and habit blocks only go into
+ * the time these leave free.
+ *
+ * Stored on the project config as:
+ *   commitments: [{ id: 'work', label: 'Work', days: ['mon', 'tue'], start: '9:00 AM', end: '5:00 PM', hard: true }]
+ *   busy_blocks: { '2026-01-06': [{ label: 'Dentist', start: '2:00 PM', end: '3:00 PM', hard: true }] }
+ *
+ * A commitment whose end is not after its start runs overnight into the next
+ * day. Hard commitments never move; a soft one gives way wherever it overlaps
+ * something hard and keeps only the time left over.
+ */
+
+import { ValidationError } from './errors.js';
+import { formatClockTime, parseClockTime } from './calendar-ics.js';
+
+export const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_GROUPS = {
+  weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  weekends: ['sat', 'sun'],
+  daily: WEEKDAY_NAMES,
+  everyday: WEEKDAY_NAMES
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MINUTES = 24 * 60;
+
+export function weekdayOf(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return WEEKDAY_NAMES[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+function previousDate(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d) - DAY_MINUTES * 60000).toISOString().split('T')[0];
+}
+
+/** Accepts "Monday", "mon", "weekdays" or a list of those; returns week-ordered short names. */
+export function parseDays(days, field = 'days') {
+  const list = Array.isArray(days) ? days : [days];
+  const result = new Set();
+  for (const day of list) {
+    const key = String(day ?? '').trim().toLowerCase();
+    if (DAY_GROUPS[key]) {
+      DAY_GROUPS[key].forEach(d => result.add(d));
+      continue;
+    }
+    const short = WEEKDAY_NAMES.find(name => key.startsWith(name));
+    if (!short) {
+      throw new ValidationError(field, day, 'day names such as "mon", "Tuesday", "weekdays" or "weekends"');
+    }
+    result.add(short);
+  }
+  if (result.size === 0) {
+    throw new ValidationError(field, days, 'at least one day');
+  }
+  return WEEKDAY_NAMES.filter(d => result.has(d));
+}
+
+function parseRange(item, field) {
+  const start = parseClockTime(item.start);
+  const end = parseClockTime(item.end);
+  if (start === null || start >= DAY_MINUTES) {
+    throw new ValidationError(`${field}.start`, item.start, 'a time like "9:00 AM" or "17:30"');
+  }
+  if (end === null || end > DAY_MINUTES) {
+    throw new ValidationError(`${field}.end`, item.end, 'a time like "5:00 PM" or "17:30"');
+  }
+  return { start, end };
+}
+
+function requireLabel(item, field) {
+  if (!item || typeof item !== 'object' || typeof item.label !== 'string' || !item.label.trim()) {
+    throw new ValidationError(`${field}.label`, item?.label, 'a non-empty label');
+  }
+  if (item.hard !== undefined && typeof item.hard !== 'boolean') {
+    throw new ValidationError(`${field}.hard`, item.hard, 'true or false');
+  }
+  return item.label.trim();
+}
+
+/**
+ * Validate recurring commitments and bring them into stored form.
+ * @param {Array<{id?: string, label: string, days: string|string[], start: string, end: string, hard?: boolean}>} commitments
+ */
+export function normaliseCommitments(commitments) {
+  if (!Array.isArray(commitments)) {
+    throw new ValidationError('commitments', commitments, 'an array of commitments');
+  }
+  const ids = new Set();
+  return commitments.map((item, i) => {
+    const field = `commitments[${i}]`;
+    const label = requireLabel(item, field);
+    const { start, end } = parseRange(item, field);
+    if (start === end) {
+      throw new ValidationError(`${field}.end`, item.end, 'a different time from start');
+    }
+
+    const base = item.id || label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'commitment';
+    let id = base;
+    for (let n = 2; ids.has(id); n++) {id = `${base}_${n}`;}
+    ids.add(id);
+
+    return {
+      id,
+      label,
+      days: parseDays(item.days, `${field}.days`),
+      start: formatClockTime(start),
+      end: formatClockTime(end % DAY_MINUTES),
+      hard: item.hard ?? true
+    };
+  });
+}
+
+/**
+ * Validate one-off busy blocks keyed by date. Each date's list replaces what
+ * was stored for it; an empty list clears the date.
+ * @param {Record<string, Array<{label: string, start: string, end: string, hard?: boolean}>>} busyBlocks
+ */
+export function normaliseBusyBlocks(busyBlocks) {
+  if (!busyBlocks || typeof busyBlocks !== 'object' || Array.isArray(busyBlocks)) {
+    throw new ValidationError('busy_blocks', busyBlocks, 'an object of YYYY-MM-DD dates to busy blocks');
+  }
+  const result = {};
+  for (const [date, blocks] of Object.entries(busyBlocks)) {
+    if (!DATE_PATTERN.test(date)) {
+      throw new ValidationError('busy_blocks', date, 'dates as YYYY-MM-DD');
+    }
+    if (!Array.isArray(blocks)) {
+      throw new ValidationError(`busy_blocks.${date}`, blocks, 'an array of busy blocks');
+    }
+    result[date] = blocks.map((item, i) => {
+      const field = `busy_blocks.${date}[${i}]`;
+      const label = requireLabel(item, field);
+      const { start, end } = parseRange(item, field);
+      if (end <= start) {
+        throw new ValidationError(`${field}.end`, item.end, 'a time after start on the same day');
+      }
+      return { label, start: formatClockTime(start), end: formatClockTime(end % DAY_MINUTES), hard: item.hard ?? true };
+    });
+  }
+  return result;
+}
+
+/** Merge busy-block updates into the stored map, dropping dates set to an empty list. */
+export function mergeBusyBlocks(existing, updates) {
+  const merged = { ...(existing || {}), ...normaliseBusyBlocks(updates) };
+  return Object.fromEntries(Object.entries(merged).filter(([, blocks]) => blocks.length > 0));
+}
+
+// An end time of midnight closes the day rather than opening it
+function endOfRange(end) {
+  return end === 0 ? DAY_MINUTES : end;
+}
+
+/**
+ * Commitments and one-off busy blocks that occupy `date`, as wall-clock
+ * minute ranges. Overnight commitments from the day before show up from
+ * midnight.
+ * @returns {Array<{title: string, startMinutes: number, endMinutes: number, hard: boolean, source: string, commitmentId?: string}>}
+ */
+export function fixedBlocksForDate(config, date) {
+  const blocks = [];
+  const today = weekdayOf(date);
+  const yesterday = weekdayOf(previousDate(date));
+
+  for (const commitment of config?.commitments || []) {
+    const start = parseClockTime(commitment.start);
+    const end = parseClockTime(commitment.end);
+    if (start === null || end === null) {continue;}
+    const overnight = end !== 0 && end <= start;
+    const base = { title: commitment.label, hard: commitment.hard !== false, source: 'commitment', commitmentId: commitment.id };
+
+    if (commitment.days?.includes(today)) {
+      blocks.push({ ...base, startMinutes: start, endMinutes: overnight ? DAY_MINUTES : endOfRange(end) });
+    }
+    if (overnight && commitment.days?.includes(yesterday)) {
+      blocks.push({ ...base, startMinutes: 0, endMinutes: end });
+    }
+  }
+
+  for (const busy of config?.busy_blocks?.[date] || []) {
+    const start = parseClockTime(busy.start);
+    const end = parseClockTime(busy.end);
+    if (start === null || end === null) {continue;}
+    blocks.push({ title: busy.label, startMinutes: start, endMinutes: endOfRange(end), hard: busy.hard !== false, source: 'busy' });
+  }
+
+  return blocks.sort((a, b) => a.startMinutes - b.startMinutes);
+}
+
+/**
+ * Give hard blocks precedence over soft ones. Soft blocks are cut around any
+ * hard block they overlap; pieces that survive are kept and the cut is
+ * reported in `displaced`.
+ * @param {Array<{title: string, startMinutes: number, endMinutes: number, hard?: boolean}>} blocks
+ */
+export function resolveFixedOverlaps(blocks) {
+  const hard = blocks.filter(b => b.hard !== false);
+  const kept = [...hard];
+  const displaced = [];
+
+  for (const soft of blocks.filter(b => b.hard === false)) {
+    let pieces = [{ ...soft }];
+    const clashes = [];
+    for (const block of hard) {
+      if (block.startMinutes >= soft.endMinutes || block.endMinutes <= soft.startMinutes) {continue;}
+      clashes.push(block.title);
+      pieces = pieces.flatMap(piece => [
+        { ...piece, endMinutes: Math.min(piece.endMinutes, block.startMinutes) },
+        { ...piece, startMinutes: Math.max(piece.startMinutes, block.endMinutes) }
+      ]).filter(piece => piece.endMinutes > piece.startMinutes);
+    }
+    kept.push(...pieces);
+    if (clashes.length > 0) {
+      const remaining = pieces.reduce((sum, piece) => sum + piece.endMinutes - piece.startMinutes, 0);
+      displaced.push({ title: soft.title, conflicts_with: clashes, minutes_lost: soft.endMinutes - soft.startMinutes - remaining });
+    }
+  }
+
+  return { kept: kept.sort((a, b) => a.startMinutes - b.startMinutes), displaced };
+}
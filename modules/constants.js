@@ -10,6 +10,10 @@ export const FILE_NAMES = {
   LEARNING_HISTORY: 'learning_history.json',
   ERROR_LOG: 'error.log',
   MEMORY_STATE: 'memory_state.json',
+  EVENT_LOG: 'forest.jsonl',
+  CALENDAR_BUSY: 'calendar_busy.json',
+  WEEK_PLANS: 'week_plans.json',
+  CARRY_OVER: 'carry_over.json',
   
   // Dynamic file name generators
   DAILY_SCHEDULE: (date) => `day_${date}.json`,
@@ -23,7 +27,9 @@ export const DIRECTORIES = {
   PATHS: 'paths',
   BACKUPS: 'backups',
   LOGS: 'logs',
-  TEMP: 'temp'
+  TEMP: 'temp',
+  EXPORTS: 'exports',
+  HISTORY: 'history'
 };
 
 // Default data directory
@@ -68,7 +74,7 @@ export const LOG_LEVELS = {
 // Task and HTA constants
 export const TASK_CONFIG = {
   MIN_DIFFICULTY: 1,
-  MAX_DIFFICULTY: 10,
+  MAX_DIFFICULTY: 5, // HTA tasks are rated 1-5
   DEFAULT_DIFFICULTY: 5,
   MIN_ENERGY_LEVEL: 1,
   MAX_ENERGY_LEVEL: 10,
@@ -90,6 +96,18 @@ export const ERROR_CONFIG = {
   ERROR_RETENTION_DAYS: 30
 };
 
+// Project snapshot retention
+export const SNAPSHOT_CONFIG = {
+  MAX_SNAPSHOTS: 20, // per project
+  MAX_AGE_DAYS: 30
+};
+
+// HTA revision history retention
+export const HTA_HISTORY_CONFIG = {
+  MAX_REVISIONS: 50, // per learning path
+  CHECKPOINT_INTERVAL: 10 // every Nth revision is stored in full, the rest as patches
+};
+
 // Claude integration constants
 export const CLAUDE_CONFIG = {
   MAX_PROMPT_LENGTH: 8000,
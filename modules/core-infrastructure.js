@@ -9,6 +9,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import http from 'http';
+import { createClaudeInterface } from './llm-providers.js';
 
 const ENABLE_HTTP_API = false; // Set to false to disable HTTP API
 
@@ -35,12 +36,10 @@ export class CoreInfrastructure {
     
     this.activeProject = null;
     
-    // Lightweight ClaudeInterface wrapper for contextual intelligence requests
-    this.claudeInterface = {
-      requestIntelligence: async (type, payload) => ({
-        request_for_claude: { type, payload }
-      })
-    };
+    // LLM interface for contextual intelligence requests. Without provider
+    // config (FOREST_LLM_* or <dataDir>/llm-config.json) prompts are handed
+    // back to the MCP client as `request_for_claude`.
+    this.claudeInterface = createClaudeInterface(this.dataDir);
   }
 
   getServer() {
@@ -5,13 +5,40 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createStorageAdapter, STORAGE_BACKENDS, writeFileAtomic } from './storage-adapters.js';
+import { DOCUMENT_TYPES, getDocumentType, migrateDocument, stampSchemaVersion } from './schema-migrations.js';
+import { normaliseHierarchy } from './hta-hierarchy.js';
+import { formatCycle, validatePrerequisites } from './hta-prerequisites.js';
+import { seedNodeIdCounter } from './hta-node-ids.js';
+import { HTATreeError } from './errors.js';
+import { applyTreePatch, compactDiff, createTreePatch, diffHTA, isEmptyDiff } from './hta-revisions.js';
+import { DIRECTORIES, FILE_NAMES, HTA_HISTORY_CONFIG, SNAPSHOT_CONFIG } from './constants.js';
+
+// Tracks which lock keys the current async call chain already holds so that
+// nested withLock() calls for the same key run inline instead of deadlocking.
+const heldLocks = new AsyncLocalStorage();
 
 export class DataPersistence {
-  constructor(dataDir) {
+  /**
+   * @param {string} dataDir
+   * @param {{ storage?: any, backend?: string, maxSnapshots?: number, snapshotMaxAgeDays?: number,
+   *   maxHtaRevisions?: number, htaCheckpointInterval?: number }} [options]
+   *   `storage` injects an adapter instance; otherwise `backend` (or
+   *   FOREST_STORAGE_BACKEND) picks one. The snapshot limits override
+   *   SNAPSHOT_CONFIG and the HTA revision limits override HTA_HISTORY_CONFIG.
+   */
+  constructor(dataDir, options = {}) {
     this.dataDir = dataDir;
+    this.storage = options.storage || createStorageAdapter(dataDir, options.backend);
+    this.maxSnapshots = options.maxSnapshots ?? SNAPSHOT_CONFIG.MAX_SNAPSHOTS;
+    this.snapshotMaxAgeDays = options.snapshotMaxAgeDays ?? SNAPSHOT_CONFIG.MAX_AGE_DAYS;
+    this.maxHtaRevisions = options.maxHtaRevisions ?? HTA_HISTORY_CONFIG.MAX_REVISIONS;
+    this.htaCheckpointInterval = options.htaCheckpointInterval ?? HTA_HISTORY_CONFIG.CHECKPOINT_INTERVAL;
     this.cache = new Map();
     this.cacheTimestamps = new Map();
     this.cacheMaxAge = 5 * 60 * 1000; // 5 minutes
+    this.locks = new Map();
   }
 
   getProjectDir(projectId) {
@@ -22,6 +49,14 @@ export class DataPersistence {
     return path.join(this.dataDir, 'projects', projectId, 'paths', pathName);
   }
 
+  getProjectKey(projectId, filename) {
+    return `projects/${projectId}/${filename}`;
+  }
+
+  getPathKey(projectId, pathName, filename) {
+    return `projects/${projectId}/paths/${pathName}/${filename}`;
+  }
+
   getCacheKey(projectId, filename, pathName = null) {
     return pathName ? `${projectId}:${pathName}:${filename}` : `${projectId}:${filename}`;
   }
@@ -41,6 +76,11 @@ export class DataPersistence {
     this.cacheTimestamps.delete(cacheKey);
   }
 
+  clearCache() {
+    this.cache.clear();
+    this.cacheTimestamps.clear();
+  }
+
   async loadProjectData(projectId, filename) {
     const cacheKey = this.getCacheKey(projectId, filename);
     
@@ -50,10 +90,10 @@ export class DataPersistence {
     }
 
     try {
-      const filePath = path.join(this.getProjectDir(projectId), filename);
-      const data = await fs.readFile(filePath, 'utf8');
-      const parsed = JSON.parse(data);
-      
+      const stored = await this.storage.read(this.getProjectKey(projectId, filename));
+      if (stored === null) {return null;}
+      const parsed = migrateDocument(getDocumentType(filename), stored).doc;
+
       // Cache the result
       this.setCache(cacheKey, parsed);
       return parsed;
@@ -64,10 +104,8 @@ export class DataPersistence {
 
   async saveProjectData(projectId, filename, data) {
     try {
-      const projectDir = this.getProjectDir(projectId);
-      await fs.mkdir(projectDir, { recursive: true });
-      const filePath = path.join(projectDir, filename);
-      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+      stampSchemaVersion(getDocumentType(filename), data);
+      await this.storage.write(this.getProjectKey(projectId, filename), data);
       
       // Invalidate cache for this file
       const cacheKey = this.getCacheKey(projectId, filename);
@@ -89,10 +127,10 @@ export class DataPersistence {
     }
 
     try {
-      const filePath = path.join(this.getPathDir(projectId, pathName), filename);
-      const data = await fs.readFile(filePath, 'utf8');
-      const parsed = JSON.parse(data);
-      
+      const stored = await this.storage.read(this.getPathKey(projectId, pathName, filename));
+      if (stored === null) {return null;}
+      const parsed = migrateDocument(getDocumentType(filename), stored).doc;
+
       // Cache the result
       this.setCache(cacheKey, parsed);
       return parsed;
@@ -103,10 +141,8 @@ export class DataPersistence {
 
   async savePathData(projectId, pathName, filename, data) {
     try {
-      const pathDir = this.getPathDir(projectId, pathName);
-      await fs.mkdir(pathDir, { recursive: true });
-      const filePath = path.join(pathDir, filename);
-      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+      stampSchemaVersion(getDocumentType(filename), data);
+      await this.storage.write(this.getPathKey(projectId, pathName, filename), data);
       
       // Invalidate cache for this file
       const cacheKey = this.getCacheKey(projectId, filename, pathName);
@@ -121,9 +157,9 @@ export class DataPersistence {
 
   async loadGlobalData(filename) {
     try {
-      const filePath = path.join(this.dataDir, filename);
-      const data = await fs.readFile(filePath, 'utf8');
-      return JSON.parse(data);
+      const stored = await this.storage.read(filename);
+      if (stored === null) {return null;}
+      return migrateDocument(getDocumentType(filename, { global: true }), stored).doc;
     } catch {
       return null;
     }
@@ -131,9 +167,8 @@ export class DataPersistence {
 
   async saveGlobalData(filename, data) {
     try {
-      await fs.mkdir(this.dataDir, { recursive: true });
-      const filePath = path.join(this.dataDir, filename);
-      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+      stampSchemaVersion(getDocumentType(filename, { global: true }), data);
+      await this.storage.write(filename, data);
       return true;
     } catch (error) {
       await this.logError('saveGlobalData', error, { filename });
@@ -141,6 +176,587 @@ export class DataPersistence {
     }
   }
 
+  /**
+   * Crash-safe write for files outside the storage backend (exports, logs).
+   */
+  async writeFileAtomic(filePath, contents) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await writeFileAtomic(filePath, contents);
+  }
+
+  // ===== PATH-AWARE HELPERS =====
+  // The "general" path lives at project level; named paths live under
+  // paths/<name>/. Older trees sometimes wrote the general HTA under
+  // paths/general/, so reads fall back there when the project-level file is missing.
+
+  async loadPathHTA(projectId, pathName) {
+    if (pathName === 'general') {
+      return await this.loadProjectData(projectId, 'hta.json') ||
+        await this.loadPathData(projectId, 'general', 'hta.json');
+    }
+    return await this.loadPathData(projectId, pathName, 'hta.json');
+  }
+
+  /**
+   * Every HTA write has its prerequisites resolved to node ids, is rejected
+   * if they form a cycle, and is linked into the goal → branch → sub-branch →
+   * task hierarchy with progress rolled up before it reaches storage.
+   * Prerequisites that match no node are recorded on the document as
+   * `danglingPrerequisites`, and the node id counter is kept ahead of every
+   * id in the tree. A successful save records a revision credited to
+   * `options.author` (the tool that made the change).
+   * @param {{ author?: string }} [options]
+   * @returns {Promise<object|null>} the recorded revision entry, or null when
+   *   the tree did not change or the revision could not be recorded
+   * @throws {HTATreeError} when the tree itself could not be written
+   */
+  async savePathHTA(projectId, pathName, htaData, options = {}) {
+    if (htaData && typeof htaData === 'object') {
+      const { dangling, cycles } = validatePrerequisites(htaData);
+      if (cycles.length > 0) {
+        // Callers usually edit the cached tree in place; drop it so the next
+        // load sees what is actually stored
+        this.invalidateCache(this.getCacheKey(projectId, 'hta.json'));
+        this.invalidateCache(this.getCacheKey(projectId, 'hta.json', pathName));
+        throw new HTATreeError(
+          'save',
+          new Error(`circular prerequisites ${cycles.map(formatCycle).join('; ')}`),
+          { projectId, pathName, cycles }
+        );
+      }
+      if (dangling.length > 0) {
+        htaData.danglingPrerequisites = dangling;
+      } else {
+        delete htaData.danglingPrerequisites;
+      }
+      normaliseHierarchy(htaData);
+      seedNodeIdCounter(htaData);
+    }
+    const saved = pathName === 'general'
+      ? await this.saveProjectData(projectId, 'hta.json', htaData)
+      : await this.savePathData(projectId, pathName, 'hta.json', htaData);
+    if (!saved) {
+      throw new HTATreeError('save', new Error('the tree could not be written'), { projectId, pathName });
+    }
+    if (!htaData || typeof htaData !== 'object') {return null;}
+    return await this.recordHTARevision(projectId, pathName, htaData, options.author || 'unknown');
+  }
+
+  async loadLearningHistory(projectId, pathName) {
+    if (pathName === 'general') {
+      return await this.loadProjectData(projectId, 'learning_history.json');
+    }
+    return await this.loadPathData(projectId, pathName, 'learning_history.json');
+  }
+
+  async saveLearningHistory(projectId, pathName, learningHistory) {
+    if (pathName === 'general') {
+      return await this.saveProjectData(projectId, 'learning_history.json', learningHistory);
+    }
+    return await this.savePathData(projectId, pathName, 'learning_history.json', learningHistory);
+  }
+
+  // ===== SCHEMA MIGRATION =====
+
+  /**
+   * Upgrade every versioned document in the data directory.
+   * @param {{ dryRun?: boolean, projectId?: string|null }} [options]
+   * @returns {Promise<Array<{ key: string, type: string, fromVersion: number, toVersion: number, applied: string[] }>>}
+   */
+  async migrateAllDocuments({ dryRun = true, projectId = null } = {}) {
+    const prefix = projectId ? `projects/${projectId}/` : '';
+    const keys = await this.listDocuments(prefix);
+    const report = [];
+    const snapshotted = new Set();
+
+    for (const key of keys) {
+      const type = getDocumentType(key, { global: key === 'config.json' });
+      if (!type) {continue;}
+
+      const ownerProject = key.startsWith('projects/') ? key.split('/')[1] : null;
+      const migrateOne = async () => {
+        const stored = await this.storage.read(key);
+        const result = migrateDocument(type, stored);
+        if (result.applied.length === 0) {return;}
+        if (!dryRun) {
+          if (ownerProject && !snapshotted.has(ownerProject)) {
+            snapshotted.add(ownerProject);
+            await this.snapshotBeforeChange(ownerProject, 'migrate_data');
+          }
+          await this.storage.write(key, result.doc);
+        }
+        report.push({ key, type, fromVersion: result.fromVersion, toVersion: result.toVersion, applied: result.applied });
+      };
+
+      if (ownerProject) {
+        await this.withProjectLock(ownerProject, migrateOne);
+      } else {
+        await migrateOne();
+      }
+    }
+
+    if (!dryRun && report.length > 0) {
+      this.clearCache();
+    }
+    return report;
+  }
+
+  // ===== PROJECT SNAPSHOTS =====
+  // A snapshot captures every document under projects/<id>/ as one stored
+  // document at backups/<id>/snapshot.json.backup.<timestamp>, so it works the
+  // same on every storage backend. Snapshots are taken before destructive
+  // operations and rotated by count and age.
+
+  getSnapshotPrefix(projectId) {
+    return `${DIRECTORIES.BACKUPS}/${projectId}/`;
+  }
+
+  getSnapshotKey(projectId, snapshotId) {
+    return `${this.getSnapshotPrefix(projectId)}${FILE_NAMES.BACKUP('snapshot.json', snapshotId)}`;
+  }
+
+  /** Read every document belonging to a project, keyed relative to its directory. */
+  async readProjectDocuments(projectId) {
+    const prefix = `projects/${projectId}/`;
+    const documents = {};
+    for (const key of await this.storage.list(prefix)) {
+      const doc = await this.storage.read(key);
+      if (doc !== null) {
+        documents[key.slice(prefix.length)] = doc;
+      }
+    }
+    return documents;
+  }
+
+  /**
+   * Capture the current state of a project. Returns the snapshot metadata, or
+   * null when the project has no stored documents.
+   * @param {string} projectId
+   * @param {string} reason - the operation about to run, shown in list_snapshots
+   */
+  async createSnapshot(projectId, reason = 'manual') {
+    return await this.withProjectLock(projectId, async () => {
+      const documents = await this.readProjectDocuments(projectId);
+      if (Object.keys(documents).length === 0) {return null;}
+
+      const createdAt = new Date();
+      let snapshotId = createdAt.toISOString().replace(/[:.]/g, '-');
+      const existing = new Set(await this.storage.list(this.getSnapshotPrefix(projectId)));
+      for (let n = 1; existing.has(this.getSnapshotKey(projectId, snapshotId)); n++) {
+        snapshotId = `${createdAt.toISOString().replace(/[:.]/g, '-')}-${n}`;
+      }
+
+      const snapshot = {
+        snapshotId,
+        projectId,
+        reason,
+        createdAt: createdAt.toISOString(),
+        documents
+      };
+      await this.storage.write(this.getSnapshotKey(projectId, snapshotId), snapshot);
+      await this.rotateSnapshots(projectId);
+
+      return { snapshotId, projectId, reason, createdAt: snapshot.createdAt, documentCount: Object.keys(documents).length };
+    });
+  }
+
+  /**
+   * Best-effort snapshot for callers about to overwrite data: a failed snapshot
+   * is logged but never blocks the operation itself.
+   */
+  async snapshotBeforeChange(projectId, reason) {
+    try {
+      return await this.createSnapshot(projectId, reason);
+    } catch (error) {
+      await this.logError('snapshotBeforeChange', error, { projectId, reason });
+      return null;
+    }
+  }
+
+  /** Snapshot metadata for a project, newest first. */
+  async listSnapshots(projectId) {
+    const keys = await this.storage.list(this.getSnapshotPrefix(projectId));
+    const snapshots = [];
+    for (const key of keys) {
+      const snapshot = await this.storage.read(key);
+      if (!snapshot?.snapshotId) {continue;}
+      snapshots.push({
+        snapshotId: snapshot.snapshotId,
+        projectId: snapshot.projectId,
+        reason: snapshot.reason,
+        createdAt: snapshot.createdAt,
+        documentCount: Object.keys(snapshot.documents || {}).length
+      });
+    }
+    return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.snapshotId.localeCompare(a.snapshotId));
+  }
+
+  async loadSnapshot(projectId, snapshotId) {
+    return await this.storage.read(this.getSnapshotKey(projectId, snapshotId));
+  }
+
+  /**
+   * Drop snapshots beyond the retention count or older than the maximum age.
+   * The newest snapshot is always kept.
+   */
+  async rotateSnapshots(projectId) {
+    const snapshots = await this.listSnapshots(projectId);
+    const cutoff = Date.now() - this.snapshotMaxAgeDays * 24 * 60 * 60 * 1000;
+    const removed = [];
+
+    for (const [index, snapshot] of snapshots.entries()) {
+      if (index === 0) {continue;}
+      const tooMany = index >= this.maxSnapshots;
+      const tooOld = new Date(snapshot.createdAt).getTime() < cutoff;
+      if (tooMany || tooOld) {
+        await this.storage.delete(this.getSnapshotKey(projectId, snapshot.snapshotId));
+        removed.push(snapshot.snapshotId);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Describe what restoring a snapshot would change, document by document.
+   * `restore` files are recreated, `delete` files exist now but not in the
+   * snapshot, `modify` files differ (with per-field details).
+   */
+  async diffSnapshot(projectId, snapshotId) {
+    const snapshot = await this.loadSnapshot(projectId, snapshotId);
+    if (!snapshot) {
+      throw new Error(`Snapshot "${snapshotId}" not found for project "${projectId}"`);
+    }
+
+    const current = await this.readProjectDocuments(projectId);
+    const target = snapshot.documents || {};
+    const files = [...new Set([...Object.keys(current), ...Object.keys(target)])].sort();
+    const changes = [];
+
+    for (const file of files) {
+      if (!(file in current)) {
+        changes.push({ file, action: 'restore', details: [] });
+      } else if (!(file in target)) {
+        changes.push({ file, action: 'delete', details: [] });
+      } else if (JSON.stringify(current[file]) !== JSON.stringify(target[file])) {
+        changes.push({ file, action: 'modify', details: describeDocumentChanges(current[file], target[file]) });
+      }
+    }
+
+    return { snapshot: { snapshotId, reason: snapshot.reason, createdAt: snapshot.createdAt }, changes };
+  }
+
+  /**
+   * Replace a project's documents with the contents of a snapshot. The current
+   * state is snapshotted first so a restore can itself be undone.
+   */
+  async restoreSnapshot(projectId, snapshotId) {
+    return await this.withProjectLock(projectId, async () => {
+      const snapshot = await this.loadSnapshot(projectId, snapshotId);
+      if (!snapshot) {
+        throw new Error(`Snapshot "${snapshotId}" not found for project "${projectId}"`);
+      }
+
+      const safetySnapshot = await this.createSnapshot(projectId, `before restore of ${snapshotId}`);
+      const target = snapshot.documents || {};
+      const prefix = `projects/${projectId}/`;
+
+      for (const key of await this.storage.list(prefix)) {
+        if (!(key.slice(prefix.length) in target)) {
+          await this.storage.delete(key);
+        }
+      }
+      for (const [file, doc] of Object.entries(target)) {
+        await this.storage.write(prefix + file, doc);
+      }
+
+      // Restored trees become revisions so hta_diff and hta_revert see them
+      const restoredTrees = new Map();
+      for (const [file, doc] of Object.entries(target)) {
+        const pathName = this.getHTAPathName(file);
+        if (pathName && (file === FILE_NAMES.HTA || !restoredTrees.has(pathName))) {
+          restoredTrees.set(pathName, doc);
+        }
+      }
+      for (const [pathName, doc] of restoredTrees) {
+        const tree = migrateDocument(DOCUMENT_TYPES.HTA, doc).doc;
+        await this.recordHTARevision(projectId, pathName, tree, `restore_snapshot (${snapshotId})`);
+      }
+
+      // A project deleted after the snapshot was taken must be listed again
+      const globalData = await this.loadGlobalData(FILE_NAMES.CONFIG) || { projects: [] };
+      if (!globalData.projects.includes(projectId)) {
+        globalData.projects.push(projectId);
+        await this.saveGlobalData(FILE_NAMES.CONFIG, globalData);
+      }
+
+      this.clearCache();
+      return { restored: snapshotId, documentCount: Object.keys(target).length, safetySnapshot };
+    });
+  }
+
+  // ===== HTA REVISIONS =====
+  // Every HTA save that changes nodes or branches is recorded as a numbered
+  // revision at history/<id>/<path>/rev_<n>.json plus an entry (author tool,
+  // timestamp, compact diff) in history/<id>/<path>/index.json. Every
+  // htaCheckpointInterval-th revision holds the full tree; the ones between
+  // hold `{ base, patch }` against the revision before them, and their index
+  // entry carries the same `base`.
+  // Like snapshots, history lives outside projects/ so restoring a snapshot
+  // or exporting a project does not carry it along.
+
+  getHTAHistoryPrefix(projectId, pathName) {
+    return `${DIRECTORIES.HISTORY}/${projectId}/${pathName}/`;
+  }
+
+  /**
+   * Learning path an HTA document belongs to, from its key relative to the
+   * project directory: `hta.json` and `paths/<name>/hta.json`. Null for any
+   * other document.
+   */
+  getHTAPathName(file) {
+    if (getDocumentType(file) !== DOCUMENT_TYPES.HTA) {return null;}
+    const segments = file.split('/');
+    return segments[0] === DIRECTORIES.PATHS && segments.length === 3 ? segments[1] : 'general';
+  }
+
+  getHTARevisionKey(projectId, pathName, revision) {
+    return `${this.getHTAHistoryPrefix(projectId, pathName)}rev_${revision}.json`;
+  }
+
+  /** Revision index for a path, oldest first. */
+  async loadHTAHistory(projectId, pathName) {
+    const index = await this.storage.read(`${this.getHTAHistoryPrefix(projectId, pathName)}index.json`);
+    return index || { nextRevision: 1, revisions: [] };
+  }
+
+  /** Full tree as it was saved in a revision, or null if it has been rotated out. */
+  async loadHTARevision(projectId, pathName, revision) {
+    const patches = [];
+    let doc = await this.storage.read(this.getHTARevisionKey(projectId, pathName, revision));
+    while (doc?.patch) {
+      patches.unshift(doc.patch);
+      doc = await this.storage.read(this.getHTARevisionKey(projectId, pathName, doc.base));
+    }
+    return doc ? patches.reduce(applyTreePatch, doc) : null;
+  }
+
+  /**
+   * Record a revision for a tree that has just been saved. Saves that leave
+   * nodes and branches unchanged are not recorded. Best-effort: a failure is
+   * logged and never fails the save itself.
+   * @returns {Promise<object|null>} the new index entry
+   */
+  async recordHTARevision(projectId, pathName, htaData, author) {
+    try {
+      return await this.withProjectLock(projectId, async () => {
+        const history = await this.loadHTAHistory(projectId, pathName);
+        const latest = history.revisions[history.revisions.length - 1];
+        const previous = latest ? await this.loadHTARevision(projectId, pathName, latest.revision) : null;
+        const diff = diffHTA(previous, htaData);
+        if (latest && isEmptyDiff(diff)) {return null;}
+
+        const revision = history.nextRevision;
+        const checkpoint = history.revisions.findLast(r => r.base === undefined);
+        const patch = previous && checkpoint && revision - checkpoint.revision < this.htaCheckpointInterval
+          ? createTreePatch(previous, htaData)
+          : null;
+        const entry = {
+          revision,
+          author,
+          timestamp: new Date().toISOString(),
+          changes: compactDiff(diff),
+          ...(patch && { base: latest.revision })
+        };
+        await this.storage.write(
+          this.getHTARevisionKey(projectId, pathName, revision),
+          patch ? { base: latest.revision, patch } : structuredClone(htaData)
+        );
+
+        history.nextRevision = revision + 1;
+        history.revisions.push(entry);
+        // Rotate a checkpoint and its patches at a time so every kept patch
+        // still has its base: at least maxHtaRevisions stay, and fewer than
+        // maxHtaRevisions + htaCheckpointInterval
+        const findNextCheckpoint = () => history.revisions.findIndex((r, i) => i > 0 && r.base === undefined);
+        let nextCheckpoint = findNextCheckpoint();
+        while (nextCheckpoint > 0 && history.revisions.length - nextCheckpoint >= this.maxHtaRevisions) {
+          for (const dropped of history.revisions.splice(0, nextCheckpoint)) {
+            await this.storage.delete(this.getHTARevisionKey(projectId, pathName, dropped.revision));
+          }
+          nextCheckpoint = findNextCheckpoint();
+        }
+        await this.storage.write(`${this.getHTAHistoryPrefix(projectId, pathName)}index.json`, history);
+        return entry;
+      });
+    } catch (error) {
+      await this.logError('recordHTARevision', error, { projectId, pathName, author });
+      return null;
+    }
+  }
+
+  // ===== WHOLE-PROJECT OPERATIONS =====
+
+  /**
+   * Remove every document and the HTA revision history of a project.
+   * Snapshots under backups/ are kept.
+   */
+  async deleteProjectDocuments(projectId) {
+    return await this.withProjectLock(projectId, async () => {
+      const keys = await this.storage.list(`projects/${projectId}/`);
+      for (const key of keys) {
+        await this.storage.delete(key);
+      }
+      for (const key of await this.storage.list(`${DIRECTORIES.HISTORY}/${projectId}/`)) {
+        await this.storage.delete(key);
+      }
+      if (this.storage.backend === STORAGE_BACKENDS.JSON) {
+        await fs.rm(this.getProjectDir(projectId), { recursive: true, force: true });
+      }
+      this.clearCache();
+      return keys.length;
+    });
+  }
+
+  /**
+   * Move all documents, snapshots and HTA history of a project to a new id.
+   * The caller is responsible for updating the global project list.
+   */
+  async moveProjectDocuments(fromId, toId) {
+    return await this.withProjectLock(fromId, () => this.withProjectLock(toId, async () => {
+      const documents = await this.readProjectDocuments(fromId);
+      for (const [file, doc] of Object.entries(documents)) {
+        if (file === FILE_NAMES.CONFIG) {
+          doc.id = toId;
+        }
+        await this.storage.write(this.getProjectKey(toId, file), doc);
+      }
+
+      for (const key of await this.storage.list(this.getSnapshotPrefix(fromId))) {
+        const snapshot = await this.storage.read(key);
+        if (snapshot?.snapshotId) {
+          snapshot.projectId = toId;
+          if (snapshot.documents?.[FILE_NAMES.CONFIG]) {
+            snapshot.documents[FILE_NAMES.CONFIG].id = toId;
+          }
+          await this.storage.write(this.getSnapshotKey(toId, snapshot.snapshotId), snapshot);
+        }
+        await this.storage.delete(key);
+      }
+
+      const historyPrefix = `${DIRECTORIES.HISTORY}/${fromId}/`;
+      for (const key of await this.storage.list(historyPrefix)) {
+        const doc = await this.storage.read(key);
+        if (doc !== null) {
+          await this.storage.write(`${DIRECTORIES.HISTORY}/${toId}/${key.slice(historyPrefix.length)}`, doc);
+        }
+      }
+
+      await this.deleteProjectDocuments(fromId);
+      return Object.keys(documents).length;
+    }));
+  }
+
+  // ===== STORAGE-LEVEL DOCUMENT ACCESS =====
+
+  /**
+   * List document keys stored under a prefix (e.g. `projects/<id>/`),
+   * independent of the active backend.
+   */
+  async listDocuments(prefix = '') {
+    try {
+      return await this.storage.list(prefix);
+    } catch (error) {
+      await this.logError('listDocuments', error, { prefix });
+      return [];
+    }
+  }
+
+  async readDocument(key) {
+    try {
+      return await this.storage.read(key);
+    } catch {
+      return null;
+    }
+  }
+
+  async writeDocument(key, data) {
+    try {
+      await this.storage.write(key, data);
+      this.clearCache();
+      return true;
+    } catch (error) {
+      await this.logError('writeDocument', error, { key });
+      return false;
+    }
+  }
+
+  async deleteDocument(key) {
+    try {
+      const removed = await this.storage.delete(key);
+      this.clearCache();
+      return removed;
+    } catch (error) {
+      await this.logError('deleteDocument', error, { key });
+      return false;
+    }
+  }
+
+  /**
+   * Fetch learning-history entries without materialising the whole document
+   * for the caller. Backends that index history (JSONL) filter in place.
+   * @param {{ since?: string, until?: string, limit?: number, field?: string }} [options]
+   */
+  async queryLearningHistory(projectId, pathName, options = {}) {
+    const { field = 'completedTopics', ...filters } = options;
+    const key = pathName === 'general'
+      ? this.getProjectKey(projectId, 'learning_history.json')
+      : this.getPathKey(projectId, pathName, 'learning_history.json');
+    const timeField = field === 'insights' ? 'timestamp' : (field === 'knowledgeGaps' ? 'identified' : 'completedAt');
+    try {
+      return await this.storage.queryArray(key, field, { timeField, ...filters });
+    } catch (error) {
+      await this.logError('queryLearningHistory', error, { projectId, pathName, field });
+      return [];
+    }
+  }
+
+  /**
+   * Run `fn` while holding the in-process async mutex for `key`.
+   * Waiters are served in arrival order and the lock is released even if `fn`
+   * throws. Re-entrant: a call chain that already holds `key` runs `fn` inline.
+   */
+  async withLock(key, fn) {
+    const held = heldLocks.getStore();
+    if (held?.has(key)) {
+      return await fn();
+    }
+
+    const previous = this.locks.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    this.locks.set(key, tail);
+
+    try {
+      await previous;
+      return await heldLocks.run(new Set([...(held || []), key]), fn);
+    } finally {
+      release();
+      if (this.locks.get(key) === tail) {
+        this.locks.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Serialise load→mutate→save sequences for one project. The lock covers the
+   * project directory and every learning path beneath it, so multi-file updates
+   * (schedule + history + HTA) are never interleaved with another tool call.
+   */
+  async withProjectLock(projectId, fn) {
+    return await this.withLock(`project:${projectId}`, fn);
+  }
+
   async logError(operation, error, context = {}) {
     const logEntry = {
       timestamp: new Date().toISOString(),
@@ -208,4 +824,47 @@ export class DataPersistence {
       return false;
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Summarise field-level differences between two versions of a document, from
+ * `before` to `after`. Arrays of id-bearing items (HTA nodes, schedule blocks)
+ * are reported as added/removed/changed counts.
+ */
+function describeDocumentChanges(before, after) {
+  const isPlainObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  if (!isPlainObject(before) || !isPlainObject(after)) {
+    return ['document replaced'];
+  }
+
+  const details = [];
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  for (const field of fields) {
+    const a = before[field];
+    const b = after[field];
+    if (JSON.stringify(a) === JSON.stringify(b)) {continue;}
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      const idsA = new Map(a.filter(isPlainObject).map(item => [item.id, item]));
+      const idsB = new Map(b.filter(isPlainObject).map(item => [item.id, item]));
+      if (!idsA.has(undefined) && !idsB.has(undefined) && idsA.size === a.length && idsB.size === b.length) {
+        const added = [...idsB.keys()].filter(id => !idsA.has(id)).length;
+        const removed = [...idsA.keys()].filter(id => !idsB.has(id)).length;
+        const changed = [...idsB.keys()].filter(id => idsA.has(id) &&
+          JSON.stringify(idsA.get(id)) !== JSON.stringify(idsB.get(id))).length;
+        details.push(`${field}: +${added} / -${removed} / ~${changed} items`);
+      } else {
+        details.push(`${field}: ${a.length} → ${b.length} items`);
+      }
+    } else if (a === undefined) {
+      details.push(`${field}: added`);
+    } else if (b === undefined) {
+      details.push(`${field}: removed`);
+    } else if (isPlainObject(a) || isPlainObject(b)) {
+      details.push(`${field}: changed`);
+    } else {
+      details.push(`${field}: ${JSON.stringify(a)} → ${JSON.stringify(b)}`);
+    }
+  }
+  return details;
+}
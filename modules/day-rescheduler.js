@@ -0,0 +1,187 @@
+/**
+ * Day Rescheduler Helpers
+ * Re-lays what is left of a day once it has drifted from its schedule.
+ * Completed blocks, fixed commitments and meals stay where they are; open
+ * learning blocks, including ones whose time already passed, are packed from
+ * "now" into the free time in their original order, each followed by a break.
+ * Learning that no longer fits is carried over to another day, and every
+ * carry-over is counted so chronically deferred tasks stand out.
+ *
+ * Deferrals are stored per task as:
+ *   { tasks: { 'general:node_3': { taskId, pathName, title, deferrals, first_deferred, last_deferred, carried_to } } }
+ */
+
+import { formatClockTime, parseClockTime } from './calendar-ics.js';
+
+// Deferred this many times, a task is reported as chronically deferred
+export const CHRONIC_DEFERRALS = 3;
+// Added to a carried-over task's priority so the next schedule picks it first
+export const CARRY_OVER_PRIORITY_BOOST = 100;
+
+const isAnchored = block => block.fixed || block.type === 'fixed' || block.type === 'meal';
+
+function nextIdFrom(blocks) {
+  let next = blocks.reduce((max, block) => Math.max(max, Number(String(block.id).split('_').pop()) || 0), 0) + 1;
+  return prefix => `${prefix}_${next++}`;
+}
+
+// Free ranges between `from` and `to` once the busy intervals are taken out
+function freeWindows(from, to, busy) {
+  const windows = [];
+  let cursor = from;
+  for (const range of [...busy].sort((a, b) => a.start - b.start)) {
+    if (range.end <= cursor) {continue;}
+    if (range.start >= to) {break;}
+    if (range.start > cursor) {windows.push({ start: cursor, end: range.start });}
+    cursor = Math.max(cursor, range.end);
+  }
+  if (cursor < to) {windows.push({ start: cursor, end: to });}
+  return windows;
+}
+
+/**
+ * Compact a day's remaining blocks from `now`.
+ * @param {object[]} blocks - the day's blocks, with "9:00 AM" start times
+ * @param {object} options
+ * @param {number} options.now - minutes since midnight to plan from
+ * @param {number} options.dayEnd - minutes since midnight the day ends
+ * @param {{blockId: string, minutes: number}|null} [options.overrun] - a block that ran long; it keeps its place and grows
+ * @param {object[]} [options.insert] - learning blocks from another day, placed before this day's own
+ * @param {boolean} [options.reflow] - false keeps every block but habits in place, so only habit time is free
+ * @param {number} [options.breakMinutes]
+ * @param {(start: number, end: number) => Array<{type: string, title: string, duration: number}>} [options.fillGap]
+ *   blocks for free time left over after now; the time stays empty without it
+ * @returns {{ blocks: object[], carried: object[], shifted: Array<{id: string, title: string, from: string, to: string}>, missed: number }}
+ */
+export function compactDay(blocks, { now, dayEnd, overrun = null, insert = [], reflow = true, breakMinutes = 15, fillGap = () => [] }) {
+  const nextId = nextIdFrom(blocks);
+  const timed = blocks.map(block => {
+    const start = parseClockTime(block.startTime) ?? 0;
+    return { block, start, end: start + (Number(block.duration) || 0) };
+  });
+
+  let cursor = now;
+  let grown = null;
+  if (overrun) {
+    grown = timed.find(t => t.block.id === overrun.blockId) || null;
+    if (grown) {
+      grown.block = { ...grown.block, duration: grown.block.duration + overrun.minutes, overrunMinutes: (grown.block.overrunMinutes || 0) + overrun.minutes };
+      grown.end += overrun.minutes;
+      cursor = Math.max(cursor, grown.end);
+    }
+  }
+
+  const kept = [];
+  const pending = [];
+  let missed = 0;
+  for (const t of timed) {
+    if (t === grown || t.block.completed || isAnchored(t.block) || (!reflow && t.block.type !== 'habit')) {
+      kept.push(t);
+    } else if (t.block.type === 'learning') {
+      if (t.end <= now) {missed++;}
+      pending.push(t);
+    } else if (t.start < now) {
+      // Breaks and habits that already started stay in the record, cut off at now
+      // and clear of a block that ran over them
+      let end = Math.min(t.end, now);
+      if (grown && t.start < grown.end && end > grown.start) {end = Math.min(end, grown.start);}
+      if (end > t.start) {kept.push({ block: { ...t.block, duration: end - t.start }, start: t.start, end });}
+    }
+  }
+
+  const busy = kept.map(t => ({ start: t.start, end: t.end }));
+  const windows = freeWindows(cursor, dayEnd, busy);
+  const placed = [];
+  const carried = [];
+  const shifted = [];
+  let at = cursor;
+
+  const queue = [
+    ...insert.map(block => ({ block: { ...block, id: nextId('task') }, start: null })),
+    ...pending.sort((a, b) => a.start - b.start)
+  ];
+  for (const item of queue) {
+    const duration = Number(item.block.duration) || 0;
+    const window = windows.find(w => Math.max(w.start, at) + duration <= w.end);
+    if (!window) {
+      carried.push(item.block);
+      continue;
+    }
+    const start = Math.max(window.start, at);
+    const block = { ...item.block, startTime: formatClockTime(start) };
+    placed.push({ block, start, end: start + duration });
+    if (item.start !== null && item.start !== start) {
+      shifted.push({ id: block.id, title: block.title, from: item.block.startTime, to: block.startTime });
+    }
+    at = start + duration;
+
+    const breakEnd = Math.min(at + breakMinutes, window.end);
+    if (breakEnd > at) {
+      placed.push({
+        block: { id: nextId('break'), type: 'break', title: 'Break & Reflection', startTime: formatClockTime(at), duration: breakEnd - at, completed: false, priority: 'medium' },
+        start: at,
+        end: breakEnd
+      });
+      at = breakEnd;
+    }
+  }
+
+  const filled = [];
+  for (const gap of freeWindows(cursor, dayEnd, [...busy, ...placed])) {
+    let start = gap.start;
+    for (const filler of fillGap(gap.start, gap.end)) {
+      const duration = Math.min(filler.duration, gap.end - start);
+      if (duration <= 0) {break;}
+      filled.push({
+        block: { id: nextId(filler.type), completed: false, priority: 'low', ...filler, startTime: formatClockTime(start), duration },
+        start,
+        end: start + duration
+      });
+      start += duration;
+    }
+  }
+
+  return {
+    blocks: [...kept, ...placed, ...filled].sort((a, b) => a.start - b.start).map(t => t.block),
+    carried,
+    shifted,
+    missed
+  };
+}
+
+const taskKey = (block, activePath) => `${block.pathName || activePath}:${block.taskId || block.id}`;
+
+/** Count one more deferral for each carried block and note the date it moves to. */
+export function recordDeferrals(store, carried, { date, carriedTo, activePath = 'general' }) {
+  const tasks = { ...(store?.tasks || {}) };
+  for (const block of carried) {
+    const key = taskKey(block, activePath);
+    const previous = tasks[key];
+    tasks[key] = {
+      taskId: block.taskId || block.id,
+      pathName: block.pathName || activePath,
+      title: block.title,
+      deferrals: (previous?.deferrals || 0) + 1,
+      first_deferred: previous?.first_deferred || date,
+      last_deferred: date,
+      carried_to: carriedTo
+    };
+  }
+  return { tasks };
+}
+
+/** Carry-over entries that move a task to `date` or earlier, keyed `path:taskId`. */
+export function carriedInto(store, date) {
+  return new Map(Object.entries(store?.tasks || {}).filter(([, entry]) => entry.carried_to && entry.carried_to <= date));
+}
+
+/**
+ * Tasks deferred at least `threshold` times that are still open, most deferred first.
+ * @param {Set<string>} completedKeys - `path:nodeId` for completed HTA nodes
+ */
+export function chronicDeferrals(store, completedKeys, threshold = CHRONIC_DEFERRALS) {
+  return Object.entries(store?.tasks || {})
+    .filter(([key, entry]) => entry.deferrals >= threshold && !completedKeys.has(key))
+    .map(([key, entry]) => ({ key, ...entry }))
+    .sort((a, b) => b.deferrals - a.deferrals || a.title.localeCompare(b.title));
+}
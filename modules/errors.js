@@ -117,7 +117,7 @@ export class TaskExecutionError extends ForestError {
 
 export class HTATreeError extends ForestError {
   constructor(operation, cause, context = {}) {
-    super(`HTA tree operation failed: ${operation}`, {
+    super(`HTA tree operation failed: ${operation}${cause ? `. Cause: ${cause.message || cause}` : ''}`, {
       cause,
       context: { operation, ...context }
     });
@@ -125,6 +125,19 @@ export class HTATreeError extends ForestError {
   }
 }
 
+export class LLMProviderError extends ForestError {
+  constructor(provider, requestType, cause, context = {}) {
+    super(`LLM provider '${provider}' failed for request '${requestType}'${cause ? `. Cause: ${cause.message || cause}` : ''}`, {
+      cause,
+      context: { provider, requestType, ...context }
+    });
+    this.provider = provider;
+    this.requestType = requestType;
+    this.status = context.status;
+    this.retryable = !!context.retryable;
+  }
+}
+
 // Utility function to wrap and enhance existing errors
 export function enhanceError(error, context = {}) {
   if (error instanceof ForestError) {
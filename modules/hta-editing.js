@@ -0,0 +1,383 @@
+/**
+ * HTA Editing Module
+ * Manual add, update, move, split and delete of frontier nodes, keeping
+ * prerequisites and the branch hierarchy consistent
+ */
+
+import { TASK_CONFIG } from './constants.js';
+import { ValidationError } from './errors.js';
+import { allocateNodeId } from './hta-node-ids.js';
+
+const UPDATABLE_FIELDS = ['title', 'description', 'difficulty', 'duration', 'priority', 'prerequisites'];
+
+export class HtaEditing {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  /**
+   * Load the tree for a path, let `mutate` change it and save it under the
+   * project lock. Works on a copy so a rejected save (e.g. a prerequisite
+   * cycle) leaves the cached tree untouched.
+   */
+  async editTree(pathName, author, snapshotReason, mutate) {
+    const projectId = await this.projectManagement.requireActiveProject();
+
+    return await this.dataPersistence.withProjectLock(projectId, async () => {
+      const config = await this.projectManagement.loadExistingProject(projectId);
+      const targetPath = pathName || config.activePath || 'general';
+      const stored = await this.dataPersistence.loadPathHTA(projectId, targetPath);
+      if (!stored) {
+        throw new Error(`No HTA tree found for "${targetPath}" path. Use \`build_hta_tree\` first.`);
+      }
+
+      const htaData = structuredClone(stored);
+      htaData.frontierNodes = htaData.frontierNodes || [];
+      htaData.strategicBranches = htaData.strategicBranches || [];
+
+      const result = await mutate(htaData, targetPath);
+
+      if (snapshotReason) {
+        await this.dataPersistence.snapshotBeforeChange(projectId, snapshotReason);
+      }
+      htaData.lastUpdated = new Date().toISOString();
+      await this.dataPersistence.savePathHTA(projectId, targetPath, htaData, { author });
+      return result;
+    });
+  }
+
+  // ===== VALIDATION & LOOKUP =====
+
+  findTask(htaData, taskId) {
+    const node = htaData.frontierNodes.find(n => n.id === taskId);
+    if (!node) {
+      throw new Error(`Task "${taskId}" not found. Use \`get_hta_status\` to see task ids.`);
+    }
+    return node;
+  }
+
+  /**
+   * Resolve a branch or sub-branch id or title to the container a task
+   * should hang under.
+   * @returns {{ parentId: string, branchId: string, label: string }}
+   */
+  resolveContainer(htaData, target) {
+    const wanted = String(target || '').trim().toLowerCase();
+    for (const branch of htaData.strategicBranches) {
+      if (branch.id === target || branch.title?.toLowerCase() === wanted) {
+        return { parentId: branch.id, branchId: branch.id, label: branch.title };
+      }
+      for (const sub of branch.subBranches || []) {
+        if (sub.id === target || sub.title?.toLowerCase() === wanted) {
+          return { parentId: sub.id, branchId: branch.id, label: `${branch.title} › ${sub.title}` };
+        }
+      }
+    }
+    throw new ValidationError('branch', target, 'an existing branch or sub-branch id or title');
+  }
+
+  describeContainer(htaData, parentId) {
+    if (!parentId) {return 'Unassigned';}
+    try {
+      return this.resolveContainer(htaData, parentId).label;
+    } catch {
+      return parentId;
+    }
+  }
+
+  normaliseDuration(duration) {
+    const minutes = typeof duration === 'number' ? duration : parseInt(String(duration), 10);
+    if (!Number.isFinite(minutes) || minutes < 1 || minutes > TASK_CONFIG.MAX_DURATION) {
+      throw new ValidationError('duration', duration, `minutes between 1 and ${TASK_CONFIG.MAX_DURATION}`);
+    }
+    return `${Math.round(minutes)} minutes`;
+  }
+
+  normaliseDifficulty(difficulty) {
+    if (typeof difficulty !== 'number' || difficulty < TASK_CONFIG.MIN_DIFFICULTY || difficulty > TASK_CONFIG.MAX_DIFFICULTY) {
+      throw new ValidationError('difficulty', difficulty, `a number from ${TASK_CONFIG.MIN_DIFFICULTY} to ${TASK_CONFIG.MAX_DIFFICULTY}`);
+    }
+    return difficulty;
+  }
+
+  normaliseTitle(title, field = 'title') {
+    if (typeof title !== 'string' || !title.trim()) {
+      throw new ValidationError(field, title, 'a non-empty string');
+    }
+    return title.trim();
+  }
+
+  normalisePrerequisites(prerequisites) {
+    if (!Array.isArray(prerequisites) || prerequisites.some(p => typeof p !== 'string')) {
+      throw new ValidationError('prerequisites', prerequisites, 'an array of task ids or titles');
+    }
+    return prerequisites;
+  }
+
+  /**
+   * Swap `oldId` for `replacementIds` in every other node's prerequisites.
+   * @returns {number} how many nodes were rewired
+   */
+  replacePrerequisite(htaData, oldId, replacementIds) {
+    let rewired = 0;
+    for (const node of htaData.frontierNodes) {
+      if (node.id === oldId || !(node.prerequisites || []).includes(oldId)) {continue;}
+      const next = [];
+      for (const prereq of node.prerequisites) {
+        for (const id of prereq === oldId ? replacementIds : [prereq]) {
+          if (id !== node.id && !next.includes(id)) {next.push(id);}
+        }
+      }
+      node.prerequisites = next;
+      rewired++;
+    }
+    return rewired;
+  }
+
+  // ===== TOOLS =====
+
+  /**
+   * @param {{ title: string, description?: string, branch?: string, difficulty?: number,
+   *   duration?: number, prerequisites?: string[], priority?: number }} task
+   * @param {string|null} pathName - defaults to the active path
+   */
+  async addTask(task, pathName = null) {
+    try {
+      const title = this.normaliseTitle(task.title);
+
+      return await this.editTree(pathName, 'add_task', null, async (htaData, targetPath) => {
+        const container = task.branch ? this.resolveContainer(htaData, task.branch) : null;
+        const node = {
+          id: allocateNodeId(htaData, 'node'),
+          title,
+          description: task.description || '',
+          branch: container?.branchId,
+          parentId: container?.parentId || null,
+          difficulty: task.difficulty === undefined ? 1 : this.normaliseDifficulty(task.difficulty),
+          priority: typeof task.priority === 'number' ? task.priority : 200,
+          duration: task.duration === undefined ? `${TASK_CONFIG.DEFAULT_DURATION} minutes` : this.normaliseDuration(task.duration),
+          prerequisites: task.prerequisites ? [...this.normalisePrerequisites(task.prerequisites)] : [],
+          completed: false
+        };
+        htaData.frontierNodes.push(node);
+
+        let text = `➕ **Task added** to ${targetPath}: ${node.title} (\`${node.id}\`)\n`;
+        text += `**Branch**: ${container ? container.label : 'Unassigned'}\n`;
+        text += `**Duration**: ${node.duration} · **Difficulty**: ${node.difficulty}\n`;
+        if (node.prerequisites.length > 0) {
+          text += `**Prerequisites**: ${node.prerequisites.join(', ')}\n`;
+        }
+
+        return { content: [{ type: 'text', text }], task: node };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('addTask', error, { task, pathName });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error adding task: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * @param {string} taskId
+   * @param {Record<string, any>} updates - title, description, difficulty, duration, priority, prerequisites
+   * @param {string|null} pathName
+   */
+  async updateTask(taskId, updates, pathName = null) {
+    try {
+      const fields = UPDATABLE_FIELDS.filter(field => updates?.[field] !== undefined);
+      if (fields.length === 0) {
+        throw new Error(`Nothing to update. Provide at least one of: ${UPDATABLE_FIELDS.join(', ')}`);
+      }
+
+      return await this.editTree(pathName, 'update_task', null, async (htaData) => {
+        const node = this.findTask(htaData, taskId);
+        const normalise = {
+          title: value => this.normaliseTitle(value),
+          description: value => String(value),
+          difficulty: value => this.normaliseDifficulty(value),
+          duration: value => this.normaliseDuration(value),
+          priority: value => {
+            if (typeof value !== 'number') {throw new ValidationError('priority', value, 'a number');}
+            return value;
+          },
+          prerequisites: value => [...this.normalisePrerequisites(value)]
+        };
+
+        const changes = [];
+        for (const field of fields) {
+          const value = normalise[field](updates[field]);
+          const previous = node[field];
+          if (JSON.stringify(previous) === JSON.stringify(value)) {continue;}
+          node[field] = value;
+          changes.push({ field, previous, value });
+        }
+
+        let text = `✏️ **Task updated**: ${node.title} (\`${node.id}\`)\n\n`;
+        if (changes.length === 0) {
+          text += 'No changes - the task already has these values.';
+        }
+        for (const change of changes) {
+          const show = value => (Array.isArray(value) ? `[${value.join(', ')}]` : (value ?? '—'));
+          text += `• **${change.field}**: ${show(change.previous)} → ${show(change.value)}\n`;
+        }
+
+        return { content: [{ type: 'text', text }], task: node, changes };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('updateTask', error, { taskId, updates, pathName });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error updating task: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Re-parent a task under another strategic branch or sub-branch.
+   * @param {string} taskId
+   * @param {string} target - branch or sub-branch id or title
+   * @param {string|null} pathName
+   */
+  async moveTask(taskId, target, pathName = null) {
+    try {
+      return await this.editTree(pathName, 'move_task', null, async (htaData) => {
+        const node = this.findTask(htaData, taskId);
+        const container = this.resolveContainer(htaData, target);
+        const from = this.describeContainer(htaData, node.parentId);
+
+        node.parentId = container.parentId;
+        node.branch = container.branchId;
+
+        return {
+          content: [{
+            type: 'text',
+            text: `📦 **Task moved**: ${node.title} (\`${node.id}\`)\n**From**: ${from}\n**To**: ${container.label}`
+          }],
+          task: node
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('moveTask', error, { taskId, target, pathName });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error moving task: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Replace one task with several smaller ones in the same place. The first
+   * part inherits the original prerequisites; tasks that depended on the
+   * original now depend on the last part (sequential) or on every part.
+   * @param {string} taskId
+   * @param {Array<{ title: string, description?: string, duration?: number, difficulty?: number }>} parts
+   * @param {boolean} sequential - chain the parts one after another
+   * @param {string|null} pathName
+   */
+  async splitTask(taskId, parts, sequential = true, pathName = null) {
+    try {
+      if (!Array.isArray(parts) || parts.length < 2) {
+        throw new ValidationError('parts', parts, 'at least two parts');
+      }
+      const titles = parts.map((part, i) => this.normaliseTitle(part?.title, `parts[${i}].title`));
+
+      return await this.editTree(pathName, 'split_task', `split_task (${taskId})`, async (htaData) => {
+        const original = this.findTask(htaData, taskId);
+        if (original.completed) {
+          throw new Error(`Task "${taskId}" is already completed; only open tasks can be split`);
+        }
+
+        const originalMinutes = parseInt(original.duration, 10) || TASK_CONFIG.DEFAULT_DURATION;
+        const defaultMinutes = Math.max(5, Math.round(originalMinutes / parts.length));
+        const newNodes = [];
+        parts.forEach((part, i) => {
+          const previous = newNodes[i - 1];
+          newNodes.push({
+            id: allocateNodeId(htaData, 'node'),
+            title: titles[i],
+            description: part.description || original.description || '',
+            branch: original.branch,
+            parentId: original.parentId ?? null,
+            difficulty: part.difficulty === undefined ? (original.difficulty || 1) : this.normaliseDifficulty(part.difficulty),
+            priority: original.priority ?? 200,
+            duration: part.duration === undefined ? `${defaultMinutes} minutes` : this.normaliseDuration(part.duration),
+            prerequisites: sequential && previous ? [previous.id] : [...(original.prerequisites || [])],
+            completed: false,
+            splitFrom: original.id
+          });
+        });
+
+        const dependsOn = sequential ? [newNodes[newNodes.length - 1].id] : newNodes.map(n => n.id);
+        const rewired = this.replacePrerequisite(htaData, original.id, dependsOn);
+        for (const node of htaData.frontierNodes) {
+          if (node.parentId === original.id) {node.parentId = original.parentId ?? null;}
+        }
+
+        const index = htaData.frontierNodes.indexOf(original);
+        htaData.frontierNodes.splice(index, 1, ...newNodes);
+
+        let text = `✂️ **Split** "${original.title}" (\`${original.id}\`) into ${newNodes.length} tasks${sequential ? ' (done in order)' : ''}:\n`;
+        for (const node of newNodes) {
+          text += `• ${node.title} (\`${node.id}\`, ${node.duration})\n`;
+        }
+        if (rewired > 0) {
+          text += `\n🔗 Prerequisites updated on ${rewired} dependent task(s).`;
+        }
+
+        return { content: [{ type: 'text', text }], removed_task: original, tasks: newNodes };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('splitTask', error, { taskId, parts, sequential, pathName });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error splitting task: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Remove a task. Tasks that depended on it inherit its prerequisites so
+   * the original ordering still holds.
+   * @param {string} taskId
+   * @param {string|null} pathName
+   */
+  async deleteTask(taskId, pathName = null) {
+    try {
+      return await this.editTree(pathName, 'delete_task', `delete_task (${taskId})`, async (htaData) => {
+        const node = this.findTask(htaData, taskId);
+        const rewired = this.replacePrerequisite(htaData, node.id, node.prerequisites || []);
+        for (const other of htaData.frontierNodes) {
+          if (other.parentId === node.id) {other.parentId = node.parentId ?? null;}
+        }
+        htaData.frontierNodes = htaData.frontierNodes.filter(n => n !== node);
+
+        let text = `🗑️ **Task deleted**: ${node.title} (\`${node.id}\`)\n`;
+        if (rewired > 0) {
+          text += `🔗 ${rewired} dependent task(s) now require its prerequisites instead.\n`;
+        }
+        text += '\nA snapshot was taken first; use `restore_snapshot` to undo.';
+
+        return { content: [{ type: 'text', text }], removed_task: node };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('deleteTask', error, { taskId, pathName });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error deleting task: ${error.message}`
+        }]
+      };
+    }
+  }
+}
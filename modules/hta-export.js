@@ -0,0 +1,305 @@
+/**
+ * HTA Export Module
+ * Render a learning path's tree for docs and reviews: a Markdown checklist,
+ * a Mermaid flowchart, a Graphviz DOT graph or an OPML outline. The Markdown
+ * and OPML forms use the conventions import_hta reads, so an exported tree
+ * can be edited by hand and imported again.
+ */
+
+import path from 'path';
+import { ValidationError } from './errors.js';
+import { DIRECTORIES } from './constants.js';
+import { buildTree, linkHierarchy } from './hta-hierarchy.js';
+
+export const EXPORT_FORMATS = ['markdown', 'mermaid', 'dot', 'opml'];
+
+const FILE_EXTENSIONS = { markdown: 'md', mermaid: 'mmd', dot: 'dot', opml: 'opml' };
+
+const STATUS_COLOURS = {
+  done: { fill: '#c8e6c9', stroke: '#2e7d32' },
+  active: { fill: '#fff3cd', stroke: '#b08900' },
+  todo: { fill: '#eceff1', stroke: '#78909c' }
+};
+
+function statusOf(treeNode) {
+  if (treeNode.completed) {return 'done';}
+  return treeNode.progress.completed > 0 ? 'active' : 'todo';
+}
+
+function durationMinutes(duration) {
+  const minutes = parseInt(String(duration ?? ''), 10);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : null;
+}
+
+/** Stable graph id for a tree node; the goal and unassigned group use their type. */
+function graphId(treeNode) {
+  const key = treeNode.id ?? treeNode.type;
+  const prefix = { goal: 'g', branch: 'b', sub_branch: 's', task: 't', unassigned: 'u' }[treeNode.type];
+  return `${prefix}_${String(key).replace(/[^A-Za-z0-9_]/g, '_')}`;
+}
+
+function walk(treeNode, visit, parent = null) {
+  visit(treeNode, parent);
+  for (const child of treeNode.children) {
+    walk(child, visit, treeNode);
+  }
+}
+
+/** Prerequisite edges between tasks that are both in the tree. */
+function prerequisiteEdges(tree, nodesById) {
+  const inTree = new Set();
+  walk(tree, n => { if (n.type === 'task') {inTree.add(n.id);} });
+  const edges = [];
+  for (const id of inTree) {
+    for (const prereq of nodesById.get(id)?.prerequisites || []) {
+      if (inTree.has(prereq)) {
+        edges.push({ from: prereq, to: id });
+      }
+    }
+  }
+  return edges;
+}
+
+function taskMeta(node, nodesById) {
+  const parts = [];
+  const minutes = durationMinutes(node?.duration);
+  if (minutes) {parts.push(`${minutes} min`);}
+  if (node?.difficulty) {parts.push(`difficulty ${node.difficulty}`);}
+  const prereqs = (node?.prerequisites || []).map(p => nodesById.get(p)?.title || p);
+  if (prereqs.length > 0) {parts.push(`after: ${prereqs.join('; ')}`);}
+  return parts;
+}
+
+/**
+ * Markdown checklist: the goal as a title, branches and sub-branches as
+ * headings and tasks as (nested) checkboxes with "(30 min, difficulty 2,
+ * after: …)" details.
+ */
+export function renderMarkdownChecklist(tree, nodesById) {
+  const lines = [`# ${tree.title}`, '', `Progress: ${tree.progress.percentage}% (${tree.progress.completed}/${tree.progress.total})`];
+
+  const renderTask = (treeNode, depth) => {
+    const meta = taskMeta(nodesById.get(treeNode.id), nodesById);
+    const suffix = meta.length > 0 ? ` (${meta.join(', ')})` : '';
+    lines.push(`${'  '.repeat(depth)}- [${treeNode.completed ? 'x' : ' '}] ${treeNode.title}${suffix}`);
+    for (const child of treeNode.children) {
+      renderTask(child, depth + 1);
+    }
+  };
+
+  const renderContainer = (treeNode, level) => {
+    lines.push('', `${'#'.repeat(level)} ${treeNode.title}`, '');
+    const tasks = treeNode.children.filter(c => c.type === 'task');
+    for (const task of tasks) {
+      renderTask(task, 0);
+    }
+    for (const child of treeNode.children.filter(c => c.type !== 'task')) {
+      renderContainer(child, level + 1);
+    }
+  };
+
+  for (const branch of tree.children) {
+    renderContainer(branch, 2);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Mermaid `graph TD`: hierarchy as solid edges, prerequisites as dashed
+ * edges, and nodes coloured done / in progress / not started.
+ */
+export function renderMermaid(tree, nodesById) {
+  const label = text => String(text).replace(/"/g, '#quot;').replace(/\n/g, ' ');
+  const lines = ['graph TD'];
+  const byStatus = { done: [], active: [], todo: [] };
+
+  walk(tree, (treeNode, parent) => {
+    const id = graphId(treeNode);
+    const text = treeNode.type === 'task'
+      ? label(treeNode.title)
+      : `${label(treeNode.title)}<br/>${treeNode.progress.percentage}%`;
+    const shape = treeNode.type === 'goal' ? `(["${text}"])` : treeNode.type === 'task' ? `["${text}"]` : `[["${text}"]]`;
+    lines.push(`  ${id}${shape}`);
+    if (parent) {
+      lines.push(`  ${graphId(parent)} --> ${id}`);
+    }
+    byStatus[statusOf(treeNode)].push(id);
+  });
+
+  for (const edge of prerequisiteEdges(tree, nodesById)) {
+    lines.push(`  ${graphId({ type: 'task', id: edge.from })} -.-> ${graphId({ type: 'task', id: edge.to })}`);
+  }
+
+  for (const [status, colours] of Object.entries(STATUS_COLOURS)) {
+    lines.push(`  classDef ${status} fill:${colours.fill},stroke:${colours.stroke}`);
+    if (byStatus[status].length > 0) {
+      lines.push(`  class ${byStatus[status].join(',')} ${status}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/** Graphviz DOT with the same edges and colouring as the Mermaid export. */
+export function renderDot(tree, nodesById) {
+  const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  const lines = [
+    'digraph HTA {',
+    '  rankdir=TB;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];'
+  ];
+
+  walk(tree, (treeNode, parent) => {
+    const id = graphId(treeNode);
+    const colours = STATUS_COLOURS[statusOf(treeNode)];
+    const text = treeNode.type === 'task'
+      ? treeNode.title
+      : `${treeNode.title}\n${treeNode.progress.percentage}%`;
+    const shape = treeNode.type === 'goal' ? ', shape=ellipse' : treeNode.type === 'task' ? '' : ', penwidth=2';
+    lines.push(`  ${id} [label=${quote(text)}, fillcolor=${quote(colours.fill)}, color=${quote(colours.stroke)}${shape}];`);
+    if (parent) {
+      lines.push(`  ${graphId(parent)} -> ${id};`);
+    }
+  });
+
+  for (const edge of prerequisiteEdges(tree, nodesById)) {
+    lines.push(`  ${graphId({ type: 'task', id: edge.from })} -> ${graphId({ type: 'task', id: edge.to })} [style=dashed, color="#90a4ae", constraint=false];`);
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * OPML 2.0 outline. Tasks carry `_status="checked"` when complete and
+ * `duration`, `difficulty`, `prerequisites` (titles) and `_note` attributes.
+ */
+export function renderOpml(tree, nodesById) {
+  const escape = text => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escape(tree.title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>'
+  ];
+
+  const renderNode = (treeNode, depth) => {
+    const attrs = [`text="${escape(treeNode.title)}"`];
+    if (treeNode.type === 'task') {
+      const node = nodesById.get(treeNode.id);
+      const minutes = durationMinutes(node?.duration);
+      if (minutes) {attrs.push(`duration="${minutes}"`);}
+      if (node?.difficulty) {attrs.push(`difficulty="${node.difficulty}"`);}
+      const prereqs = (node?.prerequisites || []).map(p => nodesById.get(p)?.title || p);
+      if (prereqs.length > 0) {attrs.push(`prerequisites="${escape(prereqs.join('; '))}"`);}
+      if (node?.description) {attrs.push(`_note="${escape(node.description)}"`);}
+    }
+    if (treeNode.completed) {attrs.push('_status="checked"');}
+
+    const indent = '  '.repeat(depth);
+    if (treeNode.children.length === 0) {
+      lines.push(`${indent}<outline ${attrs.join(' ')}/>`);
+      return;
+    }
+    lines.push(`${indent}<outline ${attrs.join(' ')}>`);
+    for (const child of treeNode.children) {
+      renderNode(child, depth + 1);
+    }
+    lines.push(`${indent}</outline>`);
+  };
+
+  for (const branch of tree.children) {
+    renderNode(branch, 2);
+  }
+  lines.push('  </body>', '</opml>');
+  return `${lines.join('\n')}\n`;
+}
+
+const RENDERERS = {
+  markdown: renderMarkdownChecklist,
+  mermaid: renderMermaid,
+  dot: renderDot,
+  opml: renderOpml
+};
+
+/**
+ * Render an HTA document in one of EXPORT_FORMATS. Works on a copy, so the
+ * document is not modified.
+ */
+export function exportHTATree(htaData, format = 'markdown') {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ValidationError('format', format, `one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+  const linked = linkHierarchy(structuredClone(htaData));
+  const nodesById = new Map((linked.frontierNodes || []).map(n => [n.id, n]));
+  return RENDERERS[format](buildTree(linked), nodesById);
+}
+
+export class HtaExport {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  resolveOutputPath(outputPath) {
+    return path.isAbsolute(outputPath) ? outputPath : path.join(this.dataPersistence.dataDir, outputPath);
+  }
+
+  /**
+   * @param {string} format - markdown, mermaid, dot or opml
+   * @param {string|null} pathName - defaults to the active path
+   * @param {string|null} outputPath - also write the export to this file;
+   *   relative paths resolve inside the data directory
+   */
+  async exportHTA(format = 'markdown', pathName = null, outputPath = null) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.projectManagement.loadExistingProject(projectId);
+      const targetPath = pathName || config.activePath || 'general';
+      const htaData = await this.dataPersistence.loadPathHTA(projectId, targetPath);
+
+      if (!htaData) {
+        return {
+          content: [{
+            type: 'text',
+            text: `❌ No HTA tree found for "${targetPath}" path. Use \`build_hta_tree\` first.`
+          }]
+        };
+      }
+
+      const rendered = exportHTATree(htaData, format);
+      let filePath = null;
+      if (outputPath !== null) {
+        const stamp = new Date().toISOString().split('T')[0];
+        filePath = this.resolveOutputPath(outputPath ||
+          path.join(DIRECTORIES.EXPORTS, `${projectId}-${targetPath}-${stamp}.${FILE_EXTENSIONS[format]}`));
+        await this.dataPersistence.writeFileAtomic(filePath, rendered);
+      }
+
+      const fence = format === 'markdown' ? '' : format === 'opml' ? 'xml' : format;
+      let text = `📤 **HTA Export - ${targetPath}** (${format})\n\n`;
+      if (filePath) {
+        text += `**Saved to**: ${filePath}\n\n`;
+      }
+      text += format === 'markdown' ? rendered : `\`\`\`${fence}\n${rendered}\`\`\``;
+
+      return {
+        content: [{ type: 'text', text }],
+        export: { format, path: targetPath, file: filePath, output: rendered }
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('exportHTA', error, { format, pathName, outputPath });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error exporting HTA: ${error.message}`
+        }]
+      };
+    }
+  }
+}
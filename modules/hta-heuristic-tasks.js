@@ -0,0 +1,111 @@
+/**
+ * Heuristic HTA Tasks
+ * Rule-based starter tasks for a branch when no LLM is available, so
+ * build_hta_tree still produces a usable frontier offline. Every branch gets
+ * the same orient → try → practice → review → apply arc, scaled by knowledge
+ * level. Output is deterministic for the same input and every task is marked
+ * `heuristic: true` so real generation can replace it later.
+ */
+
+// Durations in minutes per phase; a missing phase is skipped at that level
+const LEVEL_BANDS = [
+  { maxLevel: 2, difficulty: 1, minutes: { orient: 15, try: 20, practice: 25, review: 15 } },
+  { maxLevel: 4, difficulty: 1, minutes: { orient: 20, try: 30, practice: 40, review: 20, apply: 45 } },
+  { maxLevel: 6, difficulty: 2, minutes: { orient: 20, try: 30, practice: 45, review: 25, apply: 60 } },
+  // Advanced learners already know the landscape, so skip orientation
+  { maxLevel: 10, difficulty: 3, minutes: { try: 45, practice: 60, review: 30, apply: 90 } }
+];
+
+const PHASE_DIFFICULTY_OFFSET = { orient: 0, try: 0, practice: 1, review: 0, apply: 2 };
+
+const MAX_PRACTICE_TASKS = 3;
+
+function bandFor(knowledgeLevel) {
+  return LEVEL_BANDS.find(band => knowledgeLevel <= band.maxLevel) || LEVEL_BANDS[LEVEL_BANDS.length - 1];
+}
+
+/**
+ * Starter tasks for one strategic branch, in the same shape the LLM is asked
+ * to return (title, description, difficulty, duration, prerequisites by
+ * title, optional sub_branch), so they go through normaliseTasksForLevel and
+ * toFrontierNodes like generated ones.
+ * @param {{ id: string, title: string, subBranches?: Array<{ id: string, title: string }> }} branch
+ * @param {number} knowledgeLevel
+ * @param {string[]} [interests]
+ */
+export function generateHeuristicTasks(branch, knowledgeLevel, interests = []) {
+  const band = bandFor(knowledgeLevel || 1);
+  const topic = branch.title;
+  const interest = interests.find(i => String(i).trim()) || null;
+  const tasks = [];
+  const add = (phase, task) => {
+    if (!band.minutes[phase]) {return null;}
+    tasks.push({
+      difficulty: band.difficulty + PHASE_DIFFICULTY_OFFSET[phase],
+      duration: band.minutes[phase],
+      prerequisites: [],
+      ...task,
+      heuristic: true
+    });
+    return task.title;
+  };
+
+  const orient = add('orient', {
+    title: `Map out ${topic}`,
+    description: `Skim an overview of ${topic} and list the key ideas, tools and terms you will need. Note what you already know.`
+  });
+
+  const attempt = add('try', {
+    title: `First hands-on attempt at ${topic}`,
+    description: `Do one small, concrete exercise in ${topic}${interest ? ` connected to ${interest}` : ''}. Aim to finish it, not to make it perfect.`,
+    prerequisites: orient ? [orient] : []
+  });
+
+  const focuses = (branch.subBranches || []).slice(0, MAX_PRACTICE_TASKS);
+  const practice = (focuses.length > 0 ? focuses : [null]).map(sub => add('practice', {
+    title: sub ? `Practise ${sub.title} (${topic})` : `Practise ${topic} fundamentals`,
+    description: `Repeat a short, focused drill on ${sub ? sub.title : `the basics of ${topic}`} and note what still feels hard.`,
+    prerequisites: [attempt],
+    ...(sub ? { sub_branch: sub.id } : {})
+  }));
+
+  const review = add('review', {
+    title: `Review progress in ${topic}`,
+    description: 'Look back over your notes and attempts. Write down what stuck, what did not, and one question to explore next.',
+    prerequisites: practice
+  });
+
+  add('apply', {
+    title: `Apply ${topic} to ${interest || 'a small project'}`,
+    description: `Use what you have learned in ${topic} on something real${interest ? ` in ${interest}` : ''}, end to end.`,
+    prerequisites: [review]
+  });
+
+  return tasks;
+}
+
+/**
+ * Drop the unfinished heuristic tasks of one branch once real tasks arrive
+ * for it. Completed ones stay as history. References to removed ids are
+ * stripped from the remaining nodes' prerequisites.
+ * @param {object} hta - mutated in place
+ * @param {string} branchId
+ * @returns {object[]} the removed nodes
+ */
+export function removeHeuristicPlaceholders(hta, branchId) {
+  const nodes = hta.frontierNodes || [];
+  const removed = nodes.filter(n => n.heuristic && !n.completed && n.branch === branchId);
+  if (removed.length === 0) {return [];}
+
+  const removedIds = new Set(removed.map(n => n.id));
+  hta.frontierNodes = nodes.filter(n => !removedIds.has(n.id));
+  for (const node of hta.frontierNodes) {
+    if (Array.isArray(node.prerequisites)) {
+      node.prerequisites = node.prerequisites.filter(p => !removedIds.has(p));
+    }
+    if (removedIds.has(node.parentId)) {
+      node.parentId = node.branch;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,278 @@
+/**
+ * HTA Hierarchy Helpers
+ * Treats an HTA document as a real tree: goal → strategic branches →
+ * sub-branches → tasks, where tasks may also group child tasks. Every
+ * sub-branch and frontier node carries a `parentId`; progress is counted on
+ * leaf tasks and rolled up to each ancestor.
+ *
+ * These helpers are pure (apart from mutating the document they are given)
+ * so DataPersistence can normalise every HTA write and HtaStatus can render
+ * the same numbers it stored.
+ */
+
+const PREVIEW_TASKS_PER_LEVEL = 8;
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+}
+
+function toProgress(completed, total) {
+  return {
+    completed,
+    total,
+    percentage: total > 0 ? Math.round((completed / total) * 100) : 0
+  };
+}
+
+/**
+ * Resolve a branch reference (sub-branch id, branch id, title or slug) to the
+ * container a task should hang under.
+ */
+function resolveContainer(reference, branches, subBranchIndex) {
+  if (!reference) {return null;}
+  if (subBranchIndex.has(reference)) {return reference;}
+
+  const wanted = String(reference).toLowerCase();
+  const wantedSlug = slugify(reference);
+  for (const branch of branches) {
+    if (branch.id === reference || branch.title?.toLowerCase() === wanted || slugify(branch.title) === wantedSlug) {
+      return branch.id;
+    }
+  }
+  for (const [subId, { sub }] of subBranchIndex) {
+    if (sub.title?.toLowerCase() === wanted || slugify(sub.title) === wantedSlug) {
+      return subId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Set `parentId` on every sub-branch and frontier node, and keep the flat
+ * `branch` field pointing at the owning strategic branch so older readers
+ * that filter by `node.branch` still work.
+ *
+ * A node keeps a valid existing parentId; otherwise it is attached to the
+ * sub-branch or branch named by `node.branch`, or left unassigned (null).
+ * Task-to-task parent chains that loop are cut at the node that closes the
+ * loop.
+ * @param {object} hta - mutated in place
+ * @returns {object} the same document
+ */
+export function linkHierarchy(hta) {
+  const branches = hta.strategicBranches || [];
+  const nodes = hta.frontierNodes || [];
+
+  const branchIds = new Set(branches.map(b => b.id));
+  const subBranchIndex = new Map();
+  for (const branch of branches) {
+    for (const sub of branch.subBranches || []) {
+      sub.parentId = branch.id;
+      subBranchIndex.set(sub.id, { sub, branchId: branch.id });
+    }
+  }
+
+  const taskIndex = new Map(nodes.map(n => [n.id, n]));
+  const isContainer = id => branchIds.has(id) || subBranchIndex.has(id);
+
+  for (const node of nodes) {
+    const current = node.parentId;
+    const valid = current && current !== node.id && (isContainer(current) || taskIndex.has(current));
+    if (!valid) {
+      node.parentId = resolveContainer(node.branch, branches, subBranchIndex);
+    }
+  }
+
+  // Cut task → task loops
+  for (const node of nodes) {
+    const seen = new Set([node.id]);
+    let parent = taskIndex.get(node.parentId);
+    while (parent) {
+      if (seen.has(parent.id)) {
+        node.parentId = resolveContainer(node.branch, branches, subBranchIndex);
+        break;
+      }
+      seen.add(parent.id);
+      parent = taskIndex.get(parent.parentId);
+    }
+  }
+
+  // Derive the owning strategic branch from the parent chain
+  const owningBranch = (node) => {
+    const seen = new Set();
+    let parentId = node.parentId;
+    while (parentId && !seen.has(parentId)) {
+      seen.add(parentId);
+      if (branchIds.has(parentId)) {return parentId;}
+      if (subBranchIndex.has(parentId)) {return subBranchIndex.get(parentId).branchId;}
+      parentId = taskIndex.get(parentId)?.parentId;
+    }
+    return null;
+  };
+  for (const node of nodes) {
+    const branchId = owningBranch(node);
+    if (branchId) {
+      node.branch = branchId;
+    }
+  }
+
+  return hta;
+}
+
+/**
+ * Walk the linked document bottom-up. `visit(treeNode, source)` is called for
+ * every tree node after its children, with the underlying branch, sub-branch
+ * or task object (null for the goal and the unassigned group).
+ */
+function assembleTree(hta, visit = () => {}) {
+  const branches = hta.strategicBranches || [];
+  const nodes = hta.frontierNodes || [];
+
+  const childrenOf = new Map();
+  for (const node of nodes) {
+    const key = node.parentId ?? null;
+    if (!childrenOf.has(key)) {childrenOf.set(key, []);}
+    childrenOf.get(key).push(node);
+  }
+
+  const expanded = new Set();
+  const taskTree = (node) => {
+    expanded.add(node.id);
+    const children = (childrenOf.get(node.id) || [])
+      .filter(child => !expanded.has(child.id))
+      .map(taskTree);
+
+    let progress;
+    let completed;
+    if (children.length > 0) {
+      progress = toProgress(
+        children.reduce((sum, c) => sum + c.progress.completed, 0),
+        children.reduce((sum, c) => sum + c.progress.total, 0)
+      );
+      completed = children.every(c => c.completed);
+    } else {
+      completed = !!node.completed;
+      progress = toProgress(completed ? 1 : 0, 1);
+    }
+
+    const treeNode = { id: node.id, type: 'task', title: node.title, completed, progress, children };
+    visit(treeNode, node);
+    return treeNode;
+  };
+
+  const containerTree = (id, type, title, source, taskChildren, extraChildren = []) => {
+    const children = [...extraChildren, ...taskChildren.map(taskTree)];
+    const progress = toProgress(
+      children.reduce((sum, c) => sum + c.progress.completed, 0),
+      children.reduce((sum, c) => sum + c.progress.total, 0)
+    );
+    const treeNode = {
+      id,
+      type,
+      title,
+      completed: progress.total > 0 && progress.completed === progress.total,
+      progress,
+      children
+    };
+    visit(treeNode, source);
+    return treeNode;
+  };
+
+  const branchTrees = branches.map(branch => {
+    const subTrees = (branch.subBranches || []).map(sub =>
+      containerTree(sub.id, 'sub_branch', sub.title, sub, childrenOf.get(sub.id) || [])
+    );
+    return containerTree(branch.id, 'branch', branch.title, branch, childrenOf.get(branch.id) || [], subTrees);
+  });
+
+  const unassigned = childrenOf.get(null) || [];
+  if (unassigned.length > 0) {
+    branchTrees.push(containerTree(null, 'unassigned', 'Unassigned tasks', null, unassigned));
+  }
+
+  return containerTree(null, 'goal', hta.goal || 'Goal', null, [], branchTrees);
+}
+
+/**
+ * Build a plain tree of the HTA with per-level progress, suitable for
+ * rendering or returning from a tool.
+ * @param {object} hta - a document already passed through linkHierarchy
+ */
+export function buildTree(hta) {
+  return assembleTree(hta);
+}
+
+/**
+ * Roll completion and progress up the tree: a task with children is complete
+ * exactly when all of them are, and every sub-branch, strategic branch and the
+ * document itself get a `progress` summary of their leaf tasks.
+ * @param {object} hta - mutated in place
+ * @returns {object} the same document
+ */
+export function rollUpProgress(hta) {
+  const now = new Date().toISOString();
+  const tree = assembleTree(hta, (treeNode, source) => {
+    if (!source) {return;}
+    if (treeNode.type === 'task') {
+      if (treeNode.children.length === 0) {return;}
+      if (treeNode.completed && !source.completed) {
+        source.completedAt = now;
+      } else if (!treeNode.completed) {
+        delete source.completedAt;
+      }
+      source.completed = treeNode.completed;
+      return;
+    }
+    source.completed = treeNode.completed;
+    source.progress = treeNode.progress;
+  });
+  hta.progress = tree.progress;
+  return hta;
+}
+
+/** Link and roll up in one pass; what every HTA write goes through. */
+export function normaliseHierarchy(hta) {
+  return rollUpProgress(linkHierarchy(hta));
+}
+
+function statusIcon(treeNode) {
+  if (treeNode.completed) {return '✅';}
+  return treeNode.progress.completed > 0 ? '🔄' : '⏳';
+}
+
+/**
+ * Render the tree as indented markdown with progress at each level. Long task
+ * lists are trimmed per level so large trees stay readable.
+ * @param {object} tree - result of buildTree
+ */
+export function renderTree(tree) {
+  const lines = [];
+  const progressLabel = p => `${p.percentage}% (${p.completed}/${p.total})`;
+
+  const renderNode = (treeNode, depth) => {
+    const indent = '  '.repeat(depth);
+    if (treeNode.type === 'task') {
+      const grouped = treeNode.children.length > 0 ? ` - ${progressLabel(treeNode.progress)}` : '';
+      lines.push(`${indent}${statusIcon(treeNode)} ${treeNode.title}${grouped}`);
+    } else {
+      lines.push(`${indent}${statusIcon(treeNode)} **${treeNode.title}** - ${progressLabel(treeNode.progress)}`);
+    }
+
+    const containers = treeNode.children.filter(c => c.type !== 'task');
+    const tasks = treeNode.children.filter(c => c.type === 'task');
+    for (const child of containers) {
+      renderNode(child, depth + 1);
+    }
+    for (const child of tasks.slice(0, PREVIEW_TASKS_PER_LEVEL)) {
+      renderNode(child, depth + 1);
+    }
+    if (tasks.length > PREVIEW_TASKS_PER_LEVEL) {
+      lines.push(`${'  '.repeat(depth + 1)}… and ${tasks.length - PREVIEW_TASKS_PER_LEVEL} more tasks`);
+    }
+  };
+
+  for (const child of tree.children) {
+    renderNode(child, 0);
+  }
+  return lines.join('\n');
+}
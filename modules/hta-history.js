@@ -0,0 +1,206 @@
+/**
+ * HTA History Module
+ * MCP tools for browsing, comparing and reverting the HTA revisions that
+ * DataPersistence records on every HTA save
+ */
+
+import { diffHTA, isEmptyDiff, summariseDiff } from './hta-revisions.js';
+import { DOCUMENT_TYPES, migrateDocument } from './schema-migrations.js';
+import { ValidationError } from './errors.js';
+
+export class HtaHistory {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  async resolveTarget(pathName) {
+    const projectId = await this.projectManagement.requireActiveProject();
+    const config = await this.projectManagement.loadExistingProject(projectId);
+    return { projectId, pathName: pathName || config.activePath || 'general' };
+  }
+
+  /** Accept 12, "12" or "r12". */
+  parseRevision(value, field = 'revision') {
+    const revision = typeof value === 'number' ? value : parseInt(String(value ?? '').replace(/^r/i, ''), 10);
+    if (!Number.isInteger(revision) || revision < 1) {
+      throw new ValidationError(field, value, 'a revision number such as 12 or "r12"');
+    }
+    return revision;
+  }
+
+  async loadRevisionTree(projectId, pathName, revision) {
+    const tree = await this.dataPersistence.loadHTARevision(projectId, pathName, revision);
+    if (!tree) {
+      throw new Error(`Revision r${revision} not found for "${pathName}". Use \`hta_history\` to list available revisions.`);
+    }
+    return migrateDocument(DOCUMENT_TYPES.HTA, tree).doc;
+  }
+
+  /**
+   * @param {string|null} pathName - defaults to the active path
+   * @param {number} limit
+   */
+  async htaHistory(pathName = null, limit = 20) {
+    try {
+      const target = await this.resolveTarget(pathName);
+      const history = await this.dataPersistence.loadHTAHistory(target.projectId, target.pathName);
+      const revisions = history.revisions.slice(-limit).reverse();
+
+      if (revisions.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `📜 No HTA revisions recorded for **${target.pathName}** yet. A revision is recorded every time the tree changes.`
+          }],
+          revisions: []
+        };
+      }
+
+      let text = `📜 **HTA History - ${target.pathName}** (newest first)\n\n`;
+      for (const entry of revisions) {
+        text += `• **r${entry.revision}** · ${new Date(entry.timestamp).toLocaleString()} · \`${entry.author}\` · ${summariseDiff(entry.changes)}\n`;
+        const titles = [
+          ...entry.changes.added.map(n => `+ ${n.title}`),
+          ...entry.changes.removed.map(n => `− ${n.title}`),
+          ...entry.changes.changed.map(n => `~ ${n.title} (${n.fields.join(', ')})`)
+        ];
+        for (const line of titles.slice(0, 3)) {
+          text += `   ${line}\n`;
+        }
+        if (titles.length > 3) {
+          text += `   … ${titles.length - 3} more\n`;
+        }
+      }
+      text += '\nUse `hta_diff` to compare two revisions, or `hta_revert` to go back to one.';
+
+      return {
+        content: [{ type: 'text', text }],
+        revisions
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('htaHistory', error, { pathName, limit });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error loading HTA history: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Compare two revisions. `toRevision` defaults to the latest one.
+   * @param {number|string} fromRevision
+   * @param {number|string|null} toRevision
+   * @param {string|null} pathName
+   */
+  async htaDiff(fromRevision, toRevision = null, pathName = null) {
+    try {
+      const target = await this.resolveTarget(pathName);
+      const from = this.parseRevision(fromRevision, 'rev_a');
+      let to;
+      if (toRevision === null || toRevision === undefined) {
+        const history = await this.dataPersistence.loadHTAHistory(target.projectId, target.pathName);
+        to = history.revisions[history.revisions.length - 1]?.revision ?? from;
+      } else {
+        to = this.parseRevision(toRevision, 'rev_b');
+      }
+
+      const before = await this.loadRevisionTree(target.projectId, target.pathName, from);
+      const after = await this.loadRevisionTree(target.projectId, target.pathName, to);
+      const diff = diffHTA(before, after);
+
+      return {
+        content: [{ type: 'text', text: this.formatDiff(`r${from} → r${to}`, target.pathName, diff) }],
+        diff
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('htaDiff', error, { fromRevision, toRevision, pathName });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error comparing HTA revisions: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Preview (default) or apply a revert to an earlier revision. The revert is
+   * saved as a new revision, so it can itself be undone.
+   * @param {number|string} revision
+   * @param {boolean} preview
+   * @param {string|null} pathName
+   */
+  async htaRevert(revision, preview = true, pathName = null) {
+    try {
+      const target = await this.resolveTarget(pathName);
+      const rev = this.parseRevision(revision);
+
+      return await this.dataPersistence.withProjectLock(target.projectId, async () => {
+        const current = await this.dataPersistence.loadPathHTA(target.projectId, target.pathName);
+        const restored = await this.loadRevisionTree(target.projectId, target.pathName, rev);
+        const diff = diffHTA(current, restored);
+
+        if (preview || isEmptyDiff(diff)) {
+          let text = this.formatDiff(`current → r${rev}`, target.pathName, diff);
+          if (!isEmptyDiff(diff)) {
+            text += '\nRun `hta_revert` again with `preview: false` to apply.';
+          }
+          return { content: [{ type: 'text', text }], diff, preview: true };
+        }
+
+        // Never hand out an id again, even one that only existed after `rev`
+        restored.nextNodeId = Math.max(restored.nextNodeId || 1, current?.nextNodeId || 1);
+        restored.lastUpdated = new Date().toISOString();
+        const recorded = await this.dataPersistence.savePathHTA(target.projectId, target.pathName, restored, { author: `hta_revert (r${rev})` });
+
+        let text = `⏪ **Reverted ${target.pathName} to r${rev}** (${summariseDiff(diff)})\n`;
+        if (recorded) {
+          text += `\nRecorded as r${recorded.revision}; revert to r${recorded.revision - 1} to undo.`;
+        } else {
+          text += '\n⚠️ No revision was recorded for this revert, so `hta_revert` cannot undo it.';
+        }
+        return { content: [{ type: 'text', text }], diff, revision: recorded };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('htaRevert', error, { revision, preview, pathName });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error reverting HTA: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  formatDiff(label, pathName, diff) {
+    const show = value => (Array.isArray(value) ? `[${value.join(', ')}]` : (value ?? '—'));
+
+    let text = `🔍 **HTA Diff - ${pathName}** (${label})\n\n`;
+    if (isEmptyDiff(diff)) {
+      return `${text}✅ No differences.`;
+    }
+
+    for (const branch of diff.branchesAdded) {
+      text += `➕ Branch **${branch.title}** (\`${branch.id}\`)\n`;
+    }
+    for (const branch of diff.branchesRemoved) {
+      text += `🗑️ Branch **${branch.title}** (\`${branch.id}\`)\n`;
+    }
+    for (const node of diff.added) {
+      text += `➕ ${node.title} (\`${node.id}\`)\n`;
+    }
+    for (const node of diff.removed) {
+      text += `🗑️ ${node.title} (\`${node.id}\`)\n`;
+    }
+    for (const node of diff.changed) {
+      text += `✏️ ${node.title} (\`${node.id}\`)\n`;
+      for (const change of node.fields) {
+        text += `   - ${change.field}: ${show(change.before)} → ${show(change.after)}\n`;
+      }
+    }
+    return text;
+  }
+}
@@ -0,0 +1,529 @@
+/**
+ * HTA Import Module
+ * Seed a learning path from an existing curriculum written as a Markdown
+ * outline, an OPML outline or a CSV sheet, without waiting on LLM generation
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ValidationError } from './errors.js';
+import { createNodeIdAllocator, seedNodeIdCounter } from './hta-node-ids.js';
+import { normaliseTasksForLevel, toFrontierNodes } from './hta-tree-builder.js';
+
+export const IMPORT_FORMATS = ['markdown', 'opml', 'csv'];
+const IMPORT_MODES = ['append', 'replace'];
+
+// ===== PARSING HELPERS =====
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '') || 'branch';
+}
+
+function decodeEntities(text) {
+  return String(text ?? '')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Minutes from 45, "45", "45m", "45 min", "1.5h" or "2 hours"; undefined if
+ * the value is not a duration.
+ */
+export function parseDurationMinutes(value) {
+  if (typeof value === 'number') {return Number.isFinite(value) && value > 0 ? value : undefined;}
+  const match = /^(\d+(?:\.\d+)?)\s*(m|mins?|minutes?|h|hrs?|hours?)?$/i.exec(String(value ?? '').trim());
+  if (!match) {return undefined;}
+  const amount = parseFloat(match[1]);
+  return Math.round(/^h/i.test(match[2] || '') ? amount * 60 : amount);
+}
+
+function splitList(value) {
+  return String(value ?? '').split(/[;|]/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Pull "(30 min, difficulty 2, after: Task A; Task B)" off the end of an
+ * outline line. The parenthetical is only consumed when every part of it is
+ * recognised, so ordinary titles with brackets stay intact.
+ */
+function extractInlineMeta(text) {
+  const match = /^(.*?)\s*[([]([^()[\]]+)[)\]]\s*$/.exec(text);
+  if (!match) {return { title: text.trim(), meta: {} };}
+
+  const meta = {};
+  for (const part of match[2].split(',').map(p => p.trim()).filter(Boolean)) {
+    const duration = parseDurationMinutes(part);
+    const difficulty = /^(?:difficulty|diff|level)\s*[:=]?\s*(\d+)$/i.exec(part);
+    const prerequisites = /^(?:after|requires|needs|prereq(?:uisites?)?)\s*[:=]?\s*(.+)$/i.exec(part);
+    if (duration !== undefined) {
+      meta.duration = duration;
+    } else if (difficulty) {
+      meta.difficulty = Number(difficulty[1]);
+    } else if (prerequisites) {
+      meta.prerequisites = splitList(prerequisites[1]);
+    } else {
+      return { title: text.trim(), meta: {} };
+    }
+  }
+  return { title: match[1].trim(), meta };
+}
+
+function createOutlineItem(text) {
+  let rest = String(text).trim();
+  let completed = false;
+  const checkbox = /^\[([ xX])\]\s*(.*)$/.exec(rest);
+  if (checkbox) {
+    completed = checkbox[1].toLowerCase() === 'x';
+    rest = checkbox[2];
+  }
+  const { title, meta } = extractInlineMeta(rest);
+  return { title, completed, ...meta, children: [] };
+}
+
+/**
+ * Parse Markdown headings and (nested, optionally checkbox) bullet lists into
+ * a generic outline. Plain lines become the description of the item above.
+ */
+export function parseMarkdownOutline(text) {
+  const root = { level: 0, children: [] };
+  const headings = [root];
+  let lists = [];
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/\t/g, '    ');
+    if (!line.trim()) {continue;}
+
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      while (headings.length > 1 && headings[headings.length - 1].level >= level) {headings.pop();}
+      const item = { ...createOutlineItem(heading[2]), level };
+      headings[headings.length - 1].children.push(item);
+      headings.push(item);
+      lists = [];
+      continue;
+    }
+
+    const bullet = /^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    if (bullet) {
+      const indent = bullet[1].length;
+      while (lists.length > 0 && lists[lists.length - 1].indent >= indent) {lists.pop();}
+      const parent = lists.length > 0 ? lists[lists.length - 1].item : headings[headings.length - 1];
+      const item = createOutlineItem(bullet[2]);
+      parent.children.push(item);
+      lists.push({ indent, item });
+      continue;
+    }
+
+    const owner = lists.length > 0 ? lists[lists.length - 1].item : headings[headings.length - 1];
+    if (owner !== root) {
+      owner.description = owner.description ? `${owner.description} ${line.trim()}` : line.trim();
+    }
+  }
+
+  return { goal: null, items: root.children };
+}
+
+/**
+ * Parse OPML `<outline>` elements into a generic outline. Supports the
+ * common `text`/`title`, `_note` and `_status="checked"` attributes plus
+ * optional `duration`, `difficulty` and `prerequisites` attributes.
+ */
+export function parseOpml(text) {
+  const source = String(text);
+  const title = /<title>([\s\S]*?)<\/title>/i.exec(source);
+  const body = /<body[^>]*>([\s\S]*)<\/body>/i.exec(source)?.[1] ?? source;
+
+  const root = { children: [] };
+  const stack = [root];
+  const tagPattern = /<(\/?)outline\b([^>]*?)(\/?)>/gi;
+  let match;
+  while ((match = tagPattern.exec(body)) !== null) {
+    if (match[1]) {
+      if (stack.length > 1) {stack.pop();}
+      continue;
+    }
+
+    const attrs = {};
+    const attrPattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let attr;
+    while ((attr = attrPattern.exec(match[2])) !== null) {
+      attrs[attr[1]] = decodeEntities(attr[2] ?? attr[3]);
+    }
+
+    const item = createOutlineItem(attrs.text ?? attrs.title ?? '');
+    if (attrs._note) {item.description = attrs._note;}
+    if (attrs.duration !== undefined) {item.duration = parseDurationMinutes(attrs.duration) ?? item.duration;}
+    if (attrs.difficulty !== undefined && Number.isFinite(Number(attrs.difficulty))) {item.difficulty = Number(attrs.difficulty);}
+    if (attrs.prerequisites) {item.prerequisites = splitList(attrs.prerequisites);}
+    if (attrs._status === 'checked' || attrs.completed === 'true') {item.completed = true;}
+
+    stack[stack.length - 1].children.push(item);
+    if (!match[3]) {stack.push(item);}
+  }
+
+  return { goal: title ? decodeEntities(title[1]).trim() || null : null, items: root.children };
+}
+
+/** RFC 4180 rows: quoted fields, doubled quotes and embedded newlines. */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = String(text).replace(/^﻿/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {i++;}
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Parse a CSV with a header row. Columns: title (required), branch,
+ * sub_branch, description, duration, difficulty, prerequisites (separated by
+ * ";" or "|") and completed.
+ */
+export function parseCsvRoadmap(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  const columns = (header || []).map(h => h.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  if (!columns.includes('title')) {
+    throw new ValidationError('csv', columns.join(','), 'a header row with at least a "title" column');
+  }
+
+  const branches = [];
+  const branchFor = (title) => {
+    let branch = branches.find(b => b.title.toLowerCase() === title.toLowerCase());
+    if (!branch) {
+      branch = { title, subBranches: [], tasks: [] };
+      branches.push(branch);
+    }
+    return branch;
+  };
+
+  for (const cells of rows) {
+    const record = Object.fromEntries(columns.map((column, i) => [column, (cells[i] ?? '').trim()]));
+    if (!record.title) {continue;}
+
+    const branch = branchFor(record.branch || 'General');
+    const task = {
+      title: record.title,
+      description: record.description || '',
+      duration: parseDurationMinutes(record.duration),
+      difficulty: record.difficulty && Number.isFinite(Number(record.difficulty)) ? Number(record.difficulty) : undefined,
+      prerequisites: splitList(record.prerequisites),
+      completed: /^(true|yes|y|x|1|done)$/i.test(record.completed || '')
+    };
+
+    if (record.sub_branch) {
+      let sub = branch.subBranches.find(s => s.title.toLowerCase() === record.sub_branch.toLowerCase());
+      if (!sub) {
+        sub = { title: record.sub_branch, tasks: [] };
+        branch.subBranches.push(sub);
+      }
+      sub.tasks.push(task);
+    } else {
+      branch.tasks.push(task);
+    }
+  }
+
+  return { goal: null, branches };
+}
+
+function outlineTask(item, groupLabel = null) {
+  return {
+    title: item.title,
+    description: item.description || (groupLabel ? `Part of ${groupLabel}` : ''),
+    duration: item.duration,
+    difficulty: item.difficulty,
+    prerequisites: item.prerequisites || [],
+    completed: !!item.completed
+  };
+}
+
+/** Leaf items below `items`, labelled with the nearest grouping item. */
+function collectLeafTasks(items, groupLabel = null) {
+  const tasks = [];
+  for (const item of items) {
+    if (item.children.length === 0) {
+      tasks.push(outlineTask(item, groupLabel));
+    } else {
+      tasks.push(...collectLeafTasks(item.children, item.title));
+    }
+  }
+  return tasks;
+}
+
+/**
+ * Checking off a parent item checks off everything under it. Only leaves
+ * become tasks, so the flag is pushed down to them.
+ */
+function markCheckedSubtrees(items, checked = false) {
+  return items.map(item => {
+    const completed = checked || !!item.completed;
+    return { ...item, completed, children: markCheckedSubtrees(item.children, completed) };
+  });
+}
+
+/**
+ * Interpret a generic outline as a roadmap: top-level items are strategic
+ * branches, their parent items sub-branches and every leaf below a task. A
+ * single top-level item that contains branches is taken as the goal, and a
+ * flat list becomes one "General" branch. A checked item with children
+ * marks every task below it as completed.
+ */
+export function outlineToRoadmap({ goal, items }) {
+  let topLevel = markCheckedSubtrees(items);
+  let detectedGoal = goal;
+  if (topLevel.length === 1 && topLevel[0].children.some(child => child.children.length > 0)) {
+    detectedGoal = detectedGoal || topLevel[0].title;
+    topLevel = topLevel[0].children;
+  }
+
+  if (topLevel.every(item => item.children.length === 0)) {
+    return {
+      goal: detectedGoal,
+      branches: topLevel.length > 0 ? [{ title: 'General', subBranches: [], tasks: topLevel.map(item => outlineTask(item)) }] : []
+    };
+  }
+
+  const branches = topLevel.map(item => ({
+    title: item.title,
+    description: item.description,
+    subBranches: item.children
+      .filter(child => child.children.length > 0)
+      .map(child => ({ title: child.title, description: child.description, tasks: collectLeafTasks(child.children) })),
+    tasks: item.children.filter(child => child.children.length === 0).map(child => outlineTask(child))
+  }));
+  return { goal: detectedGoal, branches };
+}
+
+export class HtaImport {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  resolveSourcePath(filePath) {
+    return path.isAbsolute(filePath) ? filePath : path.join(this.dataPersistence.dataDir, filePath);
+  }
+
+  detectFormat(format, filePath, content) {
+    if (format) {
+      if (!IMPORT_FORMATS.includes(format)) {
+        throw new ValidationError('format', format, `one of ${IMPORT_FORMATS.join(', ')}`);
+      }
+      return format;
+    }
+    const extension = filePath ? path.extname(filePath).toLowerCase() : '';
+    if (['.md', '.markdown', '.txt'].includes(extension)) {return 'markdown';}
+    if (['.opml', '.xml'].includes(extension)) {return 'opml';}
+    if (extension === '.csv') {return 'csv';}
+    if (/<opml[\s>]/i.test(content)) {return 'opml';}
+    if (/^\s*"?title"?\s*,/i.test(content)) {return 'csv';}
+    return 'markdown';
+  }
+
+  parseRoadmap(format, content) {
+    if (format === 'csv') {return parseCsvRoadmap(content);}
+    if (format === 'opml') {return outlineToRoadmap(parseOpml(content));}
+    return outlineToRoadmap(parseMarkdownOutline(content));
+  }
+
+  /**
+   * Merge a parsed roadmap into an HTA document. Branches and sub-branches
+   * are matched by title; tasks whose title already exists are skipped.
+   * @returns {{ branchesAdded: number, subBranchesAdded: number, nodes: object[], skipped: string[], adjusted: number }}
+   */
+  applyRoadmap(htaData, roadmap, knowledgeLevel) {
+    const nextId = createNodeIdAllocator(htaData);
+    const existingTitles = new Set(htaData.frontierNodes.map(n => String(n.title).toLowerCase()));
+    const branchIds = new Set(htaData.strategicBranches.map(b => b.id));
+    const uniqueId = (base, taken) => {
+      let id = base;
+      for (let n = 2; taken.has(id); n++) {id = `${base}_${n}`;}
+      taken.add(id);
+      return id;
+    };
+
+    const result = { branchesAdded: 0, subBranchesAdded: 0, nodes: [], skipped: [], adjusted: 0 };
+    for (const incoming of roadmap.branches) {
+      let branch = htaData.strategicBranches.find(b => b.title?.toLowerCase() === incoming.title.toLowerCase());
+      if (!branch) {
+        branch = {
+          id: uniqueId(slugify(incoming.title), branchIds),
+          title: incoming.title,
+          priority: 'high',
+          completed: false,
+          description: incoming.description || `Roadmap for ${incoming.title}`,
+          subBranches: []
+        };
+        htaData.strategicBranches.push(branch);
+        result.branchesAdded++;
+      }
+      branch.subBranches = branch.subBranches || [];
+
+      const subIds = new Set(htaData.strategicBranches.flatMap(b => (b.subBranches || []).map(s => s.id)));
+      const tasks = incoming.tasks.map(task => ({ ...task }));
+      for (const incomingSub of incoming.subBranches) {
+        let sub = branch.subBranches.find(s => s.title?.toLowerCase() === incomingSub.title.toLowerCase());
+        if (!sub) {
+          sub = {
+            id: uniqueId(`${branch.id}_sub_${branch.subBranches.length + 1}`, subIds),
+            title: incomingSub.title,
+            description: incomingSub.description || `Sub-domain of ${branch.title}: ${incomingSub.title}`
+          };
+          branch.subBranches.push(sub);
+          result.subBranchesAdded++;
+        }
+        tasks.push(...incomingSub.tasks.map(task => ({ ...task, sub_branch: sub.id })));
+      }
+
+      const fresh = tasks.filter(task => {
+        const key = task.title.toLowerCase();
+        if (existingTitles.has(key)) {
+          result.skipped.push(task.title);
+          return false;
+        }
+        existingTitles.add(key);
+        return true;
+      });
+
+      const before = fresh.map(task => `${task.difficulty}|${task.duration}`);
+      normaliseTasksForLevel(fresh, knowledgeLevel);
+      result.adjusted += fresh.filter((task, i) => before[i] !== `${task.difficulty}|${task.duration}`).length;
+
+      const completedAt = new Date().toISOString();
+      const nodes = toFrontierNodes(fresh, branch, nextId).map((node, i) => (
+        fresh[i].completed ? { ...node, completed: true, completedAt } : node
+      ));
+      htaData.frontierNodes.push(...nodes);
+      result.nodes.push(...nodes);
+    }
+    return result;
+  }
+
+  /**
+   * @param {{ content?: string, filePath?: string, format?: string, pathName?: string|null, mode?: string }} options
+   */
+  async importHTA({ content = null, filePath = null, format = null, pathName = null, mode = 'append' } = {}) {
+    try {
+      if (!IMPORT_MODES.includes(mode)) {
+        throw new ValidationError('mode', mode, `one of ${IMPORT_MODES.join(', ')}`);
+      }
+      if (!content && !filePath) {
+        throw new Error('Provide the roadmap as `content` or point `file_path` at a .md, .opml or .csv file');
+      }
+
+      const source = content ?? await fs.readFile(this.resolveSourcePath(filePath), 'utf8');
+      const detected = this.detectFormat(format, filePath, source);
+      const roadmap = this.parseRoadmap(detected, source);
+      if (roadmap.branches.length === 0) {
+        throw new Error(`No branches or tasks found in the ${detected} roadmap`);
+      }
+
+      const projectId = await this.projectManagement.requireActiveProject();
+      return await this.dataPersistence.withProjectLock(projectId, async () => {
+        const config = await this.projectManagement.loadExistingProject(projectId);
+        const targetPath = pathName || config.activePath || 'general';
+        const pathExists = targetPath === 'general' || config.learning_paths?.some(p => p.path_name === targetPath);
+        if (!pathExists) {
+          throw new Error(`Learning path "${targetPath}" not found in project configuration`);
+        }
+
+        const existing = await this.dataPersistence.loadPathHTA(projectId, targetPath);
+        const knowledgeLevel = config.knowledge_level || 1;
+        const now = new Date().toISOString();
+        const htaData = existing && mode === 'append'
+          ? structuredClone(existing)
+          : {
+            pathName: targetPath,
+            goal: roadmap.goal || config.goal,
+            strategicBranches: [],
+            frontierNodes: [],
+            learningStyle: existing?.learningStyle || 'mixed',
+            focusAreas: [],
+            knowledgeLevel,
+            // Ids keep counting from any tree being replaced
+            nextNodeId: existing ? seedNodeIdCounter(structuredClone(existing)) : 1,
+            created: now
+          };
+        htaData.frontierNodes = htaData.frontierNodes || [];
+        htaData.strategicBranches = htaData.strategicBranches || [];
+
+        const result = this.applyRoadmap(htaData, roadmap, knowledgeLevel);
+        htaData.lastUpdated = now;
+
+        if (existing) {
+          await this.dataPersistence.snapshotBeforeChange(projectId, `import_hta (${targetPath})`);
+        }
+        await this.dataPersistence.savePathHTA(projectId, targetPath, htaData, { author: 'import_hta' });
+
+        let text = `📥 **Roadmap imported** into ${targetPath} (${detected}, ${mode})\n\n`;
+        text += `**Branches added**: ${result.branchesAdded}\n`;
+        text += `**Sub-branches added**: ${result.subBranchesAdded}\n`;
+        text += `**Tasks imported**: ${result.nodes.length}`;
+        const completed = result.nodes.filter(n => n.completed).length;
+        text += completed > 0 ? ` (${completed} already completed)\n` : '\n';
+        if (result.skipped.length > 0) {
+          text += `**Skipped** (title already in tree): ${result.skipped.length}\n`;
+        }
+        if (result.adjusted > 0) {
+          text += `\n🎚️ ${result.adjusted} task(s) had difficulty or duration adjusted for knowledge level ${knowledgeLevel}/10.\n`;
+        }
+        const dangling = htaData.danglingPrerequisites || [];
+        if (dangling.length > 0) {
+          text += `\n⚠️ ${dangling.length} prerequisite(s) match no task: ${dangling.map(d => `"${d.prerequisite}"`).join(', ')}\n`;
+        }
+        text += '\nUse `get_hta_status` to review the tree.';
+
+        return {
+          content: [{ type: 'text', text }],
+          imported_nodes: result.nodes,
+          skipped: result.skipped,
+          dangling_prerequisites: dangling
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('importHTA', error, { filePath, format, pathName, mode });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error importing roadmap: ${error.message}`
+        }]
+      };
+    }
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * HTA Node Id Allocation
+ * Every generator takes node ids from one monotonic counter stored on the HTA
+ * document (`nextNodeId`), so an id is never handed out twice even after
+ * nodes are completed, removed or the tree is rebuilt. Generators keep their
+ * descriptive prefixes (node_, followup_, repair_explore_, ...); only the
+ * number is shared.
+ */
+
+function numericSuffix(id) {
+  const match = /_(\d+)$/.exec(String(id));
+  return match ? Number(match[1]) : 0;
+}
+
+function prefixOf(id) {
+  return String(id).replace(/_\d+$/, '') || 'node';
+}
+
+/**
+ * Make sure `hta.nextNodeId` is above every numeric suffix already in use,
+ * so documents written before the counter existed continue safely.
+ * @param {object} hta - mutated in place
+ * @returns {number} the next number that will be handed out
+ */
+export function seedNodeIdCounter(hta) {
+  const highest = (hta.frontierNodes || []).reduce((max, n) => Math.max(max, numericSuffix(n.id)), 0);
+  if (!Number.isInteger(hta.nextNodeId) || hta.nextNodeId <= highest) {
+    hta.nextNodeId = highest + 1;
+  }
+  return hta.nextNodeId;
+}
+
+/**
+ * Hand out the next node id and advance the counter on the document.
+ * @param {object} hta - the document the new node will be saved into
+ * @param {string} [prefix]
+ */
+export function allocateNodeId(hta, prefix = 'node') {
+  seedNodeIdCounter(hta);
+  const taken = new Set((hta.frontierNodes || []).map(n => n.id));
+  let id;
+  do {
+    id = `${prefix}_${hta.nextNodeId++}`;
+  } while (taken.has(id));
+  return id;
+}
+
+/**
+ * Bind the allocator to a document for generators that create several
+ * nodes: `const nextId = createNodeIdAllocator(hta); nextId('followup')`.
+ */
+export function createNodeIdAllocator(hta) {
+  return (prefix = 'node') => allocateNodeId(hta, prefix);
+}
+
+/**
+ * One-time repair for trees built before the allocator: every node whose id
+ * repeats an earlier node's gets a fresh id. References to a duplicated id
+ * (prerequisites, parentId, schedule blocks) stay with the first node.
+ * @param {object} hta - mutated in place
+ * @returns {Array<{ from: string, to: string, title: string }>}
+ */
+export function dedupeNodeIds(hta) {
+  const seen = new Set();
+  const renamed = [];
+  for (const node of hta.frontierNodes || []) {
+    if (node.id && !seen.has(node.id)) {
+      seen.add(node.id);
+      continue;
+    }
+    const from = node.id;
+    node.id = allocateNodeId(hta, from ? prefixOf(from) : 'node');
+    seen.add(node.id);
+    renamed.push({ from, to: node.id, title: node.title });
+  }
+  return renamed;
+}
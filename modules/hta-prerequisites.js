@@ -0,0 +1,162 @@
+/**
+ * HTA Prerequisite Helpers
+ * Prerequisites are stored as node ids. LLM- and user-supplied tasks often
+ * name prerequisites by title, so every HTA write resolves titles to ids,
+ * rejects prerequisite cycles and reports references that match no node.
+ * Because stored trees only hold ids, every readiness check compares ids.
+ */
+
+/** Ids of completed nodes, for prerequisitesMet(). */
+export function getCompletedIds(nodes) {
+  return new Set((nodes || []).filter(n => n.completed).map(n => n.id));
+}
+
+/**
+ * True when every prerequisite of the node is a completed node id.
+ * @param {object} node
+ * @param {Set<string>} completedIds
+ */
+export function prerequisitesMet(node, completedIds) {
+  return (node.prerequisites || []).every(prereq => completedIds.has(prereq));
+}
+
+/**
+ * Rewrite title prerequisites to node ids (exact title first, then
+ * case-insensitive) and drop duplicates. References that match nothing are
+ * kept so the task stays blocked, and are reported as dangling.
+ * @param {object} hta - mutated in place
+ * @returns {{ resolved: number, dangling: Array<{ nodeId: string, title: string, prerequisite: string }> }}
+ */
+export function resolvePrerequisites(hta) {
+  const nodes = hta.frontierNodes || [];
+  const ids = new Set(nodes.map(n => n.id));
+  const byTitle = new Map();
+  const byLowerTitle = new Map();
+  for (const node of nodes) {
+    if (typeof node.title !== 'string') {continue;}
+    if (!byTitle.has(node.title)) {byTitle.set(node.title, node.id);}
+    const lower = node.title.trim().toLowerCase();
+    if (!byLowerTitle.has(lower)) {byLowerTitle.set(lower, node.id);}
+  }
+
+  let resolved = 0;
+  const dangling = [];
+  for (const node of nodes) {
+    const prerequisites = Array.isArray(node.prerequisites) ? node.prerequisites : [];
+    const next = [];
+    for (const prereq of prerequisites) {
+      let id = prereq;
+      if (!ids.has(prereq)) {
+        id = byTitle.get(prereq) ?? byLowerTitle.get(String(prereq).trim().toLowerCase());
+        if (id === undefined) {
+          id = prereq;
+          dangling.push({ nodeId: node.id, title: node.title, prerequisite: prereq });
+        } else {
+          resolved++;
+        }
+      }
+      if (!next.includes(id)) {next.push(id);}
+    }
+    node.prerequisites = next;
+  }
+
+  return { resolved, dangling };
+}
+
+/**
+ * Depth-first search for a prerequisite cycle reachable from `node`.
+ * Returns the ids on the cycle (first id requires the second, and so on,
+ * with the last requiring the first), or [] when there is none.
+ */
+export function findCycle(node, nodesById, visited, path) {
+  if (path.includes(node.id)) {
+    return path.slice(path.indexOf(node.id));
+  }
+
+  if (visited.has(node.id)) {
+    return [];
+  }
+
+  visited.add(node.id);
+  path.push(node.id);
+
+  for (const prereqId of node.prerequisites || []) {
+    const prereqNode = nodesById.get(prereqId);
+    if (prereqNode) {
+      const cycle = findCycle(prereqNode, nodesById, visited, [...path]);
+      if (cycle.length > 0) {
+        return cycle;
+      }
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Every distinct prerequisite cycle among the nodes, each reported once.
+ * @param {object[]} nodes
+ * @returns {string[][]}
+ */
+export function detectCycles(nodes) {
+  const nodesById = new Map((nodes || []).map(n => [n.id, n]));
+  const seen = new Set();
+  const cycles = [];
+
+  for (const node of nodes || []) {
+    const cycle = findCycle(node, nodesById, new Set(), []);
+    if (cycle.length === 0) {continue;}
+
+    // Rotate to the smallest id so the same loop found from different
+    // starting nodes is only reported once
+    const start = cycle.indexOf([...cycle].sort()[0]);
+    const canonical = [...cycle.slice(start), ...cycle.slice(0, start)];
+    const key = canonical.join('\u0000');
+    if (!seen.has(key)) {
+      seen.add(key);
+      cycles.push(canonical);
+    }
+  }
+
+  return cycles;
+}
+
+/**
+ * Remove the edge that closes each cycle until the graph is acyclic. Only
+ * for repairing stored trees; new writes with cycles are rejected instead.
+ * @param {object} hta - mutated in place
+ * @returns {Array<{ nodeId: string, prerequisite: string }>} removed edges
+ */
+export function breakCycles(hta) {
+  const nodes = hta.frontierNodes || [];
+  const nodesById = new Map(nodes.map(n => [n.id, n]));
+  const removed = [];
+
+  let cycles = detectCycles(nodes);
+  while (cycles.length > 0) {
+    const cycle = cycles[0];
+    const nodeId = cycle[cycle.length - 1];
+    const node = nodesById.get(nodeId);
+    node.prerequisites = (node.prerequisites || []).filter(prereq => prereq !== cycle[0]);
+    removed.push({ nodeId, prerequisite: cycle[0] });
+    cycles = detectCycles(nodes);
+  }
+
+  return removed;
+}
+
+/** "a → b → a" */
+export function formatCycle(cycle) {
+  return [...cycle, cycle[0]].join(' → ');
+}
+
+/**
+ * Resolve prerequisites and check the graph in one pass; what every HTA
+ * write runs before it is saved.
+ * @param {object} hta - prerequisites are rewritten in place
+ */
+export function validatePrerequisites(hta) {
+  const { resolved, dangling } = resolvePrerequisites(hta);
+  const cycles = detectCycles(hta.frontierNodes || []);
+  return { resolved, dangling, cycles };
+}
@@ -0,0 +1,146 @@
+/**
+ * HTA Revision Diffs
+ * Pure comparison of two HTA trees, used when DataPersistence records a
+ * revision on every HTA save and by the hta_diff / hta_revert tools.
+ */
+
+const TRACKED_NODE_FIELDS = [
+  'title', 'description', 'branch', 'parentId', 'difficulty',
+  'duration', 'priority', 'prerequisites', 'completed'
+];
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Nodes and branches added, removed or changed between two trees. Either
+ * side may be null (no tree yet).
+ * @returns {{ added: Array<{id: string, title: string}>, removed: Array<{id: string, title: string}>,
+ *   changed: Array<{id: string, title: string, fields: Array<{field: string, before: any, after: any}>}>,
+ *   branchesAdded: Array<{id: string, title: string}>, branchesRemoved: Array<{id: string, title: string}> }}
+ */
+export function diffHTA(before, after) {
+  const beforeNodes = new Map((before?.frontierNodes || []).map(n => [n.id, n]));
+  const afterNodes = new Map((after?.frontierNodes || []).map(n => [n.id, n]));
+  const brief = n => ({ id: n.id, title: n.title });
+
+  const added = [...afterNodes.values()].filter(n => !beforeNodes.has(n.id)).map(brief);
+  const removed = [...beforeNodes.values()].filter(n => !afterNodes.has(n.id)).map(brief);
+  const changed = [];
+  for (const [id, node] of afterNodes) {
+    const previous = beforeNodes.get(id);
+    if (!previous) {continue;}
+    const fields = TRACKED_NODE_FIELDS
+      .filter(field => !same(previous[field], node[field]))
+      .map(field => ({ field, before: previous[field], after: node[field] }));
+    if (fields.length > 0) {
+      changed.push({ id, title: node.title, fields });
+    }
+  }
+
+  const beforeBranches = new Map((before?.strategicBranches || []).map(b => [b.id, b]));
+  const afterBranches = new Map((after?.strategicBranches || []).map(b => [b.id, b]));
+  const branchesAdded = [...afterBranches.values()].filter(b => !beforeBranches.has(b.id)).map(brief);
+  const branchesRemoved = [...beforeBranches.values()].filter(b => !afterBranches.has(b.id)).map(brief);
+
+  return { added, removed, changed, branchesAdded, branchesRemoved };
+}
+
+export function isEmptyDiff(diff) {
+  return diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0 &&
+    diff.branchesAdded.length === 0 && diff.branchesRemoved.length === 0;
+}
+
+/**
+ * The compact form kept in the revision index: ids and titles, and only the
+ * names of changed fields.
+ */
+export function compactDiff(diff) {
+  return {
+    ...diff,
+    changed: diff.changed.map(change => ({ ...change, fields: change.fields.map(f => f.field) }))
+  };
+}
+
+/** "+2 −1 ~3" style counts. */
+export function summariseDiff(diff) {
+  return `+${diff.added.length} −${diff.removed.length} ~${diff.changed.length}`;
+}
+
+// ===== REVISION PATCHES =====
+// Revisions between checkpoints are stored as patches against the revision
+// before them. Nodes and branches are patched by id, so a completion costs
+// one node (plus the branches whose progress rolled up) instead of the tree.
+
+const PATCHED_COLLECTIONS = ['frontierNodes', 'strategicBranches'];
+
+const sameJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function hasUniqueIds(items) {
+  const ids = items.map(item => item?.id);
+  return ids.every(id => id !== undefined && id !== null) && new Set(ids).size === ids.length;
+}
+
+function patchCollection(before, after) {
+  const previous = new Map(before.map(item => [item.id, item]));
+  const afterIds = after.map(item => item.id);
+  const kept = new Set(afterIds);
+
+  const remove = before.filter(item => !kept.has(item.id)).map(item => item.id);
+  const upsert = after.filter(item => !sameJSON(previous.get(item.id), item));
+  // Untouched order is survivors in their old order, then new items
+  const implied = [
+    ...before.filter(item => kept.has(item.id)).map(item => item.id),
+    ...afterIds.filter(id => !previous.has(id))
+  ];
+  return sameJSON(implied, afterIds) ? { upsert, remove } : { upsert, remove, order: afterIds };
+}
+
+function applyCollectionPatch(before, patch) {
+  const items = new Map(before.map(item => [item.id, item]));
+  for (const id of patch.remove) {
+    items.delete(id);
+  }
+  for (const item of patch.upsert) {
+    items.set(item.id, item);
+  }
+  return patch.order ? patch.order.map(id => items.get(id)) : [...items.values()];
+}
+
+/**
+ * Patch that turns `before` into `after`: whole nodes and branches that were
+ * added or changed, ids of removed ones, their order when it moved, and any
+ * other top-level field that changed. Null when either tree has a node or
+ * branch without a unique id, since patches are keyed by id; such a revision
+ * is stored in full.
+ */
+export function createTreePatch(before, after) {
+  const patch = { collections: {}, set: {}, unset: [] };
+
+  for (const key of PATCHED_COLLECTIONS) {
+    const from = before[key] ?? [];
+    const to = after[key];
+    if (!Array.isArray(to) || !Array.isArray(from)) {continue;}
+    if (!hasUniqueIds(from) || !hasUniqueIds(to)) {return null;}
+    patch.collections[key] = patchCollection(from, to);
+  }
+  for (const [key, value] of Object.entries(after)) {
+    if (!(key in patch.collections) && !(key in before && sameJSON(before[key], value))) {
+      patch.set[key] = value;
+    }
+  }
+  patch.unset = Object.keys(before).filter(key => !(key in after));
+  return patch;
+}
+
+/** Rebuild the tree a patch was made for from the tree it was made against. */
+export function applyTreePatch(before, patch) {
+  const tree = structuredClone(before);
+  for (const key of patch.unset) {
+    delete tree[key];
+  }
+  Object.assign(tree, structuredClone(patch.set));
+  for (const [key, collectionPatch] of Object.entries(patch.collections)) {
+    tree[key] = applyCollectionPatch(tree[key] ?? [], structuredClone(collectionPatch));
+  }
+  return tree;
+}
@@ -3,6 +3,9 @@
  * Handles HTA tree status reporting and metadata
  */
 
+import { buildTree, linkHierarchy, renderTree } from './hta-hierarchy.js';
+import { getCompletedIds, prerequisitesMet } from './hta-prerequisites.js';
+
 export class HtaStatus {
   constructor(dataPersistence, projectManagement) {
     this.dataPersistence = dataPersistence;
@@ -30,7 +33,8 @@ export class HtaStatus {
         };
       }
 
-      const statusReport = this.generateStatusReport(htaData, activePath);
+      const tree = this.getTree(htaData);
+      const statusReport = this.generateStatusReport(htaData, activePath, tree);
       
       return {
         content: [{
@@ -41,7 +45,8 @@ export class HtaStatus {
           path: activePath,
           strategic_branches: htaData.strategicBranches || [],
           frontier_nodes: htaData.frontierNodes || [],
-          progress: this.calculateProgress(htaData),
+          progress: tree.progress,
+          tree,
           last_updated: htaData.lastUpdated
         }
       };
@@ -57,33 +62,42 @@ export class HtaStatus {
   }
 
   async loadPathHTA(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'hta.json');
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'hta.json');
-    }
+    return await this.dataPersistence.loadPathHTA(projectId, pathName);
   }
 
-  generateStatusReport(htaData, pathName) {
+  /**
+   * Tree view with per-level progress. Works on a copy so documents that
+   * predate parent ids can still be reported on without being modified.
+   */
+  getTree(htaData) {
+    return buildTree(linkHierarchy(structuredClone(htaData)));
+  }
+
+  generateStatusReport(htaData, pathName, tree = this.getTree(htaData)) {
     const branches = htaData.strategicBranches || [];
     const nodes = htaData.frontierNodes || [];
-    const progress = this.calculateProgress(htaData);
+    const progress = tree.progress;
     
     let report = `🌳 **HTA Tree Status - ${pathName} Path**\n\n`;
     report += `**Goal**: ${htaData.goal || 'Not specified'}\n`;
     report += `**Progress**: ${progress.percentage}% (${progress.completed}/${progress.total} tasks)\n`;
     report += `**Learning Style**: ${htaData.learningStyle || 'mixed'}\n\n`;
     
-    // Strategic Branches Status
+    // Hierarchy: branches → sub-branches → tasks with rolled-up progress
     report += `📊 **Strategic Branches** (${branches.length}):\n`;
-    for (const branch of branches) {
-      const branchNodes = nodes.filter(n => n.branch === branch.id);
-      const completedBranchNodes = branchNodes.filter(n => n.completed);
-      const branchProgress = branchNodes.length > 0 ? 
-        Math.round((completedBranchNodes.length / branchNodes.length) * 100) : 0;
-      
-      const status = branch.completed ? '✅' : (branchProgress > 0 ? '🔄' : '⏳');
-      report += `${status} **${branch.title}** - ${branchProgress}% (${completedBranchNodes.length}/${branchNodes.length})\n`;
+    if (tree.children.length === 0) {
+      report += '• No branches yet\n';
+    } else {
+      report += `${renderTree(tree)}\n`;
+    }
+    
+    const dangling = htaData.danglingPrerequisites || [];
+    if (dangling.length > 0) {
+      report += `\n⚠️ **Unresolved Prerequisites** (${dangling.length}):\n`;
+      for (const ref of dangling.slice(0, 5)) {
+        report += `• **${ref.title || ref.nodeId}** needs "${ref.prerequisite}", which matches no task\n`;
+      }
+      report += '• Use `repair_sequence` to drop them, or add the missing tasks\n';
     }
     
     // Ready Tasks
@@ -95,7 +109,8 @@ export class HtaStatus {
     } else {
       for (const node of readyNodes.slice(0, 5)) { // Show top 5
         const difficultyStars = '⭐'.repeat(node.difficulty || 1);
-        report += `• **${node.title}** ${difficultyStars} (${node.duration || '30 min'})\n`;
+        const heuristicTag = node.heuristic ? ' 🧭' : '';
+        report += `• **${node.title}**${heuristicTag} ${difficultyStars} (${node.duration || '30 min'})\n`;
       }
       
       if (readyNodes.length > 5) {
@@ -103,6 +118,11 @@ export class HtaStatus {
       }
     }
     
+    const heuristicCount = nodes.filter(n => n.heuristic && !n.completed).length;
+    if (heuristicCount > 0) {
+      report += `\n🧭 ${heuristicCount} open task(s) are heuristic starter tasks generated offline; they are replaced when real tasks are generated for their branch.\n`;
+    }
+    
     // Next Actions
     report += `\n🚀 **Next Actions**:\n`;
     if (readyNodes.length > 0) {
@@ -116,47 +136,31 @@ export class HtaStatus {
     return report;
   }
 
+  /** Goal-level progress counted over leaf tasks. */
   calculateProgress(htaData) {
-    const nodes = htaData.frontierNodes || [];
-    const completed = nodes.filter(n => n.completed).length;
-    const total = nodes.length;
-    const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
-    
-    return {
-      completed,
-      total,
-      percentage
-    };
+    return this.getTree(htaData).progress;
   }
 
   getReadyNodes(nodes) {
-    const completedNodeIds = nodes.filter(n => n.completed).map(n => n.id);
-    
-    return nodes.filter(node => {
-      if (node.completed) {return false;}
-      
-      // Check if all prerequisites are met
-      if (node.prerequisites && node.prerequisites.length > 0) {
-        return node.prerequisites.every(prereq => 
-          completedNodeIds.includes(prereq) || 
-          nodes.some(n => n.title === prereq && n.completed)
-        );
-      }
-      
-      return true; // No prerequisites, so it's ready
-    });
+    const completedNodeIds = getCompletedIds(nodes);
+    return nodes.filter(node => !node.completed && prerequisitesMet(node, completedNodeIds));
   }
 
-  getBranchProgress(branchId, nodes) {
-    const branchNodes = nodes.filter(n => n.branch === branchId);
-    const completedNodes = branchNodes.filter(n => n.completed);
-    
-    return {
-      total: branchNodes.length,
-      completed: completedNodes.length,
-      percentage: branchNodes.length > 0 ? 
-        Math.round((completedNodes.length / branchNodes.length) * 100) : 0
+  /**
+   * Rolled-up progress for a strategic branch or sub-branch, including every
+   * task beneath it.
+   */
+  getBranchProgress(htaData, branchId) {
+    const find = (treeNode) => {
+      if (treeNode.type !== 'task' && treeNode.id === branchId) {return treeNode;}
+      for (const child of treeNode.children) {
+        const found = find(child);
+        if (found) {return found;}
+      }
+      return null;
     };
+    const branch = find(this.getTree(htaData));
+    return branch ? branch.progress : { total: 0, completed: 0, percentage: 0 };
   }
 
   getNodesByDifficulty(nodes) {
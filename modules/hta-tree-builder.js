@@ -3,6 +3,77 @@
  * Handles HTA tree construction and strategic task generation
  */
 
+import { createNodeIdAllocator, seedNodeIdCounter } from './hta-node-ids.js';
+import { generateHeuristicTasks } from './hta-heuristic-tasks.js';
+import { NAME_LIST_SCHEMA, TASK_LIST_SCHEMA, requestStructured } from './structured-output.js';
+
+/**
+ * Clamp task difficulty and duration to what suits the learner's knowledge
+ * level. Applied to every batch of tasks that enters a tree, whether it came
+ * from the LLM or from an imported roadmap. Mutates and returns the tasks.
+ * @param {Array<{ difficulty?: number, duration?: number|string }>} tasks
+ * @param {number} knowledgeLevel
+ */
+export function normaliseTasksForLevel(tasks, knowledgeLevel) {
+  return tasks.map(t => {
+    // CRITICAL FIX: Ensure difficulty matches knowledge level properly
+    if (knowledgeLevel <= 2) {
+      // Complete beginners (1-2) should only get difficulty 1
+      t.difficulty = 1;
+      // Cap duration to 25 minutes for beginners
+      if (typeof t.duration === 'number') {
+        t.duration = Math.min(25, t.duration);
+      }
+    } else if (knowledgeLevel <= 4) {
+      // Early learners (3-4) can handle difficulty 1-2
+      t.difficulty = Math.min(2, Math.max(1, t.difficulty || 1));
+      if (typeof t.duration === 'number') {
+        t.duration = Math.min(45, t.duration);
+      }
+    } else if (knowledgeLevel <= 6) {
+      // Intermediate learners (5-6) can handle difficulty 1-3
+      t.difficulty = Math.min(3, Math.max(1, t.difficulty || 2));
+      if (typeof t.duration === 'number') {
+        t.duration = Math.min(60, t.duration);
+      }
+    } else {
+      // Advanced learners (7+) can handle any difficulty
+      t.difficulty = Math.min(5, Math.max(1, t.difficulty || 3));
+    }
+    return t;
+  });
+}
+
+/**
+ * Map normalised tasks to frontier nodes, hanging each under the sub-branch
+ * named by `sub_branch` when it exists and under the strategic branch
+ * otherwise.
+ * @param {object[]} tasks
+ * @param {{ id: string, subBranches?: Array<{ id: string, title: string }> }} branch
+ * @param {(prefix?: string) => string} nextId - node id allocator for the target tree
+ */
+export function toFrontierNodes(tasks, branch, nextId) {
+  const subBranches = branch.subBranches || [];
+  const subBranchFor = (name) => {
+    const wanted = String(name || '').toLowerCase();
+    return subBranches.find(sub => sub.id === name || sub.title?.toLowerCase() === wanted);
+  };
+  return tasks.map(t => ({
+    id: nextId('node'),
+    title: t.title,
+    description: t.description,
+    branch: branch.id,
+    parentId: subBranchFor(t.sub_branch)?.id || branch.id,
+    difficulty: t.difficulty || 1,
+    priority: 200 + (t.difficulty || 1) * 10,
+    duration: typeof t.duration === 'number' ? `${t.duration} minutes` : (t.duration || '30 minutes'),
+    prerequisites: t.prerequisites || [],
+    completed: false,
+    opportunityType: t.opportunityType || undefined,
+    heuristic: t.heuristic || undefined
+  }));
+}
+
 export class HtaTreeBuilder {
   constructor(dataPersistence, projectManagement, llmInterface) {
     this.dataPersistence = dataPersistence;
@@ -10,10 +81,14 @@ export class HtaTreeBuilder {
     this.llm = llmInterface; // Store reference to Claude/LLM interface
     // Collect Claude generation requests when an online LLM is not available.
     this.pendingClaudeRequests = [];
+    // Model replies that failed validation, reported back by buildHTATree
+    this.generationIssues = [];
   }
 
   async buildHTATree(pathName = null, learningStyle = 'mixed', focusAreas = []) {
     try {
+      this.pendingClaudeRequests = [];
+      this.generationIssues = [];
       const projectId = await this.projectManagement.requireActiveProject();
       const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
       
@@ -45,8 +120,11 @@ export class HtaTreeBuilder {
       // Generate strategic framework
       const htaData = await this.generateHTAFramework(config, targetPath, learningStyle, focusAreas, existingHTA);
       
-      // Save HTA data
-      await this.savePathHTA(projectId, targetPath, htaData);
+      // Save HTA data, keeping a snapshot of any tree it replaces
+      if (existingHTA) {
+        await this.dataPersistence.snapshotBeforeChange(projectId, `build_hta_tree (${targetPath})`);
+      }
+      await this.savePathHTA(projectId, targetPath, htaData, { author: 'build_hta_tree' });
       
       // Update project config with active path
       config.activePath = targetPath;
@@ -62,6 +140,16 @@ export class HtaTreeBuilder {
         };
       }
 
+      const heuristicCount = (htaData.frontierNodes || []).filter(n => n.heuristic).length;
+      const heuristicNote = heuristicCount > 0
+        ? `\n\n🧭 ${heuristicCount} starter task(s) were generated offline from a fixed orient → try → practice → review → apply pattern. ` +
+          'They are marked as heuristic and are replaced branch by branch when tasks are stored with `generate_hta_tasks`.'
+        : '';
+      const issueNote = this.generationIssues.length > 0
+        ? `\n\n⚠️ **Generation issues** (${this.generationIssues.length}):\n` +
+          this.generationIssues.map(issue => `• ${issue.stage} for "${issue.subject}": ${issue.errors.slice(0, 3).join('; ')}`).join('\n')
+        : '';
+
       return {
         content: [{
           type: 'text',
@@ -70,10 +158,12 @@ export class HtaTreeBuilder {
                `**Frontier Nodes**: ${htaData.frontierNodes?.length || 0}\n` +
                `**Learning Style**: ${learningStyle}\n` +
                `**Focus Areas**: ${focusAreas.join(', ') || 'General exploration'}\n\n` +
-               `✅ Ready to start learning with intelligent task sequencing!`
+               `✅ Ready to start learning with intelligent task sequencing!${heuristicNote}${issueNote}`
         }],
         hta_tree: htaData,
-        active_path: targetPath
+        active_path: targetPath,
+        ...(this.generationIssues.length > 0 ? { generation_issues: this.generationIssues } : {}),
+        ...(this.pendingClaudeRequests.length > 0 ? { pending_claude: this.pendingClaudeRequests[0] } : {})
       };
     } catch (error) {
       await this.dataPersistence.logError('buildHTATree', error, { pathName, learningStyle, focusAreas });
@@ -87,19 +177,11 @@ export class HtaTreeBuilder {
   }
 
   async loadPathHTA(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'hta.json');
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'hta.json');
-    }
+    return await this.dataPersistence.loadPathHTA(projectId, pathName);
   }
 
-  async savePathHTA(projectId, pathName, htaData) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.saveProjectData(projectId, 'hta.json', htaData);
-    } else {
-      return await this.dataPersistence.savePathData(projectId, pathName, 'hta.json', htaData);
-    }
+  async savePathHTA(projectId, pathName, htaData, options = {}) {
+    return await this.dataPersistence.savePathHTA(projectId, pathName, htaData, options);
   }
 
   async generateHTAFramework(config, pathName, learningStyle, focusAreas, existingHTA) {
@@ -111,7 +193,10 @@ export class HtaTreeBuilder {
     const strategicBranches = await this.generateStrategicBranches(goal, pathName, focusAreas, knowledgeLevel);
     
     // Generate frontier nodes (ready-to-execute tasks)
-    const frontierNodes = [];
+    const context = typeof config.context === 'string' ? config.context : JSON.stringify(config.context || '');
+    const frontierNodes = await this.generateSequencedFrontierNodes(
+      strategicBranches, interests, learningStyle, knowledgeLevel, existingHTA, context
+    );
 
     return {
       pathName,
@@ -121,6 +206,9 @@ export class HtaTreeBuilder {
       learningStyle,
       focusAreas,
       knowledgeLevel,
+      // Keep counting from the tree being replaced so ids referenced by old
+      // schedules and history never point at a new node
+      nextNodeId: existingHTA ? seedNodeIdCounter(existingHTA) : 1,
       created: new Date().toISOString(),
       lastUpdated: new Date().toISOString()
     };
@@ -167,14 +255,9 @@ export class HtaTreeBuilder {
     // 2. Otherwise, ask the LLM to propose 3-6 broad domains/pillars for the given goal
     const prompt = `You are a curriculum architect. Propose 3-6 top-level learning domains that together form a comprehensive roadmap toward the goal "${goal}". Domains must be short noun phrases (e.g. \"Core Grammar\", \"Cultural Fluency\"). Return them as a JSON array of strings.`;
 
-    const aiResp = await this.llm.requestIntelligence('hta-domain-generation', { prompt });
-    let domains = [];
-    if (aiResp && !aiResp.request_for_claude) {
-      try {
-        const text = aiResp.completion || aiResp.answer || aiResp.text || '[]';
-        domains = JSON.parse(text);
-      } catch (_) { /* ignore parsing failure */ }
-    }
+    const result = await requestStructured(this.llm, 'hta-domain-generation', { prompt }, NAME_LIST_SCHEMA, { partial: true });
+    this.recordGenerationIssue('Domain generation', goal, result);
+    let domains = result.ok ? result.value : [];
 
     // 3. Fallback: create a single generic "General" domain so the tree can still build—no hard-coded subject matter.
     if (!Array.isArray(domains) || domains.length === 0) {
@@ -207,7 +290,10 @@ export class HtaTreeBuilder {
 
   async generateSequencedFrontierNodes(strategicBranches, interests, learningStyle, knowledgeLevel, existingHTA, context = '') {
     const frontierNodes = [];
-    let nodeId = 1;
+    const nextId = createNodeIdAllocator({
+      frontierNodes: existingHTA?.frontierNodes || [],
+      nextNodeId: existingHTA?.nextNodeId
+    });
 
     // Extract existing completed tasks to avoid duplication
     const completedTasks = existingHTA?.frontierNodes?.filter(n => n.completed)?.map(n => n.title) || [];
@@ -220,11 +306,10 @@ export class HtaTreeBuilder {
         learningStyle,
         knowledgeLevel,
         completedTasks,
-        nodeId,
+        nextId,
         context
       );
       frontierNodes.push(...aiNodes);
-      nodeId += aiNodes.length;
     }
 
     // Sort by priority and difficulty
@@ -232,7 +317,10 @@ export class HtaTreeBuilder {
   }
 
   // Remove all template-based code. Use LLM to generate nodes for each branch.
-  async generateBranchNodesAI(branch, interests, learningStyle, knowledgeLevel, completedTasks, startNodeId, context = '') {
+  /**
+   * @param {(prefix?: string) => string} nextId - node id allocator for the tree the nodes join
+   */
+  async generateBranchNodesAI(branch, interests, learningStyle, knowledgeLevel, completedTasks, nextId, context = '') {
     // CRITICAL FIX: Much more explicit prompt for proper beginner handling
     let levelGuidance = '';
     if (knowledgeLevel <= 2) {
@@ -253,6 +341,11 @@ export class HtaTreeBuilder {
     }
 
     const contextSection = context ? `\n\nIMPORTANT CONTEXT: ${context}\n` : '';
+    const subBranches = branch.subBranches || [];
+    const subBranchSection = subBranches.length > 0
+      ? `Sub-branches: ${subBranches.map(sub => sub.title).join(', ')}\n`
+      : '';
+    const subBranchField = subBranches.length > 0 ? ', sub_branch (one of the sub-branch titles above)' : '';
     
     const prompt = `You are an expert in learning design. Generate a list of 3-5 actionable, concrete, and appropriately-leveled tasks for a learner with the following context:\n\n` +
       `Goal: ${branch.title}\n` +
@@ -260,82 +353,40 @@ export class HtaTreeBuilder {
       `Knowledge Level: ${knowledgeLevel}/10\n` +
       `${levelGuidance}${contextSection}\n` +
       `Interests: ${interests.join(', ') || 'None'}\n` +
-      `Learning Style: ${learningStyle}\n\n` +
+      `Learning Style: ${learningStyle}\n` +
+      `${subBranchSection}\n` +
       `ABSOLUTELY NO TEMPLATES OR GENERIC PLACEHOLDERS. Tasks must be specific, realistic, and tailored to the actual level and context.\n` +
       `If context mentions "never done X" or "complete beginner", ensure tasks start from absolute zero.\n` +
-      `Return the result as a JSON array of objects, each with: title, description, difficulty (1-5), duration (in minutes), and prerequisites (array of titles, can be empty).\n\n` +
+      `Return the result as a JSON array of objects, each with: title, description, difficulty (1-5), duration (in minutes), prerequisites (array of titles, can be empty)${subBranchField}.\n\n` +
       `Example for complete beginner guitar: [{"title": "Hold guitar comfortably", "description": "Practice holding the guitar in playing position for 5 minutes", "difficulty": 1, "duration": 15, "prerequisites": []}]`;
 
     // Call the LLM (Claude) via the stored interface
-    const aiResponse = await this.llm.requestIntelligence('hta-task-generation', { prompt });
+    const result = await requestStructured(this.llm, 'hta-task-generation', { prompt }, TASK_LIST_SCHEMA, { partial: true });
     let tasks = [];
     
     // CRITICAL FIX: Check if we actually got a real AI response
-    if (aiResponse && aiResponse.request_for_claude) {
+    if (result.handoff) {
       // Queue a Claude generation request to be returned to the client via MCP
       this.pendingClaudeRequests.push({
         claude_request: prompt,
         type: 'tasks',
         context: { branchId: branch.id, pathName: branch.title }
       });
-      // Return no tasks – actual tasks will be supplied by Claude later
-      tasks = [];
+      // Start with heuristic tasks; the ones Claude supplies later replace them
+      tasks = this.generateFallbackTasks(branch, knowledgeLevel, interests);
     } else {
-      // Try to parse real LLM response
-      try {
-        const responseText = aiResponse.completion || aiResponse.answer || aiResponse.text || '[]';
-        tasks = JSON.parse(responseText);
-        if (!Array.isArray(tasks) || tasks.length === 0) {
-          throw new Error('Empty or invalid response');
-        }
-      } catch (e) {
-        console.warn('⚠️  AI response parsing failed, using fallback tasks');
+      this.recordGenerationIssue('Task generation', branch.title, result);
+      if (result.ok) {
+        tasks = result.value;
+      } else {
+        console.warn(`⚠️  AI task response for "${branch.title}" failed validation, using fallback tasks`);
         tasks = this.generateFallbackTasks(branch, knowledgeLevel, interests);
       }
     }
 
     // Filter out completed tasks and post-process for beginner appropriateness
-    const filtered = tasks.filter(t => !completedTasks.includes(t.title)).map(t => {
-      // CRITICAL FIX: Ensure difficulty matches knowledge level properly
-      if (knowledgeLevel <= 2) {
-        // Complete beginners (1-2) should only get difficulty 1
-        t.difficulty = 1;
-        // Cap duration to 25 minutes for beginners
-        if (typeof t.duration === 'number') {
-          t.duration = Math.min(25, t.duration);
-        }
-      } else if (knowledgeLevel <= 4) {
-        // Early learners (3-4) can handle difficulty 1-2
-        t.difficulty = Math.min(2, Math.max(1, t.difficulty || 1));
-        if (typeof t.duration === 'number') {
-          t.duration = Math.min(45, t.duration);
-        }
-      } else if (knowledgeLevel <= 6) {
-        // Intermediate learners (5-6) can handle difficulty 1-3
-        t.difficulty = Math.min(3, Math.max(1, t.difficulty || 2));
-        if (typeof t.duration === 'number') {
-          t.duration = Math.min(60, t.duration);
-        }
-      } else {
-        // Advanced learners (7+) can handle any difficulty
-        t.difficulty = Math.min(5, Math.max(1, t.difficulty || 3));
-      }
-      return t;
-    });
-
-    // Map to node format
-    return filtered.map((t, i) => ({
-      id: `node_${startNodeId + i}`,
-      title: t.title,
-      description: t.description,
-      branch: branch.id,
-      difficulty: t.difficulty || 1,
-      priority: 200 + (t.difficulty || 1) * 10,
-      duration: typeof t.duration === 'number' ? `${t.duration} minutes` : (t.duration || '30 minutes'),
-      prerequisites: t.prerequisites || [],
-      completed: false,
-      opportunityType: t.opportunityType || undefined
-    }));
+    const filtered = normaliseTasksForLevel(tasks.filter(t => !completedTasks.includes(t.title)), knowledgeLevel);
+    return toFrontierNodes(filtered, branch, nextId);
   }
 
   sortNodesBySequence(frontierNodes, knowledgeLevel) {
@@ -365,14 +416,22 @@ export class HtaTreeBuilder {
     });
   }
 
-  generateFallbackTasks(branch, knowledgeLevel, interests) {
-    // Fallback disabled – require external Claude generation
-    return [];
+  /**
+   * Offline starter tasks for a branch, in the LLM task shape.
+   * @see generateHeuristicTasks
+   */
+  generateFallbackTasks(branch, knowledgeLevel, interests = []) {
+    return generateHeuristicTasks(branch, knowledgeLevel, interests);
   }
 
-  // Disable template fallback – empty list signals need for Claude
-  generateFallbackTasksNode(branch, startNodeId) {
-    return [];
+  /**
+   * Offline starter tasks for a branch as frontier nodes, numbered from
+   * `startNodeId`.
+   */
+  generateFallbackTasksNode(branch, startNodeId, knowledgeLevel = 1) {
+    const nextId = createNodeIdAllocator({ frontierNodes: [], nextNodeId: startNodeId });
+    const tasks = normaliseTasksForLevel(generateHeuristicTasks(branch, knowledgeLevel), knowledgeLevel);
+    return toFrontierNodes(tasks, branch, nextId);
   }
 
   // ====== NEW HELPERS FOR MULTILAYER ROADMAP ======
@@ -387,6 +446,25 @@ export class HtaTreeBuilder {
     return '6-12+ months';
   }
 
+  /**
+   * Remember a structured-output result that needed dropping items or failed
+   * validation outright, so buildHTATree can report it instead of silently
+   * falling back.
+   * @param {string} stage
+   * @param {string} subject
+   * @param {{ok: boolean, errors: string[], handoff?: boolean, attempts?: number}} result
+   */
+  recordGenerationIssue(stage, subject, result) {
+    if (!result || result.handoff || result.errors.length === 0) {return;}
+    this.generationIssues.push({
+      stage,
+      subject,
+      recovered: result.ok,
+      attempts: result.attempts,
+      errors: result.errors
+    });
+  }
+
   /**
    * Ask the LLM for 2-3 sub-domains within a given top-level domain.
    * Falls back to an empty array on any failure.
@@ -397,17 +475,14 @@ export class HtaTreeBuilder {
     const prompt = `You are a curriculum architect. Propose 2-3 logical sub-domains (1-3 word noun phrases) that sit under the broader domain "${domainTitle}" for a learner at knowledge level ${knowledgeLevel}/10. Return as a JSON array of strings.`;
 
     try {
-      const resp = await this.llm.requestIntelligence('hta-subdomain-generation', { prompt });
-      if (resp && !resp.request_for_claude) {
-        const text = resp.completion || resp.answer || resp.text || '[]';
-        const parsed = JSON.parse(text);
-        if (Array.isArray(parsed) && parsed.length > 0) {
-          return parsed.slice(0, 3).map((s, idx) => ({
-            id: `${domainTitle.toLowerCase().replace(/[^a-z0-9]+/g, '_')}_sub_${idx + 1}`.replace(/_+/g, '_'),
-            title: s,
-            description: `Sub-domain of ${domainTitle}: ${s}`
-          }));
-        }
+      const result = await requestStructured(this.llm, 'hta-subdomain-generation', { prompt }, NAME_LIST_SCHEMA, { partial: true });
+      this.recordGenerationIssue('Sub-domain generation', domainTitle, result);
+      if (result.ok) {
+        return result.value.slice(0, 3).map((s, idx) => ({
+          id: `${domainTitle.toLowerCase().replace(/[^a-z0-9]+/g, '_')}_sub_${idx + 1}`.replace(/_+/g, '_'),
+          title: s,
+          description: `Sub-domain of ${domainTitle}: ${s}`
+        }));
       }
     } catch (_) {/* ignore */}
 
@@ -732,10 +732,6 @@ export class IdentityEngine {
   }
 
   async loadLearningHistory(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'learning_history.json');
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'learning_history.json');
-    }
+    return await this.dataPersistence.loadLearningHistory(projectId, pathName);
   }
 }
\ No newline at end of file
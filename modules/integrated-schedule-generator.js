@@ -2,6 +2,7 @@
 // Builds a daily integrated schedule by asking Claude to allocate tasks into free blocks.
 
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { SCHEDULE_ENTRIES_SCHEMA, requestStructured } from './structured-output.js';
 
 export class IntegratedScheduleGenerator {
   /**
@@ -34,11 +35,11 @@ export class IntegratedScheduleGenerator {
     }
 
     // Build free-block list from the active project template (takes first project with prefs)
-    const projects = await this.projectManagement.listProjects();
-    if (projects.length === 0) {
+    const projectIds = await this.projectManagement.listProjectIds();
+    if (projectIds.length === 0) {
       return { content:[{type:'text', text:'⚠️ No active projects found.'}] };
     }
-    const primaryProjectId = typeof projects[0] === 'string' ? projects[0] : projects[0].id;
+    const primaryProjectId = projectIds[0];
     const primaryConfig = await this.dataPersistence.loadProjectData(primaryProjectId, 'config.json');
     const prefs = primaryConfig.life_structure_preferences || {};
     const wake = this._parseTime(prefs.wake_time || '7:00 AM');
@@ -57,15 +58,15 @@ export class IntegratedScheduleGenerator {
       tasks
     };
 
-    const llmResp = await this.llm.requestIntelligence('integrated-schedule', { prompt:`${prompt}\n\nContext JSON:\n${JSON.stringify(contextPayload)}` });
+    const result = await requestStructured(
+      this.llm, 'integrated-schedule',
+      { prompt:`${prompt}\n\nContext JSON:\n${JSON.stringify(contextPayload)}` },
+      SCHEDULE_ENTRIES_SCHEMA, { partial: true }
+    );
 
-    let scheduleArr = [];
-    try {
-      scheduleArr = JSON.parse(llmResp.completion || llmResp.answer || llmResp.text || '[]');
-    } catch(_) {/* ignore parse errors */}
-
-    // Basic validation: ensure each entry has task_id
-    scheduleArr = Array.isArray(scheduleArr) ? scheduleArr.filter(x=>x.task_id) : [];
+    // Entries without a task_id are dropped and reported rather than stored
+    const scheduleArr = result.ok ? result.value : [];
+    const validationErrors = result.errors;
 
     // Store per project day files
     const byProject = {};
@@ -79,8 +80,10 @@ export class IntegratedScheduleGenerator {
     }
 
     return {
-      content:[{ type:'text', text:`🗓️ Integrated schedule generated for ${date} with ${scheduleArr.length} tasks.`}],
+      content:[{ type:'text', text:`🗓️ Integrated schedule generated for ${date} with ${scheduleArr.length} tasks.` +
+        (validationErrors.length > 0 ? `\n\n⚠️ Schedule response issues:\n${validationErrors.slice(0, 5).map(e => `• ${e}`).join('\n')}` : '') }],
       schedule: scheduleArr,
+      ...(validationErrors.length > 0 ? { validation_errors: validationErrors } : {}),
       free_blocks: freeBlocks,
       task_count: tasks.length
     };
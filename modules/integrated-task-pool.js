@@ -1,6 +1,8 @@
 // Integrated Task Pool
 // Gathers a capped list of available tasks from all active projects without exposing sensitive project data.
 
+import { getCompletedIds, prerequisitesMet } from './hta-prerequisites.js';
+
 export class IntegratedTaskPool {
   /**
    * @param {import('../modules/data-persistence.js').DataPersistence} dataPersistence
@@ -16,25 +18,19 @@ export class IntegratedTaskPool {
    * @param {number} limitPerProject  max tasks per project
    */
   async getTaskPool(limitPerProject = 30) {
-    const projects = await this.projectManagement.listProjects();
+    const projectIds = await this.projectManagement.listProjectIds();
     const pool = [];
 
-    for (const p of projects) {
-      const projectId = typeof p === 'string' ? p : p.id || p.project_id || p.name;
-      if (!projectId) {continue;}
+    for (const projectId of projectIds) {
       const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
       if (!config) {continue;}
       const pathName = config.activePath || 'general';
       const hta = await this._loadPathHTA(projectId, pathName);
       if (!hta || !Array.isArray(hta.frontierNodes)) {continue;}
 
-      const completedIds = new Set(hta.frontierNodes.filter(n => n.completed).map(n => n.id));
+      const completedIds = getCompletedIds(hta.frontierNodes);
       const available = hta.frontierNodes
-        .filter(n => !n.completed)
-        .filter(n => {
-          if (!n.prerequisites || n.prerequisites.length === 0) {return true;}
-          return n.prerequisites.every(pr => completedIds.has(pr));
-        })
+        .filter(n => !n.completed && prerequisitesMet(n, completedIds))
         .sort((a, b) => (b.priority || 200) - (a.priority || 200))
         .slice(0, limitPerProject)
         .map(n => ({
@@ -53,10 +49,7 @@ export class IntegratedTaskPool {
   }
 
   async _loadPathHTA(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'hta.json');
-    }
-    return await this.dataPersistence.loadPathData(projectId, pathName, 'hta.json');
+    return await this.dataPersistence.loadPathHTA(projectId, pathName);
   }
 
   _parseDuration(str) {
@@ -0,0 +1,420 @@
+/**
+ * Learning Path Management Module
+ * Add, remove, prioritise and focus the learning paths inside a project
+ */
+
+import { DIRECTORIES, FILE_NAMES } from './constants.js';
+import { ValidationError } from './errors.js';
+import { formatWeights, getRotationWeights, normaliseWeights, weightsFromPriorities } from './path-rotation.js';
+
+const PATH_PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Turn a focus duration ("today", "this week", "90 minutes", "3 days",
+ * "until next switch") into an expiry timestamp. Returns null for open-ended
+ * focus and undefined when the phrase is not understood.
+ * @param {string} duration
+ * @param {Date} [now]
+ */
+export function parseFocusDuration(duration, now = new Date()) {
+  const text = String(duration || '').trim().toLowerCase();
+  if (!text || /until|indefinite|forever|next switch/.test(text)) {
+    return null;
+  }
+
+  const endOfDay = (date) => {
+    const end = new Date(date);
+    end.setHours(23, 59, 59, 999);
+    return end;
+  };
+
+  if (text === 'today') {return endOfDay(now);}
+  if (text === 'tomorrow') {
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    return endOfDay(tomorrow);
+  }
+  if (text === 'this week') {
+    // Weeks end on Sunday night
+    const sunday = new Date(now);
+    sunday.setDate(sunday.getDate() + ((7 - sunday.getDay()) % 7));
+    return endOfDay(sunday);
+  }
+
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*(minutes?|mins?|hours?|hrs?|days?|weeks?)$/);
+  if (!match) {return undefined;}
+
+  const amount = parseFloat(match[1]);
+  const unitMs = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+  }[match[2][0]];
+  return new Date(now.getTime() + amount * unitMs);
+}
+
+export class LearningPathManagement {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  validatePathName(pathName) {
+    if (typeof pathName !== 'string' || !pathName.trim() ||
+        /[/\\]/.test(pathName) || pathName === '.' || pathName === '..') {
+      throw new ValidationError('path_name', pathName, 'a non-empty name without slashes');
+    }
+  }
+
+  validatePriority(priority) {
+    if (!PATH_PRIORITIES.includes(priority)) {
+      throw new ValidationError('priority', priority, `one of ${PATH_PRIORITIES.join(', ')}`);
+    }
+  }
+
+  findPath(config, pathName) {
+    return (config.learning_paths || []).find(p => p.path_name === pathName);
+  }
+
+  async listLearningPaths() {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.projectManagement.loadExistingProject(projectId);
+      const paths = config.learning_paths?.length ? config.learning_paths : [{ path_name: 'general', priority: 'high' }];
+      const activePath = config.activePath || 'general';
+
+      let text = `🛤️ **Learning Paths** for ${projectId}\n\n`;
+      const details = [];
+      for (const learningPath of paths) {
+        const hta = await this.dataPersistence.loadPathHTA(projectId, learningPath.path_name);
+        const nodes = hta?.frontierNodes || [];
+        const completed = nodes.filter(n => n.completed).length;
+        const isActive = learningPath.path_name === activePath;
+
+        text += `• **${learningPath.path_name}**${isActive ? ' 🎯 **ACTIVE**' : ''}\n`;
+        text += `  Priority: ${learningPath.priority || 'medium'}\n`;
+        text += hta
+          ? `  Progress: ${completed}/${nodes.length} tasks complete\n`
+          : '  Progress: no HTA tree yet (use `build_hta_tree`)\n';
+        if (learningPath.interests?.length) {
+          text += `  Interests: ${learningPath.interests.join(', ')}\n`;
+        }
+        text += '\n';
+
+        details.push({ ...learningPath, active: isActive, tasks_total: nodes.length, tasks_completed: completed });
+      }
+
+      const rotationWeights = getRotationWeights(config);
+      if (rotationWeights) {
+        text += `🔄 **Rotation mode**: ${formatWeights(rotationWeights)}\n`;
+      }
+      if (config.path_focus?.expires_at) {
+        text += `⏳ Focus on **${config.path_focus.path}** ends ${new Date(config.path_focus.expires_at).toLocaleString()}, then returns to **${config.path_focus.previous_path}**.\n`;
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        learning_paths: details,
+        active_path: activePath,
+        path_focus: config.path_focus || null,
+        rotation: rotationWeights
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('listLearningPaths', error);
+      return {
+        content: [{
+          type: 'text',
+          text: `Error listing learning paths: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Make `pathName` the active path. A bounded `duration` records the path
+   * to return to; ProjectManagement reverts once the focus window has passed.
+   */
+  async focusLearningPath(pathName, duration = 'until next switch') {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+
+      return await this.dataPersistence.withProjectLock(projectId, async () => {
+        const config = await this.projectManagement.loadExistingProject(projectId);
+        if (!this.findPath(config, pathName) && pathName !== 'general') {
+          const available = (config.learning_paths || []).map(p => p.path_name).join(', ');
+          throw new Error(`Learning path "${pathName}" not found. Available paths: ${available || 'general'}`);
+        }
+
+        const expiresAt = parseFocusDuration(duration);
+        if (expiresAt === undefined) {
+          throw new ValidationError('duration', duration, '"today", "tomorrow", "this week", "N minutes/hours/days/weeks" or "until next switch"');
+        }
+
+        // Chained focus sessions return to the path the user started from
+        const previousPath = config.path_focus?.previous_path || config.activePath || 'general';
+        config.activePath = pathName;
+        if (expiresAt && previousPath !== pathName) {
+          config.path_focus = {
+            path: pathName,
+            previous_path: previousPath,
+            duration,
+            started_at: new Date().toISOString(),
+            expires_at: expiresAt.toISOString()
+          };
+        } else {
+          delete config.path_focus;
+        }
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, config);
+
+        const hta = await this.dataPersistence.loadPathHTA(projectId, pathName);
+        let text = `🎯 Now focusing on **${pathName}**\n\n`;
+        text += config.path_focus
+          ? `⏳ Until ${expiresAt.toLocaleString()} (${duration}), then back to **${previousPath}**.\n`
+          : `Stays active until you switch paths.\n`;
+        if (config.rotation?.enabled) {
+          text += config.path_focus
+            ? '🔄 Path rotation is paused during this focus window.\n'
+            : '🔄 Path rotation is still on, so schedules keep mixing paths. Use `set_path_rotation` with enabled: false to follow this path only.\n';
+        }
+        text += hta
+          ? `\nUse \`get_next_task\` or \`generate_daily_schedule\` to work on this path.`
+          : `\n🌱 No HTA tree for this path yet. Use \`build_hta_tree\` to create one.`;
+
+        return {
+          content: [{ type: 'text', text }],
+          active_path: pathName,
+          path_focus: config.path_focus || null
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('focusLearningPath', error, { pathName, duration });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error focusing learning path: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  async addLearningPath(pathName, priority = 'medium', interests = []) {
+    try {
+      this.validatePathName(pathName);
+      this.validatePriority(priority);
+      if (!Array.isArray(interests) || !interests.every(i => typeof i === 'string')) {
+        throw new ValidationError('interests', interests, 'an array of strings');
+      }
+
+      const projectId = await this.projectManagement.requireActiveProject();
+      return await this.dataPersistence.withProjectLock(projectId, async () => {
+        const config = await this.projectManagement.loadExistingProject(projectId);
+        if (this.findPath(config, pathName)) {
+          throw new Error(`Learning path "${pathName}" already exists`);
+        }
+
+        const learningPath = { path_name: pathName, priority, interests, created_at: new Date().toISOString() };
+        config.learning_paths = [...(config.learning_paths || []), learningPath];
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, config);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `🛤️ Learning path **${pathName}** added (priority: ${priority}).\n\n` +
+                 `Next: \`build_hta_tree\` with path_name "${pathName}", then \`focus_learning_path\` to work on it.`
+          }],
+          learning_path: learningPath
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('addLearningPath', error, { pathName, priority });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error adding learning path: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Remove a path from the project. Its documents are moved, not deleted, to
+   * archived_paths/<name>_<timestamp>/ inside the project.
+   */
+  async removeLearningPath(pathName) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+
+      return await this.dataPersistence.withProjectLock(projectId, async () => {
+        const config = await this.projectManagement.loadExistingProject(projectId);
+        if (!this.findPath(config, pathName)) {
+          throw new Error(`Learning path "${pathName}" not found`);
+        }
+        const remaining = config.learning_paths.filter(p => p.path_name !== pathName);
+        if (remaining.length === 0) {
+          throw new Error('Cannot remove the only learning path in a project');
+        }
+
+        await this.dataPersistence.snapshotBeforeChange(projectId, `remove_learning_path (${pathName})`);
+
+        // The general path keeps its HTA and history at project level
+        const projectPrefix = `${DIRECTORIES.PROJECTS}/${projectId}/`;
+        const pathPrefix = `${projectPrefix}${DIRECTORIES.PATHS}/${pathName}/`;
+        const keys = await this.dataPersistence.listDocuments(pathPrefix);
+        if (pathName === 'general') {
+          for (const file of [FILE_NAMES.HTA, FILE_NAMES.LEARNING_HISTORY]) {
+            if (await this.dataPersistence.readDocument(projectPrefix + file) !== null) {
+              keys.push(projectPrefix + file);
+            }
+          }
+        }
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const archivePrefix = `${projectPrefix}archived_paths/${pathName}_${stamp}/`;
+        for (const key of keys) {
+          const relative = key.startsWith(pathPrefix) ? key.slice(pathPrefix.length) : key.slice(projectPrefix.length);
+          const doc = await this.dataPersistence.readDocument(key);
+          await this.dataPersistence.writeDocument(archivePrefix + relative, doc);
+          await this.dataPersistence.deleteDocument(key);
+        }
+
+        config.learning_paths = remaining;
+        if (config.rotation?.weights) {
+          delete config.rotation.weights[pathName];
+        }
+        if (config.activePath === pathName || config.path_focus?.path === pathName || config.path_focus?.previous_path === pathName) {
+          delete config.path_focus;
+        }
+        if (config.activePath === pathName) {
+          const byPriority = [...remaining].sort((a, b) =>
+            PATH_PRIORITIES.indexOf(a.priority || 'medium') - PATH_PRIORITIES.indexOf(b.priority || 'medium'));
+          config.activePath = byPriority[0].path_name;
+        }
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, config);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `🗄️ Learning path **${pathName}** removed.\n\n` +
+                 `**Archived documents**: ${keys.length} → \`${archivePrefix.slice(projectPrefix.length)}\`\n` +
+                 `**Active path**: ${config.activePath}`
+          }],
+          removed_path: pathName,
+          archived_to: archivePrefix,
+          active_path: config.activePath
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('removeLearningPath', error, { pathName });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error removing learning path: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Turn weighted multi-path rotation on or off. Weights may be percentages or
+   * fractions and are normalised; without weights, path priorities decide.
+   * @param {Record<string, number>|null} weights
+   * @param {boolean} enabled
+   */
+  async setPathRotation(weights = null, enabled = true) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+
+      return await this.dataPersistence.withProjectLock(projectId, async () => {
+        const config = await this.projectManagement.loadExistingProject(projectId);
+
+        if (!enabled) {
+          config.rotation = { ...(config.rotation || {}), enabled: false, updated_at: new Date().toISOString() };
+          await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, config);
+          return {
+            content: [{
+              type: 'text',
+              text: `⏸️ Path rotation disabled. Scheduling and next-task selection follow **${config.activePath || 'general'}** only.`
+            }],
+            rotation: null
+          };
+        }
+
+        let normalised;
+        if (weights && Object.keys(weights).length > 0) {
+          for (const [pathName, weight] of Object.entries(weights)) {
+            if (!this.findPath(config, pathName)) {
+              throw new Error(`Learning path "${pathName}" not found`);
+            }
+            if (typeof weight !== 'number' || !(weight > 0)) {
+              throw new ValidationError(`weights.${pathName}`, weight, 'a positive number');
+            }
+          }
+          normalised = normaliseWeights(weights);
+        } else {
+          normalised = weightsFromPriorities(config.learning_paths);
+        }
+
+        if (Object.keys(normalised).length < 2) {
+          throw new Error('Rotation needs at least two learning paths. Use add_learning_path or focus_learning_path instead.');
+        }
+
+        config.rotation = { enabled: true, weights: normalised, updated_at: new Date().toISOString() };
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, config);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `🔄 **Path rotation enabled**\n\n${formatWeights(normalised)}\n\n` +
+                 `\`generate_daily_schedule\` and \`get_next_task\` now draw ready tasks from these paths in proportion. ` +
+                 `Completions are recorded against the path each task came from.`
+          }],
+          rotation: normalised
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('setPathRotation', error, { weights, enabled });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error setting path rotation: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  async setPathPriority(pathName, priority) {
+    try {
+      this.validatePriority(priority);
+      const projectId = await this.projectManagement.requireActiveProject();
+
+      return await this.dataPersistence.withProjectLock(projectId, async () => {
+        const config = await this.projectManagement.loadExistingProject(projectId);
+        const learningPath = this.findPath(config, pathName);
+        if (!learningPath) {
+          throw new Error(`Learning path "${pathName}" not found`);
+        }
+
+        const previous = learningPath.priority || 'medium';
+        learningPath.priority = priority;
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, config);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `📊 Priority of **${pathName}** changed: ${previous} → ${priority}`
+          }],
+          learning_path: learningPath
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('setPathPriority', error, { pathName, priority });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error setting path priority: ${error.message}`
+        }]
+      };
+    }
+  }
+}
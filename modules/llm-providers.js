@@ -0,0 +1,454 @@
+/**
+ * LLM Providers Module
+ * Pluggable backends behind CoreInfrastructure.getClaudeInterface(). Every
+ * intelligent module calls `requestIntelligence(type, payload)` with the text
+ * to complete in `payload.prompt`, and reads `completion` from the result. A
+ * result carrying `request_for_claude` instead means the prompt is handed
+ * back to the MCP client (the original behaviour, and still the default).
+ *
+ * Provider interface:
+ *   name
+ *   complete(type, payload, { signal }) → { completion, ... } | { request_for_claude }
+ *
+ * Providers are named in config and chosen per request type, e.g.
+ *   {
+ *     "provider": "local",
+ *     "providers": {
+ *       "local": { "type": "http", "api": "openai", "baseUrl": "http://localhost:11434/v1", "model": "llama3.1" },
+ *       "claude": { "type": "http", "api": "anthropic", "model": "claude-sonnet-4", "apiKeyEnv": "ANTHROPIC_API_KEY" }
+ *     },
+ *     "routes": { "hta-*": "claude" }
+ *   }
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { CLAUDE_CONFIG } from './constants.js';
+import { LLMProviderError } from './errors.js';
+import { writeFileAtomic } from './storage-adapters.js';
+
+export const LLM_PROVIDERS = {
+  HANDOFF: 'handoff',
+  HTTP: 'http',
+  REPLAY: 'replay'
+};
+
+export const LLM_CONFIG_FILE = 'llm-config.json';
+
+export const FIXTURE_MODES = ['replay', 'record', 'auto'];
+
+const HTTP_APIS = {
+  openai: { baseUrl: 'https://api.openai.com/v1', endpoint: '/chat/completions' },
+  anthropic: { baseUrl: 'https://api.anthropic.com/v1', endpoint: '/messages' }
+};
+
+const DEFAULT_MAX_TOKENS = 2048;
+const RETRY_BASE_DELAY = 500;
+
+/** The original stub: hand every prompt back to the MCP client. */
+export class HandoffProvider {
+  constructor(name = LLM_PROVIDERS.HANDOFF) {
+    this.name = name;
+  }
+
+  async complete(type, payload) {
+    return { request_for_claude: { type, payload } };
+  }
+}
+
+/**
+ * Any OpenAI-compatible (`/chat/completions`) or Anthropic-compatible
+ * (`/messages`) endpoint, including local servers.
+ */
+export class HttpProvider {
+  /**
+   * @param {string} name
+   * @param {{ api?: string, baseUrl?: string, model?: string, apiKey?: string, maxTokens?: number,
+   *   temperature?: number, headers?: Record<string, string> }} options
+   */
+  constructor(name, options = {}) {
+    const api = (options.api || 'openai').toLowerCase();
+    if (!HTTP_APIS[api]) {
+      throw new Error(`Unknown LLM API "${options.api}" for provider "${name}". Expected one of: ${Object.keys(HTTP_APIS).join(', ')}`);
+    }
+    if (!options.model) {
+      throw new Error(`LLM provider "${name}" needs a model`);
+    }
+    this.name = name;
+    this.api = api;
+    this.url = `${(options.baseUrl || HTTP_APIS[api].baseUrl).replace(/\/+$/, '')}${HTTP_APIS[api].endpoint}`;
+    this.model = options.model;
+    this.apiKey = options.apiKey || null;
+    this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+    this.temperature = options.temperature;
+    this.headers = options.headers || {};
+  }
+
+  buildRequest(payload) {
+    const messages = [{ role: 'user', content: String(payload.prompt ?? '') }];
+    const maxTokens = payload.maxTokens || this.maxTokens;
+    const temperature = payload.temperature ?? this.temperature;
+    const headers = { 'content-type': 'application/json', ...this.headers };
+
+    if (this.api === 'anthropic') {
+      headers['anthropic-version'] = headers['anthropic-version'] || '2023-06-01';
+      if (this.apiKey) {headers['x-api-key'] = this.apiKey;}
+      return {
+        headers,
+        body: {
+          model: this.model,
+          max_tokens: maxTokens,
+          messages,
+          ...(payload.system ? { system: payload.system } : {}),
+          ...(temperature !== undefined ? { temperature } : {})
+        }
+      };
+    }
+
+    if (this.apiKey) {headers.authorization = `Bearer ${this.apiKey}`;}
+    return {
+      headers,
+      body: {
+        model: this.model,
+        max_tokens: maxTokens,
+        messages: payload.system ? [{ role: 'system', content: payload.system }, ...messages] : messages,
+        ...(temperature !== undefined ? { temperature } : {})
+      }
+    };
+  }
+
+  parseResponse(data) {
+    if (this.api === 'anthropic') {
+      return (data.content || []).filter(part => part.type === 'text').map(part => part.text).join('');
+    }
+    return data.choices?.[0]?.message?.content ?? data.choices?.[0]?.text ?? '';
+  }
+
+  async complete(type, payload, { signal } = {}) {
+    const { headers, body } = this.buildRequest(payload);
+    let response;
+    try {
+      response = await fetch(this.url, { method: 'POST', headers, body: JSON.stringify(body), signal });
+    } catch (error) {
+      // Network failures and timeouts are worth another attempt
+      throw new LLMProviderError(this.name, type, error, { retryable: true });
+    }
+
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => '')).slice(0, 300);
+      throw new LLMProviderError(this.name, type, new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`), {
+        status: response.status,
+        retryable: response.status === 408 || response.status === 429 || response.status >= 500
+      });
+    }
+
+    const data = await response.json();
+    return {
+      completion: this.parseResponse(data),
+      provider: this.name,
+      model: data.model || this.model,
+      usage: data.usage
+    };
+  }
+}
+
+/**
+ * Reduce a request payload to what matters for matching: object keys sorted,
+ * undefined values dropped, line endings and runs of whitespace collapsed,
+ * and ISO timestamps replaced with a placeholder.
+ */
+export function normalisePayload(value) {
+  if (typeof value === 'string') {
+    return value
+      .replace(/\r\n?/g, '\n')
+      .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>')
+      .split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .join('\n')
+      .trim();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalisePayload);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => [key, normalisePayload(value[key])]));
+  }
+  return value;
+}
+
+/** Fixture name for a request: `<type>-<first 16 hex chars of the hash>`. */
+export function fixtureKey(type, payload) {
+  const hash = crypto.createHash('sha256')
+    .update(`${type}\n${JSON.stringify(normalisePayload(payload ?? {}))}`)
+    .digest('hex')
+    .slice(0, 16);
+  return `${String(type).replace(/[^A-Za-z0-9_-]+/g, '_')}-${hash}`;
+}
+
+/**
+ * Record and replay real responses for tests and offline demos. Each request
+ * is stored as `<fixturesDir>/<fixtureKey>.json` holding the type, payload
+ * and response.
+ *
+ * Modes:
+ *   replay - serve fixtures only; a missing fixture is an error (default)
+ *   record - always call `upstream` and (over)write the fixture
+ *   auto   - serve the fixture when there is one, record it otherwise
+ *
+ * Inline `fixtures` keyed by request type may be given as well, for canned
+ * responses that do not depend on the prompt. A type maps to one response or
+ * to a list served in order (the last one repeats); a response is either a
+ * completion string or a result object.
+ */
+export class ReplayProvider {
+  /**
+   * @param {string} name
+   * @param {{ fixturesDir?: string, mode?: string, upstream?: object|null, fixtures?: Record<string, any> }} options
+   */
+  constructor(name, options = {}) {
+    const mode = options.mode || 'replay';
+    if (!FIXTURE_MODES.includes(mode)) {
+      throw new Error(`Unknown fixture mode "${mode}" for provider "${name}". Expected one of: ${FIXTURE_MODES.join(', ')}`);
+    }
+    this.name = name;
+    this.mode = mode;
+    this.fixturesDir = options.fixturesDir ? path.resolve(options.fixturesDir) : null;
+    this.upstream = options.upstream || null;
+    this.fixtures = options.fixtures || {};
+    this.served = new Map();
+  }
+
+  fixturePath(type, payload) {
+    return path.join(this.fixturesDir, `${fixtureKey(type, payload)}.json`);
+  }
+
+  async readFixture(type, payload) {
+    if (!this.fixturesDir) {return null;}
+    try {
+      return JSON.parse(await fsp.readFile(this.fixturePath(type, payload), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {return null;}
+      throw error;
+    }
+  }
+
+  inlineFixture(type) {
+    const entry = this.fixtures[type] ?? this.fixtures['*'];
+    if (entry === undefined) {return null;}
+    let response = entry;
+    if (Array.isArray(entry)) {
+      const index = this.served.get(type) || 0;
+      this.served.set(type, index + 1);
+      response = entry[Math.min(index, entry.length - 1)];
+    }
+    return typeof response === 'string' ? { completion: response } : structuredClone(response);
+  }
+
+  async record(type, payload, options) {
+    if (!this.upstream) {
+      throw new LLMProviderError(this.name, type, new Error(`mode "${this.mode}" needs an upstream provider to record from`));
+    }
+    const response = await this.upstream.complete(type, payload, options);
+    // A handoff is not an answer, so there is nothing worth replaying
+    if (this.fixturesDir && !response.request_for_claude) {
+      await fsp.mkdir(this.fixturesDir, { recursive: true });
+      await writeFileAtomic(this.fixturePath(type, payload), JSON.stringify({
+        type,
+        key: fixtureKey(type, payload),
+        payload,
+        response,
+        recordedAt: new Date().toISOString()
+      }, null, 2));
+    }
+    return response;
+  }
+
+  async complete(type, payload = {}, options = {}) {
+    if (this.mode === 'record') {
+      return await this.record(type, payload, options);
+    }
+
+    const recorded = await this.readFixture(type, payload);
+    if (recorded) {
+      return { ...recorded.response, provider: this.name, fixture: recorded.key };
+    }
+    const inline = this.inlineFixture(type);
+    if (inline) {
+      return { ...inline, provider: this.name };
+    }
+    if (this.mode === 'auto') {
+      return await this.record(type, payload, options);
+    }
+    throw new LLMProviderError(this.name, type, new Error(`no fixture recorded (${fixtureKey(type, payload)})`));
+  }
+}
+
+/**
+ * Build one provider from its config entry. API keys come from `apiKey`,
+ * the environment variable named by `apiKeyEnv`, or FOREST_LLM_API_KEY.
+ */
+export function createLLMProvider(name, spec = {}, env = process.env) {
+  switch ((spec.type || name).toLowerCase()) {
+    case LLM_PROVIDERS.HANDOFF:
+      return new HandoffProvider(name);
+    case LLM_PROVIDERS.HTTP:
+      return new HttpProvider(name, {
+        ...spec,
+        apiKey: spec.apiKey || (spec.apiKeyEnv ? env[spec.apiKeyEnv] : null) || env.FOREST_LLM_API_KEY
+      });
+    case LLM_PROVIDERS.REPLAY:
+      return new ReplayProvider(name, spec);
+    default:
+      throw new Error(`Unknown LLM provider type "${spec.type || name}". Expected one of: ${Object.values(LLM_PROVIDERS).join(', ')}`);
+  }
+}
+
+/**
+ * Read provider config from FOREST_LLM_CONFIG or `<dataDir>/llm-config.json`,
+ * then apply FOREST_LLM_* environment overrides. With nothing configured the
+ * result selects the handoff provider.
+ */
+export function loadLLMConfig(dataDir, env = process.env) {
+  const configPath = env.FOREST_LLM_CONFIG || (dataDir ? path.join(dataDir, LLM_CONFIG_FILE) : null);
+  let config = {};
+  if (configPath && fs.existsSync(configPath)) {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+  const providers = { ...(config.providers || {}) };
+
+  // FOREST_LLM_PROVIDER names a configured provider or a provider type
+  const selected = env.FOREST_LLM_PROVIDER || config.provider || LLM_PROVIDERS.HANDOFF;
+  if (!providers[selected] && selected !== LLM_PROVIDERS.HANDOFF) {
+    providers[selected] = {
+      type: selected,
+      api: env.FOREST_LLM_API,
+      baseUrl: env.FOREST_LLM_BASE_URL,
+      model: env.FOREST_LLM_MODEL,
+      fixturesDir: env.FOREST_LLM_FIXTURES,
+      mode: env.FOREST_LLM_FIXTURE_MODE,
+      upstream: env.FOREST_LLM_UPSTREAM
+    };
+  }
+
+  return {
+    ...config,
+    provider: selected,
+    providers,
+    routes: config.routes || {},
+    timeout: Number(env.FOREST_LLM_TIMEOUT) || config.timeout,
+    maxRetries: env.FOREST_LLM_MAX_RETRIES !== undefined ? Number(env.FOREST_LLM_MAX_RETRIES) : config.maxRetries
+  };
+}
+
+/** Route patterns may end in `*`; exact matches win, then the longest prefix. */
+function matchRoute(routes, type) {
+  if (routes[type]) {return routes[type];}
+  const prefix = Object.keys(routes)
+    .filter(pattern => pattern.endsWith('*') && type.startsWith(pattern.slice(0, -1)))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? routes[prefix] : null;
+}
+
+/**
+ * The object handed to modules as their LLM interface. Picks a provider per
+ * request type, applies the prompt length cap, timeout and retries from
+ * CLAUDE_CONFIG, and falls back (to the handoff provider by default) when a
+ * provider keeps failing, so callers always get a usable result.
+ */
+export class ClaudeInterface {
+  /**
+   * @param {{ provider?: string, providers?: Record<string, object>, routes?: Record<string, string>,
+   *   fallback?: string|null, timeout?: number, maxRetries?: number, backoffMultiplier?: number,
+   *   maxPromptLength?: number, retryDelay?: number }} config
+   */
+  constructor(config = {}, env = process.env) {
+    this.providers = new Map([[LLM_PROVIDERS.HANDOFF, new HandoffProvider()]]);
+    for (const [name, spec] of Object.entries(config.providers || {})) {
+      this.providers.set(name, createLLMProvider(name, { ...spec, upstream: null }, env));
+    }
+    // Recording providers wrap another provider by name
+    for (const [name, spec] of Object.entries(config.providers || {})) {
+      if (!spec.upstream) {continue;}
+      if (!this.providers.has(spec.upstream) || spec.upstream === name) {
+        throw new Error(`LLM provider "${name}" records from unknown provider "${spec.upstream}"`);
+      }
+      this.providers.get(name).upstream = this.providers.get(spec.upstream);
+    }
+
+    this.defaultProvider = config.provider || LLM_PROVIDERS.HANDOFF;
+    this.routes = config.routes || {};
+    this.fallback = config.fallback === undefined ? LLM_PROVIDERS.HANDOFF : config.fallback;
+    for (const name of [this.defaultProvider, ...Object.values(this.routes), ...(this.fallback ? [this.fallback] : [])]) {
+      if (!this.providers.has(name)) {
+        throw new Error(`LLM config refers to unknown provider "${name}"`);
+      }
+    }
+
+    this.timeout = config.timeout || CLAUDE_CONFIG.DEFAULT_TIMEOUT;
+    this.maxRetries = config.maxRetries ?? CLAUDE_CONFIG.MAX_RETRIES;
+    this.backoffMultiplier = config.backoffMultiplier || CLAUDE_CONFIG.BACKOFF_MULTIPLIER;
+    this.maxPromptLength = config.maxPromptLength || CLAUDE_CONFIG.MAX_PROMPT_LENGTH;
+    this.retryDelay = config.retryDelay ?? RETRY_BASE_DELAY;
+  }
+
+  providerFor(type) {
+    return this.providers.get(matchRoute(this.routes, type) || this.defaultProvider);
+  }
+
+  limitPrompt(payload) {
+    const prompt = payload?.prompt;
+    if (typeof prompt !== 'string' || prompt.length <= this.maxPromptLength) {
+      return payload;
+    }
+    const marker = '\n…[truncated]';
+    return { ...payload, prompt: prompt.slice(0, this.maxPromptLength - marker.length) + marker };
+  }
+
+  /** Call one provider with a timeout per attempt and exponential backoff. */
+  async callWithRetry(provider, type, payload) {
+    let lastError;
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = this.retryDelay * Math.pow(this.backoffMultiplier, attempt - 1);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      try {
+        return await provider.complete(type, payload, { signal: AbortSignal.timeout(this.timeout) });
+      } catch (error) {
+        lastError = error instanceof LLMProviderError ? error : new LLMProviderError(provider.name, type, error);
+        if (!lastError.retryable) {break;}
+      }
+    }
+    throw lastError;
+  }
+
+  async requestIntelligence(type, payload = {}) {
+    const provider = this.providerFor(type);
+    const limited = this.limitPrompt(payload);
+    try {
+      return await this.callWithRetry(provider, type, limited);
+    } catch (error) {
+      const fallback = this.fallback && this.fallback !== provider.name ? this.providers.get(this.fallback) : null;
+      if (!fallback) {throw error;}
+      console.warn(`⚠️  ${error.message}; falling back to "${fallback.name}"`);
+      return { ...(await fallback.complete(type, limited)), fallback_reason: error.message };
+    }
+  }
+}
+
+/**
+ * Build the interface from config, falling back to the handoff provider
+ * when the config cannot be used so the server still starts.
+ */
+export function createClaudeInterface(dataDir, env = process.env) {
+  try {
+    return new ClaudeInterface(loadLLMConfig(dataDir, env), env);
+  } catch (error) {
+    console.warn(`⚠️  LLM provider config ignored: ${error.message}`);
+    return new ClaudeInterface({}, env);
+  }
+}
@@ -169,7 +169,13 @@ export class McpHandlers {
                 meal_times: { type: 'array', items: { type: 'string' }, description: 'Preferred meal schedule' },
                 break_preferences: { type: 'string', description: 'How often and what type of breaks you need' },
                 focus_duration: { type: 'string', description: 'Preferred focus session length (e.g. "25 minutes", "2 hours", "until natural break", "flexible", "variable")' },
-                transition_time: { type: 'string', description: 'Time needed between activities' }
+                transition_time: { type: 'string', description: 'Time needed between activities' },
+                peak_hours: { type: 'array', items: { type: 'number' }, description: 'Hours (0-23) when hard tasks fit best, e.g. [9, 10, 11]' },
+                min_daily_learning_minutes: { type: 'number', description: 'Learning time the scheduler aims for each day' },
+                max_daily_learning_minutes: { type: 'number', description: 'Learning time the scheduler never exceeds in a day' },
+                max_consecutive_deep_blocks: { type: 'number', description: 'Most hard (difficulty 3+) blocks in a row before a longer gap' },
+                weekly_availability: { type: 'object', description: 'Learning window and cap per weekday for generate_week_plan, e.g. { "weekdays": { "start": "6:00 PM", "end": "9:00 PM", "max_minutes": 90 } }' },
+                rest_days: { type: 'array', items: { type: 'string' }, description: 'Days generate_week_plan leaves free of learning, e.g. ["sun"]' }
               }
             },
             urgency_level: {
@@ -205,7 +211,152 @@ export class McpHandlers {
         description: 'Show all project workspaces',
         inputSchema: {
           type: 'object',
-          properties: {}
+          properties: {
+            include_archived: { type: 'boolean', default: false, description: 'Also show archived projects' }
+          }
+        }
+      },
+      {
+        name: 'update_project',
+        description: 'Change an existing project\'s goal, preferences, constraints, commitments, busy time, urgency, success metrics, credentials or learning paths. Only the fields you pass are updated; nested objects are merged. Changes are validated and recorded in the project change log',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string', description: 'Project to update (defaults to the active project)' },
+            goal: { type: 'string' },
+            context: { type: 'string' },
+            specific_interests: { type: 'array', items: { type: 'string' } },
+            learning_paths: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  path_name: { type: 'string' },
+                  interests: { type: 'array', items: { type: 'string' } },
+                  priority: { type: 'string', enum: ['high', 'medium', 'low'] }
+                },
+                required: ['path_name']
+              },
+              description: 'Replaces the full list of learning paths'
+            },
+            constraints: { type: 'object', description: 'Merged into existing constraints' },
+            existing_credentials: {
+              type: 'array',
+              items: { type: 'object' },
+              description: 'Replaces credentials and recomputes knowledge_level'
+            },
+            current_habits: { type: 'object', description: 'Merged into existing habits' },
+            life_structure_preferences: {
+              type: 'object',
+              properties: {
+                wake_time: { type: 'string' },
+                sleep_time: { type: 'string' },
+                meal_times: { type: 'array', items: { type: 'string' } },
+                break_preferences: { type: 'string' },
+                focus_duration: { type: 'string' },
+                transition_time: { type: 'string' },
+                peak_hours: { type: 'array', items: { type: 'number' }, description: 'Hours (0-23) when hard tasks fit best, e.g. [9, 10, 11]' },
+                min_daily_learning_minutes: { type: 'number', description: 'Learning time the scheduler aims for each day' },
+                max_daily_learning_minutes: { type: 'number', description: 'Learning time the scheduler never exceeds in a day' },
+                max_consecutive_deep_blocks: { type: 'number', description: 'Most hard (difficulty 3+) blocks in a row before a longer gap' },
+                weekly_availability: { type: 'object', description: 'Learning window and cap per weekday for generate_week_plan, e.g. { "weekdays": { "start": "6:00 PM", "end": "9:00 PM", "max_minutes": 90 } }' },
+                rest_days: { type: 'array', items: { type: 'string' }, description: 'Days generate_week_plan leaves free of learning, e.g. ["sun"]' }
+              },
+              description: 'Merged into existing preferences'
+            },
+            commitments: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  label: { type: 'string', description: 'e.g. "Work" or "Spanish class"' },
+                  days: { type: 'array', items: { type: 'string' }, description: 'Day names, or "weekdays", "weekends", "daily"' },
+                  start: { type: 'string', description: 'e.g. "9:00 AM"' },
+                  end: { type: 'string', description: 'e.g. "5:00 PM"; an end before the start runs overnight' },
+                  hard: { type: 'boolean', default: true, description: 'Soft commitments give way to hard ones and to calendar events' }
+                },
+                required: ['label', 'days', 'start', 'end']
+              },
+              description: 'Recurring weekly commitments that schedules plan around. Replaces the full list'
+            },
+            busy_blocks: {
+              type: 'object',
+              additionalProperties: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    label: { type: 'string' },
+                    start: { type: 'string' },
+                    end: { type: 'string' },
+                    hard: { type: 'boolean', default: true }
+                  },
+                  required: ['label', 'start', 'end']
+                }
+              },
+              description: 'One-off busy time by date, e.g. {"2026-01-06": [{"label": "Dentist", "start": "2:00 PM", "end": "3:00 PM"}]}. Replaces the blocks for each date given; an empty list clears that date'
+            },
+            urgency_level: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+            success_metrics: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      {
+        name: 'archive_project',
+        description: 'Archive a project: hide it from list_projects and exclude it from integrated scheduling and memory sync. Data is kept',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' }
+          },
+          required: ['project_id']
+        }
+      },
+      {
+        name: 'unarchive_project',
+        description: 'Bring an archived project back into the active project list',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' }
+          },
+          required: ['project_id']
+        }
+      },
+      {
+        name: 'delete_project',
+        description: 'Permanently delete a project. Requires confirm: true; a recovery snapshot is taken first',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            confirm: { type: 'boolean', default: false, description: 'Set to true to actually delete' }
+          },
+          required: ['project_id']
+        }
+      },
+      {
+        name: 'rename_project',
+        description: 'Change a project id, moving all of its data and snapshots',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            new_project_id: { type: 'string' }
+          },
+          required: ['project_id', 'new_project_id']
+        }
+      },
+      {
+        name: 'clone_project',
+        description: 'Create a new project with the same goal, learning paths and HTA structure as an existing one, with all completion state reset',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string', description: 'Project to copy' },
+            new_project_id: { type: 'string' }
+          },
+          required: ['project_id', 'new_project_id']
         }
       },
       {
@@ -246,6 +397,158 @@ export class McpHandlers {
           properties: {}
         }
       },
+      {
+        name: 'add_task',
+        description: 'Manually add a task to the HTA tree under a branch or sub-branch',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            description: { type: 'string' },
+            branch: { type: 'string', description: 'Strategic branch or sub-branch id or title' },
+            difficulty: { type: 'number', minimum: 1, maximum: 5 },
+            duration: { type: 'number', description: 'Minutes' },
+            prerequisites: { type: 'array', items: { type: 'string' }, description: 'Task ids or titles' },
+            priority: { type: 'number' },
+            path_name: { type: 'string', description: 'Learning path (defaults to the active path)' }
+          },
+          required: ['title']
+        }
+      },
+      {
+        name: 'update_task',
+        description: 'Edit a task\'s title, description, difficulty, duration, priority or prerequisites',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: { type: 'string' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            difficulty: { type: 'number', minimum: 1, maximum: 5 },
+            duration: { type: 'number', description: 'Minutes' },
+            priority: { type: 'number' },
+            prerequisites: { type: 'array', items: { type: 'string' }, description: 'Replaces the current list' },
+            path_name: { type: 'string', description: 'Learning path (defaults to the active path)' }
+          },
+          required: ['task_id']
+        }
+      },
+      {
+        name: 'move_task',
+        description: 'Move a task to another strategic branch or sub-branch',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: { type: 'string' },
+            branch: { type: 'string', description: 'Target branch or sub-branch id or title' },
+            path_name: { type: 'string', description: 'Learning path (defaults to the active path)' }
+          },
+          required: ['task_id', 'branch']
+        }
+      },
+      {
+        name: 'split_task',
+        description: 'Split an oversized task into smaller tasks; dependent tasks are rewired to the new ones',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: { type: 'string' },
+            parts: {
+              type: 'array',
+              minItems: 2,
+              items: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string' },
+                  description: { type: 'string' },
+                  duration: { type: 'number', description: 'Minutes (default: original duration split evenly)' },
+                  difficulty: { type: 'number', minimum: 1, maximum: 5 }
+                },
+                required: ['title']
+              }
+            },
+            sequential: { type: 'boolean', default: true, description: 'Each part requires the previous one' },
+            path_name: { type: 'string', description: 'Learning path (defaults to the active path)' }
+          },
+          required: ['task_id', 'parts']
+        }
+      },
+      {
+        name: 'delete_task',
+        description: 'Delete a task; tasks that depended on it inherit its prerequisites',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: { type: 'string' },
+            path_name: { type: 'string', description: 'Learning path (defaults to the active path)' }
+          },
+          required: ['task_id']
+        }
+      },
+      {
+        name: 'hta_history',
+        description: 'List recorded HTA revisions (which tool changed the tree, when, and what changed)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path_name: { type: 'string', description: 'Learning path (defaults to the active path)' },
+            limit: { type: 'number', default: 20 }
+          }
+        }
+      },
+      {
+        name: 'hta_diff',
+        description: 'Show nodes added, removed and changed between two HTA revisions',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            rev_a: { type: 'string', description: 'Older revision, e.g. "r12" or 12' },
+            rev_b: { type: 'string', description: 'Newer revision (defaults to the latest)' },
+            path_name: { type: 'string', description: 'Learning path (defaults to the active path)' }
+          },
+          required: ['rev_a']
+        }
+      },
+      {
+        name: 'hta_revert',
+        description: 'Revert the HTA tree to an earlier revision. Previews by default; the revert is itself recorded as a revision',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            revision: { type: 'string', description: 'Revision to go back to, e.g. "r12" or 12' },
+            preview: { type: 'boolean', default: true, description: 'Only show what would change' },
+            path_name: { type: 'string', description: 'Learning path (defaults to the active path)' }
+          },
+          required: ['revision']
+        }
+      },
+      {
+        name: 'import_hta',
+        description: 'Import an existing curriculum (Markdown headings/bullets, OPML outline or CSV) into the HTA tree as branches and tasks',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            content: { type: 'string', description: 'The roadmap text to import' },
+            file_path: { type: 'string', description: 'Path to a .md, .opml or .csv file (relative paths resolve inside the data directory)' },
+            format: { type: 'string', enum: ['markdown', 'opml', 'csv'], description: 'Detected from the file extension or content when omitted' },
+            mode: { type: 'string', enum: ['append', 'replace'], default: 'append', description: 'Append to the existing tree (skipping tasks whose title already exists) or replace it' },
+            path_name: { type: 'string', description: 'Learning path (defaults to the active path)' }
+          }
+        }
+      },
+      {
+        name: 'export_hta',
+        description: 'Export the HTA tree as a Markdown checklist, Mermaid diagram, Graphviz DOT graph or OPML outline',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            format: { type: 'string', enum: ['markdown', 'mermaid', 'dot', 'opml'], default: 'markdown', description: 'Output format' },
+            path_name: { type: 'string', description: 'Learning path (defaults to the active path)' },
+            save: { type: 'boolean', default: false, description: 'Also write the export to the exports directory' },
+            output_path: { type: 'string', description: 'File to write the export to (implies save; relative paths resolve inside the data directory)' }
+          }
+        }
+      },
       {
         name: 'generate_daily_schedule',
         description: 'ON-DEMAND: Generate comprehensive gap-free daily schedule when requested by user',
@@ -278,6 +581,55 @@ export class McpHandlers {
           }
         }
       },
+      {
+        name: 'generate_week_plan',
+        description: 'Plan several days at once: spread ready and upcoming HTA tasks over the week by prerequisite order, per-weekday availability and caps, rest days and a weekly target. Writes each daily schedule plus a week overview that review_week compares against.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            start_date: { type: 'string', description: 'First day, YYYY-MM-DD (defaults to today)' },
+            days: { type: 'number', minimum: 1, maximum: 14, default: 7, description: 'Number of days to plan' },
+            energy_level: { type: 'number', minimum: 1, maximum: 5, description: 'Expected energy level for the days planned' },
+            availability: {
+              type: 'object',
+              description: 'Learning window and cap per weekday, e.g. { "weekdays": { "start": "6:00 PM", "end": "9:00 PM", "max_minutes": 90 }, "sat": { "start": "9:00 AM", "end": "1:00 PM" } }. Defaults to life_structure_preferences.weekly_availability',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  start: { type: 'string' },
+                  end: { type: 'string' },
+                  max_minutes: { type: 'number' }
+                },
+                required: ['start', 'end']
+              }
+            },
+            rest_days: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Days with no learning, e.g. ["sun"]. Defaults to life_structure_preferences.rest_days'
+            },
+            weekly_target_minutes: { type: 'number', minimum: 0, description: 'Learning minutes to aim for over the plan, shared out across working days' },
+            focus_type: {
+              type: 'string',
+              enum: ['learning', 'building', 'networking', 'habits', 'mixed'],
+              description: 'Type of work to prioritize'
+            }
+          }
+        }
+      },
+      {
+        name: 'reschedule_day',
+        description: 'Re-plan the rest of a day that has drifted: pack unfinished learning blocks (missed ones too) from now into the remaining free time, push later blocks back when one runs long, and carry learning that no longer fits over to the next day. Carry-overs are counted so chronically deferred tasks show up in analyze_performance.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            date: { type: 'string', description: 'Schedule to rearrange, YYYY-MM-DD (defaults to today)' },
+            now: { type: 'string', description: 'Time to plan from, e.g. "2:30 PM" (defaults to the current time)' },
+            overrun_block_id: { type: 'string', description: 'Block that ran long; it keeps its start and later blocks move back' },
+            overrun_minutes: { type: 'number', minimum: 1, description: 'How long the block ran over (defaults to the time between its scheduled end and now)' }
+          }
+        }
+      },
       {
         name: 'generate_integrated_schedule',
         description: 'Build a daily schedule that balances tasks across ALL active projects',
@@ -440,6 +792,34 @@ export class McpHandlers {
           }
         }
       },
+      {
+        name: 'export_schedule_ics',
+        description: 'Export saved daily schedules as an iCalendar (.ics) file with start and end times',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            dates: { type: 'array', items: { type: 'string' }, description: 'Schedule dates as YYYY-MM-DD (defaults to today)' },
+            include_breaks: { type: 'boolean', default: true, description: 'Include break blocks between tasks' },
+            timezone: { type: 'string', description: 'IANA time zone the schedule times are in (defaults to the system zone)' },
+            save: { type: 'boolean', default: false, description: 'Also write the calendar to the exports directory' },
+            output_path: { type: 'string', description: 'File to write the calendar to (implies save; relative paths resolve inside the data directory)' }
+          }
+        }
+      },
+      {
+        name: 'import_calendar_ics',
+        description: 'Import busy events from a local .ics file as fixed blocks that daily schedules plan around',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            file_path: { type: 'string', description: 'Path to the .ics file (relative paths resolve inside the data directory)' },
+            start_date: { type: 'string', description: 'First day to import, YYYY-MM-DD (defaults to today)' },
+            days: { type: 'number', minimum: 1, maximum: 366, default: 14, description: 'Number of days to import' },
+            timezone: { type: 'string', description: 'IANA time zone to convert events into (defaults to the system zone)' }
+          },
+          required: ['file_path']
+        }
+      },
       {
         name: 'analyze_performance',
         description: 'Analyze historical data to discover your personal productivity patterns.',
@@ -513,7 +893,7 @@ export class McpHandlers {
             },
             duration: {
               type: 'string',
-              description: 'How long to focus on this path (e.g. "today", "this week", "until next switch")'
+              description: 'How long to focus on this path (e.g. "today", "this week", "2 hours", "3 days", "until next switch"). Bounded durations switch back to the previous path when they end'
             }
           },
           required: ['path_name']
@@ -534,6 +914,57 @@ export class McpHandlers {
         description: 'Show all available learning paths in the current project',
         inputSchema: { type: 'object', properties: {} }
       },
+      {
+        name: 'add_learning_path',
+        description: 'Add a new learning path to the active project',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path_name: { type: 'string', description: 'Name of the new path (e.g. "music theory")' },
+            priority: { type: 'string', enum: ['high', 'medium', 'low'], default: 'medium' },
+            interests: { type: 'array', items: { type: 'string' }, description: 'Specific interests for this path' }
+          },
+          required: ['path_name']
+        }
+      },
+      {
+        name: 'remove_learning_path',
+        description: 'Remove a learning path from the active project. Its HTA, history and schedules are archived inside the project, not deleted',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path_name: { type: 'string' }
+          },
+          required: ['path_name']
+        }
+      },
+      {
+        name: 'set_path_priority',
+        description: 'Change the priority of a learning path in the active project',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path_name: { type: 'string' },
+            priority: { type: 'string', enum: ['high', 'medium', 'low'] }
+          },
+          required: ['path_name', 'priority']
+        }
+      },
+      {
+        name: 'set_path_rotation',
+        description: 'Spread work across several learning paths by weight (e.g. 60% guitar, 40% theory). Daily schedules and get_next_task then draw from each path in proportion',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            weights: {
+              type: 'object',
+              additionalProperties: { type: 'number' },
+              description: 'Path name to weight, e.g. {"guitar": 60, "theory": 40}. Omit to derive weights from path priorities'
+            },
+            enabled: { type: 'boolean', default: true, description: 'Set to false to go back to the single active path' }
+          }
+        }
+      },
       {
         name: 'analyze_reasoning',
         description: 'Generate logical deductions and strategic insights from completion patterns',
@@ -591,7 +1022,8 @@ export class McpHandlers {
                         description: { type: 'string' },
                         difficulty: { type: 'number' },
                         duration: { type: 'number' },
-                        prerequisites: { type: 'array', items: { type: 'string' } }
+                        prerequisites: { type: 'array', items: { type: 'string' } },
+                        sub_branch: { type: 'string', description: 'Optional sub-branch id or title to file the task under' }
                       },
                       required: ['title']
                     }
@@ -630,6 +1062,69 @@ export class McpHandlers {
           },
           required: ['block_id','outcome','energy_level']
         }
+      },
+      {
+        name: 'migrate_data',
+        description: 'Upgrade stored project data to the current schema version. Runs as a dry run by default and reports what would change',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            dry_run: { type: 'boolean', default: true, description: 'Only report pending migrations without writing' },
+            project_id: { type: 'string', description: 'Limit migration to a single project' }
+          }
+        }
+      },
+      {
+        name: 'list_snapshots',
+        description: 'List automatic project snapshots taken before destructive operations (HTA rebuilds, sequence repairs, task imports, migrations)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string', description: 'Project to list snapshots for (defaults to the active project)' }
+          }
+        }
+      },
+      {
+        name: 'restore_snapshot',
+        description: 'Restore a project from a snapshot. Shows a diff preview by default; pass preview: false to overwrite current data',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            snapshot_id: { type: 'string', description: 'Snapshot id from list_snapshots' },
+            preview: { type: 'boolean', default: true, description: 'Only show what would change' },
+            project_id: { type: 'string', description: 'Project to restore (defaults to the active project)' }
+          },
+          required: ['snapshot_id']
+        }
+      },
+      {
+        name: 'export_project',
+        description: 'Export a whole project (config, every path\'s HTA, learning history and schedules) as a single portable JSON archive with a manifest and checksum',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string', description: 'Project to export (defaults to the active project)' },
+            output_path: { type: 'string', description: 'Where to write the archive. Relative paths are inside the Forest data directory (default: exports/<project>-<timestamp>.forest.json)' }
+          }
+        }
+      },
+      {
+        name: 'import_project',
+        description: 'Import a project archive created by export_project, verify its checksum and register it as the active project',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            archive_path: { type: 'string', description: 'Path to the .forest.json archive' },
+            project_id: { type: 'string', description: 'Import under this id instead of the archived one' },
+            on_conflict: {
+              type: 'string',
+              enum: ['rename', 'merge', 'fail'],
+              default: 'rename',
+              description: 'If the project id already exists: import under a new id, merge into the existing project, or abort'
+            }
+          },
+          required: ['archive_path']
+        }
       }
     ];
   }
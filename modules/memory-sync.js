@@ -11,8 +11,17 @@ export class MemorySync {
   async syncActiveProjectToMemory(projectId) {
     try {
       const config = await this.dataPersistence.loadProjectData(projectId, 'config.json') || {};
-      const htaData = await this.dataPersistence.loadProjectData(projectId, 'hta.json') || {};
-      const learningHistory = await this.dataPersistence.loadProjectData(projectId, 'learning_history.json') || { completedTopics: [], insights: [] };
+      if (config.archived) {
+        return {
+          project_id: projectId,
+          archived: true,
+          skipped: 'Project is archived; memory sync is disabled until it is unarchived',
+          sync_timestamp: new Date().toISOString()
+        };
+      }
+      const activePath = config.activePath || 'general';
+      const htaData = await this.dataPersistence.loadPathHTA(projectId, activePath) || {};
+      const learningHistory = await this.dataPersistence.loadLearningHistory(projectId, activePath) || { completedTopics: [], insights: [] };
       
       const today = new Date().toISOString().split('T')[0];
       const todaySchedule = await this.dataPersistence.loadProjectData(projectId, `day_${today}.json`) || {};
@@ -68,6 +77,15 @@ export class MemorySync {
       }
 
       const memoryData = await this.syncActiveProjectToMemory(activeProjectId);
+      if (memoryData.archived) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Project ${activeProjectId} is archived, so it was not synced to memory. Use unarchive_project to resume syncing.`
+          }],
+          forest_memory_sync: memoryData
+        };
+      }
       
       return {
         content: [{
@@ -0,0 +1,99 @@
+/**
+ * Path Rotation Helpers
+ * In rotation mode a project spreads work across several learning paths by
+ * weight (e.g. 60% guitar, 40% theory) instead of following `activePath`
+ * alone. These helpers are pure so the scheduler, task selection and
+ * completion routing all apportion work the same way.
+ *
+ * Stored on the project config as:
+ *   rotation: { enabled: true, weights: { guitar: 0.6, theory: 0.4 }, updated_at }
+ */
+
+const PRIORITY_WEIGHTS = { high: 3, medium: 2, low: 1 };
+
+/**
+ * Default weights derived from path priorities.
+ * @param {Array<{path_name: string, priority?: string}>} learningPaths
+ */
+export function weightsFromPriorities(learningPaths) {
+  const weights = {};
+  for (const learningPath of learningPaths || []) {
+    weights[learningPath.path_name] = PRIORITY_WEIGHTS[learningPath.priority] || PRIORITY_WEIGHTS.medium;
+  }
+  return normaliseWeights(weights);
+}
+
+/** Scale weights so they sum to 1, dropping non-positive entries. */
+export function normaliseWeights(weights) {
+  const entries = Object.entries(weights || {}).filter(([, w]) => typeof w === 'number' && w > 0);
+  const total = entries.reduce((sum, [, w]) => sum + w, 0);
+  if (total === 0) {return {};}
+  return Object.fromEntries(entries.map(([pathName, w]) => [pathName, w / total]));
+}
+
+/**
+ * Active rotation weights for a project, limited to paths that still exist.
+ * Returns null when rotation is off, covers fewer than two paths, or is
+ * suspended by a time-bounded focus_learning_path; callers then fall back to
+ * `activePath`.
+ */
+export function getRotationWeights(config) {
+  if (!config?.rotation?.enabled || config.path_focus) {return null;}
+  const known = new Set((config.learning_paths || []).map(p => p.path_name));
+  const weights = normaliseWeights(Object.fromEntries(
+    Object.entries(config.rotation.weights || {}).filter(([pathName]) => known.has(pathName))
+  ));
+  return Object.keys(weights).length >= 2 ? weights : null;
+}
+
+/**
+ * Merge per-path task lists into one sequence using smooth weighted
+ * round-robin, so any prefix of the result is split between paths in
+ * proportion to their weights. Paths that run out of tasks drop out and the
+ * rest share their slots. Deterministic for the same input.
+ * @param {Record<string, any[]>} tasksByPath - each list already in preference order
+ * @param {Record<string, number>} weights
+ */
+export function interleaveByWeight(tasksByPath, weights) {
+  const queues = Object.fromEntries(Object.keys(weights).map(p => [p, [...(tasksByPath[p] || [])]]));
+  const credit = Object.fromEntries(Object.keys(weights).map(p => [p, 0]));
+  const result = [];
+
+  let live = Object.keys(queues).filter(p => queues[p].length > 0);
+  while (live.length > 0) {
+    const total = live.reduce((sum, p) => sum + weights[p], 0);
+    let pick = live[0];
+    for (const pathName of live) {
+      credit[pathName] += weights[pathName];
+      if (credit[pathName] > credit[pick]) {pick = pathName;}
+    }
+    credit[pick] -= total;
+    result.push(queues[pick].shift());
+    live = live.filter(p => queues[p].length > 0);
+  }
+  return result;
+}
+
+/**
+ * Order paths by how far each is behind its share of recent work, most
+ * under-served first. Ties keep the heavier path first.
+ * @param {Record<string, number>} weights
+ * @param {Record<string, number>} completedCounts - recent completions per path
+ */
+export function rankPathsByDeficit(weights, completedCounts) {
+  const total = Object.keys(weights).reduce((sum, p) => sum + (completedCounts[p] || 0), 0);
+  return Object.keys(weights)
+    .map(pathName => ({
+      pathName,
+      deficit: weights[pathName] * (total + 1) - (completedCounts[pathName] || 0)
+    }))
+    .sort((a, b) => b.deficit - a.deficit || weights[b.pathName] - weights[a.pathName])
+    .map(entry => entry.pathName);
+}
+
+/** Human-readable split, e.g. "guitar 60% · theory 40%". */
+export function formatWeights(weights) {
+  return Object.entries(weights)
+    .map(([pathName, w]) => `${pathName} ${Math.round(w * 100)}%`)
+    .join(' · ');
+}
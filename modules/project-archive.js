@@ -0,0 +1,382 @@
+/**
+ * Project Archive Module
+ * Portable single-file export/import of a whole project: config, every path's
+ * HTA, learning history and schedules, plus a manifest and checksum
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { DIRECTORIES, FILE_NAMES } from './constants.js';
+import { ValidationError } from './errors.js';
+import { getDocumentType } from './schema-migrations.js';
+
+export const ARCHIVE_FORMAT = 'forest-project-archive';
+export const ARCHIVE_FORMAT_VERSION = 1;
+
+/** JSON with sorted object keys, so checksums survive a parse/serialise round trip. */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+export class ProjectArchive {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  resolveArchivePath(archivePath) {
+    return path.isAbsolute(archivePath)
+      ? archivePath
+      : path.join(this.dataPersistence.dataDir, archivePath);
+  }
+
+  buildArchive(projectId, documents) {
+    const files = Object.keys(documents).sort().map(file => ({
+      path: file,
+      type: getDocumentType(file),
+      schemaVersion: documents[file]?.schemaVersion ?? 0,
+      sha256: sha256(stableStringify(documents[file]))
+    }));
+
+    return {
+      manifest: {
+        format: ARCHIVE_FORMAT,
+        formatVersion: ARCHIVE_FORMAT_VERSION,
+        projectId,
+        exportedAt: new Date().toISOString(),
+        documentCount: files.length,
+        files
+      },
+      checksum: sha256(stableStringify(documents)),
+      documents
+    };
+  }
+
+  /**
+   * Check format, checksum and per-file hashes. Throws on the first problem.
+   */
+  verifyArchive(archive) {
+    const { manifest, documents, checksum } = archive || {};
+    if (manifest?.format !== ARCHIVE_FORMAT) {
+      throw new ValidationError('manifest.format', manifest?.format, `'${ARCHIVE_FORMAT}'`);
+    }
+    if (manifest.formatVersion > ARCHIVE_FORMAT_VERSION) {
+      throw new ValidationError('manifest.formatVersion', manifest.formatVersion, `<= ${ARCHIVE_FORMAT_VERSION}`);
+    }
+    if (!documents || typeof documents !== 'object') {
+      throw new ValidationError('documents', documents, 'an object of project documents');
+    }
+    if (sha256(stableStringify(documents)) !== checksum) {
+      throw new Error('Archive checksum mismatch: the file is corrupt or was edited after export');
+    }
+
+    const listed = new Set(manifest.files.map(f => f.path));
+    for (const file of Object.keys(documents)) {
+      if (!listed.has(file)) {
+        throw new Error(`Archive contains "${file}" which is not listed in its manifest`);
+      }
+      if (file.split('/').includes('..') || path.isAbsolute(file)) {
+        throw new ValidationError('documents', file, 'a path inside the project directory');
+      }
+    }
+    for (const entry of manifest.files) {
+      if (sha256(stableStringify(documents[entry.path])) !== entry.sha256) {
+        throw new Error(`Archive checksum mismatch for "${entry.path}"`);
+      }
+    }
+    if (!documents[FILE_NAMES.CONFIG]) {
+      throw new Error('Archive has no project config.json');
+    }
+  }
+
+  async exportProject(projectId = null, outputPath = null) {
+    try {
+      const targetProject = projectId || await this.projectManagement.requireActiveProject();
+      const documents = await this.dataPersistence.readProjectDocuments(targetProject);
+      if (!documents[FILE_NAMES.CONFIG]) {
+        throw new Error(`Project "${targetProject}" not found`);
+      }
+
+      const archive = this.buildArchive(targetProject, documents);
+      const stamp = archive.manifest.exportedAt.replace(/[:.]/g, '-');
+      const filePath = this.resolveArchivePath(outputPath || path.join(DIRECTORIES.EXPORTS, `${targetProject}-${stamp}.forest.json`));
+      await this.dataPersistence.writeFileAtomic(filePath, JSON.stringify(archive, null, 2));
+
+      const pathCount = new Set(Object.keys(documents)
+        .filter(f => f.startsWith(`${DIRECTORIES.PATHS}/`))
+        .map(f => f.split('/')[1])).size;
+      const scheduleCount = Object.keys(documents).filter(f => /day_\d{4}-\d{2}-\d{2}\.json$/.test(f)).length;
+
+      return {
+        content: [{
+          type: 'text',
+          text: `📦 **Project exported**: ${targetProject}\n\n` +
+               `**Archive**: ${filePath}\n` +
+               `**Documents**: ${archive.manifest.documentCount} (${pathCount} named path(s), ${scheduleCount} schedule(s))\n` +
+               `**Checksum**: ${archive.checksum.slice(0, 16)}…\n\n` +
+               `Use \`import_project\` with this archive_path on another machine to restore it.`
+        }],
+        archive_path: filePath,
+        manifest: archive.manifest,
+        checksum: archive.checksum
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('exportProject', error, { projectId, outputPath });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error exporting project: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * @param {string} archivePath
+   * @param {{ projectId?: string|null, onConflict?: 'rename'|'merge'|'fail' }} [options]
+   */
+  async importProject(archivePath, { projectId = null, onConflict = 'rename' } = {}) {
+    try {
+      if (!archivePath) {
+        throw new Error('archive_path is required');
+      }
+      const filePath = this.resolveArchivePath(archivePath);
+      const archive = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      this.verifyArchive(archive);
+
+      let targetProject = projectId || archive.manifest.projectId;
+      this.projectManagement.validateProjectId(targetProject);
+
+      let mode = 'new';
+      if (await this.projectManagement.projectExists(targetProject)) {
+        if (onConflict === 'fail') {
+          throw new Error(`Project "${targetProject}" already exists. Pass on_conflict "rename" or "merge", or choose another project_id.`);
+        }
+        if (onConflict === 'merge') {
+          mode = 'merge';
+        } else {
+          const base = targetProject;
+          let n = 2;
+          do {
+            targetProject = `${base}-${n++}`;
+          } while (await this.projectManagement.projectExists(targetProject));
+          this.projectManagement.validateProjectId(targetProject);
+          mode = 'rename';
+        }
+      }
+
+      const written = await this.dataPersistence.withProjectLock(targetProject, async () => {
+        if (mode === 'merge') {
+          await this.dataPersistence.snapshotBeforeChange(targetProject, `import_project merge from ${archive.manifest.projectId}`);
+          return await this.mergeDocuments(targetProject, archive.documents);
+        }
+        try {
+          return await this.writeDocuments(targetProject, archive.documents);
+        } catch (error) {
+          // Leave no half-written project behind under the new id
+          await this.dataPersistence.deleteProjectDocuments(targetProject);
+          throw error;
+        }
+      });
+
+      // Register the project the same way createProject does
+      const globalData = await this.dataPersistence.loadGlobalData(FILE_NAMES.CONFIG) || { projects: [] };
+      if (!globalData.projects.includes(targetProject)) {
+        globalData.projects.push(targetProject);
+      }
+      globalData.activeProject = targetProject;
+      await this.dataPersistence.saveGlobalData(FILE_NAMES.CONFIG, globalData);
+      this.projectManagement.activeProject = targetProject;
+
+      const memoryData = await this.projectManagement.memorySync?.syncActiveProjectToMemory(targetProject);
+
+      const modeText = {
+        new: 'Imported as a new project',
+        rename: `"${archive.manifest.projectId}" already existed, so the import was renamed`,
+        merge: 'Merged into the existing project (a snapshot was taken first)'
+      }[mode];
+
+      return {
+        content: [{
+          type: 'text',
+          text: `📥 **Project imported**: ${targetProject}\n\n` +
+               `${modeText}.\n` +
+               `**Source**: ${archive.manifest.projectId} (exported ${new Date(archive.manifest.exportedAt).toLocaleString()})\n` +
+               `**Documents written**: ${written.length}\n` +
+               `**Checksum**: verified ✅\n\n` +
+               `✅ Project is now active.`
+        }],
+        project_id: targetProject,
+        import_mode: mode,
+        documents_written: written,
+        forest_memory_sync: memoryData
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('importProject', error, { archivePath, projectId, onConflict });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error importing project: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Write one imported document. HTA trees go through savePathHTA so they are
+   * validated, normalised and recorded as a revision like any other HTA save;
+   * a failed write throws so a partial import is never reported as a success.
+   */
+  async storeDocument(projectId, file, data) {
+    const pathName = this.dataPersistence.getHTAPathName(file);
+    if (pathName) {
+      await this.dataPersistence.savePathHTA(projectId, pathName, data, { author: 'import_project' });
+      return;
+    }
+    if (!await this.dataPersistence.writeDocument(`${DIRECTORIES.PROJECTS}/${projectId}/${file}`, data)) {
+      throw new Error(`Failed to write "${file}" while importing into "${projectId}"`);
+    }
+  }
+
+  /**
+   * The general tree is saved at project level; a legacy paths/general copy
+   * only stands in for it when the archive has no project-level hta.json.
+   */
+  isShadowedLegacyTree(file, documents) {
+    return file === `${DIRECTORIES.PATHS}/general/${FILE_NAMES.HTA}` && FILE_NAMES.HTA in documents;
+  }
+
+  async writeDocuments(projectId, documents) {
+    const written = [];
+    for (const [file, doc] of Object.entries(documents)) {
+      if (this.isShadowedLegacyTree(file, documents)) {continue;}
+      const data = structuredClone(doc);
+      if (file === FILE_NAMES.CONFIG) {
+        data.id = projectId;
+      }
+      await this.storeDocument(projectId, file, data);
+      written.push(file);
+    }
+    return written;
+  }
+
+  /**
+   * Fold an archive into an existing project. Existing data wins on conflicts;
+   * the archive only contributes what the project does not already have.
+   */
+  async mergeDocuments(projectId, documents) {
+    const written = [];
+    for (const [file, incoming] of Object.entries(documents)) {
+      if (this.isShadowedLegacyTree(file, documents)) {continue;}
+      const key = `${DIRECTORIES.PROJECTS}/${projectId}/${file}`;
+      const existing = await this.dataPersistence.readDocument(key);
+      let merged;
+
+      if (!existing) {
+        merged = structuredClone(incoming);
+      } else {
+        switch (getDocumentType(file)) {
+          case 'project_config':
+            merged = this.mergeConfig(existing, incoming);
+            break;
+          case 'hta':
+            merged = this.mergeHTA(existing, incoming);
+            break;
+          case 'learning_history':
+            merged = this.mergeLearningHistory(existing, incoming);
+            break;
+          default:
+            continue; // schedules and other documents: keep what is already there
+        }
+      }
+
+      if (file === FILE_NAMES.CONFIG) {
+        merged.id = projectId;
+      }
+      await this.storeDocument(projectId, file, merged);
+      written.push(file);
+    }
+    return written;
+  }
+
+  mergeConfig(existing, incoming) {
+    const merged = structuredClone(existing);
+    const known = new Set((merged.learning_paths || []).map(p => p.path_name));
+    for (const learningPath of incoming.learning_paths || []) {
+      if (!known.has(learningPath.path_name)) {
+        merged.learning_paths = [...(merged.learning_paths || []), learningPath];
+        known.add(learningPath.path_name);
+      }
+    }
+    return merged;
+  }
+
+  mergeHTA(existing, incoming) {
+    const merged = structuredClone(existing);
+    merged.strategicBranches = merged.strategicBranches || [];
+    merged.frontierNodes = merged.frontierNodes || [];
+
+    const branchIds = new Set(merged.strategicBranches.map(b => b.id));
+    const branchTitles = new Set(merged.strategicBranches.map(b => b.title?.toLowerCase()));
+    for (const branch of incoming.strategicBranches || []) {
+      if (!branchIds.has(branch.id) && !branchTitles.has(branch.title?.toLowerCase())) {
+        merged.strategicBranches.push(structuredClone(branch));
+        branchIds.add(branch.id);
+      }
+    }
+
+    // Same id + same title is the same task; same id with a different title is
+    // an unrelated task from another tree and gets a fresh id.
+    const existingById = new Map(merged.frontierNodes.map(n => [n.id, n]));
+    const usedIds = new Set(existingById.keys());
+    const idMap = new Map();
+    const additions = [];
+    for (const node of incoming.frontierNodes || []) {
+      const match = existingById.get(node.id);
+      if (match && match.title === node.title) {
+        idMap.set(node.id, node.id);
+        continue;
+      }
+      let newId = node.id;
+      for (let n = 2; usedIds.has(newId); n++) {
+        newId = `${node.id}_imported${n > 2 ? `_${n - 1}` : ''}`;
+      }
+      usedIds.add(newId);
+      idMap.set(node.id, newId);
+      additions.push({ ...structuredClone(node), id: newId });
+    }
+    for (const node of additions) {
+      node.prerequisites = (node.prerequisites || []).map(id => idMap.get(id) || id);
+    }
+    merged.frontierNodes.push(...additions);
+    merged.lastUpdated = new Date().toISOString();
+    return merged;
+  }
+
+  mergeLearningHistory(existing, incoming) {
+    const merged = structuredClone(existing);
+    for (const field of ['completedTopics', 'insights', 'knowledgeGaps']) {
+      const seen = new Set((merged[field] || []).map(item => stableStringify(item)));
+      for (const item of incoming[field] || []) {
+        const signature = stableStringify(item);
+        if (!seen.has(signature)) {
+          merged[field] = [...(merged[field] || []), item];
+          seen.add(signature);
+        }
+      }
+    }
+    merged.skillProgression = { ...(incoming.skillProgression || {}), ...(merged.skillProgression || {}) };
+    return merged;
+  }
+}
@@ -3,6 +3,11 @@
  * Handles project creation, switching, and lifecycle management
  */
 
+import { TASK_CONFIG, VALIDATION } from './constants.js';
+import { ValidationError } from './errors.js';
+import { mergeBusyBlocks, normaliseCommitments, parseDays } from './commitments.js';
+import { normaliseWeeklyAvailability } from './week-planner.js';
+
 export class ProjectManagement {
   constructor(dataPersistence, memorySync) {
     this.dataPersistence = dataPersistence;
@@ -96,6 +101,9 @@ export class ProjectManagement {
       if (!config) {
         throw new Error(`Project "${projectId}" not found`);
       }
+      if (config.archived) {
+        throw new Error(`Project "${projectId}" is archived. Use unarchive_project first.`);
+      }
 
       // Update global configuration
       const globalData = await this.dataPersistence.loadGlobalData('config.json') || {};
@@ -131,7 +139,7 @@ export class ProjectManagement {
     }
   }
 
-  async listProjects() {
+  async listProjects(includeArchived = false) {
     try {
       const globalData = await this.dataPersistence.loadGlobalData('config.json') || { projects: [] };
       const activeProject = globalData.activeProject;
@@ -155,21 +163,30 @@ export class ProjectManagement {
         })
       );
       
-      for (const { projectId, config } of projectConfigs) {
+      const archived = projectConfigs.filter(({ config }) => config?.archived);
+      const visible = includeArchived ? projectConfigs : projectConfigs.filter(({ config }) => !config?.archived);
+
+      for (const { projectId, config } of visible) {
         const isActive = projectId === activeProject ? ' 🎯 **ACTIVE**' : '';
+        const isArchived = config?.archived ? ' 🗄️ archived' : '';
         const progress = config?.progress || 0;
         
-        projectList += `• **${projectId}**${isActive}\n`;
+        projectList += `• **${projectId}**${isActive}${isArchived}\n`;
         projectList += `  Goal: ${config?.goal || 'Unknown'}\n`;
         projectList += `  Progress: ${progress}%\n\n`;
       }
 
+      if (!includeArchived && archived.length > 0) {
+        projectList += `🗄️ ${archived.length} archived project(s) hidden. Use \`list_projects\` with include_archived to show them.\n`;
+      }
+
       return {
         content: [{
           type: 'text',
           text: projectList
         }],
-        projects: globalData.projects,
+        projects: visible.map(({ projectId }) => projectId),
+        archived_projects: archived.map(({ projectId }) => projectId),
         active_project: activeProject
       };
     } catch (error) {
@@ -239,9 +256,571 @@ export class ProjectManagement {
     }
     
     this.activeProject = activeProjectId;
+    await this.revertExpiredPathFocus(activeProjectId);
     return activeProjectId;
   }
 
+  /**
+   * focus_learning_path with a bounded duration stores `config.path_focus`.
+   * Once it has expired, switch back to the path that was active before.
+   * Checked lazily whenever a tool resolves the active project.
+   */
+  async revertExpiredPathFocus(projectId) {
+    const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
+    const focus = config?.path_focus;
+    if (!focus?.expires_at || new Date(focus.expires_at).getTime() > Date.now()) {
+      return null;
+    }
+
+    return await this.dataPersistence.withProjectLock(projectId, async () => {
+      const current = await this.dataPersistence.loadProjectData(projectId, 'config.json');
+      if (!current?.path_focus) {return null;}
+
+      const { path: focusedPath, previous_path: previousPath } = current.path_focus;
+      const stillExists = previousPath === 'general' ||
+        (current.learning_paths || []).some(p => p.path_name === previousPath);
+      if (current.activePath === focusedPath && stillExists) {
+        current.activePath = previousPath;
+      }
+      delete current.path_focus;
+      await this.dataPersistence.saveProjectData(projectId, 'config.json', current);
+      return { reverted_from: focusedPath, active_path: current.activePath };
+    });
+  }
+
+  /**
+   * Partially update a project's configuration. Only the supplied fields are
+   * touched; nested objects (life_structure_preferences, constraints,
+   * current_habits) are merged key by key. Every applied change is appended to
+   * `config.change_log` so analytics can see when preferences shifted.
+   * @param {string} projectId
+   * @param {Object} updates - create_project fields to change
+   */
+  async updateProject(projectId, updates = {}) {
+    try {
+      const targetProject = projectId || await this.requireActiveProject();
+
+      return await this.dataPersistence.withProjectLock(targetProject, async () => {
+        const config = await this.loadExistingProject(targetProject);
+        const next = structuredClone(config);
+        const errors = [];
+
+        const check = (fn) => {
+          try {
+            fn();
+          } catch (error) {
+            errors.push(error.message);
+          }
+        };
+
+        for (const [field, value] of Object.entries(updates)) {
+          if (value === undefined) {continue;}
+          check(() => {
+            switch (field) {
+              case 'goal':
+                this.validateGoal(value);
+                next.goal = value;
+                break;
+              case 'context':
+                if (typeof value !== 'string') {throw new ValidationError('context', value, 'a string');}
+                next.context = value;
+                break;
+              case 'specific_interests':
+              case 'success_metrics':
+                if (!Array.isArray(value) || !value.every(v => typeof v === 'string')) {
+                  throw new ValidationError(field, value, 'an array of strings');
+                }
+                next[field] = value;
+                break;
+              case 'urgency_level':
+                if (!['low', 'medium', 'high', 'critical'].includes(value)) {
+                  throw new ValidationError('urgency_level', value, 'one of low, medium, high, critical');
+                }
+                next.urgency_level = value;
+                break;
+              case 'life_structure_preferences':
+                this.validateLifeStructurePreferences(value);
+                next.life_structure_preferences = { ...(config.life_structure_preferences || {}), ...value };
+                break;
+              case 'constraints':
+              case 'current_habits':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                  throw new ValidationError(field, value, 'an object');
+                }
+                next[field] = { ...(config[field] || {}), ...value };
+                break;
+              case 'learning_paths':
+                this.validateLearningPaths(value);
+                next.learning_paths = value.map(p => ({ priority: 'medium', ...p }));
+                break;
+              case 'existing_credentials':
+                if (!Array.isArray(value) || !value.every(c => c && typeof c.subject_area === 'string' && typeof c.level === 'string')) {
+                  throw new ValidationError('existing_credentials', value, 'an array of credentials with subject_area and level');
+                }
+                next.existing_credentials = value;
+                break;
+              case 'commitments':
+                next.commitments = normaliseCommitments(value);
+                break;
+              case 'busy_blocks':
+                next.busy_blocks = mergeBusyBlocks(config.busy_blocks, value);
+                break;
+              default:
+                throw new Error(`Field "${field}" cannot be updated with update_project`);
+            }
+          });
+        }
+
+        if (errors.length > 0) {
+          throw new Error(`Invalid project update:\n• ${errors.join('\n• ')}`);
+        }
+
+        // Knowledge level depends on both the credentials and the goal they are matched against
+        if ('existing_credentials' in updates || 'goal' in updates) {
+          const { knowledgeLevel, skillMappings } = this.calculateKnowledgeBoost(next.existing_credentials || [], next.goal);
+          next.knowledge_level = knowledgeLevel;
+          next.skill_mappings = skillMappings;
+        }
+
+        // Keep the active path pointing at a path that still exists
+        const pathNames = (next.learning_paths || []).map(p => p.path_name);
+        if (pathNames.length > 0 && !pathNames.includes(next.activePath)) {
+          next.activePath = pathNames[0];
+        }
+
+        const changes = [];
+        for (const field of new Set([...Object.keys(updates), 'knowledge_level', 'skill_mappings', 'activePath'])) {
+          if (JSON.stringify(config[field]) !== JSON.stringify(next[field])) {
+            changes.push({ field, previous: config[field] ?? null, value: next[field] ?? null });
+          }
+        }
+
+        if (changes.length === 0) {
+          return {
+            content: [{ type: 'text', text: `ℹ️ No changes: project "${targetProject}" already has these values.` }],
+            changes: []
+          };
+        }
+
+        next.change_log = [...(config.change_log || []), { timestamp: new Date().toISOString(), changes }];
+        next.updated_at = new Date().toISOString();
+        await this.dataPersistence.saveProjectData(targetProject, 'config.json', next);
+
+        const summarise = (v) => {
+          const text = typeof v === 'string' ? v : JSON.stringify(v);
+          return text && text.length > 80 ? `${text.slice(0, 77)}...` : text;
+        };
+
+        let text = `✏️ **Project "${targetProject}" updated**\n\n`;
+        for (const change of changes) {
+          text += `• **${change.field}**: ${summarise(change.previous)} → ${summarise(change.value)}\n`;
+        }
+        if (changes.some(c => c.field === 'learning_paths' || c.field === 'goal')) {
+          text += '\n💡 Consider `build_hta_tree` or `evolve_strategy` so the roadmap reflects the new goal or paths.';
+        }
+
+        return {
+          content: [{ type: 'text', text }],
+          changes,
+          project_config: next
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('updateProject', error, { projectId, fields: Object.keys(updates || {}) });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error updating project: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  validateGoal(goal) {
+    if (typeof goal !== 'string' ||
+        goal.trim().length < VALIDATION.MIN_GOAL_LENGTH ||
+        goal.length > VALIDATION.MAX_GOAL_LENGTH) {
+      throw new ValidationError('goal', goal,
+        `${VALIDATION.MIN_GOAL_LENGTH}-${VALIDATION.MAX_GOAL_LENGTH} characters`);
+    }
+  }
+
+  validateLifeStructurePreferences(prefs) {
+    if (!prefs || typeof prefs !== 'object' || Array.isArray(prefs)) {
+      throw new ValidationError('life_structure_preferences', prefs, 'an object');
+    }
+
+    const timePattern = /^(1[0-2]|0?[1-9]):[0-5]\d\s?(AM|PM)$/i;
+    for (const field of ['wake_time', 'sleep_time']) {
+      if (prefs[field] !== undefined && !timePattern.test(String(prefs[field]).trim())) {
+        throw new ValidationError(`life_structure_preferences.${field}`, prefs[field], 'a time like "6:30 AM"');
+      }
+    }
+    if (prefs.meal_times !== undefined &&
+        (!Array.isArray(prefs.meal_times) || !prefs.meal_times.every(t => typeof t === 'string'))) {
+      throw new ValidationError('life_structure_preferences.meal_times', prefs.meal_times, 'an array of strings');
+    }
+
+    if (prefs.peak_hours !== undefined &&
+        (!Array.isArray(prefs.peak_hours) || !prefs.peak_hours.every(h => Number.isInteger(h) && h >= 0 && h <= 23))) {
+      throw new ValidationError('life_structure_preferences.peak_hours', prefs.peak_hours, 'an array of hours from 0 to 23');
+    }
+    for (const field of ['min_daily_learning_minutes', 'max_daily_learning_minutes']) {
+      if (prefs[field] !== undefined && !(Number.isInteger(prefs[field]) && prefs[field] >= 0 && prefs[field] <= 24 * 60)) {
+        throw new ValidationError(`life_structure_preferences.${field}`, prefs[field], 'a whole number of minutes from 0 to 1440');
+      }
+    }
+    if (prefs.min_daily_learning_minutes !== undefined && prefs.max_daily_learning_minutes !== undefined &&
+        prefs.min_daily_learning_minutes > prefs.max_daily_learning_minutes) {
+      throw new ValidationError('life_structure_preferences.min_daily_learning_minutes', prefs.min_daily_learning_minutes,
+        'no more than max_daily_learning_minutes');
+    }
+    if (prefs.max_consecutive_deep_blocks !== undefined &&
+        !(Number.isInteger(prefs.max_consecutive_deep_blocks) && prefs.max_consecutive_deep_blocks >= 1)) {
+      throw new ValidationError('life_structure_preferences.max_consecutive_deep_blocks', prefs.max_consecutive_deep_blocks, 'a whole number of at least 1');
+    }
+    if (prefs.weekly_availability !== undefined) {
+      normaliseWeeklyAvailability(prefs.weekly_availability, 'life_structure_preferences.weekly_availability');
+    }
+    if (prefs.rest_days !== undefined && !(Array.isArray(prefs.rest_days) &&
+        (prefs.rest_days.length === 0 || parseDays(prefs.rest_days, 'life_structure_preferences.rest_days')))) {
+      throw new ValidationError('life_structure_preferences.rest_days', prefs.rest_days, 'an array of day names');
+    }
+
+    // Descriptive values ("flexible", "until natural break") are allowed;
+    // explicit lengths must fit within a single task
+    if (prefs.focus_duration !== undefined) {
+      const match = String(prefs.focus_duration).match(/^(\d+(?:\.\d+)?)\s*(minutes?|mins?|m|hours?|hrs?|h)?$/i);
+      if (match) {
+        const minutes = /^h/i.test(match[2] || '') ? parseFloat(match[1]) * 60 : parseFloat(match[1]);
+        if (minutes < 1 || minutes > TASK_CONFIG.MAX_DURATION) {
+          throw new ValidationError('life_structure_preferences.focus_duration', prefs.focus_duration,
+            `between 1 and ${TASK_CONFIG.MAX_DURATION} minutes`);
+        }
+      }
+    }
+  }
+
+  validateLearningPaths(paths) {
+    if (!Array.isArray(paths) || paths.length === 0) {
+      throw new ValidationError('learning_paths', paths, 'a non-empty array of paths');
+    }
+    const seen = new Set();
+    for (const learningPath of paths) {
+      if (!learningPath || typeof learningPath.path_name !== 'string' || !learningPath.path_name.trim()) {
+        throw new ValidationError('learning_paths.path_name', learningPath?.path_name, 'a non-empty string');
+      }
+      if (seen.has(learningPath.path_name)) {
+        throw new ValidationError('learning_paths.path_name', learningPath.path_name, 'unique path names');
+      }
+      seen.add(learningPath.path_name);
+      if (learningPath.priority !== undefined && !['high', 'medium', 'low'].includes(learningPath.priority)) {
+        throw new ValidationError('learning_paths.priority', learningPath.priority, 'one of high, medium, low');
+      }
+    }
+  }
+
+  /**
+   * Ids of registered projects. Archived projects are left out unless asked
+   * for, so cross-project features (integrated scheduling, memory sync) skip them.
+   */
+  async listProjectIds({ includeArchived = false } = {}) {
+    const globalData = await this.dataPersistence.loadGlobalData('config.json') || { projects: [] };
+    if (includeArchived) {
+      return [...globalData.projects];
+    }
+
+    const ids = [];
+    for (const projectId of globalData.projects) {
+      const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
+      if (config && !config.archived) {
+        ids.push(projectId);
+      }
+    }
+    return ids;
+  }
+
+  validateProjectId(projectId) {
+    const validPattern = /^[A-Za-z0-9][\w.-]*$/;
+    if (typeof projectId !== 'string' ||
+        projectId.length < VALIDATION.MIN_PROJECT_ID_LENGTH ||
+        projectId.length > VALIDATION.MAX_PROJECT_ID_LENGTH ||
+        !validPattern.test(projectId)) {
+      throw new ValidationError('project_id', projectId,
+        `${VALIDATION.MIN_PROJECT_ID_LENGTH}-${VALIDATION.MAX_PROJECT_ID_LENGTH} letters, digits, '.', '_' or '-'`);
+    }
+  }
+
+  async projectExists(projectId) {
+    const globalData = await this.dataPersistence.loadGlobalData('config.json') || { projects: [] };
+    if (globalData.projects.includes(projectId)) {return true;}
+    return (await this.dataPersistence.listDocuments(`projects/${projectId}/`)).length > 0;
+  }
+
+  async loadExistingProject(projectId) {
+    if (!projectId) {
+      throw new Error('project_id is required');
+    }
+    const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
+    if (!config) {
+      throw new Error(`Project "${projectId}" not found`);
+    }
+    return config;
+  }
+
+  // ===== PROJECT LIFECYCLE =====
+
+  async archiveProject(projectId) {
+    try {
+      return await this.dataPersistence.withProjectLock(projectId, async () => {
+        const config = await this.loadExistingProject(projectId);
+        if (config.archived) {
+          return {
+            content: [{ type: 'text', text: `🗄️ Project "${projectId}" is already archived.` }]
+          };
+        }
+
+        config.archived = true;
+        config.archived_at = new Date().toISOString();
+        await this.dataPersistence.saveProjectData(projectId, 'config.json', config);
+
+        const globalData = await this.dataPersistence.loadGlobalData('config.json') || { projects: [] };
+        const wasActive = globalData.activeProject === projectId;
+        if (wasActive) {
+          globalData.activeProject = null;
+          await this.dataPersistence.saveGlobalData('config.json', globalData);
+          this.activeProject = null;
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: `🗄️ Project "${projectId}" archived.\n\n` +
+                 `It is hidden from \`list_projects\` and excluded from integrated scheduling and memory sync. ` +
+                 `All data is kept; use \`unarchive_project\` to bring it back.` +
+                 (wasActive ? '\n\n⚠️ This was the active project. Use `switch_project` to pick another one.' : '')
+          }],
+          archived_project: projectId
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('archiveProject', error, { projectId });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error archiving project: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  async unarchiveProject(projectId) {
+    try {
+      return await this.dataPersistence.withProjectLock(projectId, async () => {
+        const config = await this.loadExistingProject(projectId);
+        if (!config.archived) {
+          return {
+            content: [{ type: 'text', text: `📂 Project "${projectId}" is not archived.` }]
+          };
+        }
+
+        delete config.archived;
+        delete config.archived_at;
+        await this.dataPersistence.saveProjectData(projectId, 'config.json', config);
+
+        return {
+          content: [{
+            type: 'text',
+            text: `📂 Project "${projectId}" restored from the archive.\n\nUse \`switch_project\` to make it active.`
+          }],
+          unarchived_project: projectId
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('unarchiveProject', error, { projectId });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error unarchiving project: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Permanently remove a project. Without `confirm` this only reports what
+   * would be deleted. A snapshot is always taken first so restore_snapshot can
+   * bring the project back.
+   */
+  async deleteProject(projectId, confirm = false) {
+    try {
+      await this.loadExistingProject(projectId);
+      const documents = await this.dataPersistence.listDocuments(`projects/${projectId}/`);
+
+      if (!confirm) {
+        return {
+          content: [{
+            type: 'text',
+            text: `⚠️ **Delete project "${projectId}"?**\n\n` +
+                 `This removes ${documents.length} document(s): config, HTA trees, learning history and schedules.\n` +
+                 `A snapshot is taken first, so the project can be recovered with \`restore_snapshot\`.\n\n` +
+                 `Run \`delete_project\` again with \`confirm: true\` to proceed.`
+          }],
+          requires_confirmation: true,
+          documents
+        };
+      }
+
+      const snapshot = await this.dataPersistence.createSnapshot(projectId, 'delete_project');
+      await this.dataPersistence.deleteProjectDocuments(projectId);
+
+      const globalData = await this.dataPersistence.loadGlobalData('config.json') || { projects: [] };
+      globalData.projects = globalData.projects.filter(id => id !== projectId);
+      if (globalData.activeProject === projectId) {
+        globalData.activeProject = null;
+        this.activeProject = null;
+      }
+      await this.dataPersistence.saveGlobalData('config.json', globalData);
+
+      return {
+        content: [{
+          type: 'text',
+          text: `🗑️ Project "${projectId}" deleted (${documents.length} document(s)).\n\n` +
+               (snapshot
+                 ? `💾 Recovery snapshot: \`${snapshot.snapshotId}\`. Restore with \`restore_snapshot\` using project_id "${projectId}".`
+                 : '')
+        }],
+        deleted_project: projectId,
+        snapshot
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('deleteProject', error, { projectId, confirm });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error deleting project: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  async renameProject(projectId, newProjectId) {
+    try {
+      await this.loadExistingProject(projectId);
+      this.validateProjectId(newProjectId);
+      if (await this.projectExists(newProjectId)) {
+        throw new Error(`Project "${newProjectId}" already exists`);
+      }
+
+      const moved = await this.dataPersistence.moveProjectDocuments(projectId, newProjectId);
+
+      const globalData = await this.dataPersistence.loadGlobalData('config.json') || { projects: [] };
+      globalData.projects = globalData.projects.map(id => (id === projectId ? newProjectId : id));
+      if (globalData.activeProject === projectId) {
+        globalData.activeProject = newProjectId;
+        this.activeProject = newProjectId;
+      }
+      await this.dataPersistence.saveGlobalData('config.json', globalData);
+
+      return {
+        content: [{
+          type: 'text',
+          text: `✏️ Project renamed: **${projectId}** → **${newProjectId}**\n\n` +
+               `Moved ${moved} document(s) and the project's snapshots.`
+        }],
+        old_project_id: projectId,
+        project_id: newProjectId
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('renameProject', error, { projectId, newProjectId });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error renaming project: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Start a fresh project from an existing one: same goal, paths and HTA
+   * structure, but no completions, history or schedules.
+   */
+  async cloneProject(sourceProjectId, newProjectId) {
+    try {
+      const sourceConfig = await this.loadExistingProject(sourceProjectId);
+      this.validateProjectId(newProjectId);
+      if (await this.projectExists(newProjectId)) {
+        throw new Error(`Project "${newProjectId}" already exists`);
+      }
+
+      const config = structuredClone(sourceConfig);
+      config.id = newProjectId;
+      config.created_at = new Date().toISOString();
+      config.progress = 0;
+      config.cloned_from = sourceProjectId;
+      // History, temporary focus and calendar blocks belong to the source project
+      for (const field of ['archived', 'archived_at', 'change_log', 'path_focus', 'busy_blocks', 'updated_at']) {
+        delete config[field];
+      }
+      await this.dataPersistence.saveProjectData(newProjectId, 'config.json', config);
+
+      const learningPaths = (config.learning_paths || []).map(p => p.path_name);
+      // The general tree lives at project level and may exist without being listed
+      let clonedTrees = 0;
+      for (const pathName of new Set(['general', ...learningPaths])) {
+        const hta = await this.dataPersistence.loadPathHTA(sourceProjectId, pathName);
+        if (!hta) {continue;}
+        await this.dataPersistence.savePathHTA(newProjectId, pathName, this.resetCompletionState(hta), { author: 'clone_project' });
+        clonedTrees++;
+      }
+
+      const globalData = await this.dataPersistence.loadGlobalData('config.json') || { projects: [] };
+      if (!globalData.projects.includes(newProjectId)) {
+        globalData.projects.push(newProjectId);
+      }
+      await this.dataPersistence.saveGlobalData('config.json', globalData);
+
+      return {
+        content: [{
+          type: 'text',
+          text: `🌱 Project cloned: **${sourceProjectId}** → **${newProjectId}**\n\n` +
+               `**Goal**: ${config.goal}\n` +
+               `**Learning Paths**: ${learningPaths.join(', ') || 'general'}\n` +
+               `**HTA Trees Copied**: ${clonedTrees}\n\n` +
+               `All tasks start uncompleted; learning history and schedules were not copied. ` +
+               `Use \`switch_project\` to start working on it.`
+        }],
+        project_id: newProjectId,
+        cloned_from: sourceProjectId
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('cloneProject', error, { sourceProjectId, newProjectId });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error cloning project: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  resetCompletionState(hta) {
+    const fresh = structuredClone(hta);
+    const now = new Date().toISOString();
+    for (const node of fresh.frontierNodes || []) {
+      node.completed = false;
+      delete node.completedAt;
+      delete node.actualDifficulty;
+      delete node.actualDuration;
+    }
+    fresh.strategicBranches = (fresh.strategicBranches || []).map(branch => ({ ...branch, completed: false }));
+    fresh.collaborative_sessions = [];
+    fresh.created = now;
+    fresh.lastUpdated = now;
+    return fresh;
+  }
+
   calculateKnowledgeBoost(existingCredentials, goal) {
     let knowledgeLevel = 1; // Base level
     const skillMappings = {};
@@ -406,18 +406,10 @@ export class ReasoningEngine {
   }
 
   async loadLearningHistory(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'learning_history.json');
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'learning_history.json');
-    }
+    return await this.dataPersistence.loadLearningHistory(projectId, pathName);
   }
 
   async loadHTA(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'hta.json');
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'hta.json');
-    }
+    return await this.dataPersistence.loadPathHTA(projectId, pathName);
   }
 }
\ No newline at end of file
@@ -3,6 +3,25 @@
  * Handles daily schedule generation and planning
  */
 
+import { formatWeights, getRotationWeights, interleaveByWeight } from './path-rotation.js';
+import { getCompletedIds, prerequisitesMet } from './hta-prerequisites.js';
+import { FILE_NAMES } from './constants.js';
+import { fixedBlocksForDate, parseDays, resolveFixedOverlaps } from './commitments.js';
+import { DEFAULT_SOLVER_OPTIONS, solveSchedule } from './schedule-solver.js';
+import { formatClockTime, parseClockTime } from './calendar-ics.js';
+import {
+  addDays, dailyBudget, describeDays, normaliseWeeklyAvailability, planDates, poolForDay, storeWeekPlan
+} from './week-planner.js';
+import {
+  CARRY_OVER_PRIORITY_BOOST, carriedInto, chronicDeferrals, compactDay, recordDeferrals
+} from './day-rescheduler.js';
+import { ValidationError } from './errors.js';
+
+const MEAL_MINUTES = 45;
+// How many prerequisite steps beyond the ready tasks one day may chain through
+const MAX_CHAIN_DEPTH = 2;
+const MAX_PLAN_DAYS = 14;
+
 export class ScheduleGenerator {
   constructor(dataPersistence, projectManagement) {
     this.dataPersistence = dataPersistence;
@@ -33,14 +52,24 @@ export class ScheduleGenerator {
       await this.dataPersistence.saveProjectData(projectId, `day_${targetDate}.json`, schedule);
       
       const scheduleText = this.formatScheduleForDisplay(schedule);
+      const fixedCount = (schedule.blocks || []).filter(block => block.fixed).length;
       
       return {
         content: [{
           type: 'text',
           text: `📅 **Daily Schedule Generated - ${targetDate}**\n\n${scheduleText}\n\n` +
                `🎯 **Focus**: ${focusType}\n` +
+               (schedule.rotation ? `🔄 **Path Rotation**: ${formatWeights(schedule.rotation)}\n` : '') +
                `⚡ **Energy Level**: ${energyLevel}/5\n` +
-               `📋 **Total Blocks**: ${schedule.blocks?.length || 0}\n\n` +
+               (fixedCount > 0 ? `📌 **Fixed Commitments**: ${fixedCount}\n` : '') +
+               (schedule.displaced_commitments?.length > 0
+                 ? `⚠️ **Soft commitments cut short**: ${schedule.displaced_commitments.map(d => `${d.title} (${d.minutes_lost}min, clashes with ${d.conflicts_with.join(', ')})`).join('; ')}\n`
+                 : '') +
+               `📋 **Total Blocks**: ${schedule.blocks?.length || 0}\n` +
+               (schedule.solver?.binding.length > 0
+                 ? `🧩 **Bound by**: ${schedule.solver.binding.map(b => `${b.constraint} (${b.detail})`).join('; ')}\n`
+                 : '') +
+               '\n' +
                `✅ Ready to start your structured day!`
         }],
         daily_schedule: schedule,
@@ -57,7 +86,310 @@ export class ScheduleGenerator {
     }
   }
 
-  async generateComprehensiveSchedule(config, projectId, date, energyLevel, availableHours, focusType, context) {
+  /**
+   * Plan several days together. Ready and soon-to-be-ready tasks are spread
+   * over the days in order, so a prerequisite lands on an earlier day (or
+   * earlier the same day) than the task that needs it. Each day follows its
+   * weekday's availability window and cap, rest days get no learning, and a
+   * weekly target is shared out over the working days. Every day file is
+   * written, along with a week overview that review_week compares against.
+   * Days that already have completed blocks are kept as they are.
+   */
+  async generateWeekPlan({ startDate = null, days = 7, energyLevel = 3, availability = null, restDays = null, weeklyTargetMinutes = null, focusType = 'mixed' } = {}) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+
+      // Writes one file per day plus the overview; keep other writers out meanwhile
+      return await this.dataPersistence.withProjectLock(projectId, async () => {
+        const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
+
+        if (!config) {
+          throw new Error('Project configuration not found');
+        }
+        if (!Number.isInteger(days) || days < 1 || days > MAX_PLAN_DAYS) {
+          throw new ValidationError('days', days, `a whole number from 1 to ${MAX_PLAN_DAYS}`);
+        }
+        if (weeklyTargetMinutes !== null && !(Number.isInteger(weeklyTargetMinutes) && weeklyTargetMinutes >= 0)) {
+          throw new ValidationError('weekly_target_minutes', weeklyTargetMinutes, 'a whole number of minutes');
+        }
+        const start = startDate || new Date().toISOString().split('T')[0];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(start)) {
+          throw new ValidationError('start_date', start, 'a date as YYYY-MM-DD');
+        }
+
+        const preferences = config.life_structure_preferences || {};
+        const weeklyAvailability = normaliseWeeklyAvailability(availability ?? preferences.weekly_availability,
+          availability ? 'availability' : 'life_structure_preferences.weekly_availability');
+        const restList = restDays ?? preferences.rest_days ?? [];
+        const restDayNames = restList.length > 0 ? parseDays(restList, 'rest_days') : [];
+        const plannedDays = describeDays(planDates(start, days), {
+          availability: weeklyAvailability,
+          restDays: restDayNames,
+          defaultCap: preferences.max_daily_learning_minutes ?? Infinity
+        });
+
+        // Look far enough ahead for each day to take the next steps of a chain
+        const candidates = await this.loadCandidates(config, projectId, days * (MAX_CHAIN_DEPTH + 1));
+        const activePath = config.activePath || 'general';
+        const blockKey = block => `${block.pathName || activePath}:${block.taskId}`;
+        const plannedKeys = new Set();
+        let remainingTarget = weeklyTargetMinutes ?? Infinity;
+        const overviewDays = [];
+
+        for (const [index, day] of plannedDays.entries()) {
+          const filename = FILE_NAMES.DAILY_SCHEDULE(day.date);
+          const existing = await this.dataPersistence.loadProjectData(projectId, filename);
+          const keep = existing?.blocks?.some(block => block.completed);
+          const workingDaysLeft = plannedDays.slice(index).filter(d => !d.rest).length;
+          const budget = dailyBudget(day.cap, remainingTarget, workingDaysLeft);
+
+          let schedule = existing;
+          if (!keep) {
+            schedule = await this.generateComprehensiveSchedule(
+              config,
+              projectId,
+              day.date,
+              energyLevel,
+              null,
+              focusType,
+              `Week plan from ${start}`,
+              {
+                readyTasks: day.rest ? [] : poolForDay(candidates, plannedKeys),
+                overrides: {
+                  window: day.window,
+                  maxLearningMinutes: budget,
+                  ...(Number.isFinite(remainingTarget) ? { minLearningMinutes: budget } : {})
+                }
+              }
+            );
+            schedule.week_plan = start;
+            if (day.rest) {
+              schedule.rest_day = true;
+            }
+            await this.dataPersistence.saveProjectData(projectId, filename, schedule);
+          }
+
+          const learning = schedule.blocks.filter(block => block.type === 'learning');
+          learning.forEach(block => plannedKeys.add(blockKey(block)));
+          const plannedMinutes = learning.reduce((sum, block) => sum + (Number(block.duration) || 0), 0);
+          remainingTarget -= plannedMinutes;
+
+          overviewDays.push({
+            date: day.date,
+            weekday: day.weekday,
+            rest_day: day.rest,
+            window: day.window ? { start: formatClockTime(day.window.start), end: formatClockTime(day.window.end) } : null,
+            cap_minutes: Number.isFinite(day.cap) ? day.cap : null,
+            budget_minutes: Number.isFinite(budget) ? budget : null,
+            planned_minutes: plannedMinutes,
+            tasks: learning.map(block => ({
+              id: block.taskId,
+              path: block.pathName || activePath,
+              title: block.title,
+              start: block.startTime,
+              duration: block.duration
+            })),
+            binding: keep ? [] : schedule.solver?.binding || [],
+            ...(keep ? { kept_existing: true } : {})
+          });
+        }
+
+        const unplanned = candidates.filter(task => !plannedKeys.has(task.key));
+        const overview = {
+          start_date: start,
+          end_date: plannedDays[plannedDays.length - 1].date,
+          energy_level: energyLevel,
+          settings: { availability: weeklyAvailability, rest_days: restDayNames, weekly_target_minutes: weeklyTargetMinutes },
+          days: overviewDays,
+          totals: {
+            planned_minutes: overviewDays.reduce((sum, day) => sum + day.planned_minutes, 0),
+            planned_tasks: overviewDays.reduce((sum, day) => sum + day.tasks.length, 0),
+            unplanned_tasks: unplanned.length
+          },
+          generated: new Date().toISOString()
+        };
+
+        const store = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.WEEK_PLANS);
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.WEEK_PLANS, storeWeekPlan(store, overview));
+
+        return {
+          content: [{
+            type: 'text',
+            text: this.formatWeekPlan(overview, unplanned)
+          }],
+          week_plan: overview
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('generateWeekPlan', error, { startDate, days, energyLevel });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error generating week plan: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Bring a day back in line with the clock. Open learning blocks, missed
+   * ones included, are packed from now into the remaining free time; a block
+   * that ran long keeps its place and pushes later ones back. Learning that
+   * no longer fits moves to the next day: into that day's free time when its
+   * schedule exists and has not started, and ahead of other tasks whenever
+   * that day is generated. Every carry-over is counted so analytics can spot
+   * tasks that keep getting pushed back.
+   */
+  async rescheduleDay({ date = null, now = null, overrunBlockId = null, overrunMinutes = null } = {}) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+
+      // Today's schedule, the next day's and the carry-over record change together
+      return await this.dataPersistence.withProjectLock(projectId, async () => {
+        const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
+
+        if (!config) {
+          throw new Error('Project configuration not found');
+        }
+
+        const targetDate = date || new Date().toISOString().split('T')[0];
+        const filename = FILE_NAMES.DAILY_SCHEDULE(targetDate);
+        const schedule = await this.dataPersistence.loadProjectData(projectId, filename);
+        if (!schedule?.blocks) {
+          return {
+            content: [{
+              type: 'text',
+              text: `❌ No schedule found for ${targetDate}. Generate one first with \`generate_daily_schedule\`.`
+            }]
+          };
+        }
+
+        const clock = now === null ? new Date().getHours() * 60 + new Date().getMinutes() : parseClockTime(now);
+        if (clock === null || clock >= 24 * 60) {
+          throw new ValidationError('now', now, 'a time like "2:30 PM" or "14:30"');
+        }
+        let overrun = null;
+        if (overrunBlockId) {
+          const block = schedule.blocks.find(b => b.id === overrunBlockId);
+          if (!block) {
+            throw new ValidationError('overrun_block_id', overrunBlockId, `the id of a block in the ${targetDate} schedule`);
+          }
+          const minutes = overrunMinutes ?? clock - (parseClockTime(block.startTime) + block.duration);
+          if (!Number.isInteger(minutes) || minutes <= 0) {
+            throw new ValidationError('overrun_minutes', minutes, 'a positive whole number of minutes past the block\'s end');
+          }
+          overrun = { blockId: overrunBlockId, minutes };
+        }
+
+        const preferences = config.life_structure_preferences || {};
+        const constraints = config.constraints || {};
+        const dayEnd = this.parseTime(preferences.sleep_time || '10:00 PM');
+        const breakMinutes = this.getBreakDuration(preferences);
+        const fillGap = (start, end) => this.habitBlocksBetween(start, end, constraints, preferences);
+        const result = compactDay(schedule.blocks, { now: clock, dayEnd, overrun, breakMinutes, fillGap });
+
+        // Carried learning fills free time in the next day's schedule without moving its own blocks
+        const activePath = config.activePath || 'general';
+        const taskKey = block => `${block.pathName || activePath}:${block.taskId || block.id}`;
+        const nextDate = addDays(targetDate, 1);
+        let intoNextDay = [];
+        let alreadyNextDay = [];
+        if (result.carried.length > 0) {
+          const nextFilename = FILE_NAMES.DAILY_SCHEDULE(nextDate);
+          const nextSchedule = await this.dataPersistence.loadProjectData(projectId, nextFilename);
+          if (nextSchedule?.blocks && !nextSchedule.blocks.some(block => block.completed)) {
+            const scheduled = new Set(nextSchedule.blocks.filter(block => block.type === 'learning').map(taskKey));
+            alreadyNextDay = result.carried.filter(block => scheduled.has(taskKey(block)));
+            const next = compactDay(nextSchedule.blocks, {
+              now: this.parseTime(preferences.wake_time || '7:00 AM'),
+              dayEnd,
+              insert: result.carried
+                .filter(block => !scheduled.has(taskKey(block)))
+                .map(block => ({ ...block, completed: false, carriedOver: true, carriedFrom: targetDate })),
+              reflow: false,
+              breakMinutes,
+              fillGap
+            });
+            intoNextDay = next.blocks.filter(block => block.carriedFrom === targetDate);
+            nextSchedule.blocks = next.blocks;
+            await this.dataPersistence.saveProjectData(projectId, nextFilename, nextSchedule);
+          }
+        }
+
+        const store = recordDeferrals(await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CARRY_OVER), result.carried, {
+          date: targetDate,
+          carriedTo: nextDate,
+          activePath
+        });
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CARRY_OVER, store);
+
+        schedule.blocks = result.blocks;
+        schedule.carried_over = [
+          ...(schedule.carried_over || []),
+          ...result.carried.map(block => ({ id: block.id, taskId: block.taskId, title: block.title, to: nextDate }))
+        ];
+        schedule.rescheduled = new Date().toISOString();
+        await this.dataPersistence.saveProjectData(projectId, filename, schedule);
+
+        const chronic = chronicDeferrals(store, new Set())
+          .filter(entry => result.carried.some(block => taskKey(block) === entry.key));
+
+        let text = `🔁 **Day Rescheduled - ${targetDate}** (from ${formatClockTime(clock)})\n\n`;
+        if (overrun) {
+          const grown = result.blocks.find(block => block.id === overrun.blockId);
+          text += `⏱️ **Ran long**: ${grown?.title || overrun.blockId} +${overrun.minutes}min\n`;
+        }
+        if (result.missed > 0) {
+          text += `⏰ **Missed blocks picked up**: ${result.missed}\n`;
+        }
+        if (result.shifted.length > 0) {
+          text += `↪️ **Moved**: ${result.shifted.map(s => `${s.title} ${s.from} → ${s.to}`).join('; ')}\n`;
+        }
+        if (result.carried.length > 0) {
+          const waiting = result.carried.length - intoNextDay.length - alreadyNextDay.length;
+          text += `📦 **Carried to ${nextDate}**: ${result.carried.map(block => block.title).join(', ')}\n`;
+          if (intoNextDay.length > 0) {
+            text += `   ${intoNextDay.length} placed in that day's schedule\n`;
+          }
+          if (alreadyNextDay.length > 0) {
+            text += `   ${alreadyNextDay.length} already in that day's schedule\n`;
+          }
+          if (waiting > 0) {
+            text += `   ${waiting} will be picked first when that day is next generated\n`;
+          }
+        }
+        if (chronic.length > 0) {
+          text += `⚠️ **Deferred again and again**: ${chronic.map(entry => `${entry.title} (${entry.deferrals}×)`).join(', ')} - consider splitting or dropping\n`;
+        }
+        text += `\n${this.formatScheduleForDisplay(schedule)}`;
+
+        return {
+          content: [{
+            type: 'text',
+            text
+          }],
+          daily_schedule: schedule,
+          shifted: result.shifted,
+          carried_over: result.carried.map(block => ({ id: block.id, taskId: block.taskId, title: block.title, to: nextDate })),
+          placed_next_day: intoNextDay.map(block => ({ id: block.id, title: block.title, startTime: block.startTime }))
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('rescheduleDay', error, { date, now, overrunBlockId, overrunMinutes });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error rescheduling day: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * @param {object|null} [dayPlan] - set by week planning: `readyTasks` to
+   *   choose from instead of loading them, and solver `overrides` for the day
+   */
+  async generateComprehensiveSchedule(config, projectId, date, energyLevel, availableHours, focusType, context, dayPlan = null) {
     const preferences = config.life_structure_preferences || {};
     const constraints = config.constraints || {};
     
@@ -66,12 +398,22 @@ export class ScheduleGenerator {
     const sleepTime = this.parseTime(preferences.sleep_time || '10:00 PM');
     const mealTimes = this.parseMealTimes(preferences.meal_times || ['8:00 AM', '12:00 PM', '6:00 PM']);
     
-    // Get available learning tasks
-    const htaData = await this.loadPathHTA(projectId, config.activePath || 'general');
-    const readyTasks = this.getReadyTasks(htaData);
+    const activePath = config.activePath || 'general';
+    const rotationWeights = getRotationWeights(config);
+    // Tasks carried over to this day by reschedule_day go first
+    const carried = carriedInto(await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CARRY_OVER), date);
+    const readyTasks = (dayPlan?.readyTasks || await this.loadCandidates(config, projectId)).map(task => carried.has(task.key)
+      ? { ...task, priority: (task.priority || 200) + CARRY_OVER_PRIORITY_BOOST, carriedOver: true }
+      : task);
     
+    // Recurring commitments, one-off busy blocks and imported calendar events
+    const { kept: fixedBlocks, displaced } = resolveFixedOverlaps([
+      ...fixedBlocksForDate(config, date),
+      ...await this.loadCalendarBlocks(projectId, date)
+    ]);
+
     // Generate time blocks
-    const blocks = this.createTimeBlocks(
+    const { blocks, solution } = this.planDay(
       wakeTime,
       sleepTime,
       mealTimes,
@@ -80,170 +422,266 @@ export class ScheduleGenerator {
       focusType,
       preferences,
       constraints,
-      availableHours
+      availableHours,
+      fixedBlocks,
+      dayPlan?.overrides
     );
     
     return {
       date,
       projectId,
-      activePath: config.activePath || 'general',
+      activePath,
+      rotation: rotationWeights,
       energyLevel,
       focusType,
       context,
       preferences,
       blocks,
+      solver: {
+        learning_minutes: solution.learningMinutes,
+        score: solution.score,
+        objectives: solution.objectives,
+        binding: solution.binding,
+        unscheduled: solution.unscheduled
+      },
+      ...(displaced.length > 0 ? { displaced_commitments: displaced } : {}),
       generated: new Date().toISOString()
     };
   }
 
-  async loadPathHTA(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'hta.json') || {};
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'hta.json') || {};
+  /**
+   * Learning tasks a schedule can choose from, from several paths in
+   * rotation mode. `chainDepth` is how many prerequisite steps past the ready
+   * tasks to look ahead.
+   */
+  async loadCandidates(config, projectId, chainDepth = MAX_CHAIN_DEPTH) {
+    const rotationWeights = getRotationWeights(config);
+    if (rotationWeights) {
+      const tasksByPath = {};
+      for (const pathName of Object.keys(rotationWeights)) {
+        const pathHTA = await this.loadPathHTA(projectId, pathName);
+        tasksByPath[pathName] = this.getDayCandidates(pathHTA, pathName, chainDepth);
+      }
+      return interleaveByWeight(tasksByPath, rotationWeights);
     }
+    const activePath = config.activePath || 'general';
+    const htaData = await this.loadPathHTA(projectId, activePath);
+    return this.getDayCandidates(htaData, activePath, chainDepth);
+  }
+
+  async loadPathHTA(projectId, pathName) {
+    return await this.dataPersistence.loadPathHTA(projectId, pathName) || {};
+  }
+
+  /**
+   * Busy time for one day as wall-clock minute ranges, from events imported
+   * with import_calendar_ics. Calendar events are always hard.
+   * @returns {Promise<Array<{title: string, startMinutes: number, endMinutes: number, hard: boolean, source: string, uid?: string}>>}
+   */
+  async loadCalendarBlocks(projectId, date) {
+    const calendar = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CALENDAR_BUSY);
+    return (calendar?.events || [])
+      .filter(event => event.date === date)
+      .map(event => ({
+        title: event.title,
+        startMinutes: event.startMinutes,
+        endMinutes: event.endMinutes,
+        hard: true,
+        source: 'calendar',
+        uid: event.uid
+      }));
   }
 
   getReadyTasks(htaData) {
     const nodes = htaData.frontierNodes || [];
-    const completedNodeIds = nodes.filter(n => n.completed).map(n => n.id);
+    const completedNodeIds = getCompletedIds(nodes);
     
-    return nodes.filter(node => {
-      if (node.completed) {return false;}
-      
-      if (node.prerequisites && node.prerequisites.length > 0) {
-        return node.prerequisites.every(prereq => 
-          completedNodeIds.includes(prereq) || 
-          nodes.some(n => n.title === prereq && n.completed)
-        );
-      }
-      
-      return true;
-    }).sort((a, b) => (b.priority || 200) - (a.priority || 200));
+    return nodes
+      .filter(node => !node.completed && prerequisitesMet(node, completedNodeIds))
+      .sort((a, b) => (b.priority || 200) - (a.priority || 200));
+  }
+
+  /**
+   * Tasks that could be done today: ready tasks, then tasks whose open
+   * prerequisites are themselves candidates, so a short chain can run in
+   * order within one day. `key` is unique across paths and `requires` holds
+   * the keys of prerequisites that are still open.
+   */
+  getDayCandidates(htaData, pathName, chainDepth = MAX_CHAIN_DEPTH) {
+    const nodes = htaData.frontierNodes || [];
+    const completedIds = getCompletedIds(nodes);
+    const ready = this.getReadyTasks(htaData);
+    const candidateIds = new Set(ready.map(node => node.id));
+    const chained = [];
+    for (let depth = 0; depth < chainDepth; depth++) {
+      const next = nodes.filter(node => !node.completed && !candidateIds.has(node.id) &&
+        (node.prerequisites || []).every(id => completedIds.has(id) || candidateIds.has(id)));
+      if (next.length === 0) {break;}
+      next.forEach(node => candidateIds.add(node.id));
+      chained.push(...next.sort((a, b) => (b.priority || 200) - (a.priority || 200)));
+    }
+
+    return [...ready, ...chained].map(node => ({
+      ...node,
+      pathName,
+      key: `${pathName}:${node.id}`,
+      requires: (node.prerequisites || []).filter(id => !completedIds.has(id)).map(id => `${pathName}:${id}`)
+    }));
+  }
+
+  getSolverOptions(preferences, energyLevel) {
+    return {
+      energyLevel,
+      peakHours: preferences.peak_hours || DEFAULT_SOLVER_OPTIONS.peakHours,
+      minLearningMinutes: preferences.min_daily_learning_minutes ?? DEFAULT_SOLVER_OPTIONS.minLearningMinutes,
+      maxLearningMinutes: preferences.max_daily_learning_minutes ?? DEFAULT_SOLVER_OPTIONS.maxLearningMinutes,
+      maxConsecutiveDeep: preferences.max_consecutive_deep_blocks ?? DEFAULT_SOLVER_OPTIONS.maxConsecutiveDeep,
+      bufferMinutes: this.getBreakDuration(preferences)
+    };
   }
 
-  createTimeBlocks(wakeTime, sleepTime, mealTimes, readyTasks, energyLevel, focusType, preferences, constraints, availableHours) {
+  createTimeBlocks(wakeTime, sleepTime, mealTimes, readyTasks, energyLevel, focusType, preferences, constraints, availableHours, fixedBlocks = []) {
+    return this.planDay(wakeTime, sleepTime, mealTimes, readyTasks, energyLevel, focusType, preferences, constraints, availableHours, fixedBlocks).blocks;
+  }
+
+  /**
+   * Lay out a day: fixed blocks and meals first, learning placed into the
+   * remaining free time by the schedule solver, then a break after each
+   * learning block and habit blocks in whatever gaps are left.
+   * @param {{ window?: {start: number, end: number}|null, maxLearningMinutes?: number, minLearningMinutes?: number }} [overrides]
+   *   a learning window and learning-minute limits that replace the preferences for this day
+   * @returns {{ blocks: object[], solution: ReturnType<typeof solveSchedule> }}
+   */
+  planDay(wakeTime, sleepTime, mealTimes, readyTasks, energyLevel, focusType, preferences, constraints, availableHours, fixedBlocks = [], overrides = {}) {
+    const priorityHours = availableHours ?
+      availableHours.split(',').map(h => parseInt(h.trim())).filter(Number.isFinite) : [];
+    const { window, ...limits } = overrides || {};
+    // Outside the learning window the day is busy as far as the solver is concerned
+    const outsideWindow = window
+      ? [{ start: wakeTime, end: window.start }, { start: window.end, end: sleepTime }].filter(range => range.end > range.start)
+      : [];
+
+    // Meals give way to anything fixed that overlaps them
+    const meals = mealTimes
+      .map(time => ({ title: this.getMealType(time, mealTimes), startMinutes: time, endMinutes: time + MEAL_MINUTES }))
+      .filter(meal => !fixedBlocks.some(f => f.startMinutes < meal.endMinutes && f.endMinutes > meal.startMinutes));
+
+    const solution = solveSchedule({
+      dayStart: wakeTime,
+      dayEnd: sleepTime,
+      busy: [...fixedBlocks, ...meals].map(b => ({ start: b.startMinutes, end: b.endMinutes })).concat(outsideWindow),
+      allowedHours: priorityHours,
+      tasks: readyTasks.map((task, index) => ({
+        key: task.key || task.id || `task_${index}`,
+        title: task.title,
+        duration: this.calculateTaskDuration(task, preferences, energyLevel),
+        difficulty: task.difficulty || 1,
+        priority: task.priority,
+        branch: task.branch,
+        requires: task.requires || [],
+        node: task
+      })),
+      options: { ...this.getSolverOptions(preferences, energyLevel), ...limits }
+    });
+
+    const items = [
+      ...fixedBlocks.map(block => ({ kind: 'fixed', start: block.startMinutes, end: block.endMinutes, block })),
+      ...meals.map(block => ({ kind: 'meal', start: block.startMinutes, end: block.endMinutes, block })),
+      ...solution.placements.map(placement => ({ kind: 'learning', start: placement.start, end: placement.end, placement }))
+    ].sort((a, b) => a.start - b.start);
+
     const blocks = [];
-    let currentTime = wakeTime;
-    const endTime = sleepTime;
     let blockId = 1;
-    
-    // Parse available hours if provided
-    const priorityHours = availableHours ? 
-      availableHours.split(',').map(h => parseInt(h.trim())) : [];
-    
-    // Create blocks from wake to sleep
-    while (currentTime < endTime) {
-      const hour = Math.floor(currentTime / 60);
-      const isAvailableHour = priorityHours.length === 0 || priorityHours.includes(hour);
-      const isMealTime = this.isMealTime(currentTime, mealTimes);
-      
-      if (isMealTime) {
-        // Add meal block
-        const mealType = this.getMealType(currentTime, mealTimes);
+    let currentTime = wakeTime;
+    let afterLearning = false;
+
+    const fillGap = (until) => {
+      // Break after learning blocks, then habit/routine blocks for non-learning time
+      if (afterLearning && until > currentTime) {
+        const duration = Math.min(this.getBreakDuration(preferences), until - currentTime);
         blocks.push({
-          id: `meal_${blockId++}`,
-          type: 'meal',
-          title: mealType,
-          startTime: this.formatTime(currentTime),
-          duration: 45, // 45 minutes for meals
-          completed: false,
-          priority: 'high'
-        });
-        currentTime += 45;
-      } else if (isAvailableHour && readyTasks.length > 0) {
-        // Add learning block
-        const task = this.selectTaskForTimeSlot(readyTasks, currentTime, energyLevel, focusType);
-        const duration = this.calculateTaskDuration(task, preferences, energyLevel);
-        
-        blocks.push({
-          id: `task_${blockId++}`,
-          type: 'learning',
-          title: task.title,
-          description: task.description,
+          id: `break_${blockId++}`,
+          type: 'break',
+          title: 'Break & Reflection',
           startTime: this.formatTime(currentTime),
           duration,
-          difficulty: task.difficulty,
-          taskId: task.id,
-          branch: task.branch,
           completed: false,
-          priority: task.priority || 200
+          priority: 'medium'
         });
-        
-        // Remove task from available list to avoid duplication
-        const taskIndex = readyTasks.indexOf(task);
-        if (taskIndex > -1) {readyTasks.splice(taskIndex, 1);}
-        
         currentTime += duration;
-        
-        // Add break after learning blocks
-        if (currentTime < endTime - 30) {
-          blocks.push({
-            id: `break_${blockId++}`,
-            type: 'break',
-            title: 'Break & Reflection',
-            startTime: this.formatTime(currentTime),
-            duration: this.getBreakDuration(preferences),
-            completed: false,
-            priority: 'medium'
-          });
-          currentTime += this.getBreakDuration(preferences);
-        }
-      } else {
-        // Add habit/routine block for non-learning time
+      }
+      while (currentTime < until) {
         const habitBlock = this.generateHabitBlock(currentTime, constraints, preferences);
+        const duration = Math.min(habitBlock.duration, until - currentTime);
         blocks.push({
           id: `habit_${blockId++}`,
           type: 'habit',
           title: habitBlock.title,
           startTime: this.formatTime(currentTime),
-          duration: habitBlock.duration,
+          duration,
           completed: false,
           priority: 'low'
         });
-        currentTime += habitBlock.duration;
+        currentTime += duration;
       }
-      
-      // Safety check to prevent infinite loops
-      if (blocks.length > 50) {break;}
-    }
-    
-    return blocks;
-  }
+    };
 
-  selectTaskForTimeSlot(readyTasks, currentTime, energyLevel, focusType) {
-    if (readyTasks.length === 0) {
-      return {
-        id: 'explore_general',
-        title: 'Explore: General Learning',
-        description: 'Explore general learning opportunities',
-        difficulty: 1,
-        duration: 30
-      };
-    }
-    
-    // Filter tasks based on energy level and time of day
-    const hour = Math.floor(currentTime / 60);
-    const isHighEnergyTime = hour >= 9 && hour <= 11; // Morning high energy
-    
-    let suitableTasks = readyTasks.filter(task => {
-      const taskDifficulty = task.difficulty || 1;
-      
-      if (energyLevel >= 4 && isHighEnergyTime) {
-        return taskDifficulty >= 2; // High energy can handle harder tasks
-      } else if (energyLevel <= 2) {
-        return taskDifficulty <= 2; // Low energy needs easier tasks
+    for (const item of items) {
+      if (item.end <= currentTime || item.start >= sleepTime) {continue;}
+      fillGap(item.start);
+      const start = Math.max(item.start, currentTime);
+
+      if (item.kind === 'fixed') {
+        const busy = item.block;
+        blocks.push({
+          id: `fixed_${blockId++}`,
+          type: 'fixed',
+          title: busy.title,
+          startTime: this.formatTime(start),
+          duration: item.end - start,
+          completed: false,
+          priority: 'high',
+          fixed: true,
+          hard: busy.hard !== false,
+          source: busy.source,
+          ...(busy.commitmentId ? { commitmentId: busy.commitmentId } : {}),
+          ...(busy.uid ? { uid: busy.uid } : {})
+        });
+      } else if (item.kind === 'meal') {
+        blocks.push({
+          id: `meal_${blockId++}`,
+          type: 'meal',
+          title: item.block.title,
+          startTime: this.formatTime(start),
+          duration: item.end - start,
+          completed: false,
+          priority: 'high'
+        });
       } else {
-        return taskDifficulty <= 3; // Medium energy moderate tasks
+        const task = item.placement.task.node;
+        blocks.push({
+          id: `task_${blockId++}`,
+          type: 'learning',
+          title: task.title,
+          description: task.description,
+          startTime: this.formatTime(start),
+          duration: item.end - start,
+          difficulty: task.difficulty,
+          taskId: task.id,
+          branch: task.branch,
+          pathName: task.pathName,
+          completed: false,
+          priority: task.priority || 200,
+          ...(task.carriedOver ? { carriedOver: true } : {})
+        });
       }
-    });
-    
-    if (suitableTasks.length === 0) {
-      suitableTasks = readyTasks; // Fallback to any available task
+
+      currentTime = item.end;
+      afterLearning = item.kind === 'learning';
     }
-    
-    // Return highest priority suitable task
-    return suitableTasks[0];
+    fillGap(sleepTime);
+
+    return { blocks, solution };
   }
 
   calculateTaskDuration(task, preferences, energyLevel) {
@@ -291,12 +729,6 @@ export class ScheduleGenerator {
     return mealTimes.map(time => this.parseTime(time));
   }
 
-  isMealTime(currentTime, mealTimes) {
-    return mealTimes.some(mealTime => 
-      Math.abs(currentTime - mealTime) <= 15 // Within 15 minutes of meal time
-    );
-  }
-
   getMealType(currentTime, mealTimes) {
     const hour = Math.floor(currentTime / 60);
     
@@ -316,6 +748,18 @@ export class ScheduleGenerator {
     return 15; // Default 15 minute break
   }
 
+  /** Habit blocks covering the time from `start` to `end`, the last one cut to fit. */
+  habitBlocksBetween(start, end, constraints, preferences) {
+    const habits = [];
+    for (let time = start; time < end;) {
+      const habit = this.generateHabitBlock(time, constraints, preferences);
+      const duration = Math.min(habit.duration, end - time);
+      habits.push({ type: 'habit', title: habit.title, duration });
+      time += duration;
+    }
+    return habits;
+  }
+
   generateHabitBlock(currentTime, constraints, preferences) {
     const hour = Math.floor(currentTime / 60);
     
@@ -350,12 +794,41 @@ export class ScheduleGenerator {
     for (const block of blocks) {
       const icon = this.getBlockIcon(block.type);
       const duration = `${block.duration}min`;
-      display += `${icon} **${block.startTime}** - ${block.title} (${duration})\n`;
+      const pathLabel = schedule.rotation && block.pathName ? ` [${block.pathName}]` : '';
+      const softLabel = block.fixed && block.hard === false ? ' (soft)' : '';
+      display += `${icon} **${block.startTime}** - ${block.title}${pathLabel}${softLabel} (${duration})\n`;
     }
     
     return display;
   }
 
+  formatWeekPlan(overview, unplanned) {
+    let text = `🗓️ **Week Plan: ${overview.start_date} → ${overview.end_date}**\n\n`;
+
+    for (const day of overview.days) {
+      const label = `**${day.weekday[0].toUpperCase()}${day.weekday.slice(1)} ${day.date}**`;
+      if (day.rest_day) {
+        text += `🌿 ${label} - Rest day\n`;
+        continue;
+      }
+      const limit = day.budget_minutes !== null ? `/${day.budget_minutes}` : '';
+      const window = day.window ? ` (${day.window.start}-${day.window.end})` : '';
+      const tasks = day.tasks.map(task => task.title).join(', ') || 'nothing ready';
+      text += `📚 ${label}${window} - ${day.planned_minutes}${limit} min: ${tasks}${day.kept_existing ? ' (kept, has progress)' : ''}\n`;
+    }
+
+    text += `\n📋 **Planned**: ${overview.totals.planned_tasks} tasks, ${overview.totals.planned_minutes} min\n`;
+    if (overview.settings.weekly_target_minutes !== null) {
+      text += `🎯 **Weekly Target**: ${overview.settings.weekly_target_minutes} min\n`;
+    }
+    if (unplanned.length > 0) {
+      text += `⏳ **Not yet planned**: ${unplanned.length} (${unplanned.slice(0, 3).map(task => task.title).join(', ')}${unplanned.length > 3 ? ', …' : ''})\n`;
+    }
+    text += '\n💡 Each day is saved as its daily schedule; use `review_week` to compare the plan with what got done.';
+
+    return text;
+  }
+
   getBlockIcon(blockType) {
     const icons = {
       'learning': '📚',
@@ -363,7 +836,8 @@ export class ScheduleGenerator {
       'break': '☕',
       'habit': '🔄',
       'exercise': '💪',
-      'work': '💼'
+      'work': '💼',
+      'fixed': '📌'
     };
     
     return icons[blockType] || '📋';
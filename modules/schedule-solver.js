@@ -0,0 +1,354 @@
+/**
+ * Schedule Solver
+ * Places learning tasks into a day's free time. Hard constraints decide what
+ * a valid schedule is; soft objectives rank the valid ones:
+ *
+ *   hard: free windows (no overlap with fixed blocks or meals, allowed hours),
+ *         prerequisites (a task follows the tasks it needs), task durations
+ *         (never cut below half or the minimum block), maximum daily learning
+ *         minutes, and at most N deep blocks in a row
+ *   soft: energy match (hard tasks in peak hours), priority (important tasks
+ *         placed, and early), branch variety, buffer time between blocks,
+ *         minimum daily learning minutes
+ *
+ * The search is a beam search over chronological placements. Ties break on
+ * task order, so the same input always yields the same schedule. Alongside
+ * the schedule the solver reports which constraints bound it and why each
+ * considered task was left out.
+ */
+
+export const DEFAULT_SOLVER_OPTIONS = {
+  energyLevel: 3,
+  peakHours: [9, 10, 11],
+  minLearningMinutes: 0,
+  maxLearningMinutes: Infinity,
+  // Difficulty at which a block counts as deep work
+  deepDifficulty: 3,
+  maxConsecutiveDeep: 2,
+  // A gap at least this long ends a run of deep blocks
+  deepResetMinutes: 30,
+  bufferMinutes: 15,
+  minBlockMinutes: 15,
+  beamWidth: 8,
+  maxCandidates: 20
+};
+
+export const OBJECTIVE_WEIGHTS = {
+  placement: 10,
+  priority: 3,
+  lateness: 2,
+  energy: 2,
+  peak: 3,
+  variety: 3,
+  buffer: 4,
+  shrink: 0.2,
+  minLearning: 1
+};
+
+const PRIORITY_WEIGHTS = { high: 3, medium: 2, low: 1 };
+
+// ===== INTERVALS =====
+
+/** Remove busy ranges from windows; both are [{ start, end }] in minutes. */
+export function subtractIntervals(windows, busy) {
+  let result = windows.map(w => ({ ...w }));
+  for (const block of busy) {
+    result = result.flatMap(w => {
+      if (block.end <= w.start || block.start >= w.end) {return [w];}
+      return [
+        { start: w.start, end: block.start },
+        { start: block.end, end: w.end }
+      ].filter(piece => piece.end > piece.start);
+    });
+  }
+  return result.sort((a, b) => a.start - b.start);
+}
+
+/** Windows clipped to whole allowed hours (e.g. [9, 10, 14]); all hours when the list is empty. */
+export function restrictToHours(windows, hours) {
+  if (!hours || hours.length === 0) {return windows;}
+  const allowed = [...new Set(hours)].sort((a, b) => a - b).map(h => ({ start: h * 60, end: (h + 1) * 60 }));
+  const merged = [];
+  for (const range of allowed) {
+    const last = merged[merged.length - 1];
+    if (last && last.end === range.start) {
+      last.end = range.end;
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return windows.flatMap(w => merged
+    .map(range => ({ start: Math.max(w.start, range.start), end: Math.min(w.end, range.end) }))
+    .filter(piece => piece.end > piece.start));
+}
+
+// ===== SCORING =====
+
+function priorityWeight(priority) {
+  if (typeof priority === 'number') {return Math.max(0, Math.min(5, priority / 100));}
+  return PRIORITY_WEIGHTS[priority] || PRIORITY_WEIGHTS.medium;
+}
+
+function isDeep(task, options) {
+  return (task.difficulty || 1) >= options.deepDifficulty;
+}
+
+/** Difficulty that suits the hour: a notch above the energy level in peak hours, a notch below outside them. */
+function targetDifficulty(options, inPeak) {
+  return Math.max(1, Math.min(5, options.energyLevel + (inPeak ? 1 : -1)));
+}
+
+function addObjective(objectives, name, value) {
+  return { ...objectives, [name]: (objectives[name] || 0) + value };
+}
+
+// ===== SEARCH =====
+
+function firstSlot(windows, earliest, minimum) {
+  for (const w of windows) {
+    const start = Math.max(w.start, earliest);
+    if (w.end - start >= minimum) {
+      return { start, room: w.end - start };
+    }
+  }
+  return null;
+}
+
+/**
+ * Candidate placements of `task` after the state's last block: the earliest
+ * slot that fits the task at all, and the earliest that fits it uncut. A
+ * slot without a buffer is only offered when no buffered one is left.
+ */
+function placements(state, task, ctx) {
+  const { options, windows } = ctx;
+  const learningLeft = options.maxLearningMinutes - state.learning;
+  const minimum = Math.min(task.minDuration, task.duration);
+  if (learningLeft < minimum) {return [];}
+
+  const afterLast = state.lastEnd ?? ctx.dayStart;
+  const buffer = state.lastEnd === null ? 0 : options.bufferMinutes;
+  let earliest = afterLast;
+  let deepReset = false;
+  if (isDeep(task, options) && state.deepRun >= options.maxConsecutiveDeep) {
+    earliest = afterLast + options.deepResetMinutes;
+    // Only report the rule as binding when it actually pushed the task back
+    const unconstrained = firstSlot(windows, afterLast + buffer, minimum);
+    deepReset = unconstrained !== null && unconstrained.start < earliest;
+  }
+
+  const want = Math.min(task.duration, learningLeft);
+  const withBuffer = Math.max(earliest, afterLast + buffer);
+  const slots = [firstSlot(windows, withBuffer, minimum), firstSlot(windows, withBuffer, want)];
+  if (!slots[0]) {
+    slots.push(firstSlot(windows, earliest, minimum));
+  }
+
+  const results = [];
+  const seen = new Set();
+  for (const slot of slots) {
+    if (!slot || seen.has(slot.start)) {continue;}
+    seen.add(slot.start);
+    results.push({ start: slot.start, duration: Math.min(want, slot.room), deepReset });
+  }
+  return results;
+}
+
+function place(state, task, slot, ctx) {
+  const { options } = ctx;
+  const start = slot.start;
+  const end = start + slot.duration;
+  const gap = state.lastEnd === null ? Infinity : start - state.lastEnd;
+  const deep = isDeep(task, options);
+  const run = gap >= options.deepResetMinutes ? 0 : state.deepRun;
+  const inPeak = options.peakHours.includes(Math.floor(start / 60));
+  const weight = priorityWeight(task.priority);
+  const span = Math.max(1, ctx.dayEnd - ctx.dayStart);
+
+  let objectives = addObjective(state.objectives, 'placement', OBJECTIVE_WEIGHTS.placement);
+  objectives = addObjective(objectives, 'priority',
+    OBJECTIVE_WEIGHTS.priority * weight - OBJECTIVE_WEIGHTS.lateness * weight * (start - ctx.dayStart) / span);
+  objectives = addObjective(objectives, 'energy',
+    -OBJECTIVE_WEIGHTS.energy * Math.abs((task.difficulty || 1) - targetDifficulty(options, inPeak)) +
+    (deep && inPeak ? OBJECTIVE_WEIGHTS.peak : 0));
+  if (state.lastBranch && task.branch && state.lastBranch === task.branch && gap < options.deepResetMinutes) {
+    objectives = addObjective(objectives, 'variety', -OBJECTIVE_WEIGHTS.variety);
+  }
+  if (gap < options.bufferMinutes) {
+    objectives = addObjective(objectives, 'buffer', -OBJECTIVE_WEIGHTS.buffer);
+  }
+  if (slot.duration < task.duration) {
+    objectives = addObjective(objectives, 'shrink', -OBJECTIVE_WEIGHTS.shrink * (task.duration - slot.duration));
+  }
+
+  return {
+    placed: [...state.placed, { task, start, end, duration: slot.duration, shortenedBy: task.duration - slot.duration, deepReset: slot.deepReset }],
+    placedKeys: new Set([...state.placedKeys, task.key]),
+    lastEnd: end,
+    lastBranch: task.branch || null,
+    deepRun: deep ? run + 1 : 0,
+    learning: state.learning + slot.duration,
+    objectives
+  };
+}
+
+function totalScore(state, options, final = false) {
+  let score = Object.values(state.objectives).reduce((sum, v) => sum + v, 0);
+  if (final) {
+    score -= OBJECTIVE_WEIGHTS.minLearning * Math.max(0, options.minLearningMinutes - state.learning);
+  }
+  return score;
+}
+
+function signature(state) {
+  return `${state.placed.map(p => `${p.task.key}@${p.start}`).join(',')}`;
+}
+
+function compareStates(a, b, options, final) {
+  const diff = totalScore(b, options, final) - totalScore(a, options, final);
+  if (Math.abs(diff) > 1e-9) {return diff;}
+  return signature(a) < signature(b) ? -1 : signature(a) > signature(b) ? 1 : 0;
+}
+
+// ===== EXPLANATION =====
+
+function largestGap(windows, placed, bufferMinutes) {
+  const occupied = placed.map(p => ({ start: p.start, end: p.end + bufferMinutes }));
+  return subtractIntervals(windows, occupied).reduce((max, w) => Math.max(max, w.end - w.start), 0);
+}
+
+function explain(best, ctx) {
+  const { options, tasks, windows } = ctx;
+  const binding = [];
+  const unscheduled = [];
+  const gap = largestGap(windows, best.placed, options.bufferMinutes);
+  const freeMinutes = windows.reduce((sum, w) => sum + w.end - w.start, 0);
+
+  for (const task of tasks) {
+    if (best.placedKeys.has(task.key)) {continue;}
+    const minimum = Math.min(task.minDuration, task.duration);
+    let reason;
+    let detail;
+    const waiting = task.requires.filter(key => !best.placedKeys.has(key));
+    if (waiting.length > 0) {
+      const titles = waiting.map(key => ctx.titles.get(key) || key);
+      reason = 'prerequisites';
+      detail = `waits for ${titles.join(', ')}, not scheduled today`;
+    } else if (best.learning + minimum > options.maxLearningMinutes) {
+      reason = 'max_learning_minutes';
+      detail = `would pass the ${options.maxLearningMinutes}-minute daily learning cap`;
+    } else if (minimum > gap) {
+      reason = 'free_windows';
+      detail = `needs ${minimum}+ minutes; largest free gap left is ${gap}`;
+    } else {
+      reason = 'objectives';
+      detail = 'fits, but the chosen tasks scored higher';
+    }
+    unscheduled.push({ key: task.key, title: task.title, reason, detail });
+  }
+  for (const task of ctx.overflow) {
+    unscheduled.push({
+      key: task.key,
+      title: task.title,
+      reason: 'candidate_limit',
+      detail: `not considered; only the first ${options.maxCandidates} tasks are searched`
+    });
+  }
+
+  const count = (reason) => unscheduled.filter(u => u.reason === reason).length;
+  if (count('free_windows') > 0) {
+    binding.push({ constraint: 'free_windows', detail: `${count('free_windows')} task(s) did not fit; ${freeMinutes} free minutes between fixed blocks and meals` });
+  }
+  if (count('max_learning_minutes') > 0 || best.learning >= options.maxLearningMinutes) {
+    binding.push({ constraint: 'max_learning_minutes', detail: `${best.learning} of ${options.maxLearningMinutes} daily learning minutes used` });
+  }
+  if (count('prerequisites') > 0) {
+    binding.push({ constraint: 'prerequisites', detail: `${count('prerequisites')} task(s) wait on prerequisites that are not scheduled today` });
+  }
+  const heldBack = best.placed.filter(p => p.deepReset).length;
+  if (heldBack > 0) {
+    binding.push({ constraint: 'max_consecutive_deep', detail: `${heldBack} deep block(s) held back to keep runs to ${options.maxConsecutiveDeep}` });
+  }
+  const shortened = best.placed.filter(p => p.shortenedBy > 0);
+  if (shortened.length > 0) {
+    binding.push({ constraint: 'durations', detail: `${shortened.length} task(s) shortened to fit their window` });
+  }
+  if (ctx.overflow.length > 0) {
+    binding.push({ constraint: 'candidate_limit', detail: `${ctx.overflow.length} lower-preference task(s) past the ${options.maxCandidates}-candidate limit were not considered` });
+  }
+  if (best.learning < options.minLearningMinutes) {
+    binding.push({ constraint: 'min_learning_minutes', detail: `only ${best.learning} of the ${options.minLearningMinutes} minimum learning minutes could be placed` });
+  }
+
+  return { binding, unscheduled };
+}
+
+/**
+ * Find the best learning placements for one day.
+ * @param {object} input
+ * @param {number} input.dayStart - minutes since midnight
+ * @param {number} input.dayEnd
+ * @param {Array<{start: number, end: number}>} [input.busy] - fixed blocks and meals
+ * @param {number[]} [input.allowedHours] - learning only starts and ends inside these hours
+ * @param {Array<{key: string, title: string, duration: number, difficulty?: number, priority?: number|string,
+ *   branch?: string, requires?: string[]}>} input.tasks - in preference order; `requires` lists keys of
+ *   tasks that must come earlier the same day
+ * @param {object} [input.options] - overrides for DEFAULT_SOLVER_OPTIONS
+ * @returns {{ placements: Array<{task: object, start: number, end: number, duration: number, shortenedBy: number}>,
+ *   learningMinutes: number, score: number, objectives: Record<string, number>,
+ *   binding: Array<{constraint: string, detail: string}>,
+ *   unscheduled: Array<{key: string, title: string, reason: string, detail: string}> }}
+ */
+export function solveSchedule({ dayStart, dayEnd, busy = [], allowedHours = [], tasks, options = {} }) {
+  const opts = { ...DEFAULT_SOLVER_OPTIONS, ...options };
+  const windows = restrictToHours(subtractIntervals([{ start: dayStart, end: dayEnd }], busy), allowedHours);
+  const candidates = tasks.slice(0, opts.maxCandidates).map(task => ({
+    ...task,
+    requires: task.requires || [],
+    minDuration: Math.max(opts.minBlockMinutes, Math.ceil(task.duration / 2))
+  }));
+  // Prerequisites outside the candidate list can never be met today
+  const keys = new Set(candidates.map(t => t.key));
+  const ctx = {
+    options: opts, dayStart, dayEnd, windows,
+    tasks: candidates,
+    // Tasks past the candidate limit are never searched, only reported
+    overflow: tasks.slice(opts.maxCandidates),
+    titles: new Map(candidates.map(t => [t.key, t.title]))
+  };
+  const schedulable = candidates.filter(t => t.requires.every(key => keys.has(key)));
+
+  const empty = { placed: [], placedKeys: new Set(), lastEnd: null, lastBranch: null, deepRun: 0, learning: 0, objectives: {} };
+  let beam = [empty];
+  let best = empty;
+
+  while (beam.length > 0) {
+    const children = new Map();
+    for (const state of beam) {
+      for (const task of schedulable) {
+        if (state.placedKeys.has(task.key) || !task.requires.every(key => state.placedKeys.has(key))) {continue;}
+        for (const slot of placements(state, task, ctx)) {
+          const child = place(state, task, slot, ctx);
+          const key = `${[...child.placedKeys].sort().join(',')}@${child.lastEnd}`;
+          const existing = children.get(key);
+          if (!existing || compareStates(child, existing, opts, false) < 0) {
+            children.set(key, child);
+          }
+        }
+      }
+    }
+    beam = [...children.values()].sort((a, b) => compareStates(a, b, opts, false)).slice(0, opts.beamWidth);
+    for (const state of beam) {
+      if (compareStates(state, best, opts, true) < 0) {best = state;}
+    }
+  }
+
+  const { binding, unscheduled } = explain(best, ctx);
+  return {
+    placements: best.placed.map(({ deepReset: _deepReset, ...placement }) => placement),
+    learningMinutes: best.learning,
+    score: Math.round(totalScore(best, opts, true) * 100) / 100,
+    objectives: Object.fromEntries(Object.entries(best.objectives).map(([k, v]) => [k, Math.round(v * 100) / 100])),
+    binding,
+    unscheduled
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * Schema Migrations Module
+ * Versioned upgrades for every persisted document. Each document carries a
+ * `schemaVersion`; documents written before versioning existed are version 0.
+ * DataPersistence runs `migrateDocument` on load so callers always see the
+ * current shape, and the `migrate_data` tool rewrites files on disk.
+ */
+
+import { normaliseHierarchy } from './hta-hierarchy.js';
+import { breakCycles, resolvePrerequisites } from './hta-prerequisites.js';
+import { dedupeNodeIds, seedNodeIdCounter } from './hta-node-ids.js';
+
+export const DOCUMENT_TYPES = {
+  GLOBAL_CONFIG: 'global_config',
+  PROJECT_CONFIG: 'project_config',
+  HTA: 'hta',
+  LEARNING_HISTORY: 'learning_history',
+  SCHEDULE: 'schedule'
+};
+
+/**
+ * Map a storage key or file name onto the document type that governs it.
+ * Returns null for documents that are not versioned.
+ * @param {string} filename
+ * @param {{ global?: boolean }} [options]
+ */
+export function getDocumentType(filename, { global = false } = {}) {
+  const base = filename.split('/').pop();
+  if (base === 'config.json') {
+    return global ? DOCUMENT_TYPES.GLOBAL_CONFIG : DOCUMENT_TYPES.PROJECT_CONFIG;
+  }
+  if (base === 'hta.json') {return DOCUMENT_TYPES.HTA;}
+  if (base === 'learning_history.json') {return DOCUMENT_TYPES.LEARNING_HISTORY;}
+  if (/^day_\d{4}-\d{2}-\d{2}\.json$/.test(base)) {return DOCUMENT_TYPES.SCHEDULE;}
+  return null;
+}
+
+// ===== MIGRATION STEPS =====
+
+function migrateHtaV1(doc) {
+  // Legacy snake_case collections
+  const frontier = [...(doc.frontierNodes || []), ...(doc.frontier_nodes || [])];
+  const knownIds = new Set(frontier.map(n => n.id));
+  for (const node of doc.completed_nodes || []) {
+    if (!knownIds.has(node.id)) {
+      frontier.push({ ...node, completed: true });
+      knownIds.add(node.id);
+    }
+  }
+  doc.frontierNodes = frontier;
+  delete doc.frontier_nodes;
+  delete doc.completed_nodes;
+
+  if (!doc.strategicBranches && Array.isArray(doc.strategic_branches)) {
+    doc.strategicBranches = doc.strategic_branches;
+  }
+  delete doc.strategic_branches;
+  doc.strategicBranches = doc.strategicBranches || [];
+
+  // Prerequisites are node ids from now on; resolve legacy titles
+  const idByTitle = new Map(frontier.map(n => [n.title, n.id]));
+  for (const node of frontier) {
+    node.prerequisites = (node.prerequisites || []).map(prereq =>
+      knownIds.has(prereq) ? prereq : (idByTitle.get(prereq) ?? prereq)
+    );
+  }
+  return doc;
+}
+
+function migrateHtaV2(doc) {
+  // Attach every node to its branch/sub-branch and store roll-up progress
+  return normaliseHierarchy(doc);
+}
+
+function migrateHtaV3(doc) {
+  // Writes now reject prerequisite cycles, so stored trees must not hold any
+  resolvePrerequisites(doc);
+  breakCycles(doc);
+  return doc;
+}
+
+function migrateHtaV4(doc) {
+  // Ids used to come from frontierNodes.length + offset and could repeat
+  dedupeNodeIds(doc);
+  seedNodeIdCounter(doc);
+  return doc;
+}
+
+function migrateProjectConfigV1(doc) {
+  if (!doc.activePath && doc.active_path) {
+    doc.activePath = doc.active_path;
+  }
+  delete doc.active_path;
+
+  const paths = Array.isArray(doc.learning_paths) ? doc.learning_paths : [];
+  doc.learning_paths = paths.map(p => (typeof p === 'string' ? { path_name: p, priority: 'medium' } : p));
+  if (doc.learning_paths.length === 0) {
+    doc.learning_paths = [{ path_name: 'general', priority: 'high' }];
+  }
+  doc.activePath = doc.activePath || doc.learning_paths[0].path_name;
+  return doc;
+}
+
+function migrateLearningHistoryV1(doc) {
+  doc.completedTopics = doc.completedTopics || doc.completed_topics || [];
+  delete doc.completed_topics;
+  doc.insights = doc.insights || [];
+  doc.knowledgeGaps = doc.knowledgeGaps || doc.knowledge_gaps || [];
+  delete doc.knowledge_gaps;
+  doc.skillProgression = doc.skillProgression || {};
+  return doc;
+}
+
+function migrateScheduleV1(doc) {
+  doc.blocks = Array.isArray(doc.blocks) ? doc.blocks : [];
+  return doc;
+}
+
+function migrateGlobalConfigV1(doc) {
+  doc.projects = Array.isArray(doc.projects) ? doc.projects : [];
+  if (doc.activeProject === undefined) {
+    doc.activeProject = null;
+  }
+  return doc;
+}
+
+/**
+ * Ordered migration steps per document type. Append new steps with the next
+ * version number; never edit a step that has shipped.
+ */
+export const MIGRATIONS = {
+  [DOCUMENT_TYPES.GLOBAL_CONFIG]: [
+    { version: 1, description: 'Normalise project list and active project', up: migrateGlobalConfigV1 }
+  ],
+  [DOCUMENT_TYPES.PROJECT_CONFIG]: [
+    { version: 1, description: 'Normalise learning_paths objects and activePath', up: migrateProjectConfigV1 }
+  ],
+  [DOCUMENT_TYPES.HTA]: [
+    { version: 1, description: 'Merge frontier_nodes/completed_nodes into frontierNodes and resolve title prerequisites to ids', up: migrateHtaV1 },
+    { version: 2, description: 'Link nodes into the branch/sub-branch hierarchy with parentId and roll up progress', up: migrateHtaV2 },
+    { version: 3, description: 'Resolve prerequisites to node ids and break prerequisite cycles', up: migrateHtaV3 },
+    { version: 4, description: 'Give duplicate node ids fresh ids and seed the nextNodeId counter', up: migrateHtaV4 }
+  ],
+  [DOCUMENT_TYPES.LEARNING_HISTORY]: [
+    { version: 1, description: 'Ensure completedTopics, insights, knowledgeGaps and skillProgression exist', up: migrateLearningHistoryV1 }
+  ],
+  [DOCUMENT_TYPES.SCHEDULE]: [
+    { version: 1, description: 'Ensure schedule blocks array exists', up: migrateScheduleV1 }
+  ]
+};
+
+export function getCurrentSchemaVersion(type) {
+  const steps = MIGRATIONS[type] || [];
+  return steps.length > 0 ? steps[steps.length - 1].version : 0;
+}
+
+/**
+ * Upgrade a document to the current schema for its type. The input is not
+ * mutated; a migrated copy is returned only when a step actually ran.
+ * @returns {{ doc: any, fromVersion: number, toVersion: number, applied: string[] }}
+ */
+export function migrateDocument(type, doc) {
+  const isPlainObject = doc && typeof doc === 'object' && !Array.isArray(doc);
+  const fromVersion = isPlainObject ? (doc.schemaVersion || 0) : 0;
+  const steps = (MIGRATIONS[type] || []).filter(step => step.version > fromVersion);
+
+  if (!isPlainObject || steps.length === 0) {
+    return { doc, fromVersion, toVersion: fromVersion, applied: [] };
+  }
+
+  let migrated = structuredClone(doc);
+  const applied = [];
+  for (const step of steps) {
+    migrated = step.up(migrated) || migrated;
+    migrated.schemaVersion = step.version;
+    applied.push(`v${step.version}: ${step.description}`);
+  }
+
+  return { doc: migrated, fromVersion, toVersion: migrated.schemaVersion, applied };
+}
+
+/** Tag a document about to be written with the current schema version. */
+export function stampSchemaVersion(type, doc) {
+  if (type && doc && typeof doc === 'object' && !Array.isArray(doc)) {
+    doc.schemaVersion = getCurrentSchemaVersion(type);
+  }
+  return doc;
+}
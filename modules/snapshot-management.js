@@ -0,0 +1,127 @@
+/**
+ * Snapshot Management Module
+ * MCP tools for browsing and restoring the project snapshots that
+ * DataPersistence takes before destructive operations
+ */
+
+export class SnapshotManagement {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  async resolveProjectId(projectId) {
+    return projectId || await this.projectManagement.requireActiveProject();
+  }
+
+  async listSnapshots(projectId = null) {
+    try {
+      const targetProject = await this.resolveProjectId(projectId);
+      const snapshots = await this.dataPersistence.listSnapshots(targetProject);
+
+      if (snapshots.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `📸 No snapshots for **${targetProject}** yet. Snapshots are taken automatically before rebuilds, repairs, task imports and migrations.`
+          }],
+          snapshots: []
+        };
+      }
+
+      let text = `📸 **Snapshots for ${targetProject}** (newest first)\n\n`;
+      for (const snapshot of snapshots) {
+        text += `• \`${snapshot.snapshotId}\`\n`;
+        text += `  Taken: ${new Date(snapshot.createdAt).toLocaleString()}\n`;
+        text += `  Before: ${snapshot.reason}\n`;
+        text += `  Documents: ${snapshot.documentCount}\n\n`;
+      }
+      text += 'Use `restore_snapshot` with a snapshot_id to preview and restore.';
+
+      return {
+        content: [{ type: 'text', text }],
+        snapshots
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('listSnapshots', error, { projectId });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error listing snapshots: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Preview (default) or apply a snapshot restore.
+   * @param {string} snapshotId
+   * @param {boolean} preview - only show the diff; nothing is overwritten
+   * @param {string|null} projectId - defaults to the active project
+   */
+  async restoreSnapshot(snapshotId, preview = true, projectId = null) {
+    try {
+      if (!snapshotId) {
+        throw new Error('snapshot_id is required. Use list_snapshots to find one.');
+      }
+
+      const targetProject = await this.resolveProjectId(projectId);
+      const diff = await this.dataPersistence.diffSnapshot(targetProject, snapshotId);
+
+      if (preview) {
+        return {
+          content: [{ type: 'text', text: this.formatDiff(targetProject, diff) }],
+          snapshot_diff: diff,
+          preview: true
+        };
+      }
+
+      const result = await this.dataPersistence.restoreSnapshot(targetProject, snapshotId);
+
+      let text = `♻️ **Snapshot restored** for ${targetProject}\n\n`;
+      text += `**Snapshot**: ${snapshotId} (taken before ${diff.snapshot.reason})\n`;
+      text += `**Documents restored**: ${result.documentCount}\n`;
+      text += `**Files changed**: ${diff.changes.length}\n`;
+      if (result.safetySnapshot) {
+        text += `\n💾 Previous state saved as \`${result.safetySnapshot.snapshotId}\` in case you need to undo this restore.`;
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        restore_result: result,
+        snapshot_diff: diff
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('restoreSnapshot', error, { snapshotId, preview, projectId });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error restoring snapshot: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  formatDiff(projectId, diff) {
+    const icons = { restore: '➕', delete: '🗑️', modify: '✏️' };
+
+    let text = `🔍 **Restore Preview** for ${projectId}\n\n`;
+    text += `**Snapshot**: ${diff.snapshot.snapshotId}\n`;
+    text += `**Taken**: ${new Date(diff.snapshot.createdAt).toLocaleString()} (before ${diff.snapshot.reason})\n\n`;
+
+    if (diff.changes.length === 0) {
+      text += '✅ Current data already matches this snapshot. Nothing to restore.';
+      return text;
+    }
+
+    text += `**${diff.changes.length} file(s) would change:**\n`;
+    for (const change of diff.changes) {
+      text += `${icons[change.action]} \`${change.file}\` (${change.action})\n`;
+      for (const detail of change.details) {
+        text += `   - ${detail}\n`;
+      }
+    }
+    text += '\nRun `restore_snapshot` again with `preview: false` to apply. The current state will be snapshotted first.';
+    return text;
+  }
+}
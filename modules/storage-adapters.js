@@ -0,0 +1,385 @@
+/**
+ * Storage Adapters Module
+ * Pluggable backends behind DataPersistence. Every document is addressed by a
+ * slash-separated key relative to the data directory, e.g.
+ * `projects/<id>/paths/<path>/hta.json`.
+ *
+ * Adapter interface:
+ *   read(key)            → parsed document or null
+ *   write(key, data)     → persist the whole document
+ *   delete(key)          → true if something was removed
+ *   list(prefix)         → keys stored under `prefix`
+ *   queryArray(key, field, options) → filtered items of an array field
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { FILE_NAMES } from './constants.js';
+
+export const STORAGE_BACKENDS = {
+  JSON: 'json',
+  JSONL: 'jsonl'
+};
+
+/**
+ * Write a file so that readers only ever see the old or the new contents.
+ * Data goes to a sibling temp file which is flushed to disk and then renamed
+ * over the target; a crash mid-write leaves at most a stray temp file behind.
+ */
+export async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+  let handle;
+  try {
+    handle = await fs.open(tempPath, 'w');
+    await handle.writeFile(contents);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Shared filtering for queryArray(): optional time window on `timeField`,
+ * then the newest `limit` items.
+ */
+function filterItems(items, { since = null, until = null, timeField = 'completedAt', limit = null } = {}) {
+  let result = Array.isArray(items) ? items : [];
+  if (since || until) {
+    const from = since ? new Date(since).getTime() : -Infinity;
+    const to = until ? new Date(until).getTime() : Infinity;
+    result = result.filter(item => {
+      const ts = new Date(item?.[timeField]).getTime();
+      return ts >= from && ts <= to;
+    });
+  }
+  if (limit) {
+    result = result.slice(-limit);
+  }
+  return result;
+}
+
+/**
+ * Default backend: one pretty-printed JSON file per document, laid out exactly
+ * as Forest always has under the data directory.
+ */
+export class JsonFileStorage {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.backend = STORAGE_BACKENDS.JSON;
+  }
+
+  resolve(key) {
+    return path.join(this.dataDir, ...key.split('/'));
+  }
+
+  async read(key) {
+    try {
+      const data = await fs.readFile(this.resolve(key), 'utf8');
+      return JSON.parse(data);
+    } catch {
+      return null;
+    }
+  }
+
+  async write(key, data) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {return false;}
+      throw error;
+    }
+  }
+
+  async list(prefix = '') {
+    const keys = [];
+    const walk = async (relDir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(this.resolve(relDir || '.'), { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        const rel = relDir ? `${relDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(rel);
+        } else if (!entry.name.endsWith('.tmp') && entry.name !== FILE_NAMES.ERROR_LOG) {
+          keys.push(rel);
+        }
+      }
+    };
+    await walk(prefix.replace(/\/$/, ''));
+    return keys.sort();
+  }
+
+  async queryArray(key, field, options = {}) {
+    const doc = await this.read(key);
+    return filterItems(doc?.[field], options);
+  }
+}
+
+/**
+ * Embedded single-file backend: an append-only JSONL event log.
+ *
+ * Each write is diffed against the current document and only the delta is
+ * appended — new learning-history entries become `append` records, changed
+ * HTA nodes or schedule blocks (array items with an `id`) become `upsert` /
+ * `remove` records, and scalar changes become `set` / `unset`. Completing a
+ * block in a project with thousands of topics therefore appends a few hundred
+ * bytes instead of rewriting every file. The log is replayed into memory on
+ * first use and compacted into one `put` per document once it grows.
+ */
+export class JsonlEventStorage {
+  constructor(dataDir, options = {}) {
+    this.dataDir = dataDir;
+    this.backend = STORAGE_BACKENDS.JSONL;
+    this.filePath = options.filePath || path.join(dataDir, FILE_NAMES.EVENT_LOG);
+    this.compactThreshold = options.compactThreshold || 5000;
+    this.documents = new Map();
+    this.recordCount = 0;
+    this.loading = null;
+    this.queue = Promise.resolve();
+  }
+
+  async ready() {
+    if (!this.loading) {
+      this.loading = this.replay();
+    }
+    return this.loading;
+  }
+
+  async replay() {
+    let raw = '';
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {throw error;}
+      return;
+    }
+
+    // A crash during append can leave a partial last line; drop it so the next
+    // append does not get glued onto garbage.
+    if (raw.length > 0 && !raw.endsWith('\n')) {
+      const lastNewline = raw.lastIndexOf('\n');
+      raw = lastNewline >= 0 ? raw.slice(0, lastNewline + 1) : '';
+      await fs.truncate(this.filePath, Buffer.byteLength(raw));
+    }
+
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) {continue;}
+      try {
+        this.applyRecord(this.documents, JSON.parse(line));
+        this.recordCount++;
+      } catch {
+        // Skip corrupt records rather than refusing to start
+      }
+    }
+  }
+
+  applyRecord(documents, record) {
+    const { op, key } = record;
+    if (op === 'put') {
+      documents.set(key, record.doc);
+      return;
+    }
+    if (op === 'del') {
+      documents.delete(key);
+      return;
+    }
+
+    const doc = documents.get(key);
+    if (!doc) {return;}
+
+    switch (op) {
+      case 'set':
+        doc[record.field] = record.value;
+        break;
+      case 'unset':
+        delete doc[record.field];
+        break;
+      case 'append':
+        doc[record.field] = (doc[record.field] || []).concat(record.items);
+        break;
+      case 'upsert': {
+        const items = doc[record.field] || [];
+        for (const item of record.items) {
+          const idx = items.findIndex(existing => existing?.id === item.id);
+          if (idx >= 0) {
+            items[idx] = item;
+          } else {
+            items.push(item);
+          }
+        }
+        doc[record.field] = items;
+        break;
+      }
+      case 'remove': {
+        const ids = new Set(record.ids);
+        doc[record.field] = (doc[record.field] || []).filter(item => !ids.has(item?.id));
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Compute the records that turn `prev` into `next`. Falls back to a full
+   * `put` whenever the delta would not reproduce `next` exactly.
+   */
+  diffDocument(key, prev, next) {
+    const isPlainObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+    if (!isPlainObject(prev) || !isPlainObject(next)) {
+      return [{ op: 'put', key, doc: next }];
+    }
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const hasIds = (arr) => arr.every(item => isPlainObject(item) && item.id !== undefined) &&
+      new Set(arr.map(item => item.id)).size === arr.length;
+
+    const records = [];
+    for (const field of Object.keys(prev)) {
+      if (!(field in next)) {
+        records.push({ op: 'unset', key, field });
+      }
+    }
+
+    for (const [field, value] of Object.entries(next)) {
+      const before = prev[field];
+      if (same(before, value)) {continue;}
+
+      if (Array.isArray(before) && Array.isArray(value)) {
+        const isExtension = before.length <= value.length && before.every((item, i) => same(item, value[i]));
+        if (isExtension) {
+          records.push({ op: 'append', key, field, items: value.slice(before.length) });
+          continue;
+        }
+
+        if (hasIds(before) && hasIds(value)) {
+          const prevById = new Map(before.map(item => [item.id, item]));
+          const nextIds = new Set(value.map(item => item.id));
+          const removed = before.filter(item => !nextIds.has(item.id)).map(item => item.id);
+          const changed = value.filter(item => !prevById.has(item.id) || !same(prevById.get(item.id), item));
+          const fieldRecords = [];
+          if (removed.length > 0) {fieldRecords.push({ op: 'remove', key, field, ids: removed });}
+          if (changed.length > 0) {fieldRecords.push({ op: 'upsert', key, field, items: changed });}
+
+          // Only keep the item-level delta if replaying it preserves ordering
+          const probe = new Map([[key, { [field]: structuredClone(before) }]]);
+          fieldRecords.forEach(r => this.applyRecord(probe, r));
+          if (same(probe.get(key)[field], value)) {
+            records.push(...fieldRecords);
+            continue;
+          }
+        }
+      }
+
+      records.push({ op: 'set', key, field, value });
+    }
+
+    return records;
+  }
+
+  async appendRecords(records) {
+    if (records.length === 0) {return;}
+    const timestamp = new Date().toISOString();
+    const lines = records.map(r => JSON.stringify({ t: timestamp, ...r })).join('\n') + '\n';
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, lines);
+    this.recordCount += records.length;
+  }
+
+  /** Serialise mutations so appends never interleave within this process. */
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async read(key) {
+    await this.ready();
+    const doc = this.documents.get(key);
+    return doc === undefined ? null : structuredClone(doc);
+  }
+
+  async write(key, data) {
+    await this.ready();
+    return this.enqueue(async () => {
+      const next = structuredClone(data);
+      const records = this.diffDocument(key, this.documents.get(key), next);
+      await this.appendRecords(records);
+      this.documents.set(key, next);
+      await this.compactIfNeeded();
+    });
+  }
+
+  async delete(key) {
+    await this.ready();
+    return this.enqueue(async () => {
+      if (!this.documents.has(key)) {return false;}
+      await this.appendRecords([{ op: 'del', key }]);
+      this.documents.delete(key);
+      return true;
+    });
+  }
+
+  async list(prefix = '') {
+    await this.ready();
+    return [...this.documents.keys()].filter(key => key.startsWith(prefix)).sort();
+  }
+
+  async queryArray(key, field, options = {}) {
+    await this.ready();
+    return structuredClone(filterItems(this.documents.get(key)?.[field], options));
+  }
+
+  async compactIfNeeded() {
+    if (this.recordCount < this.compactThreshold || this.recordCount < this.documents.size * 2) {
+      return;
+    }
+    await this.compact();
+  }
+
+  /** Rewrite the log as a single `put` per live document. */
+  async compact() {
+    const timestamp = new Date().toISOString();
+    const lines = [...this.documents.entries()]
+      .map(([key, doc]) => JSON.stringify({ t: timestamp, op: 'put', key, doc }))
+      .join('\n');
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await writeFileAtomic(this.filePath, lines ? lines + '\n' : '');
+    this.recordCount = this.documents.size;
+  }
+}
+
+/**
+ * Pick a backend by name (`json` or `jsonl`). Defaults to FOREST_STORAGE_BACKEND
+ * and then to the JSON file layout.
+ */
+export function createStorageAdapter(dataDir, backend = process.env.FOREST_STORAGE_BACKEND, options = {}) {
+  switch ((backend || STORAGE_BACKENDS.JSON).toLowerCase()) {
+    case STORAGE_BACKENDS.JSON:
+      return new JsonFileStorage(dataDir);
+    case STORAGE_BACKENDS.JSONL:
+      return new JsonlEventStorage(dataDir, {
+        filePath: process.env.FOREST_STORAGE_FILE || undefined,
+        ...options
+      });
+    default:
+      throw new Error(`Unknown storage backend "${backend}". Expected one of: ${Object.values(STORAGE_BACKENDS).join(', ')}`);
+  }
+}
@@ -0,0 +1,344 @@
+/**
+ * Structured Output Module
+ * Turn free-form model text into validated data: pull JSON out of fenced
+ * blocks or surrounding prose, repair common defects against a small schema,
+ * validate, and when nothing usable comes back ask the model once more with
+ * the validation errors spelled out.
+ *
+ * Schemas are a small JSON-Schema subset: type (array, object, string,
+ * number, integer, boolean), items, properties, required, minimum, maximum,
+ * minLength, minItems, pattern, default, plus an optional `repair(value)`
+ * hook per property.
+ */
+
+import { TASK_CONFIG } from './constants.js';
+
+// ===== EXTRACTION =====
+
+/** First balanced [...] or {...} in `text`, honouring JSON strings. */
+function findBalanced(text, from = 0) {
+  for (let start = from; start < text.length; start++) {
+    if (text[start] !== '[' && text[start] !== '{') {continue;}
+    const stack = [];
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === '\\') {i++;} else if (char === '"') {inString = false;}
+        continue;
+      }
+      if (char === '"') {inString = true;} else if (char === '[' || char === '{') {
+        stack.push(char === '[' ? ']' : '}');
+      } else if (char === ']' || char === '}') {
+        if (stack.pop() !== char) {break;}
+        if (stack.length === 0) {return { json: text.slice(start, i + 1), end: i + 1 };}
+      }
+    }
+  }
+  return null;
+}
+
+/** Syntax slips models make: smart quotes and trailing commas. */
+function repairSyntax(candidate) {
+  return candidate
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, '\'')
+    .replace(/,\s*([\]}])/g, '$1');
+}
+
+/**
+ * Parse JSON from model output: the whole text, then each fenced block, then
+ * each balanced bracket run in the prose.
+ * @returns {{ value: any, repaired: boolean } | null}
+ */
+export function extractJSON(text) {
+  if (text && typeof text === 'object') {return { value: text, repaired: false };}
+  const source = String(text ?? '').trim();
+  if (!source) {return null;}
+
+  const candidates = [source];
+  for (const fence of source.matchAll(/```(?:json|JSON)?\s*\n?([\s\S]*?)```/g)) {
+    candidates.push(fence[1].trim());
+  }
+  for (let found = findBalanced(source); found; found = findBalanced(source, found.end)) {
+    candidates.push(found.json);
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate), repaired: false };
+    } catch (_) {
+      try {
+        return { value: JSON.parse(repairSyntax(candidate)), repaired: true };
+      } catch (_) { /* try the next candidate */ }
+    }
+  }
+  return null;
+}
+
+// ===== REPAIR & VALIDATION =====
+
+/** Minutes from 45, "45", "45 min", "1.5 hours", "1h 30m" or "20-30 minutes" (lower bound). */
+export function coerceMinutes(value) {
+  if (typeof value === 'number') {return value;}
+  const text = String(value ?? '').toLowerCase();
+  const hours = /(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hours?)\b/.exec(text);
+  const minutes = /(\d+(?:\.\d+)?)\s*(?:m|min|mins|minutes?)?\b/.exec(hours ? text.slice(hours.index + hours[0].length) : text);
+  if (!hours && !minutes) {return value;}
+  return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseFloat(minutes[1]) : 0));
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) {return 'array';}
+  if (value === null) {return 'null';}
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') {return Number.isInteger(value);}
+  if (type === 'number') {return typeof value === 'number' && Number.isFinite(value);}
+  return typeOf(value) === type;
+}
+
+/**
+ * Coerce `value` towards `schema`, recording each change in `repairs`.
+ * Never throws; whatever cannot be repaired is left for validate().
+ */
+export function repairValue(value, schema, repairs = [], path = '$') {
+  let result = value;
+  const note = (what) => repairs.push(`${path}: ${what}`);
+
+  if (schema.repair && result !== undefined) {
+    const repaired = schema.repair(result);
+    if (JSON.stringify(repaired) !== JSON.stringify(result)) {
+      note(`${JSON.stringify(result)} → ${JSON.stringify(repaired)}`);
+      result = repaired;
+    }
+  }
+  if (result === undefined || result === null) {
+    if (schema.default !== undefined) {
+      note('filled default');
+      return structuredClone(schema.default);
+    }
+    return result;
+  }
+
+  switch (schema.type) {
+    case 'array':
+      if (!Array.isArray(result) && typeOf(result) === 'object') {
+        // { "tasks": [...] } when a bare list was asked for
+        const lists = Object.values(result).filter(Array.isArray);
+        if (lists.length === 1) {
+          note('unwrapped list from object');
+          result = lists[0];
+        }
+      }
+      if (typeof result === 'string' && schema.items?.type === 'string') {
+        note('split string into list');
+        result = result.split(/[;,]/).map(s => s.trim()).filter(Boolean);
+      }
+      if (Array.isArray(result) && schema.items) {
+        result = result.map((item, i) => repairValue(item, schema.items, repairs, `${path}[${i}]`));
+      }
+      return result;
+
+    case 'object':
+      if (typeOf(result) !== 'object') {return result;}
+      result = { ...result };
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        const repaired = repairValue(result[key], propSchema, repairs, `${path}.${key}`);
+        if (repaired !== undefined) {result[key] = repaired;}
+      }
+      return result;
+
+    case 'number':
+    case 'integer': {
+      let number = result;
+      const leading = typeof number === 'string' ? /-?\d+(?:\.\d+)?/.exec(number) : null;
+      if (leading) {
+        number = parseFloat(leading[0]);
+      }
+      if (typeof number !== 'number' || !Number.isFinite(number)) {return result;}
+      if (schema.type === 'integer') {number = Math.round(number);}
+      if (schema.minimum !== undefined) {number = Math.max(schema.minimum, number);}
+      if (schema.maximum !== undefined) {number = Math.min(schema.maximum, number);}
+      if (number !== result) {note(`${JSON.stringify(result)} → ${number}`);}
+      return number;
+    }
+
+    case 'string':
+      if (typeof result === 'number' || typeof result === 'boolean') {
+        note('converted to string');
+        return String(result);
+      }
+      return typeof result === 'string' ? result.trim() : result;
+
+    default:
+      return result;
+  }
+}
+
+/**
+ * @returns {string[]} validation errors as "<path>: <problem>"
+ */
+export function validateValue(value, schema, path = '$') {
+  if (value === undefined || value === null) {
+    return [`${path}: missing`];
+  }
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: expected at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateValue(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push(`${path}.${key}: required`);
+      }
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateValue(value[key], propSchema, `${path}.${key}`));
+      }
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {errors.push(`${path}: below minimum ${schema.minimum}`);}
+    if (schema.maximum !== undefined && value > schema.maximum) {errors.push(`${path}: above maximum ${schema.maximum}`);}
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {errors.push(`${path}: too short`);}
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {errors.push(`${path}: does not match ${schema.pattern}`);}
+  }
+  return errors;
+}
+
+/**
+ * Extract, repair and validate model output. With `partial`, invalid items of
+ * a top-level array are dropped (and reported) rather than failing the whole
+ * response.
+ * @returns {{ ok: boolean, value: any, errors: string[], repairs: string[], dropped: number }}
+ */
+export function parseStructured(text, schema, { partial = false } = {}) {
+  const extracted = extractJSON(text);
+  if (!extracted) {
+    return { ok: false, value: null, errors: ['$: no JSON found in response'], repairs: [], dropped: 0 };
+  }
+
+  const repairs = extracted.repaired ? ['$: fixed JSON syntax'] : [];
+  let value = repairValue(extracted.value, schema, repairs);
+  let errors = validateValue(value, schema);
+  let dropped = 0;
+
+  if (partial && errors.length > 0 && schema.type === 'array' && Array.isArray(value)) {
+    const kept = value.filter((item, i) => validateValue(item, schema.items || {}, `$[${i}]`).length === 0);
+    dropped = value.length - kept.length;
+    const remaining = validateValue(kept, schema);
+    if (remaining.length === 0) {
+      value = kept;
+      errors = errors.map(e => `${e} (item dropped)`);
+      return { ok: true, value, errors, repairs, dropped };
+    }
+  }
+
+  return { ok: errors.length === 0, value: errors.length === 0 ? value : null, errors, repairs, dropped };
+}
+
+function describeSchema(schema) {
+  if (schema.type === 'array') {return `a JSON array of ${schema.items ? describeSchema(schema.items) : 'values'}`;}
+  if (schema.type === 'object') {
+    const fields = Object.entries(schema.properties || {})
+      .map(([key, prop]) => `${key}${(schema.required || []).includes(key) ? '' : '?'} (${prop.type}${prop.minimum !== undefined ? ` ${prop.minimum}-${prop.maximum}` : ''})`);
+    return `objects with ${fields.join(', ')}`;
+  }
+  return schema.type;
+}
+
+/**
+ * Ask the model for structured output. Results that cannot be used trigger
+ * one corrective re-prompt carrying the validation errors. A handoff
+ * response (`request_for_claude`) is returned untouched in `response`.
+ * @param {{ requestIntelligence: Function }} llm
+ * @param {string} type - request type, used for provider routing
+ * @param {{ prompt: string }} payload
+ * @param {object} schema
+ * @param {{ partial?: boolean, retries?: number }} [options]
+ * @returns {Promise<{ ok: boolean, value: any, errors: string[], repairs: string[], dropped: number,
+ *   attempts: number, raw: string|null, response: any, handoff: boolean }>}
+ */
+export async function requestStructured(llm, type, payload, schema, { partial = false, retries = 1 } = {}) {
+  let response = await llm.requestIntelligence(type, payload);
+  if (response?.request_for_claude) {
+    return { ok: false, value: null, errors: [], repairs: [], dropped: 0, attempts: 1, raw: null, response, handoff: true };
+  }
+
+  let raw = response?.completion ?? response?.answer ?? response?.text ?? '';
+  let result = parseStructured(raw, schema, { partial });
+  let attempts = 1;
+
+  while (!result.ok && attempts <= retries) {
+    const correction = `${payload.prompt}\n\nYour previous reply could not be used:\n` +
+      `${result.errors.slice(0, 10).map(e => `- ${e}`).join('\n')}\n\n` +
+      `Reply with ONLY ${describeSchema(schema)}. No prose, no code fences.`;
+    attempts++;
+    try {
+      response = await llm.requestIntelligence(type, { ...payload, prompt: correction });
+    } catch (error) {
+      return { ...result, errors: [...result.errors, `re-prompt failed: ${error.message}`], attempts, raw, response, handoff: false };
+    }
+    if (response?.request_for_claude) {
+      return { ...result, attempts, raw, response, handoff: true };
+    }
+    raw = response?.completion ?? response?.answer ?? response?.text ?? '';
+    result = parseStructured(raw, schema, { partial });
+  }
+
+  return { ...result, attempts, raw, response, handoff: false };
+}
+
+// ===== SHARED SCHEMAS =====
+
+export const TASK_LIST_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      description: { type: 'string', default: '' },
+      difficulty: { type: 'integer', minimum: 1, maximum: 5, default: 1 },
+      duration: { type: 'integer', minimum: 5, maximum: TASK_CONFIG.MAX_DURATION, default: TASK_CONFIG.DEFAULT_DURATION, repair: coerceMinutes },
+      prerequisites: { type: 'array', items: { type: 'string' }, default: [] },
+      sub_branch: { type: 'string' }
+    }
+  }
+};
+
+export const NAME_LIST_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: { type: 'string', minLength: 1 }
+};
+
+export const SCHEDULE_ENTRIES_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['task_id'],
+    properties: {
+      task_id: { type: 'string', minLength: 1 },
+      project_id: { type: 'string' },
+      start: { type: 'string', pattern: '^\\d{1,2}:\\d{2}' },
+      end: { type: 'string', pattern: '^\\d{1,2}:\\d{2}' }
+    }
+  }
+};
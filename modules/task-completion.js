@@ -3,6 +3,9 @@
  * Handles task completion and learning evolution
  */
 
+import { getRotationWeights } from './path-rotation.js';
+import { createNodeIdAllocator } from './hta-node-ids.js';
+
 export class TaskCompletion {
   constructor(dataPersistence, projectManagement) {
     this.dataPersistence = dataPersistence;
@@ -14,97 +17,105 @@ export class TaskCompletion {
                      socialReactions = [], viralPotential = false, industryConnections = [], serendipitousEvents = []) {
     try {
       const projectId = await this.projectManagement.requireActiveProject();
-      const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
-      
-      if (!config) {
-        throw new Error('Project configuration not found');
-      }
 
-      // Load today's schedule to find the block
-      const today = new Date().toISOString().split('T')[0];
-      const schedule = await this.dataPersistence.loadProjectData(projectId, `day_${today}.json`) || {};
+      // Schedule, learning history and HTA are updated together; hold the project
+      // lock so a concurrent tool call cannot interleave its own read-modify-write.
+      return await this.dataPersistence.withProjectLock(projectId, async () => {
+        const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
       
-      // Ensure schedule.blocks exists for later persistence
-      if (!Array.isArray(schedule.blocks)) {
-        schedule.blocks = [];
-      }
+        if (!config) {
+          throw new Error('Project configuration not found');
+        }
 
-      let block = schedule.blocks.find(b => b.id === blockId);
-
-      // --- FALLBACK: allow completing tasks that were never scheduled ---
-      if (!block) {
-        // Try to fetch the HTA node so we can pull in metadata
-        const htaData = await this.loadPathHTA(projectId, config.activePath || 'general') || {};
-        const node = htaData.frontierNodes?.find(n => n.id === blockId);
-
-        block = {
-          id: blockId,
-          type: 'learning',
-          title: node?.title || `Ad-hoc Task ${blockId}`,
-          description: node?.description || '',
-          startTime: new Date().toISOString(),
-          duration: node?.duration || '30 minutes',
-          difficulty: node?.difficulty || difficultyRating,
-          taskId: node?.id || blockId,
-          branch: node?.branch || 'general',
-          completed: false,
-          priority: node?.priority || 200
-        };
+        // Load today's schedule to find the block
+        const today = new Date().toISOString().split('T')[0];
+        const schedule = await this.dataPersistence.loadProjectData(projectId, `day_${today}.json`) || {};
+      
+        // Ensure schedule.blocks exists for later persistence
+        if (!Array.isArray(schedule.blocks)) {
+          schedule.blocks = [];
+        }
 
-        // Push the synthetic block into the schedule so history is consistent
-        schedule.blocks.push(block);
-      }
+        let block = schedule.blocks.find(b => b.id === blockId);
+
+        // --- FALLBACK: allow completing tasks that were never scheduled ---
+        if (!block) {
+          // Try to fetch the HTA node so we can pull in metadata
+          const { node, pathName: nodePath } = await this.findNodeAcrossPaths(projectId, config, blockId);
+
+          block = {
+            id: blockId,
+            type: 'learning',
+            title: node?.title || `Ad-hoc Task ${blockId}`,
+            description: node?.description || '',
+            startTime: new Date().toISOString(),
+            duration: node?.duration || '30 minutes',
+            difficulty: node?.difficulty || difficultyRating,
+            taskId: node?.id || blockId,
+            branch: node?.branch || 'general',
+            pathName: nodePath,
+            completed: false,
+            priority: node?.priority || 200
+          };
+
+          // Push the synthetic block into the schedule so history is consistent
+          schedule.blocks.push(block);
+        }
 
-      // Mark block as completed
-      block.completed = true;
-      block.completedAt = new Date().toISOString();
-      block.outcome = outcome;
-      block.learned = learned;
-      block.nextQuestions = nextQuestions;
-      block.energyAfter = energyLevel;
-      block.difficultyRating = difficultyRating;
-      block.breakthrough = breakthrough;
-
-      // Add opportunity detection context if provided
-      if (engagementLevel !== 5 || unexpectedResults.length > 0) {
-        block.opportunityContext = {
-          engagementLevel,
-          unexpectedResults,
-          newSkillsRevealed,
-          externalFeedback,
-          socialReactions,
-          viralPotential,
-          industryConnections,
-          serendipitousEvents
-        };
-      }
+        // Mark block as completed
+        block.completed = true;
+        block.completedAt = new Date().toISOString();
+        block.outcome = outcome;
+        block.learned = learned;
+        block.nextQuestions = nextQuestions;
+        block.energyAfter = energyLevel;
+        block.difficultyRating = difficultyRating;
+        block.breakthrough = breakthrough;
+
+        // Add opportunity detection context if provided
+        if (engagementLevel !== 5 || unexpectedResults.length > 0) {
+          block.opportunityContext = {
+            engagementLevel,
+            unexpectedResults,
+            newSkillsRevealed,
+            externalFeedback,
+            socialReactions,
+            viralPotential,
+            industryConnections,
+            serendipitousEvents
+          };
+        }
 
-      // Save updated schedule
-      await this.dataPersistence.saveProjectData(projectId, `day_${today}.json`, schedule);
+        // Save updated schedule
+        await this.dataPersistence.saveProjectData(projectId, `day_${today}.json`, schedule);
 
-      // Update learning history
-      await this.updateLearningHistory(projectId, config.activePath || 'general', block);
+        // Route the completion to the path the task came from; in rotation
+        // mode that is often not the active path
+        const pathName = block.pathName || config.activePath || 'general';
 
-      // Evolve HTA tree based on learning
-      if (learned || nextQuestions || breakthrough) {
-        await this.evolveHTABasedOnLearning(projectId, config.activePath || 'general', block);
-      }
+        // Update learning history
+        await this.updateLearningHistory(projectId, pathName, block);
 
-      // Handle opportunity detection for impossible dream orchestration
-      const opportunityResponse = await this.handleOpportunityDetection(projectId, block);
+        // Evolve HTA tree based on learning
+        if (learned || nextQuestions || breakthrough) {
+          await this.evolveHTABasedOnLearning(projectId, pathName, block);
+        }
 
-      const responseText = this.generateCompletionResponse(block, opportunityResponse);
+        // Handle opportunity detection for impossible dream orchestration
+        const opportunityResponse = await this.handleOpportunityDetection(projectId, block);
 
-      return {
-        content: [{
-          type: 'text',
-          text: responseText
-        }],
-        block_completed: block,
-        opportunity_analysis: opportunityResponse,
-        next_suggested_action: this.suggestNextAction(block, schedule)
-      };
+        const responseText = this.generateCompletionResponse(block, opportunityResponse);
 
+        return {
+          content: [{
+            type: 'text',
+            text: responseText
+          }],
+          block_completed: block,
+          opportunity_analysis: opportunityResponse,
+          next_suggested_action: this.suggestNextAction(block, schedule)
+        };
+      });
     } catch (error) {
       await this.dataPersistence.logError('completeBlock', error, { blockId, outcome });
       return {
@@ -116,6 +127,30 @@ export class TaskCompletion {
     }
   }
 
+  /**
+   * Locate an HTA node by id for ad-hoc completions. Looks in the active path
+   * first, then rotation paths, then every other path; an open node wins over
+   * a completed one with the same id.
+   */
+  async findNodeAcrossPaths(projectId, config, nodeId) {
+    const activePath = config.activePath || 'general';
+    const candidates = [...new Set([
+      activePath,
+      ...Object.keys(getRotationWeights(config) || {}),
+      ...(config.learning_paths || []).map(p => p.path_name)
+    ])];
+
+    let fallback = null;
+    for (const pathName of candidates) {
+      const htaData = await this.loadPathHTA(projectId, pathName);
+      const node = htaData?.frontierNodes?.find(n => n.id === nodeId);
+      if (!node) {continue;}
+      if (!node.completed) {return { node, pathName };}
+      fallback = fallback || { node, pathName };
+    }
+    return fallback || { node: null, pathName: activePath };
+  }
+
   async updateLearningHistory(projectId, pathName, block) {
     const learningHistory = await this.loadPathLearningHistory(projectId, pathName) || {
       completedTopics: [],
@@ -212,12 +247,21 @@ export class TaskCompletion {
     }
 
     htaData.lastUpdated = new Date().toISOString();
-    await this.savePathHTA(projectId, pathName, htaData);
+    await this.savePathHTA(projectId, pathName, htaData, { author: 'complete_block' });
+  }
+
+  /**
+   * Follow-ups hang next to the task that spawned them in the HTA hierarchy.
+   */
+  getSourceParentId(block, htaData) {
+    const source = (htaData.frontierNodes || []).find(n => n.id === block.taskId);
+    return source?.parentId || undefined;
   }
 
   generateFollowUpTasks(block, htaData) {
     const newTasks = [];
-    let taskId = (htaData.frontierNodes?.length || 0) + 1000;
+    const nextId = createNodeIdAllocator(htaData);
+    const parentId = this.getSourceParentId(block, htaData);
 
     // Generate tasks from next questions
     if (block.nextQuestions) {
@@ -225,10 +269,11 @@ export class TaskCompletion {
       
       for (const question of questions.slice(0, 2)) { // Limit to 2 follow-up tasks
         newTasks.push({
-          id: `followup_${taskId++}`,
+          id: nextId('followup'),
           title: `Explore: ${question.trim()}`,
           description: `Investigation stemming from ${block.title}`,
           branch: block.branch || 'exploration',
+          parentId,
           difficulty: Math.max(1, (block.difficultyRating || 3) - 1),
           duration: '20 minutes',
           prerequisites: [block.taskId].filter(Boolean),
@@ -246,15 +291,17 @@ export class TaskCompletion {
   generateOpportunityTasks(block, htaData) {
     const opportunityTasks = [];
     const context = block.opportunityContext;
-    let taskId = (htaData.frontierNodes?.length || 0) + 2000;
+    const nextId = createNodeIdAllocator(htaData);
+    const parentId = this.getSourceParentId(block, htaData);
 
     // High engagement detection - indicates natural talent/interest
     if (context.engagementLevel >= 8) {
       opportunityTasks.push({
-        id: `breakthrough_${taskId++}`,
+        id: nextId('breakthrough'),
         title: `Amplify: ${block.title} Success`,
         description: `Build on the breakthrough momentum from ${block.title}`,
         branch: block.branch || 'opportunity',
+        parentId,
         difficulty: Math.min(5, (block.difficultyRating || 3) + 1),
         duration: '45 minutes',
         prerequisites: [block.taskId].filter(Boolean),
@@ -269,7 +316,7 @@ export class TaskCompletion {
       const positiveFeedback = context.externalFeedback.filter(f => f.sentiment === 'positive');
       if (positiveFeedback.length > 0) {
         opportunityTasks.push({
-          id: `network_${taskId++}`,
+          id: nextId('network'),
           title: `Follow Up: External Interest`,
           description: `Connect with people who showed interest in your ${block.title} work`,
           branch: 'networking',
@@ -285,7 +332,7 @@ export class TaskCompletion {
     // Viral potential tasks
     if (context.viralPotential) {
       opportunityTasks.push({
-        id: `viral_${taskId++}`,
+        id: nextId('viral'),
         title: `Leverage: Viral Momentum`,
         description: `Capitalize on the viral potential of your ${block.title} work`,
         branch: 'marketing',
@@ -472,34 +519,18 @@ export class TaskCompletion {
   }
 
   async loadPathLearningHistory(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'learning_history.json');
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'learning_history.json');
-    }
+    return await this.dataPersistence.loadLearningHistory(projectId, pathName);
   }
 
   async savePathLearningHistory(projectId, pathName, learningHistory) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.saveProjectData(projectId, 'learning_history.json', learningHistory);
-    } else {
-      return await this.dataPersistence.savePathData(projectId, pathName, 'learning_history.json', learningHistory);
-    }
+    return await this.dataPersistence.saveLearningHistory(projectId, pathName, learningHistory);
   }
 
   async loadPathHTA(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'hta.json');
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'hta.json');
-    }
+    return await this.dataPersistence.loadPathHTA(projectId, pathName);
   }
 
-  async savePathHTA(projectId, pathName, htaData) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.saveProjectData(projectId, 'hta.json', htaData);
-    } else {
-      return await this.dataPersistence.savePathData(projectId, pathName, 'hta.json', htaData);
-    }
+  async savePathHTA(projectId, pathName, htaData, options = {}) {
+    return await this.dataPersistence.savePathHTA(projectId, pathName, htaData, options);
   }
 }
\ No newline at end of file
@@ -4,6 +4,10 @@
  */
 
 // @ts-nocheck
+import { getRotationWeights, rankPathsByDeficit } from './path-rotation.js';
+import { getCompletedIds, prerequisitesMet } from './hta-prerequisites.js';
+import { createNodeIdAllocator } from './hta-node-ids.js';
+
 export class TaskIntelligence {
   constructor(dataPersistence, projectManagement) {
     this.dataPersistence = dataPersistence;
@@ -27,9 +31,28 @@ export class TaskIntelligence {
         activePath: config.activePath || 'general'
       };
 
-      const htaData = await this.loadPathHTA(projectId, projectContext.activePath);
-      
-      if (!htaData || !Array.isArray(htaData.frontierNodes) || htaData.frontierNodes.length === 0) {
+      // In rotation mode, try the path furthest behind its share first
+      const rotationWeights = getRotationWeights(config);
+      const candidatePaths = rotationWeights
+        ? await this.getRotationOrder(projectId, rotationWeights)
+        : [projectContext.activePath];
+
+      let hasTasks = false;
+      let selectedTask = null;
+      for (const pathName of candidatePaths) {
+        const htaData = await this.loadPathHTA(projectId, pathName);
+        if (!htaData || !Array.isArray(htaData.frontierNodes) || htaData.frontierNodes.length === 0) {
+          continue;
+        }
+        hasTasks = true;
+        const task = this.selectOptimalTask(htaData, energyLevel, timeAvailable, contextFromMemory, { ...projectContext, activePath: pathName });
+        if (task) {
+          selectedTask = { ...task, pathName };
+          break;
+        }
+      }
+
+      if (!hasTasks) {
         return {
           content: [{
             type: 'text',
@@ -37,8 +60,6 @@ export class TaskIntelligence {
           }]
         };
       }
-
-      const selectedTask = this.selectOptimalTask(htaData, energyLevel, timeAvailable, contextFromMemory, projectContext);
       
       if (!selectedTask) {
         return {
@@ -64,7 +85,8 @@ export class TaskIntelligence {
         energy_level: energyLevel,
         time_available: timeAvailable,
         context_used: contextFromMemory ? 'yes' : 'no',
-        project_context: projectContext
+        project_context: projectContext,
+        rotation: rotationWeights
       };
     } catch (error) {
       await this.dataPersistence.logError('getNextTask', error, { contextFromMemory, energyLevel, timeAvailable });
@@ -87,16 +109,25 @@ export class TaskIntelligence {
       }
 
       const activePath = config.activePath || 'general';
-      const analysis = await this.analyzeCurrentStrategy(projectId, activePath, feedback);
-      const newTasks = await this.generateSmartNextTasks(projectId, activePath, analysis);
-      
-      // Update HTA tree with new tasks
-      if (newTasks.length > 0) {
+
+      // New task ids are derived from the tree we just read, so analysis,
+      // generation and the save must not interleave with another writer.
+      const { analysis, newTasks } = await this.dataPersistence.withProjectLock(projectId, async () => {
+        const analysis = await this.analyzeCurrentStrategy(projectId, activePath, feedback);
+        // New ids are allocated from this document's counter, so it is the
+        // one that gets saved
         const htaData = await this.loadPathHTA(projectId, activePath) || {};
-        htaData.frontierNodes = (htaData.frontierNodes || []).concat(newTasks);
-        htaData.lastUpdated = new Date().toISOString();
-        await this.savePathHTA(projectId, activePath, htaData);
-      }
+        const newTasks = await this.generateSmartNextTasks(projectId, activePath, analysis, htaData);
+
+        // Update HTA tree with new tasks
+        if (newTasks.length > 0) {
+          htaData.frontierNodes = (htaData.frontierNodes || []).concat(newTasks);
+          htaData.lastUpdated = new Date().toISOString();
+          await this.savePathHTA(projectId, activePath, htaData, { author: 'evolve_strategy' });
+        }
+
+        return { analysis, newTasks };
+      });
 
       const responseText = this.formatStrategyEvolutionResponse(analysis, newTasks, feedback);
       
@@ -123,16 +154,8 @@ export class TaskIntelligence {
   selectOptimalTask(htaData, energyLevel, timeAvailable, contextFromMemory, projectContext) {
     const nodes = htaData.frontierNodes || [];
     
-    // Pre-compute completed node IDs as a Set for O(1) lookup
-    const completedNodeIds = new Set(nodes.filter(n => n.completed).map(n => n.id));
-    
-    // Create a map for fast node lookup by title (for legacy prerequisite support)
-    const nodesByTitle = new Map();
-    for (const node of nodes) {
-      if (node.completed) {
-        nodesByTitle.set(node.title, node);
-      }
-    }
+    // Prerequisites are node ids (resolved on every HTA write)
+    const completedNodeIds = getCompletedIds(nodes);
     
     // Filter available tasks (not completed, prerequisites met)
     const availableTasks = [];
@@ -141,18 +164,8 @@ export class TaskIntelligence {
         continue;
       }
       
-      // Check prerequisites efficiently
-      if (node.prerequisites && node.prerequisites.length > 0) {
-        let prerequisitesMet = true;
-        for (const prereq of node.prerequisites) {
-          if (!completedNodeIds.has(prereq) && !nodesByTitle.has(prereq)) {
-            prerequisitesMet = false;
-            break;
-          }
-        }
-        if (!prerequisitesMet) {
-          continue;
-        }
+      if (!prerequisitesMet(node, completedNodeIds)) {
+        continue;
       }
       
       // availability (more than 120% of available time).  This prevents the
@@ -380,45 +393,45 @@ export class TaskIntelligence {
     return 'optimize_existing_sequence';
   }
 
-  async generateSmartNextTasks(projectId, pathName, analysis) {
+  async generateSmartNextTasks(projectId, pathName, analysis, htaData = null) {
     const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
-    const htaData = await this.loadPathHTA(projectId, pathName) || {};
+    htaData = htaData || await this.loadPathHTA(projectId, pathName) || {};
     
     const newTasks = [];
-    const taskId = (htaData.frontierNodes?.length || 0) + 3000;
+    const nextId = createNodeIdAllocator(htaData);
     
     const strategy = analysis.recommendedEvolution;
     
     switch (strategy) {
       case 'generate_new_tasks':
-        newTasks.push(...this.generateExplorationTasks(config, taskId));
+        newTasks.push(...this.generateExplorationTasks(config, nextId));
         break;
         
       case 'increase_variety_and_interest':
-        newTasks.push(...this.generateInterestBasedTasks(config, taskId));
+        newTasks.push(...this.generateInterestBasedTasks(config, nextId));
         break;
         
       case 'address_user_concerns':
-        newTasks.push(...this.generateConcernAddressingTasks(analysis.userFeedback, taskId));
+        newTasks.push(...this.generateConcernAddressingTasks(analysis.userFeedback, nextId));
         break;
         
       case 'expand_task_frontier':
-        newTasks.push(...this.generateProgressiveTasks(htaData, taskId));
+        newTasks.push(...this.generateProgressiveTasks(htaData, nextId));
         break;
         
       default:
-        newTasks.push(...this.generateBalancedTasks(config, htaData, taskId));
+        newTasks.push(...this.generateBalancedTasks(config, htaData, nextId));
     }
     
     return newTasks.slice(0, 5); // Limit to 5 new tasks at a time
   }
 
-  generateExplorationTasks(config, startId) {
+  generateExplorationTasks(config, nextId) {
     const goal = config.goal || 'learning';
     
     return [
       {
-        id: `explore_${startId}`,
+        id: nextId('explore'),
         title: `Explore: What's Next in ${goal}`,
         description: 'Open exploration of next steps and possibilities',
         difficulty: 1,
@@ -429,7 +442,7 @@ export class TaskIntelligence {
         learningOutcome: 'Clarity on next learning directions'
       },
       {
-        id: `sample_${startId + 1}`,
+        id: nextId('sample'),
         title: 'Sample: Try Something Different',
         description: 'Experiment with a new approach or technique',
         difficulty: 2,
@@ -442,14 +455,14 @@ export class TaskIntelligence {
     ];
   }
 
-  generateInterestBasedTasks(config, startId) {
+  generateInterestBasedTasks(config, nextId) {
     const interests = config.specific_interests || [];
     const tasks = [];
     
     for (let i = 0; i < Math.min(3, interests.length); i++) {
       const interest = interests[i];
       tasks.push({
-        id: `interest_${startId + i}`,
+        id: nextId('interest'),
         title: `Focus: ${interest}`,
         description: `Dedicated work on your specific interest: ${interest}`,
         difficulty: 2,
@@ -464,10 +477,10 @@ export class TaskIntelligence {
     return tasks;
   }
 
-  generateConcernAddressingTasks(feedback, startId) {
+  generateConcernAddressingTasks(feedback, nextId) {
     return [
       {
-        id: `address_${startId}`,
+        id: nextId('address'),
         title: 'Address: Current Challenge',
         description: `Work on overcoming the challenge: ${feedback.original}`,
         difficulty: 1,
@@ -480,17 +493,17 @@ export class TaskIntelligence {
     ];
   }
 
-  generateProgressiveTasks(htaData, startId) {
+  generateProgressiveTasks(htaData, nextId) {
     const completedTasks = htaData.frontierNodes?.filter(n => n.completed) || [];
     const lastCompleted = completedTasks[completedTasks.length - 1];
     
     if (!lastCompleted) {
-      return this.generateExplorationTasks({ goal: 'general learning' }, startId);
+      return this.generateExplorationTasks({ goal: 'general learning' }, nextId);
     }
     
     return [
       {
-        id: `build_${startId}`,
+        id: nextId('build'),
         title: `Build On: ${lastCompleted.title}`,
         description: `Continue building on the foundation from ${lastCompleted.title}`,
         difficulty: Math.min(5, (lastCompleted.difficulty || 3) + 1),
@@ -504,7 +517,7 @@ export class TaskIntelligence {
     ];
   }
 
-  generateBalancedTasks(config, htaData, startId) {
+  generateBalancedTasks(config, htaData, nextId) {
     // No hard-coded fallback – signal external generation required
     return [];
   }
@@ -519,6 +532,9 @@ export class TaskIntelligence {
     response += `⏱️ **Duration**: ${duration}\n`;
     response += `${difficultyStars} **Difficulty**: ${task.difficulty || 1}/5\n`;
     response += `🎯 **Branch**: ${task.branch || 'general'}\n`;
+    if (task.pathName) {
+      response += `🛤️ **Path**: ${task.pathName}\n`;
+    }
     
     if (task.learningOutcome) {
       response += `📈 **Learning Outcome**: ${task.learningOutcome}\n`;
@@ -599,27 +615,29 @@ export class TaskIntelligence {
     return unit.startsWith('hour') || unit.startsWith('hr') ? value * 60 : value;
   }
 
-  async loadPathHTA(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'hta.json');
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'hta.json');
+  /**
+   * Rotation paths ordered by how far each is behind its weight, based on
+   * completions over the last seven days.
+   */
+  async getRotationOrder(projectId, weights) {
+    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    const counts = {};
+    for (const pathName of Object.keys(weights)) {
+      const recent = await this.dataPersistence.queryLearningHistory(projectId, pathName, { since });
+      counts[pathName] = recent.length;
     }
+    return rankPathsByDeficit(weights, counts);
   }
 
-  async savePathHTA(projectId, pathName, htaData) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.saveProjectData(projectId, 'hta.json', htaData);
-    } else {
-      return await this.dataPersistence.savePathData(projectId, pathName, 'hta.json', htaData);
-    }
+  async loadPathHTA(projectId, pathName) {
+    return await this.dataPersistence.loadPathHTA(projectId, pathName);
+  }
+
+  async savePathHTA(projectId, pathName, htaData, options = {}) {
+    return await this.dataPersistence.savePathHTA(projectId, pathName, htaData, options);
   }
 
   async loadLearningHistory(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'learning_history.json');
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'learning_history.json');
-    }
+    return await this.dataPersistence.loadLearningHistory(projectId, pathName);
   }
 }
\ No newline at end of file
@@ -111,13 +111,57 @@ export class ToolRouter {
           case 'switch_project':
             return await this.forestServer.switchProject(args.project_id);
           case 'list_projects':
-            return await this.forestServer.listProjects();
+            return await this.forestServer.listProjects(args.include_archived || false);
           case 'get_active_project':
             return await this.forestServer.getActiveProject();
+          case 'update_project': {
+            const { project_id: projectId, ...updates } = args;
+            return await this.forestServer.updateProject(projectId || null, updates);
+          }
+          case 'archive_project':
+            return await this.forestServer.archiveProject(args.project_id);
+          case 'unarchive_project':
+            return await this.forestServer.unarchiveProject(args.project_id);
+          case 'delete_project':
+            return await this.forestServer.deleteProject(args.project_id, args.confirm || false);
+          case 'rename_project':
+            return await this.forestServer.renameProject(args.project_id, args.new_project_id);
+          case 'clone_project':
+            return await this.forestServer.cloneProject(args.project_id, args.new_project_id);
           case 'build_hta_tree':
             return await this.forestServer.buildHTATree(args.path_name, args.learning_style || 'mixed', args.focus_areas || []);
           case 'get_hta_status':
             return await this.forestServer.getHTAStatus();
+          case 'add_task':
+            return await this.forestServer.addTask(args, args.path_name || null);
+          case 'update_task':
+            return await this.forestServer.updateTask(args.task_id, args, args.path_name || null);
+          case 'move_task':
+            return await this.forestServer.moveTask(args.task_id, args.branch, args.path_name || null);
+          case 'split_task':
+            return await this.forestServer.splitTask(args.task_id, args.parts, args.sequential ?? true, args.path_name || null);
+          case 'delete_task':
+            return await this.forestServer.deleteTask(args.task_id, args.path_name || null);
+          case 'hta_history':
+            return await this.forestServer.htaHistory(args.path_name || null, args.limit || 20);
+          case 'hta_diff':
+            return await this.forestServer.htaDiff(args.rev_a, args.rev_b ?? null, args.path_name || null);
+          case 'hta_revert':
+            return await this.forestServer.htaRevert(args.revision, args.preview ?? true, args.path_name || null);
+          case 'import_hta':
+            return await this.forestServer.importHTA({
+              content: args.content ?? null,
+              filePath: args.file_path || null,
+              format: args.format || null,
+              mode: args.mode || 'append',
+              pathName: args.path_name || null
+            });
+          case 'export_hta':
+            return await this.forestServer.exportHTA(
+              args.format || 'markdown',
+              args.path_name || null,
+              args.output_path || (args.save ? '' : null)
+            );
           case 'generate_daily_schedule':
             return await this.forestServer.generateDailySchedule(
               args.date || null, 
@@ -126,6 +170,23 @@ export class ToolRouter {
               args.focus_type || 'mixed',
               args.schedule_request_context || 'User requested schedule'
             );
+          case 'generate_week_plan':
+            return await this.forestServer.generateWeekPlan({
+              startDate: args.start_date || null,
+              days: args.days ?? 7,
+              energyLevel: args.energy_level ?? 3,
+              availability: args.availability || null,
+              restDays: args.rest_days || null,
+              weeklyTargetMinutes: args.weekly_target_minutes ?? null,
+              focusType: args.focus_type || 'mixed'
+            });
+          case 'reschedule_day':
+            return await this.forestServer.rescheduleDay({
+              date: args.date || null,
+              now: args.now || null,
+              overrunBlockId: args.overrun_block_id || null,
+              overrunMinutes: args.overrun_minutes ?? null
+            });
           case 'complete_block':
             return await this.forestServer.completeBlock(
               args.block_id,
@@ -167,6 +228,20 @@ export class ToolRouter {
             return await this.forestServer.evolveStrategy(args.feedback || '');
           case 'generate_tiimo_export':
             return await this.forestServer.generateTiimoExport(args.include_breaks ?? true);
+          case 'export_schedule_ics':
+            return await this.forestServer.exportScheduleICS({
+              dates: args.dates || [],
+              includeBreaks: args.include_breaks ?? true,
+              timeZone: args.timezone || null,
+              outputPath: args.output_path || (args.save ? '' : null)
+            });
+          case 'import_calendar_ics':
+            return await this.forestServer.importCalendarICS({
+              filePath: args.file_path,
+              startDate: args.start_date || null,
+              days: args.days ?? 14,
+              timeZone: args.timezone || null
+            });
           case 'analyze_performance':
             return await this.forestServer.analyzePerformance();
           case 'review_week':
@@ -183,6 +258,14 @@ export class ToolRouter {
             return await this.forestServer.focusLearningPath(args.path_name, args.duration || 'until next switch');
           case 'list_learning_paths':
             return await this.forestServer.listLearningPaths();
+          case 'add_learning_path':
+            return await this.forestServer.addLearningPath(args.path_name, args.priority || 'medium', args.interests || []);
+          case 'remove_learning_path':
+            return await this.forestServer.removeLearningPath(args.path_name);
+          case 'set_path_priority':
+            return await this.forestServer.setPathPriority(args.path_name, args.priority);
+          case 'set_path_rotation':
+            return await this.forestServer.setPathRotation(args.weights || null, args.enabled ?? true);
           case 'analyze_complexity_evolution':
             return await this.forestServer.analyzeComplexityEvolution();
           case 'analyze_identity_transformation':
@@ -215,6 +298,16 @@ export class ToolRouter {
               args.date || null,
               args.energy_level || 3
             );
+          case 'migrate_data':
+            return await this.forestServer.migrateData(args.dry_run ?? true, args.project_id || null);
+          case 'list_snapshots':
+            return await this.forestServer.listSnapshots(args.project_id || null);
+          case 'restore_snapshot':
+            return await this.forestServer.restoreSnapshot(args.snapshot_id, args.preview ?? true, args.project_id || null);
+          case 'export_project':
+            return await this.forestServer.exportProject(args.project_id || null, args.output_path || null);
+          case 'import_project':
+            return await this.forestServer.importProject(args.archive_path, args.project_id || null, args.on_conflict || 'rename');
           case 'complete_block_and_next': {
             const completion = await this.forestServer.completeBlock(
               args.block_id,
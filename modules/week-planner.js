@@ -0,0 +1,210 @@
+/**
+ * Week Planner Helpers
+ * Spreads HTA tasks across several days at once so prerequisite chains,
+ * rest days and a weekly learning target are planned together, and compares
+ * a stored week plan against what actually got done.
+ *
+ * Per-weekday availability limits when learning can happen and how much:
+ *   { mon: { start: '6:00 PM', end: '9:00 PM', max_minutes: 90 }, weekends: { start: '9:00 AM', end: '12:00 PM' } }
+ * Keys are anything parseDays accepts; later keys override earlier ones.
+ */
+
+import { ValidationError } from './errors.js';
+import { formatClockTime, parseClockTime } from './calendar-ics.js';
+import { parseDays, weekdayOf } from './commitments.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+// Week plans kept for review; older ones are dropped when a new plan is saved
+export const MAX_STORED_WEEK_PLANS = 12;
+
+export function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/** Consecutive YYYY-MM-DD dates starting at `startDate`. */
+export function planDates(startDate, days) {
+  return Array.from({ length: days }, (_, i) => addDays(startDate, i));
+}
+
+/**
+ * Validate per-weekday availability and expand it to one entry per short
+ * day name. Each entry has a learning window and an optional minute cap.
+ * @returns {Record<string, {start: string, end: string, max_minutes?: number}>}
+ */
+export function normaliseWeeklyAvailability(availability, field = 'weekly_availability') {
+  if (availability === undefined || availability === null) {return {};}
+  if (typeof availability !== 'object' || Array.isArray(availability)) {
+    throw new ValidationError(field, availability, 'an object of day names to { start, end, max_minutes }');
+  }
+  const result = {};
+  for (const [days, window] of Object.entries(availability)) {
+    const entryField = `${field}.${days}`;
+    if (!window || typeof window !== 'object' || Array.isArray(window)) {
+      throw new ValidationError(entryField, window, 'an object with start and end times');
+    }
+    const start = parseClockTime(window.start);
+    const parsedEnd = parseClockTime(window.end);
+    // An end of midnight closes the day
+    const end = parsedEnd === 0 ? DAY_MINUTES : parsedEnd;
+    if (start === null || start >= DAY_MINUTES) {
+      throw new ValidationError(`${entryField}.start`, window.start, 'a time like "6:00 PM" or "18:00"');
+    }
+    if (end === null || end > DAY_MINUTES || end <= start) {
+      throw new ValidationError(`${entryField}.end`, window.end, 'a time after start on the same day');
+    }
+    if (window.max_minutes !== undefined &&
+        !(Number.isInteger(window.max_minutes) && window.max_minutes >= 0 && window.max_minutes <= DAY_MINUTES)) {
+      throw new ValidationError(`${entryField}.max_minutes`, window.max_minutes, 'a whole number of minutes from 0 to 1440');
+    }
+    const entry = {
+      start: formatClockTime(start),
+      end: formatClockTime(end % DAY_MINUTES),
+      ...(window.max_minutes !== undefined ? { max_minutes: window.max_minutes } : {})
+    };
+    for (const day of parseDays(days, entryField)) {
+      result[day] = entry;
+    }
+  }
+  return result;
+}
+
+/**
+ * The shape of each planned day before any tasks are placed.
+ * @param {string[]} dates
+ * @param {{ availability?: object, restDays?: string[], defaultCap?: number }} settings
+ *   availability as returned by normaliseWeeklyAvailability, restDays as short day names
+ */
+export function describeDays(dates, { availability = {}, restDays = [], defaultCap = Infinity } = {}) {
+  return dates.map(date => {
+    const weekday = weekdayOf(date);
+    const window = availability[weekday] || null;
+    const rest = restDays.includes(weekday);
+    return {
+      date,
+      weekday,
+      rest,
+      window: window
+        ? { start: parseClockTime(window.start), end: parseClockTime(window.end) || DAY_MINUTES }
+        : null,
+      cap: rest ? 0 : Math.min(defaultCap, window?.max_minutes ?? Infinity)
+    };
+  });
+}
+
+/**
+ * Learning minutes to aim for on one day: an even share of what is left of
+ * the weekly target over the working days left, never above the day's cap.
+ */
+export function dailyBudget(cap, remainingTarget, workingDaysLeft) {
+  if (!Number.isFinite(remainingTarget)) {return cap;}
+  const share = Math.ceil(Math.max(0, remainingTarget) / Math.max(1, workingDaysLeft));
+  return Math.min(cap, share);
+}
+
+/**
+ * Tasks one day may take from the week's candidates. Tasks planned on an
+ * earlier day are left out and no longer count as open prerequisites; a task
+ * is offered only when every prerequisite it still waits on is offered too,
+ * so the solver can chain them within the day.
+ * @param {Array<{key: string, requires?: string[]}>} candidates - in preference order, prerequisites first
+ * @param {Set<string>} plannedKeys
+ */
+export function poolForDay(candidates, plannedKeys) {
+  const pool = [];
+  const offered = new Set();
+  for (const task of candidates) {
+    if (plannedKeys.has(task.key)) {continue;}
+    const requires = (task.requires || []).filter(key => !plannedKeys.has(key));
+    if (requires.every(key => offered.has(key))) {
+      pool.push({ ...task, requires });
+      offered.add(task.key);
+    }
+  }
+  return pool;
+}
+
+/** Store a week plan, replacing any plan with the same start date and keeping the newest few. */
+export function storeWeekPlan(store, plan) {
+  const plans = (store?.plans || []).filter(p => p.start_date !== plan.start_date);
+  plans.push(plan);
+  plans.sort((a, b) => a.start_date.localeCompare(b.start_date));
+  return { plans: plans.slice(-MAX_STORED_WEEK_PLANS) };
+}
+
+/**
+ * Planned days between two dates (inclusive). Where plans overlap, the most
+ * recently generated plan decides a date.
+ */
+export function plannedDaysInRange(store, from, to) {
+  const byDate = new Map();
+  const plans = [...(store?.plans || [])].sort((a, b) => String(a.generated).localeCompare(String(b.generated)));
+  for (const plan of plans) {
+    for (const day of plan.days || []) {
+      if (day.date >= from && day.date <= to) {
+        byDate.set(day.date, { ...day, start_date: plan.start_date });
+      }
+    }
+  }
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+const taskKey = (pathName, id) => `${pathName || 'general'}:${id}`;
+
+/**
+ * Compare planned days with what happened. A planned task counts as done as
+ * planned when its block was completed on that day, and done elsewhere when
+ * the HTA node was completed some other way. Learning blocks completed on a
+ * day that the plan did not include are counted as unplanned.
+ * @param {object[]} plannedDays - from plannedDaysInRange
+ * @param {Record<string, object|null>} schedulesByDate - saved day schedules
+ * @param {Set<string>} completedKeys - `path:nodeId` for completed HTA nodes
+ */
+export function compareWeekPlan(plannedDays, schedulesByDate, completedKeys) {
+  const days = plannedDays.map(day => {
+    const learning = (schedulesByDate[day.date]?.blocks || []).filter(block => block.type === 'learning');
+    const doneToday = new Set(learning.filter(block => block.completed).map(block => taskKey(block.pathName, block.taskId)));
+    const plannedKeys = new Set(day.tasks.map(task => taskKey(task.path, task.id)));
+
+    const outcome = { done: [], done_elsewhere: [], missed: [] };
+    for (const task of day.tasks) {
+      const key = taskKey(task.path, task.id);
+      if (doneToday.has(key)) {
+        outcome.done.push(task.title);
+      } else if (completedKeys.has(key)) {
+        outcome.done_elsewhere.push(task.title);
+      } else {
+        outcome.missed.push(task.title);
+      }
+    }
+
+    return {
+      date: day.date,
+      rest_day: day.rest_day,
+      planned_minutes: day.planned_minutes,
+      actual_minutes: learning.filter(block => block.completed).reduce((sum, block) => sum + (Number(block.duration) || 0), 0),
+      planned_tasks: day.tasks.length,
+      ...outcome,
+      unplanned: learning
+        .filter(block => block.completed && !plannedKeys.has(taskKey(block.pathName, block.taskId)))
+        .map(block => block.title)
+    };
+  });
+
+  const sum = field => days.reduce((total, day) => total + (Array.isArray(day[field]) ? day[field].length : day[field]), 0);
+  const plannedTasks = sum('planned_tasks');
+  return {
+    days,
+    totals: {
+      planned_minutes: sum('planned_minutes'),
+      actual_minutes: sum('actual_minutes'),
+      planned_tasks: plannedTasks,
+      done: sum('done'),
+      done_elsewhere: sum('done_elsewhere'),
+      missed: sum('missed'),
+      unplanned: sum('unplanned'),
+      adherence: plannedTasks > 0 ? Math.round((sum('done') / plannedTasks) * 100) : null
+    }
+  };
+}
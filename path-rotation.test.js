@@ -0,0 +1,49 @@
+// Path rotation: weight normalisation, weighted interleaving and when rotation applies
+import { getRotationWeights, interleaveByWeight, normaliseWeights, weightsFromPriorities } from './modules/path-rotation.js';
+
+const tasks = (pathName, count) => Array.from({ length: count }, (_, i) => `${pathName}${i + 1}`);
+
+describe('normaliseWeights', () => {
+  test('scales weights to sum to 1 and drops zero, negative and non-numeric entries', () => {
+    expect(normaliseWeights({ guitar: 3, theory: 1, ear: 0, rhythm: -1, songs: '2' })).toEqual({ guitar: 0.75, theory: 0.25 });
+    expect(normaliseWeights({ guitar: 0 })).toEqual({});
+    expect(normaliseWeights(undefined)).toEqual({});
+  });
+
+  test('priorities give 3:2:1 defaults', () => {
+    expect(weightsFromPriorities([
+      { path_name: 'guitar', priority: 'high' },
+      { path_name: 'theory' },
+      { path_name: 'ear', priority: 'low' }
+    ])).toEqual({ guitar: 0.5, theory: 2 / 6, ear: 1 / 6 });
+  });
+});
+
+describe('interleaveByWeight', () => {
+  test('smooth weighted round-robin spreads each path through the sequence', () => {
+    const order = interleaveByWeight({ guitar: tasks('g', 6), theory: tasks('t', 4) }, { guitar: 0.6, theory: 0.4 });
+    expect(order).toEqual(['g1', 't1', 'g2', 't2', 'g3', 'g4', 't3', 'g5', 't4', 'g6']);
+  });
+
+  test('paths that run out drop out and the rest take their slots', () => {
+    const order = interleaveByWeight({ guitar: tasks('g', 1), theory: tasks('t', 3), ear: [] }, { guitar: 0.5, theory: 0.25, ear: 0.25 });
+    expect(order).toEqual(['g1', 't1', 't2', 't3']);
+  });
+});
+
+describe('getRotationWeights', () => {
+  const config = {
+    learning_paths: [{ path_name: 'guitar' }, { path_name: 'theory' }],
+    rotation: { enabled: true, weights: { guitar: 3, theory: 1, removed: 4 } }
+  };
+
+  test('uses only paths that still exist', () => {
+    expect(getRotationWeights(config)).toEqual({ guitar: 0.75, theory: 0.25 });
+  });
+
+  test('is null while a path focus is in effect, when disabled, or with fewer than two paths', () => {
+    expect(getRotationWeights({ ...config, path_focus: { path: 'theory', previous_path: 'guitar', expires_at: '2026-01-01T00:00:00.000Z' } })).toBeNull();
+    expect(getRotationWeights({ ...config, rotation: { ...config.rotation, enabled: false } })).toBeNull();
+    expect(getRotationWeights({ ...config, learning_paths: [{ path_name: 'guitar' }] })).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+// Project archives: export/import round trip and imports onto an existing project id
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from './modules/data-persistence.js';
+import { ProjectManagement } from './modules/project-management.js';
+import { ProjectArchive } from './modules/project-archive.js';
+
+let dir;
+let dp;
+let archive;
+
+const seedProject = async (projectId, goal) => {
+  await dp.saveProjectData(projectId, 'config.json', {
+    id: projectId,
+    goal,
+    activePath: 'general',
+    learning_paths: [{ path_name: 'general', priority: 'high' }]
+  });
+  await dp.savePathHTA(projectId, 'general', {
+    strategicBranches: [{ id: 'b1', title: 'Basics' }],
+    frontierNodes: [{ id: 'n1', title: `${goal} basics`, branch: 'b1', prerequisites: [] }]
+  });
+  await dp.saveProjectData(projectId, 'day_2026-01-05.json', { blocks: [{ id: 'task_1', type: 'learning', title: 'Warm up' }] });
+  const global = await dp.loadGlobalData('config.json') || { projects: [] };
+  await dp.saveGlobalData('config.json', { ...global, projects: [...global.projects, projectId], activeProject: projectId });
+};
+
+const exportTo = async projectId => (await archive.exportProject(projectId, path.join(dir, `${projectId}.forest.json`))).archive_path;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-archive-'));
+  dp = new DataPersistence(dir);
+  archive = new ProjectArchive(dp, new ProjectManagement(dp, null));
+  await seedProject('piano', 'Piano');
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('export → import', () => {
+  test('round-trips every document into a new project id', async () => {
+    const archivePath = await exportTo('piano');
+    const source = await dp.readProjectDocuments('piano');
+
+    const result = await archive.importProject(archivePath, { projectId: 'piano-copy' });
+
+    expect(result).toMatchObject({ project_id: 'piano-copy', import_mode: 'new' });
+    const copy = await dp.readProjectDocuments('piano-copy');
+    expect(Object.keys(copy).sort()).toEqual(Object.keys(source).sort());
+    expect(copy['hta.json']).toEqual(source['hta.json']);
+    expect(copy['day_2026-01-05.json']).toEqual(source['day_2026-01-05.json']);
+    expect(copy['config.json']).toEqual({ ...source['config.json'], id: 'piano-copy' });
+    expect(await dp.loadGlobalData('config.json')).toMatchObject({ projects: ['piano', 'piano-copy'], activeProject: 'piano-copy' });
+  });
+
+  test('rejects an archive edited after export', async () => {
+    const archivePath = await exportTo('piano');
+    const stored = JSON.parse(await fs.readFile(archivePath, 'utf8'));
+    stored.documents['config.json'].goal = 'Drums';
+    await fs.writeFile(archivePath, JSON.stringify(stored));
+    jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+
+    const result = await archive.importProject(archivePath, { projectId: 'drums' });
+
+    expect(result.content[0].text).toMatch(/checksum mismatch/);
+    expect(await dp.readProjectDocuments('drums')).toEqual({});
+  });
+});
+
+describe('import writes', () => {
+  const editArchive = async (archivePath, edit) => {
+    const stored = JSON.parse(await fs.readFile(archivePath, 'utf8'));
+    edit(stored.documents);
+    const rebuilt = archive.buildArchive(stored.manifest.projectId, stored.documents);
+    await fs.writeFile(archivePath, JSON.stringify(rebuilt));
+  };
+
+  test('HTA trees are saved like any HTA write and recorded as a revision', async () => {
+    const archivePath = await exportTo('piano');
+    await editArchive(archivePath, documents => {
+      documents['hta.json'].frontierNodes.push({ id: 'node_7', title: 'Pieces', branch: 'b1', prerequisites: ['piano basics', 'Sight reading'] });
+    });
+
+    await archive.importProject(archivePath, { projectId: 'copy' });
+
+    const hta = await dp.loadPathHTA('copy', 'general');
+    expect(hta.frontierNodes[1]).toMatchObject({ prerequisites: ['n1', 'Sight reading'], parentId: 'b1' });
+    expect(hta.danglingPrerequisites).toEqual([{ nodeId: 'node_7', title: 'Pieces', prerequisite: 'Sight reading' }]);
+    expect(hta.nextNodeId).toBe(8);
+    expect((await dp.loadHTAHistory('copy', 'general')).revisions.map(r => r.author)).toEqual(['import_project']);
+  });
+
+  test('a tree with a prerequisite cycle is rejected and nothing is left under the new id', async () => {
+    const archivePath = await exportTo('piano');
+    await editArchive(archivePath, documents => {
+      documents['hta.json'].frontierNodes[0].prerequisites = ['n2'];
+      documents['hta.json'].frontierNodes.push({ id: 'n2', title: 'Pieces', branch: 'b1', prerequisites: ['n1'] });
+    });
+    jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+
+    const result = await archive.importProject(archivePath, { projectId: 'copy' });
+
+    expect(result.content[0].text).toContain('circular prerequisites');
+    expect(await dp.readProjectDocuments('copy')).toEqual({});
+    expect((await dp.loadGlobalData('config.json')).projects).toEqual(['piano']);
+  });
+
+  test('a failed write is reported and the project is not registered', async () => {
+    const archivePath = await exportTo('piano');
+    jest.spyOn(dp.storage, 'write').mockImplementation(async key => {
+      if (key.endsWith('day_2026-01-05.json')) {throw new Error('disk full');}
+    });
+    jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+
+    const result = await archive.importProject(archivePath, { projectId: 'copy' });
+
+    expect(result.content[0].text).toBe('Error importing project: Failed to write "day_2026-01-05.json" while importing into "copy"');
+    expect(result.project_id).toBeUndefined();
+    expect((await dp.loadGlobalData('config.json')).projects).toEqual(['piano']);
+  });
+});
+
+describe('importing onto an existing project id', () => {
+  test('on_conflict "fail" rejects the import and leaves the project alone', async () => {
+    const archivePath = await exportTo('piano');
+    await dp.saveProjectData('piano', 'config.json', { ...await dp.loadProjectData('piano', 'config.json'), goal: 'Piano, changed' });
+    const before = await dp.readProjectDocuments('piano');
+    jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+
+    const result = await archive.importProject(archivePath, { onConflict: 'fail' });
+
+    expect(result.content[0].text).toMatch(/Project "piano" already exists/);
+    expect(result.project_id).toBeUndefined();
+    expect(await dp.readProjectDocuments('piano')).toEqual(before);
+  });
+
+  test('on_conflict "rename" imports under the next free id', async () => {
+    await seedProject('piano-2', 'Piano again');
+    const archivePath = await exportTo('piano');
+    const before = await dp.readProjectDocuments('piano');
+
+    const result = await archive.importProject(archivePath);
+
+    expect(result).toMatchObject({ project_id: 'piano-3', import_mode: 'rename' });
+    expect(await dp.readProjectDocuments('piano')).toEqual(before);
+    expect(await dp.loadProjectData('piano-3', 'config.json')).toMatchObject({ id: 'piano-3', goal: 'Piano' });
+  });
+
+  test('on_conflict "merge" keeps existing data, adds what is missing and snapshots first', async () => {
+    await seedProject('guitar', 'Guitar');
+    const archivePath = await exportTo('guitar');
+
+    const result = await archive.importProject(archivePath, { projectId: 'piano', onConflict: 'merge' });
+
+    expect(result.import_mode).toBe('merge');
+    const hta = await dp.loadProjectData('piano', 'hta.json');
+    expect(hta.frontierNodes.map(n => [n.id, n.title])).toEqual([['n1', 'Piano basics'], ['n1_imported', 'Guitar basics']]);
+    expect((await dp.loadProjectData('piano', 'config.json')).goal).toBe('Piano');
+    expect((await dp.listSnapshots('piano'))[0].reason).toBe('import_project merge from guitar');
+  });
+});
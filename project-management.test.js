@@ -0,0 +1,197 @@
+// Project lifecycle: updating, archiving, deleting, renaming and cloning projects
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from './modules/data-persistence.js';
+import { ProjectManagement } from './modules/project-management.js';
+
+let dir;
+let dp;
+let projects;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-projects-'));
+  dp = new DataPersistence(dir);
+  projects = new ProjectManagement(dp, null);
+
+  await dp.saveGlobalData('config.json', { projects: ['piano'], activeProject: 'piano' });
+  await dp.saveProjectData('piano', 'config.json', {
+    id: 'piano',
+    goal: 'Play piano',
+    activePath: 'technique',
+    learning_paths: [{ path_name: 'technique', priority: 'high' }, { path_name: 'theory', priority: 'medium' }]
+  });
+  const tree = title => ({
+    strategicBranches: [{ id: 'b1', title: 'Basics' }],
+    frontierNodes: [{ id: 'node_1', title, branch: 'b1', prerequisites: [], completed: true }]
+  });
+  await dp.savePathHTA('piano', 'general', tree('Posture'));
+  await dp.savePathHTA('piano', 'technique', tree('Scales'));
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('updateProject', () => {
+  const config = () => dp.loadProjectData('piano', 'config.json');
+
+  test('reports every invalid field at once and saves none of the update', async () => {
+    jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+    const result = await projects.updateProject('piano', { goal: 'Piano', urgency_level: 'asap', colour: 'blue', context: 'Evenings' });
+    const text = result.content[0].text;
+
+    expect(text).toContain('Invalid project update');
+    expect(text).toContain('\'goal\'');
+    expect(text).toContain('one of low, medium, high, critical');
+    expect(text).toContain('Field "colour" cannot be updated');
+    expect(await config()).not.toHaveProperty('context');
+    expect(await config()).not.toHaveProperty('change_log');
+  });
+
+  test('credentials and goal changes recompute the knowledge level and are logged', async () => {
+    await projects.updateProject('piano', { existing_credentials: [{ subject_area: 'piano', level: 'advanced' }] });
+    expect(await config()).toMatchObject({ knowledge_level: 3, skill_mappings: { piano: { relevance: 1, boost: 2 } } });
+
+    const result = await projects.updateProject('piano', { goal: 'Paint watercolour landscapes' });
+    const updated = await config();
+    expect(updated.knowledge_level).toBeCloseTo(1.2);
+    expect(updated.skill_mappings).toEqual({});
+    expect(result.content[0].text).toContain('Consider `build_hta_tree`');
+
+    expect(updated.change_log.map(entry => entry.changes.map(c => c.field))).toEqual([
+      ['existing_credentials', 'knowledge_level', 'skill_mappings'],
+      ['goal', 'knowledge_level', 'skill_mappings']
+    ]);
+    expect(updated.change_log[1].changes[0]).toMatchObject({ previous: 'Play piano', value: 'Paint watercolour landscapes' });
+    expect(typeof updated.updated_at).toBe('string');
+  });
+
+  test('moves the active path off a removed path, and unchanged values are not logged', async () => {
+    await projects.updateProject('piano', { learning_paths: [{ path_name: 'theory', priority: 'high' }] });
+    expect((await config()).activePath).toBe('theory');
+    expect((await config()).change_log[0].changes.map(c => c.field)).toEqual(['learning_paths', 'activePath']);
+
+    const result = await projects.updateProject('piano', { learning_paths: [{ path_name: 'theory', priority: 'high' }] });
+    expect(result.content[0].text).toContain('No changes');
+    expect((await config()).change_log).toHaveLength(1);
+  });
+});
+
+describe('archiveProject and unarchiveProject', () => {
+  test('archiving hides the project, clears it as active and keeps its data', async () => {
+    const result = await projects.archiveProject('piano');
+
+    expect(result.content[0].text).toContain('This was the active project');
+    expect((await dp.loadProjectData('piano', 'config.json')).archived).toBe(true);
+    expect(await projects.listProjectIds()).toEqual([]);
+    expect(await projects.listProjectIds({ includeArchived: true })).toEqual(['piano']);
+    expect((await dp.loadGlobalData('config.json')).activeProject).toBeNull();
+    expect(await dp.loadPathHTA('piano', 'technique')).not.toBeNull();
+
+    expect((await projects.archiveProject('piano')).content[0].text).toContain('already archived');
+  });
+
+  test('unarchiving lists the project again without making it active', async () => {
+    await projects.archiveProject('piano');
+    const result = await projects.unarchiveProject('piano');
+
+    expect(result.unarchived_project).toBe('piano');
+    const config = await dp.loadProjectData('piano', 'config.json');
+    expect([config.archived, config.archived_at]).toEqual([undefined, undefined]);
+    expect(await projects.listProjectIds()).toEqual(['piano']);
+    expect((await dp.loadGlobalData('config.json')).activeProject).toBeNull();
+
+    expect((await projects.unarchiveProject('piano')).content[0].text).toContain('is not archived');
+  });
+
+  test('archiving runs under the project lock', async () => {
+    const lock = jest.spyOn(dp, 'withProjectLock');
+    await projects.archiveProject('piano');
+    await projects.unarchiveProject('piano');
+    expect(lock.mock.calls.map(([projectId]) => projectId)).toEqual(['piano', 'piano']);
+  });
+});
+
+describe('deleteProject', () => {
+  test('only reports what would be removed until confirmed', async () => {
+    const result = await projects.deleteProject('piano');
+
+    expect(result.requires_confirmation).toBe(true);
+    expect(result.documents).toHaveLength(3);
+    expect(await dp.loadProjectData('piano', 'config.json')).not.toBeNull();
+  });
+
+  test('takes a snapshot before removing the project, so it can be restored', async () => {
+    const snapshot = jest.spyOn(dp, 'createSnapshot');
+    const remove = jest.spyOn(dp, 'deleteProjectDocuments');
+
+    const result = await projects.deleteProject('piano', true);
+
+    expect(snapshot.mock.invocationCallOrder[0]).toBeLessThan(remove.mock.invocationCallOrder[0]);
+    expect(result.snapshot.reason).toBe('delete_project');
+    expect(await dp.listDocuments('projects/piano/')).toEqual([]);
+    expect(await dp.loadGlobalData('config.json')).toMatchObject({ projects: [], activeProject: null });
+
+    await dp.restoreSnapshot('piano', result.snapshot.snapshotId);
+    expect((await dp.loadPathHTA('piano', 'technique')).frontierNodes[0].title).toBe('Scales');
+    expect((await dp.loadGlobalData('config.json')).projects).toEqual(['piano']);
+  });
+});
+
+describe('renameProject', () => {
+  test('moves documents, snapshots and the active project to the new id', async () => {
+    await dp.createSnapshot('piano', 'manual');
+    const result = await projects.renameProject('piano', 'keys');
+
+    expect(result.project_id).toBe('keys');
+    expect((await dp.loadProjectData('keys', 'config.json')).id).toBe('keys');
+    expect((await dp.loadPathHTA('keys', 'technique')).frontierNodes[0].title).toBe('Scales');
+    expect(await dp.listDocuments('projects/piano/')).toEqual([]);
+    expect((await dp.listSnapshots('keys')).map(s => s.reason)).toEqual(['manual']);
+    expect(await dp.loadGlobalData('config.json')).toMatchObject({ projects: ['keys'], activeProject: 'keys' });
+  });
+
+  test('refuses an id that is taken or malformed', async () => {
+    jest.spyOn(dp, 'logError').mockResolvedValue(undefined);
+    await projects.cloneProject('piano', 'keys');
+
+    expect((await projects.renameProject('piano', 'keys')).content[0].text).toContain('"keys" already exists');
+    expect((await projects.renameProject('piano', 'my piano')).content[0].text).toContain('project_id');
+    expect(await dp.loadProjectData('piano', 'config.json')).not.toBeNull();
+  });
+});
+
+describe('cloneProject', () => {
+  test('copies the general tree and every listed path but only lists the configured paths', async () => {
+    const result = await projects.cloneProject('piano', 'piano-again');
+    const text = result.content[0].text;
+
+    expect(text).toContain('**Learning Paths**: technique, theory\n');
+    expect(text).toContain('**HTA Trees Copied**: 2');
+    expect((await dp.loadPathHTA('piano-again', 'general')).frontierNodes[0]).toMatchObject({ title: 'Posture', completed: false });
+    expect((await dp.loadPathHTA('piano-again', 'technique')).frontierNodes[0]).toMatchObject({ title: 'Scales', completed: false });
+    expect((await dp.loadGlobalData('config.json')).projects).toEqual(['piano', 'piano-again']);
+  });
+
+  test('leaves the source project\'s change log, path focus, busy blocks and update time behind', async () => {
+    const config = await dp.loadProjectData('piano', 'config.json');
+    await dp.saveProjectData('piano', 'config.json', {
+      ...config,
+      change_log: [{ timestamp: '2026-01-01T00:00:00.000Z', changes: [] }],
+      path_focus: { path: 'theory', previous_path: 'technique', expires_at: '2026-01-02T00:00:00.000Z' },
+      busy_blocks: [{ date: '2026-01-05', start: '09:00', end: '10:00' }],
+      updated_at: '2026-01-01T00:00:00.000Z'
+    });
+
+    await projects.cloneProject('piano', 'piano-again');
+
+    const clone = await dp.loadProjectData('piano-again', 'config.json');
+    expect(clone).toMatchObject({ id: 'piano-again', goal: 'Play piano', cloned_from: 'piano' });
+    for (const field of ['change_log', 'path_focus', 'busy_blocks', 'updated_at']) {
+      expect(clone).not.toHaveProperty(field);
+    }
+  });
+});
@@ -0,0 +1,86 @@
+// Constraint solver behind daily schedules
+import { solveSchedule } from './modules/schedule-solver.js';
+
+const task = (key, extra = {}) => ({
+  key, title: key.toUpperCase(), duration: 30, difficulty: 2, priority: 100, branch: 'main', ...extra
+});
+
+const span = result => result.placements.map(p => [p.task.key, p.start, p.end]);
+
+describe('solveSchedule', () => {
+  test('orders prerequisites within the day and reports ones that are not scheduled', () => {
+    const result = solveSchedule({
+      dayStart: 480,
+      dayEnd: 600,
+      tasks: [task('b', { priority: 300, requires: ['a'] }), task('a'), task('c', { requires: ['missing'] })]
+    });
+    const keys = result.placements.map(p => p.task.key);
+    expect(keys.indexOf('a')).toBeLessThan(keys.indexOf('b'));
+    expect(result.unscheduled).toEqual([expect.objectContaining({ key: 'c', reason: 'prerequisites' })]);
+    expect(result.binding.map(b => b.constraint)).toContain('prerequisites');
+  });
+
+  test('stops at the daily learning cap and names it as binding', () => {
+    const result = solveSchedule({
+      dayStart: 480,
+      dayEnd: 1080,
+      tasks: [task('a', { duration: 60 }), task('b', { duration: 60 }), task('c', { duration: 60 })],
+      options: { maxLearningMinutes: 120 }
+    });
+    expect(result.learningMinutes).toBeLessThanOrEqual(120);
+    expect(result.binding[0].constraint).toBe('max_learning_minutes');
+    expect(result.unscheduled.map(u => u.reason)).toContain('max_learning_minutes');
+  });
+
+  test('never places more deep blocks back to back than allowed', () => {
+    const deep = key => task(key, { duration: 45, difficulty: 4 });
+    const result = solveSchedule({
+      dayStart: 480,
+      dayEnd: 900,
+      tasks: [deep('a'), deep('b'), deep('c')],
+      options: { maxConsecutiveDeep: 1, bufferMinutes: 0, deepResetMinutes: 30 }
+    });
+    const placed = result.placements;
+    expect(placed).toHaveLength(3);
+    for (let i = 1; i < placed.length; i++) {
+      expect(placed[i].start - placed[i - 1].end).toBeGreaterThanOrEqual(30);
+    }
+  });
+
+  test('keeps out of busy time and puts hard work in peak hours', () => {
+    const result = solveSchedule({
+      dayStart: 480,
+      dayEnd: 900,
+      busy: [{ start: 540, end: 600 }],
+      tasks: [task('hard', { difficulty: 5, duration: 60 }), task('easy', { difficulty: 1, duration: 30 })],
+      options: { peakHours: [10, 11] }
+    });
+    for (const p of result.placements) {
+      expect(p.end <= 540 || p.start >= 600).toBe(true);
+    }
+    const hard = result.placements.find(p => p.task.key === 'hard');
+    expect(hard.start).toBeGreaterThanOrEqual(600);
+    expect(hard.end).toBeLessThanOrEqual(720);
+  });
+
+  test('reports tasks past the candidate limit instead of dropping them', () => {
+    const result = solveSchedule({
+      dayStart: 480,
+      dayEnd: 1080,
+      tasks: ['a', 'b', 'c', 'd'].map(key => task(key)),
+      options: { maxCandidates: 2 }
+    });
+    expect(result.placements.map(p => p.task.key).sort()).toEqual(['a', 'b']);
+    expect(result.unscheduled.map(u => [u.key, u.reason])).toEqual([['c', 'candidate_limit'], ['d', 'candidate_limit']]);
+    expect(result.binding).toContainEqual(expect.objectContaining({ constraint: 'candidate_limit' }));
+  });
+
+  test('returns the same plan for the same input', () => {
+    const input = () => ({
+      dayStart: 480,
+      dayEnd: 720,
+      tasks: [task('a', { branch: 'x' }), task('b', { branch: 'y' }), task('c', { branch: 'x', difficulty: 4 })]
+    });
+    expect(span(solveSchedule(input()))).toEqual(span(solveSchedule(input())));
+  });
+});
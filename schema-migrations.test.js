@@ -0,0 +1,146 @@
+// Schema migrations: upgrading unversioned documents on load and through migrate_data
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from './modules/data-persistence.js';
+import { DOCUMENT_TYPES, getCurrentSchemaVersion, getDocumentType, migrateDocument } from './modules/schema-migrations.js';
+
+// One document of every versioned type, as written before schemaVersion existed
+const V0_DOCUMENTS = {
+  'config.json': { lastUpdated: '2025-06-01' },
+  'projects/p1/config.json': { goal: 'Play piano', active_path: 'technique', learning_paths: ['technique', 'theory'] },
+  'projects/p1/hta.json': {
+    strategic_branches: [{ id: 'b1', title: 'Technique' }],
+    frontier_nodes: [
+      { id: 'n1', title: 'Scales', branch: 'technique' },
+      { id: 'n2', title: 'Chords', branch: 'technique', prerequisites: ['Scales'] },
+      { id: 'n2', title: 'Arpeggios', branch: 'technique' }
+    ],
+    completed_nodes: [{ id: 'n0', title: 'Posture', branch: 'technique' }]
+  },
+  'projects/p1/learning_history.json': { completed_topics: [{ topic: 'Posture' }], knowledge_gaps: ['Reading'] },
+  'projects/p1/day_2026-01-05.json': { date: '2026-01-05' }
+};
+
+let dir;
+let dp;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-migrations-'));
+  for (const [key, doc] of Object.entries(V0_DOCUMENTS)) {
+    await fs.mkdir(path.dirname(path.join(dir, key)), { recursive: true });
+    await fs.writeFile(path.join(dir, key), JSON.stringify(doc, null, 2));
+  }
+  dp = new DataPersistence(dir);
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const readRaw = key => fs.readFile(path.join(dir, key), 'utf8');
+
+describe('migrateDocument', () => {
+  test('upgrades a v0 HTA through every step without touching its input', () => {
+    const input = structuredClone(V0_DOCUMENTS['projects/p1/hta.json']);
+    const result = migrateDocument(DOCUMENT_TYPES.HTA, input);
+
+    expect(input).toEqual(V0_DOCUMENTS['projects/p1/hta.json']);
+    expect(result).toMatchObject({ fromVersion: 0, toVersion: getCurrentSchemaVersion(DOCUMENT_TYPES.HTA) });
+    expect(result.applied.map(step => step.split(':')[0])).toEqual(['v1', 'v2', 'v3', 'v4']);
+
+    const { doc } = result;
+    expect(doc.frontier_nodes).toBeUndefined();
+    expect(doc.completed_nodes).toBeUndefined();
+    expect(doc.frontierNodes.map(n => [n.id, n.title, !!n.completed])).toEqual([
+      ['n1', 'Scales', false],
+      ['n2', 'Chords', false],
+      ['n2_1', 'Arpeggios', false],
+      ['n0', 'Posture', true]
+    ]);
+    expect(doc.frontierNodes.find(n => n.title === 'Chords').prerequisites).toEqual(['n1']);
+    expect(doc.frontierNodes.every(n => n.parentId === 'b1')).toBe(true);
+    expect(doc.strategicBranches[0].progress).toEqual({ completed: 1, total: 4, percentage: 25 });
+    expect(doc.nextNodeId).toBeGreaterThan(1);
+  });
+
+  test('leaves a current document alone', () => {
+    const current = { blocks: [], schemaVersion: getCurrentSchemaVersion(DOCUMENT_TYPES.SCHEDULE) };
+    expect(migrateDocument(DOCUMENT_TYPES.SCHEDULE, current)).toMatchObject({ doc: current, fromVersion: 1, toVersion: 1, applied: [] });
+  });
+
+  test('maps storage keys onto document types', () => {
+    expect(getDocumentType('config.json', { global: true })).toBe(DOCUMENT_TYPES.GLOBAL_CONFIG);
+    expect(getDocumentType('projects/p1/config.json')).toBe(DOCUMENT_TYPES.PROJECT_CONFIG);
+    expect(getDocumentType('projects/p1/paths/theory/hta.json')).toBe(DOCUMENT_TYPES.HTA);
+    expect(getDocumentType('projects/p1/day_2026-01-05.json')).toBe(DOCUMENT_TYPES.SCHEDULE);
+    expect(getDocumentType('projects/p1/week_plans.json')).toBeNull();
+  });
+});
+
+describe('loading v0 documents through DataPersistence', () => {
+  test('every type comes back in the current shape and version', async () => {
+    const global = await dp.loadGlobalData('config.json');
+    expect(global).toMatchObject({ projects: [], activeProject: null, schemaVersion: 1 });
+
+    const config = await dp.loadProjectData('p1', 'config.json');
+    expect(config.active_path).toBeUndefined();
+    expect(config).toMatchObject({
+      activePath: 'technique',
+      learning_paths: [{ path_name: 'technique', priority: 'medium' }, { path_name: 'theory', priority: 'medium' }],
+      schemaVersion: 1
+    });
+
+    const hta = await dp.loadPathHTA('p1', 'general');
+    expect(hta.schemaVersion).toBe(getCurrentSchemaVersion(DOCUMENT_TYPES.HTA));
+    expect(hta.frontierNodes.find(n => n.title === 'Chords').prerequisites).toEqual(['n1']);
+
+    const history = await dp.loadProjectData('p1', 'learning_history.json');
+    expect(history).toMatchObject({
+      completedTopics: [{ topic: 'Posture' }],
+      knowledgeGaps: ['Reading'],
+      insights: [],
+      skillProgression: {},
+      schemaVersion: 1
+    });
+    expect(history.completed_topics).toBeUndefined();
+
+    const schedule = await dp.loadProjectData('p1', 'day_2026-01-05.json');
+    expect(schedule).toMatchObject({ date: '2026-01-05', blocks: [], schemaVersion: 1 });
+  });
+
+  test('loading does not rewrite the files on disk', async () => {
+    await dp.loadProjectData('p1', 'config.json');
+    expect(JSON.parse(await readRaw('projects/p1/config.json')).schemaVersion).toBeUndefined();
+  });
+});
+
+describe('migrateAllDocuments', () => {
+  test('a dry run reports every outdated document and writes nothing', async () => {
+    const before = await Promise.all(Object.keys(V0_DOCUMENTS).map(readRaw));
+
+    const report = await dp.migrateAllDocuments({ dryRun: true });
+
+    expect(report.map(r => r.key).sort()).toEqual(Object.keys(V0_DOCUMENTS).sort());
+    expect(report.every(r => r.fromVersion === 0 && r.toVersion === getCurrentSchemaVersion(r.type))).toBe(true);
+    expect(await Promise.all(Object.keys(V0_DOCUMENTS).map(readRaw))).toEqual(before);
+    await expect(fs.access(path.join(dir, 'backups'))).rejects.toThrow();
+  });
+
+  test('a real run stamps the files, snapshots the project first and is idempotent', async () => {
+    await dp.migrateAllDocuments({ dryRun: false });
+
+    for (const key of Object.keys(V0_DOCUMENTS)) {
+      const type = getDocumentType(key, { global: key === 'config.json' });
+      expect(JSON.parse(await readRaw(key)).schemaVersion).toBe(getCurrentSchemaVersion(type));
+    }
+    expect(await dp.listSnapshots('p1')).toHaveLength(1);
+    expect(await dp.migrateAllDocuments({ dryRun: false })).toEqual([]);
+  });
+
+  test('can be limited to one project', async () => {
+    const report = await dp.migrateAllDocuments({ dryRun: true, projectId: 'p1' });
+    expect(report.map(r => r.key)).not.toContain('config.json');
+    expect(report).toHaveLength(4);
+  });
+});
@@ -24,6 +24,17 @@ import { LlmIntegration } from "./modules/llm-integration.js";
 import { IdentityEngine } from "./modules/identity-engine.js";
 import { IntegratedTaskPool } from "./modules/integrated-task-pool.js";
 import { IntegratedScheduleGenerator } from "./modules/integrated-schedule-generator.js";
+import { SnapshotManagement } from "./modules/snapshot-management.js";
+import { ProjectArchive } from "./modules/project-archive.js";
+import { LearningPathManagement } from "./modules/learning-path-management.js";
+import { HtaEditing } from "./modules/hta-editing.js";
+import { HtaHistory } from "./modules/hta-history.js";
+import { HtaImport } from "./modules/hta-import.js";
+import { HtaExport } from "./modules/hta-export.js";
+import { CalendarSync, parseClockTime } from "./modules/calendar-ics.js";
+import { allocateNodeId } from "./modules/hta-node-ids.js";
+import { removeHeuristicPlaceholders } from "./modules/hta-heuristic-tasks.js";
+import { TruthfulMiddleware } from "./modules/truthful-middleware.js";
 
 // Debug infrastructure (load CommonJS modules safely)
 import { createRequire } from 'module';
@@ -57,6 +68,7 @@ class CleanForestServer {
 
       // Expose Claude interface to modules that need reasoning
       const claude = this.core.getClaudeInterface();
+      this.truthfulMiddleware = new TruthfulMiddleware(claude);
 
       // Initialize HTA system - USING CLEAN VERSIONS
       this.htaTreeBuilder = new HtaTreeBuilder(
@@ -104,6 +116,38 @@ class CleanForestServer {
         this.dataPersistence,
         this.projectManagement,
       );
+      this.snapshotManagement = new SnapshotManagement(
+        this.dataPersistence,
+        this.projectManagement,
+      );
+      this.projectArchive = new ProjectArchive(
+        this.dataPersistence,
+        this.projectManagement,
+      );
+      this.learningPathManagement = new LearningPathManagement(
+        this.dataPersistence,
+        this.projectManagement,
+      );
+      this.htaEditing = new HtaEditing(
+        this.dataPersistence,
+        this.projectManagement,
+      );
+      this.htaRevisionHistory = new HtaHistory(
+        this.dataPersistence,
+        this.projectManagement,
+      );
+      this.htaImport = new HtaImport(
+        this.dataPersistence,
+        this.projectManagement,
+      );
+      this.htaExport = new HtaExport(
+        this.dataPersistence,
+        this.projectManagement,
+      );
+      this.calendarSync = new CalendarSync(
+        this.dataPersistence,
+        this.projectManagement,
+      );
 
       // Initialize debug integration
       this.debugIntegration = new ForestDebugIntegration(this);
@@ -282,7 +326,8 @@ class CleanForestServer {
                       description: { type: "string" },
                       difficulty: { type: "number" },
                       duration: { type: "number" },
-                      prerequisites: { type: "array", items: { type: "string" } }
+                      prerequisites: { type: "array", items: { type: "string" } },
+                      sub_branch: { type: "string" }
                     },
                     required: ["title"]
                   }
@@ -341,8 +386,9 @@ class CleanForestServer {
     return await this.projectManagement.switchProject(projectId);
   }
 
-  async listProjects() {
-    return await this.projectManagement.listProjects();
+  /** @param {boolean} includeArchived */
+  async listProjects(includeArchived = false) {
+    return await this.projectManagement.listProjects(includeArchived);
   }
 
   async getActiveProject() {
@@ -353,6 +399,92 @@ class CleanForestServer {
     return await this.projectManagement.requireActiveProject();
   }
 
+  /**
+   * @param {string|null} projectId
+   * @param {any} updates - create_project fields to change
+   */
+  async updateProject(projectId, updates) {
+    return await this.projectManagement.updateProject(projectId, updates);
+  }
+
+  /** @param {string} projectId */
+  async archiveProject(projectId) {
+    return await this.projectManagement.archiveProject(projectId);
+  }
+
+  /** @param {string} projectId */
+  async unarchiveProject(projectId) {
+    return await this.projectManagement.unarchiveProject(projectId);
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {boolean} confirm
+   */
+  async deleteProject(projectId, confirm = false) {
+    return await this.projectManagement.deleteProject(projectId, confirm);
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {string} newProjectId
+   */
+  async renameProject(projectId, newProjectId) {
+    return await this.projectManagement.renameProject(projectId, newProjectId);
+  }
+
+  /**
+   * @param {string} sourceProjectId
+   * @param {string} newProjectId
+   */
+  async cloneProject(sourceProjectId, newProjectId) {
+    return await this.projectManagement.cloneProject(sourceProjectId, newProjectId);
+  }
+
+  // ===== LEARNING PATH METHODS =====
+
+  async listLearningPaths() {
+    return await this.learningPathManagement.listLearningPaths();
+  }
+
+  /**
+   * @param {string} pathName
+   * @param {string} duration
+   */
+  async focusLearningPath(pathName, duration = 'until next switch') {
+    return await this.learningPathManagement.focusLearningPath(pathName, duration);
+  }
+
+  /**
+   * @param {string} pathName
+   * @param {string} priority
+   * @param {string[]} interests
+   */
+  async addLearningPath(pathName, priority = 'medium', interests = []) {
+    return await this.learningPathManagement.addLearningPath(pathName, priority, interests);
+  }
+
+  /**
+   * @param {Record<string, number>|null} weights
+   * @param {boolean} enabled
+   */
+  async setPathRotation(weights = null, enabled = true) {
+    return await this.learningPathManagement.setPathRotation(weights, enabled);
+  }
+
+  /** @param {string} pathName */
+  async removeLearningPath(pathName) {
+    return await this.learningPathManagement.removeLearningPath(pathName);
+  }
+
+  /**
+   * @param {string} pathName
+   * @param {string} priority
+   */
+  async setPathPriority(pathName, priority) {
+    return await this.learningPathManagement.setPathPriority(pathName, priority);
+  }
+
   // ===== HTA TREE METHODS =====
 
   /**
@@ -372,6 +504,92 @@ class CleanForestServer {
     return await this.htaStatus.getHTAStatus();
   }
 
+  /**
+   * @param {any} task
+   * @param {string|null} pathName
+   */
+  async addTask(task, pathName = null) {
+    return await this.htaEditing.addTask(task, pathName);
+  }
+
+  /**
+   * @param {string} taskId
+   * @param {any} updates
+   * @param {string|null} pathName
+   */
+  async updateTask(taskId, updates, pathName = null) {
+    return await this.htaEditing.updateTask(taskId, updates, pathName);
+  }
+
+  /**
+   * @param {string} taskId
+   * @param {string} branch
+   * @param {string|null} pathName
+   */
+  async moveTask(taskId, branch, pathName = null) {
+    return await this.htaEditing.moveTask(taskId, branch, pathName);
+  }
+
+  /**
+   * @param {string} taskId
+   * @param {any[]} parts
+   * @param {boolean} sequential
+   * @param {string|null} pathName
+   */
+  async splitTask(taskId, parts, sequential = true, pathName = null) {
+    return await this.htaEditing.splitTask(taskId, parts, sequential, pathName);
+  }
+
+  /**
+   * @param {string} taskId
+   * @param {string|null} pathName
+   */
+  async deleteTask(taskId, pathName = null) {
+    return await this.htaEditing.deleteTask(taskId, pathName);
+  }
+
+  /**
+   * @param {string|null} pathName
+   * @param {number} limit
+   */
+  async htaHistory(pathName = null, limit = 20) {
+    return await this.htaRevisionHistory.htaHistory(pathName, limit);
+  }
+
+  /**
+   * @param {string|number} revA
+   * @param {string|number|null} revB
+   * @param {string|null} pathName
+   */
+  async htaDiff(revA, revB = null, pathName = null) {
+    return await this.htaRevisionHistory.htaDiff(revA, revB, pathName);
+  }
+
+  /**
+   * @param {string|number} revision
+   * @param {boolean} preview
+   * @param {string|null} pathName
+   */
+  async htaRevert(revision, preview = true, pathName = null) {
+    return await this.htaRevisionHistory.htaRevert(revision, preview, pathName);
+  }
+
+  /**
+   * @param {{ content?: string|null, filePath?: string|null, format?: string|null, mode?: string, pathName?: string|null }} options
+   */
+  async importHTA(options) {
+    return await this.htaImport.importHTA(options);
+  }
+
+  /**
+   * @param {string} format
+   * @param {string|null} pathName
+   * @param {string|null} outputPath - null to skip writing a file, '' for the default export path
+   */
+  async exportHTA(format = 'markdown', pathName = null, outputPath = null) {
+    return await this.htaExport.exportHTA(format, pathName, outputPath);
+  }
+
   // ===== SCHEDULING METHODS =====
 
   /**
@@ -391,6 +609,34 @@ class CleanForestServer {
     );
   }
 
+  /**
+   * @param {{ startDate?: string|null, days?: number, energyLevel?: number, availability?: object|null, restDays?: string[]|null, weeklyTargetMinutes?: number|null, focusType?: string }} options
+   */
+  async generateWeekPlan(options) {
+    return await this.scheduleGenerator.generateWeekPlan(options);
+  }
+
+  /**
+   * @param {{ date?: string|null, now?: string|null, overrunBlockId?: string|null, overrunMinutes?: number|null }} options
+   */
+  async rescheduleDay(options) {
+    return await this.scheduleGenerator.rescheduleDay(options);
+  }
+
+  /**
+   * @param {{ dates?: string[], includeBreaks?: boolean, outputPath?: string|null, timeZone?: string|null }} options
+   */
+  async exportScheduleICS(options) {
+    return await this.calendarSync.exportScheduleICS(options);
+  }
+
+  /**
+   * @param {{ filePath?: string|null, startDate?: string|null, days?: number, timeZone?: string|null }} options
+   */
+  async importCalendarICS(options) {
+    return await this.calendarSync.importCalendarICS(options);
+  }
+
   // ===== TASK MANAGEMENT METHODS =====
 
   /**
@@ -482,11 +728,21 @@ class CleanForestServer {
         const completedBlocks = schedule.blocks.filter((/** @type {any} */ b) => b.completed);
         statusText += `**Today's Progress**: ${completedBlocks.length}/${schedule.blocks.length} blocks completed\n`;
 
-        const nextBlock = schedule.blocks.find((/** @type {any} */ b) => !b.completed);
+        // A block whose end time has passed is overdue, not next
+        const nowMinutes = new Date().getHours() * 60 + new Date().getMinutes();
+        const endsAfterNow = (/** @type {any} */ b) => (parseClockTime(b.startTime) ?? 0) + (Number(b.duration) || 0) > nowMinutes;
+        const overdue = schedule.blocks.filter((/** @type {any} */ b) => !b.completed && b.type === "learning" && !endsAfterNow(b));
+        const nextBlock = schedule.blocks.find((/** @type {any} */ b) => !b.completed && endsAfterNow(b));
         if (nextBlock) {
           statusText += `**Next Block**: ${nextBlock.title} at ${nextBlock.startTime}\n`;
-        } else {
+        } else if (completedBlocks.length === schedule.blocks.length) {
           statusText += `**Status**: All blocks completed for today! 🎉\n`;
+        } else {
+          statusText += `**Status**: No blocks left today\n`;
+        }
+        if (overdue.length > 0) {
+          statusText += `⏰ **Overdue**: ${overdue.length} learning block(s) past their end time\n`;
+          statusText += `💡 **Suggestion**: Use \`reschedule_day\` to fit them into the rest of today or carry them over\n`;
         }
       } else {
         statusText += `**Today**: No schedule generated yet\n`;
@@ -497,23 +753,18 @@ class CleanForestServer {
       let allTasks = [];
       let completedCount = 0;
 
-      // HTA status - USING CONSISTENT FIELD NAMES
+      // HTA status - legacy field names are normalised by schema migrations on load
       if (htaData) {
-        const frontierNodes =
-          htaData.frontier_nodes || htaData.frontierNodes || [];
-        const completedNodes = htaData.completed_nodes || [];
-        allTasks = [...frontierNodes, ...completedNodes];
-        completedCount =
-          completedNodes.length +
-          frontierNodes.filter((/** @type {any} */ n) => n.completed).length;
+        const frontierNodes = htaData.frontierNodes || [];
+        allTasks = frontierNodes;
+        completedCount = frontierNodes.filter((/** @type {any} */ n) => n.completed).length;
 
         const availableNodes = frontierNodes.filter((/** @type {any} */ node) => {
           if (node.completed) {return false;}
           if (node.prerequisites && node.prerequisites.length > 0) {
-            const completedIds = [
-              ...completedNodes.map((/** @type {any} */ n) => n.id),
-              ...frontierNodes.filter((/** @type {any} */ n) => n.completed).map((/** @type {any} */ n) => n.id),
-            ];
+            const completedIds = frontierNodes
+              .filter((/** @type {any} */ n) => n.completed)
+              .map((/** @type {any} */ n) => n.id);
             return node.prerequisites.every((/** @type {any} */ prereq) =>
               completedIds.includes(prereq),
             );
@@ -572,22 +823,7 @@ class CleanForestServer {
   /** @param {string} projectId 
    *  @param {string} pathName */
   async loadPathHTA(projectId, pathName) {
-    if (pathName === "general") {
-      // Try path-specific HTA first, fallback to project-level
-      const pathHTA = await this.dataPersistence.loadPathData(
-        projectId,
-        pathName,
-        "hta.json",
-      );
-      if (pathHTA) {return pathHTA;}
-      return await this.dataPersistence.loadProjectData(projectId, "hta.json");
-    } else {
-      return await this.dataPersistence.loadPathData(
-        projectId,
-        pathName,
-        "hta.json",
-      );
-    }
+    return await this.dataPersistence.loadPathHTA(projectId, pathName);
   }
 
   // ===== SERVER LIFECYCLE METHODS =====
@@ -654,78 +890,7 @@ class CleanForestServer {
   }
 
   async askTruthfulClaude(prompt) {
-    // Helper to ensure output is string
-    const ensureString = (val) => {
-      if (!val) {return '';}
-      if (typeof val === 'string') {return val;}
-      if (typeof val === 'object') {
-        if (val.text) {return ensureString(val.text);}
-        if (val.completion) {return ensureString(val.completion);}
-        return JSON.stringify(val);
-      }
-      return String(val);
-    };
-
-    // 1. Augment prompt
-    const systemPrompt = `You must be maximally truthful and honest. If you do not know, say so. Do not flatter the user. Do not make up facts. If uncertain, state your uncertainty. If asked for an opinion, make it clear it is an opinion.`;
-    const fullPrompt = `${systemPrompt}\n\nUser: ${prompt}`;
-
-    // 2. Get initial answer from Claude (wired directly)
-    const answerObj = await this.core.getClaudeInterface().requestIntelligence('truthful-answer', { prompt: fullPrompt });
-    let answerRaw = answerObj?.completion || answerObj?.answer || answerObj?.text;
-    // If the Claude interface is stubbed (returns request_for_claude), fallback to local heuristics
-    if (!answerRaw && answerObj?.request_for_claude) {
-      answerRaw = this.generateHeuristicAnswer(prompt);
-    }
-    const answer = ensureString(answerRaw);
-
-    // 3. Ask for self-critique
-    const critiquePrompt = `Review your previous answer. Are there any parts that might be inaccurate, misleading, or overly confident? If so, revise. If the answer is already maximally honest, say so.`;
-    const critiqueObj = await this.core.getClaudeInterface().requestIntelligence('truthful-critique', { prompt: `${critiquePrompt}\n\nPrevious answer: ${answer}` });
-    let critiqueRaw = critiqueObj?.completion || critiqueObj?.answer || critiqueObj?.text;
-    if (!critiqueRaw && critiqueObj?.request_for_claude) {
-      critiqueRaw = this.generateHeuristicCritique(answer);
-    }
-    const critique = ensureString(critiqueRaw);
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `🧠 **Truthful Answer**:\n${answer}\n\n🔍 **Self-Critique**:\n${critique}`
-        }
-      ],
-      answer,
-      critique
-    };
-  }
-
-  // ===== Heuristic fallback generators =====
-  generateHeuristicAnswer(userPrompt) {
-    const p = userPrompt.toLowerCase();
-    if (p.includes('sky') && p.includes('blue')) {
-      return 'Yes. During the day, molecules in Earth\'s atmosphere scatter shorter-wavelength blue light more than other colours; our eyes therefore perceive the sky as blue.';
-    }
-    if (p.match(/you\'re|you are.*amazing|awesome|great/)) {
-      return 'I appreciate the kind words, but as an AI I have no feelings; it\'s best to focus on the quality of information rather than compliments.';
-    }
-    if (p.includes('how does this tool work')) {
-      return 'The tool wraps every normal request with a preparatory prompt that instructs the language model to be maximally truthful and then asks the model to self-critique its own response for possible inaccuracies.';
-    }
-    if (p.includes('forest')) {
-      return 'Forest is a modular learning-orchestration system that builds HTA trees and schedules tasks. The truthful tool ensures answers are honest and non-sycophantic.';
-    }
-    return 'I do not have enough reliable information to answer that question confidently.';
-  }
-
-  generateHeuristicCritique(answer) {
-    if (answer.startsWith('I do not have')) {
-      return 'The answer appropriately admits uncertainty rather than inventing information.';
-    }
-    if (answer.length < 20) {
-      return 'The answer may be too brief to be fully informative.';
-    }
-    return 'The answer seems reasonable given the limited heuristic processing, but should be verified with authoritative sources.';
+    return await this.truthfulMiddleware.askTruthfulClaude(prompt);
   }
 
   // ===== DEBUG & ANALYTICS WRAPPERS =====
@@ -734,6 +899,13 @@ class CleanForestServer {
     return await this.analyticsTools.analyzePerformance();
   }
 
+  /**
+   * @param {number} days
+   */
+  async reviewPeriod(days) {
+    return await this.analyticsTools.reviewPeriod(days);
+  }
+
   async debugTaskSequence() {
     return await this.analyticsTools.debugTaskSequence();
   }
@@ -746,77 +918,177 @@ class CleanForestServer {
     return await this.reasoningEngine.analyzeReasoning(includeDetailedAnalysis);
   }
 
+  // ===== DATA MAINTENANCE =====
+
+  /** @param {string|null} projectId */
+  async listSnapshots(projectId = null) {
+    return await this.snapshotManagement.listSnapshots(projectId);
+  }
+
+  /**
+   * @param {string} snapshotId
+   * @param {boolean} preview
+   * @param {string|null} projectId
+   */
+  async restoreSnapshot(snapshotId, preview = true, projectId = null) {
+    return await this.snapshotManagement.restoreSnapshot(snapshotId, preview, projectId);
+  }
+
+  /**
+   * @param {string|null} projectId
+   * @param {string|null} outputPath
+   */
+  async exportProject(projectId = null, outputPath = null) {
+    return await this.projectArchive.exportProject(projectId, outputPath);
+  }
+
+  /**
+   * @param {string} archivePath
+   * @param {string|null} projectId
+   * @param {'rename'|'merge'|'fail'} onConflict
+   */
+  async importProject(archivePath, projectId = null, onConflict = 'rename') {
+    return await this.projectArchive.importProject(archivePath, { projectId, onConflict });
+  }
+
+  /**
+   * Upgrade stored documents to the current schema version.
+   * @param {boolean} dryRun - report pending migrations without writing
+   * @param {string|null} projectId - limit to one project
+   */
+  async migrateData(dryRun = true, projectId = null) {
+    try {
+      const pending = await this.dataPersistence.migrateAllDocuments({ dryRun, projectId });
+
+      let report = dryRun ? '🔍 **Schema Migration Preview**\n\n' : '🛠️ **Schema Migration Complete**\n\n';
+      report += `**Scope**: ${projectId ? `project ${projectId}` : 'all data'}\n`;
+      report += `**${dryRun ? 'Needing migration' : 'Migrated'}**: ${pending.length} document(s)\n\n`;
+
+      if (pending.length === 0) {
+        report += '✅ All documents are already at the current schema version.';
+      } else {
+        for (const result of pending) {
+          report += `• \`${result.key}\` (${result.type}) v${result.fromVersion} → v${result.toVersion}\n`;
+          for (const step of result.applied) {
+            report += `   - ${step}\n`;
+          }
+        }
+        if (dryRun) {
+          report += '\nRun `migrate_data` with `dry_run: false` to write these changes.';
+        }
+      }
+
+      return {
+        content: [{ type: 'text', text: report }],
+        migrations: pending,
+        dry_run: dryRun
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError('migrateData', error, { dryRun, projectId });
+      return {
+        content: [{ type: 'text', text: `Error running schema migrations: ${error.message}` }]
+      };
+    }
+  }
+
   /**
    * Persist Claude-generated tasks into the current HTA frontier.
    * @param {Array<{branch_name:string,tasks:Array}>} branchTasks
    */
   async storeGeneratedTasks(branchTasks) {
     const projectId = await this.requireActiveProject();
-    const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
-    const pathName = config.activePath || 'general';
-    const htaData = await this.loadPathHTA(projectId, pathName) || { frontierNodes: [] };
-
-    let nextId = (htaData.frontierNodes?.length || 0) + 1;
 
-    // ----- Collaborative session logging -----
-    const sessionMeta = {
-      timestamp: new Date().toISOString(),
-      session_id: `sess_${Math.random().toString(36).slice(2, 10)}`,
-      tasks_count: branchTasks.reduce((sum, b) => sum + b.tasks.length, 0),
-      branches_populated: branchTasks.map(b => b.branch_name),
-      generation_context: 'collaborative_handoff'
-    };
+    // Hold the project lock across load → append → save so concurrent tool
+    // calls (e.g. complete_block) cannot overwrite each other's changes.
+    return await this.dataPersistence.withProjectLock(projectId, async () => {
+      const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
+      const pathName = config.activePath || 'general';
+      const htaData = await this.loadPathHTA(projectId, pathName) || { frontierNodes: [] };
+      await this.dataPersistence.snapshotBeforeChange(projectId, 'generate_hta_tasks');
+
+      // ----- Collaborative session logging -----
+      const sessionMeta = {
+        timestamp: new Date().toISOString(),
+        session_id: `sess_${Math.random().toString(36).slice(2, 10)}`,
+        tasks_count: branchTasks.reduce((sum, b) => sum + b.tasks.length, 0),
+        branches_populated: branchTasks.map(b => b.branch_name),
+        generation_context: 'collaborative_handoff'
+      };
 
-    htaData.collaborative_sessions = htaData.collaborative_sessions || [];
-    htaData.collaborative_sessions.push(sessionMeta);
+      htaData.collaborative_sessions = htaData.collaborative_sessions || [];
+      htaData.collaborative_sessions.push(sessionMeta);
+
+      const ensureBranchExists = (branchName) => {
+        htaData.strategicBranches = htaData.strategicBranches || [];
+        const exists = htaData.strategicBranches.find(b =>
+          b.id === branchName || b.title?.toLowerCase() === branchName.toLowerCase()
+        );
+        if (!exists) {
+          const slug = branchName.toLowerCase().replace(/[^a-z0-9]+/g,'_').replace(/_+/g,'_').replace(/^_|_$/g,'');
+          htaData.strategicBranches.push({
+            id: slug,
+            title: branchName.charAt(0).toUpperCase()+branchName.slice(1),
+            priority: 'medium',
+            completed: false,
+            description: `Auto-added domain for ${branchName}`,
+            expected_duration: '0-3 months',
+            subBranches: []
+          });
+        }
+      };
 
-    const ensureBranchExists = (branchName) => {
-      htaData.strategicBranches = htaData.strategicBranches || [];
-      const exists = htaData.strategicBranches.find(b =>
-        b.id === branchName || b.title?.toLowerCase() === branchName.toLowerCase()
-      );
-      if (!exists) {
-        const slug = branchName.toLowerCase().replace(/[^a-z0-9]+/g,'_').replace(/_+/g,'_').replace(/^_|_$/g,'');
-        htaData.strategicBranches.push({
-          id: slug,
-          title: branchName.charAt(0).toUpperCase()+branchName.slice(1),
-          priority: 'medium',
-          completed: false,
-          description: `Auto-added domain for ${branchName}`,
-          expected_duration: '0-3 months',
-          subBranches: []
-        });
+      const replacedPlaceholders = [];
+      for (const branch of branchTasks) {
+        const branchName = branch.branch_name;
+        ensureBranchExists(branchName);
+        const strategicBranch = htaData.strategicBranches.find(b =>
+          b.id === branchName || b.title?.toLowerCase() === branchName.toLowerCase()
+        );
+        // Real tasks supersede the offline starter tasks for this branch
+        if (strategicBranch && branch.tasks.length > 0) {
+          replacedPlaceholders.push(...removeHeuristicPlaceholders(htaData, strategicBranch.id));
+        }
+        for (const t of branch.tasks) {
+          htaData.frontierNodes = htaData.frontierNodes || [];
+          const slug = branchName.toLowerCase().replace(/[^a-z0-9]+/g,'_').replace(/_+/g,'_').replace(/^_|_$/g,'');
+          const subBranch = t.sub_branch && (strategicBranch?.subBranches || []).find(sub =>
+            sub.id === t.sub_branch || sub.title?.toLowerCase() === t.sub_branch.toLowerCase()
+          );
+          htaData.frontierNodes.push({
+            id: allocateNodeId(htaData, 'node'),
+            title: t.title,
+            description: t.description || '',
+            difficulty: t.difficulty || 1,
+            duration: typeof t.duration === 'number' ? `${t.duration} minutes` : (t.duration || '30 minutes'),
+            branch: strategicBranch?.id || slug,
+            parentId: subBranch?.id || strategicBranch?.id || slug,
+            prerequisites: t.prerequisites || [],
+            generated: true,
+            completed: false,
+            priority: 200
+          });
+        }
       }
-    };
 
-    for (const branch of branchTasks) {
-      const branchName = branch.branch_name;
-      ensureBranchExists(branchName);
-      for (const t of branch.tasks) {
-        htaData.frontierNodes = htaData.frontierNodes || [];
-        const slug = branchName.toLowerCase().replace(/[^a-z0-9]+/g,'_').replace(/_+/g,'_').replace(/^_|_$/g,'');
-        htaData.frontierNodes.push({
-          id: `node_${nextId++}`,
-          title: t.title,
-          description: t.description || '',
-          difficulty: t.difficulty || 1,
-          duration: typeof t.duration === 'number' ? `${t.duration} minutes` : (t.duration || '30 minutes'),
-          branch: slug,
-          prerequisites: t.prerequisites || [],
-          generated: true,
-          completed: false,
-          priority: 200
-        });
-      }
-    }
+      await this.savePathHTA(projectId, pathName, htaData, { author: 'generate_hta_tasks' });
 
-    await this.savePathHTA(projectId, pathName, htaData);
+      let text = `✅ Stored ${branchTasks.reduce((sum,b)=>sum+b.tasks.length,0)} generated tasks into HTA`;
+      if (replacedPlaceholders.length > 0) {
+        text += `\n🧭 Replaced ${replacedPlaceholders.length} heuristic starter task(s)`;
+      }
+      const dangling = htaData.danglingPrerequisites || [];
+      if (dangling.length > 0) {
+        text += `\n⚠️ ${dangling.length} prerequisite(s) match no task: ${dangling.map(d => `"${d.prerequisite}" (for ${d.title})`).join(', ')}`;
+      }
 
-    return {
-      content: [{ type: 'text', text: `✅ Stored ${branchTasks.reduce((sum,b)=>sum+b.tasks.length,0)} generated tasks into HTA` }],
-      hta_frontier_count: htaData.frontierNodes.length,
-      session: sessionMeta
-    };
+      return {
+        content: [{ type: 'text', text }],
+        hta_frontier_count: htaData.frontierNodes.length,
+        dangling_prerequisites: dangling,
+        replaced_heuristic_tasks: replacedPlaceholders.map(n => n.id),
+        session: sessionMeta
+      };
+    });
   }
 
   async getGenerationHistory(limit = 10) {
@@ -837,12 +1109,10 @@ class CleanForestServer {
    * @param {string} projectId
    * @param {string} pathName
    * @param {any} htaData
+   * @param {{ author?: string }} [options]
    */
-  async savePathHTA(projectId, pathName, htaData) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.saveProjectData(projectId, 'hta.json', htaData);
-    }
-    return await this.dataPersistence.savePathData(projectId, pathName, 'hta.json', htaData);
+  async savePathHTA(projectId, pathName, htaData, options = {}) {
+    return await this.dataPersistence.savePathHTA(projectId, pathName, htaData, options);
   }
 
   async generateIntegratedSchedule(date, energyLevel = 3) {
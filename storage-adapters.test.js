@@ -0,0 +1,102 @@
+// JSONL event storage: delta records, replay, compaction and recovery from a torn append
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JsonlEventStorage } from './modules/storage-adapters.js';
+
+let dir;
+let filePath;
+
+const open = (options = {}) => new JsonlEventStorage(dir, { filePath, ...options });
+const records = async () => (await fs.readFile(filePath, 'utf8'))
+  .split('\n')
+  .filter(Boolean)
+  .map(line => {
+    const { t, ...record } = JSON.parse(line);
+    return record;
+  });
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-jsonl-'));
+  filePath = path.join(dir, 'forest.jsonl');
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('JsonlEventStorage', () => {
+  const first = {
+    title: 'Piano',
+    count: 1,
+    draft: true,
+    history: [{ day: 1 }],
+    nodes: [{ id: 'n1', done: false }, { id: 'n2', done: false }]
+  };
+  const second = {
+    title: 'Piano',
+    count: 2,
+    history: [{ day: 1 }, { day: 2 }],
+    nodes: [{ id: 'n1', done: true }, { id: 'n3', done: false }]
+  };
+
+  test('a new document is a put and later writes append only the delta', async () => {
+    const storage = open();
+    await storage.write('p/hta.json', first);
+    await storage.write('p/hta.json', second);
+    await storage.delete('p/hta.json');
+
+    expect(await records()).toEqual([
+      { op: 'put', key: 'p/hta.json', doc: first },
+      { op: 'unset', key: 'p/hta.json', field: 'draft' },
+      { op: 'set', key: 'p/hta.json', field: 'count', value: 2 },
+      { op: 'append', key: 'p/hta.json', field: 'history', items: [{ day: 2 }] },
+      { op: 'remove', key: 'p/hta.json', field: 'nodes', ids: ['n2'] },
+      { op: 'upsert', key: 'p/hta.json', field: 'nodes', items: [{ id: 'n1', done: true }, { id: 'n3', done: false }] },
+      { op: 'del', key: 'p/hta.json' }
+    ]);
+  });
+
+  test('arrays whose item delta would change the order are written whole', async () => {
+    const storage = open();
+    await storage.write('p/hta.json', first);
+    await storage.write('p/hta.json', { ...first, nodes: [...first.nodes].reverse() });
+
+    expect((await records()).pop()).toEqual({ op: 'set', key: 'p/hta.json', field: 'nodes', value: [...first.nodes].reverse() });
+  });
+
+  test('a fresh instance replays the log into the same documents', async () => {
+    const storage = open();
+    await storage.write('p/hta.json', first);
+    await storage.write('p/hta.json', second);
+    await storage.write('p/config.json', { goal: 'Piano' });
+    await storage.delete('p/config.json');
+
+    const reopened = open();
+    expect(await reopened.read('p/hta.json')).toEqual(second);
+    expect(await reopened.list('p/')).toEqual(['p/hta.json']);
+  });
+
+  test('the log is compacted to one put per document once it reaches the threshold', async () => {
+    const storage = open({ compactThreshold: 7 });
+    await storage.write('p/hta.json', first);
+    await storage.write('p/hta.json', second);
+    expect(await records()).toHaveLength(6);
+
+    await storage.write('p/hta.json', { ...second, count: 3 });
+    expect(await records()).toEqual([{ op: 'put', key: 'p/hta.json', doc: { ...second, count: 3 } }]);
+    expect(await open().read('p/hta.json')).toEqual({ ...second, count: 3 });
+  });
+
+  test('a partial last line is dropped on load and later appends start on a clean line', async () => {
+    await open().write('p/hta.json', first);
+    await fs.appendFile(filePath, '{"op":"set","key":"p/hta.json","field":"cou');
+
+    const recovered = open();
+    expect(await recovered.read('p/hta.json')).toEqual(first);
+    expect((await fs.readFile(filePath, 'utf8')).endsWith('\n')).toBe(true);
+
+    await recovered.write('p/hta.json', second);
+    expect(await open().read('p/hta.json')).toEqual(second);
+  });
+});
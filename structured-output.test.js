@@ -0,0 +1,87 @@
+// Structured-output parsing: extraction, repair, validation and the single
+// corrective re-prompt used for LLM task responses
+import { jest } from '@jest/globals';
+import { TASK_LIST_SCHEMA, extractJSON, parseStructured, requestStructured } from './modules/structured-output.js';
+
+describe('extractJSON', () => {
+  test('reads a fenced block surrounded by prose', () => {
+    const text = 'Here you go:\n```json\n[{"title": "Scales"}]\n```\nGood luck!';
+    expect(extractJSON(text).value).toEqual([{ title: 'Scales' }]);
+  });
+
+  test('finds a bracketed value inside prose and fixes trailing commas and smart quotes', () => {
+    const text = 'Tasks: [{“title”: “Scales”, "difficulty": 2,},] hope that helps';
+    const extracted = extractJSON(text);
+    expect(extracted.value).toEqual([{ title: 'Scales', difficulty: 2 }]);
+    expect(extracted.repaired).toBe(true);
+  });
+
+  test('returns null when there is no JSON at all', () => {
+    expect(extractJSON('Practise every day.')).toBeNull();
+  });
+});
+
+describe('parseStructured with the task schema', () => {
+  test('repairs string durations, out-of-range difficulty and missing fields', () => {
+    const text = JSON.stringify({ tasks: [
+      { title: 'Play a C major scale', duration: '1 hour', difficulty: 9 },
+      { title: 'Clap quarter notes', duration: '20 min', difficulty: '2/5', prerequisites: 'Play a C major scale' }
+    ] });
+    const result = parseStructured(text, TASK_LIST_SCHEMA);
+
+    expect(result.ok).toBe(true);
+    expect(result.value).toEqual([
+      { title: 'Play a C major scale', description: '', duration: 60, difficulty: 5, prerequisites: [] },
+      { title: 'Clap quarter notes', description: '', duration: 20, difficulty: 2, prerequisites: ['Play a C major scale'] }
+    ]);
+    expect(result.repairs.length).toBeGreaterThan(0);
+  });
+
+  test('reports errors for items that cannot be repaired', () => {
+    const result = parseStructured('[{"description": "no title"}]', TASK_LIST_SCHEMA);
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual([expect.stringMatching(/\$\[0\]\.title/)]);
+  });
+
+  test('partial mode keeps valid items and reports the dropped ones', () => {
+    const result = parseStructured('[{"title": "Scales"}, {"description": "no title"}]', TASK_LIST_SCHEMA, { partial: true });
+    expect(result.ok).toBe(true);
+    expect(result.value.map(t => t.title)).toEqual(['Scales']);
+    expect(result.dropped).toBe(1);
+    expect(result.errors).toEqual([expect.stringMatching(/item dropped/)]);
+  });
+});
+
+describe('requestStructured', () => {
+  test('re-prompts once with the validation errors and accepts a corrected reply', async () => {
+    const llm = {
+      requestIntelligence: jest.fn()
+        .mockResolvedValueOnce({ completion: 'Sure! Practise daily.' })
+        .mockResolvedValueOnce({ completion: '[{"title": "Practise daily", "duration": 15}]' })
+    };
+    const result = await requestStructured(llm, 'hta-task-generation', { prompt: 'Make tasks' }, TASK_LIST_SCHEMA);
+
+    expect(result).toMatchObject({ ok: true, attempts: 2, handoff: false });
+    expect(result.value[0]).toMatchObject({ title: 'Practise daily', duration: 15 });
+    const correction = llm.requestIntelligence.mock.calls[1][1].prompt;
+    expect(correction).toContain('no JSON found');
+    expect(correction).toMatch(/Reply with ONLY a JSON array/);
+  });
+
+  test('surfaces errors after the corrective re-prompt also fails', async () => {
+    const llm = { requestIntelligence: jest.fn(async () => ({ completion: 'No.' })) };
+    const result = await requestStructured(llm, 'hta-task-generation', { prompt: 'Make tasks' }, TASK_LIST_SCHEMA);
+
+    expect(llm.requestIntelligence).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ ok: false, value: null, attempts: 2 });
+    expect(result.errors.length).toBeGreaterThan(0);
+  });
+
+  test('passes handoff responses through without re-prompting', async () => {
+    const llm = { requestIntelligence: jest.fn(async (type, payload) => ({ request_for_claude: { type, payload } })) };
+    const result = await requestStructured(llm, 'hta-task-generation', { prompt: 'Make tasks' }, TASK_LIST_SCHEMA);
+
+    expect(llm.requestIntelligence).toHaveBeenCalledTimes(1);
+    expect(result.handoff).toBe(true);
+  });
+});
@@ -0,0 +1,77 @@
+// Week planning: availability, daily budgets, prerequisite-aware pools and plan review
+import {
+  compareWeekPlan, dailyBudget, describeDays, normaliseWeeklyAvailability, planDates, plannedDaysInRange, poolForDay, storeWeekPlan
+} from './modules/week-planner.js';
+import { ValidationError } from './modules/errors.js';
+
+describe('availability and budgets', () => {
+  test('expands day groups, later keys win, and rejects bad windows', () => {
+    const availability = normaliseWeeklyAvailability({
+      weekdays: { start: '18:00', end: '21:00', max_minutes: 60 },
+      fri: { start: '5:00 PM', end: '12:00 AM' }
+    });
+    expect(availability.mon).toEqual({ start: '6:00 PM', end: '9:00 PM', max_minutes: 60 });
+    expect(availability.fri).toEqual({ start: '5:00 PM', end: '12:00 AM' });
+    expect(availability.sat).toBeUndefined();
+    expect(() => normaliseWeeklyAvailability({ mon: { start: '9:00 PM', end: '6:00 PM' } })).toThrow(ValidationError);
+  });
+
+  test('rest days get no learning and the weekly target is shared over working days', () => {
+    // 2026-01-09 is a Friday
+    const days = describeDays(planDates('2026-01-09', 3), {
+      availability: normaliseWeeklyAvailability({ fri: { start: '6:00 PM', end: '12:00 AM', max_minutes: 45 } }),
+      restDays: ['sun'],
+      defaultCap: 120
+    });
+    expect(days.map(d => [d.weekday, d.rest, d.cap])).toEqual([['fri', false, 45], ['sat', false, 120], ['sun', true, 0]]);
+    expect(days[0].window).toEqual({ start: 1080, end: 1440 });
+    expect(dailyBudget(45, 200, 2)).toBe(45);
+    expect(dailyBudget(120, 155, 1)).toBe(120);
+    expect(dailyBudget(120, Infinity, 2)).toBe(120);
+  });
+});
+
+describe('poolForDay', () => {
+  test('offers a task only with the prerequisites it still waits on', () => {
+    const candidates = [
+      { key: 'p:a', requires: [] },
+      { key: 'p:b', requires: ['p:a'] },
+      { key: 'p:c', requires: ['p:b'] },
+      { key: 'p:d', requires: ['p:x'] }
+    ];
+    expect(poolForDay(candidates, new Set()).map(t => t.key)).toEqual(['p:a', 'p:b', 'p:c']);
+    const later = poolForDay(candidates, new Set(['p:a']));
+    expect(later.map(t => [t.key, t.requires])).toEqual([['p:b', []], ['p:c', ['p:b']]]);
+  });
+});
+
+describe('plan review', () => {
+  const plan = (start, generated, days) => ({ start_date: start, generated, days });
+  const day = (date, tasks) => ({ date, rest_day: false, planned_minutes: tasks.length * 30, tasks });
+  const task = (id, title) => ({ id, path: 'general', title });
+
+  test('newer plans decide overlapping dates', () => {
+    let store = storeWeekPlan(null, plan('2026-01-05', '2026-01-04T10:00:00Z', [day('2026-01-05', [task('a', 'A')]), day('2026-01-06', [task('b', 'B')])]));
+    store = storeWeekPlan(store, plan('2026-01-06', '2026-01-05T20:00:00Z', [day('2026-01-06', [task('c', 'C')])]));
+    expect(plannedDaysInRange(store, '2026-01-01', '2026-01-07').map(d => [d.date, d.tasks[0].id])).toEqual([
+      ['2026-01-05', 'a'],
+      ['2026-01-06', 'c']
+    ]);
+  });
+
+  test('sorts planned tasks into done, done elsewhere and not done, and counts unplanned work', () => {
+    const planned = [day('2026-01-05', [task('a', 'A'), task('b', 'B'), task('c', 'C')])];
+    const schedules = {
+      '2026-01-05': {
+        blocks: [
+          { type: 'learning', taskId: 'a', pathName: 'general', title: 'A', duration: 30, completed: true },
+          { type: 'learning', taskId: 'z', pathName: 'general', title: 'Z', duration: 20, completed: true },
+          { type: 'break', title: 'Break', duration: 15, completed: true }
+        ]
+      }
+    };
+    const { days, totals } = compareWeekPlan(planned, schedules, new Set(['general:a', 'general:b']));
+    expect(days[0]).toMatchObject({ done: ['A'], done_elsewhere: ['B'], missed: ['C'], unplanned: ['Z'], actual_minutes: 50 });
+    expect(totals).toMatchObject({ planned_tasks: 3, done: 1, adherence: 33, planned_minutes: 90 });
+  });
+});